@@ -0,0 +1,190 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Certificate, { CERTIFICATE_STATUSES } from '../../models/Certificate.js';
+import Course from '../../models/Course.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    issueCertificate,
+    findCertificateBySerial,
+    revokeCertificate as revokeCertificateBySerial,
+    reissueCertificate as reissueCertificateBySerial,
+    toVerificationResult
+} from '../../services/certificate/certificateService.js';
+import { PLATFORM_CERTIFICATE_TEMPLATE, resolveCertificateTemplate } from '../../services/certificate/certificatePdf.js';
+
+const TEMPLATE_FIELDS = ['enabled', 'title', 'bodyText', 'signatoryName', 'signatoryTitle', 'accentColor'];
+
+// Verifies the requesting instructor owns the course
+const findCourseForInstructor = async (courseId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        throw new ApiError(400, 'Invalid course ID');
+    }
+
+    const course = await Course.findById(courseId).select('instructor title certificateTemplate');
+    if (!course) {
+        throw new ApiError(404, 'Course not found');
+    }
+    if (course.instructor.toString() !== userId) {
+        throw new ApiError(403, "Not authorized to manage this course's certificates");
+    }
+    return course;
+};
+
+// @desc    Verify a certificate by its serial
+// @route   GET /api/certificates/:serial/verify
+// @access  Public
+export const verifyCertificate = asyncHandler(async (req, res) => {
+    const certificate = await findCertificateBySerial(req.params.serial);
+    const result = await toVerificationResult(certificate);
+
+    res.status(200).json(
+        new ApiResponse(200, result, result.valid ? 'Certificate is valid' : `Certificate is ${result.status}`)
+    );
+});
+
+// @desc    List the authenticated student's certificates
+// @route   GET /api/certificates/me
+// @access  Private
+export const getMyCertificates = asyncHandler(async (req, res) => {
+    const certificates = await Certificate.find({ student: req.user._id, status: { $ne: 'superseded' } })
+        .select('-issuedBy -revokedBy')
+        .sort({ issuedAt: -1 });
+
+    res.status(200).json(
+        new ApiResponse(200, certificates, 'Certificates retrieved', { count: certificates.length })
+    );
+});
+
+// @desc    Issue the certificate for a course the student has completed (if it was not issued automatically)
+// @route   POST /api/certificates/courses/:courseId
+// @access  Private
+export const claimCertificate = asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+        throw new ApiError(400, 'Invalid course ID');
+    }
+
+    const certificate = await issueCertificate({ studentId: req.user._id, courseId: req.params.courseId });
+
+    res.status(200).json(
+        new ApiResponse(200, certificate, 'Certificate issued')
+    );
+});
+
+// @desc    List certificates, optionally filtered by course, student or status
+// @route   GET /api/certificates
+// @access  Private (Admin)
+export const getCertificates = asyncHandler(async (req, res) => {
+    const { course, student, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (course) filter.course = course;
+    if (student) filter.student = student;
+    if (status) {
+        if (!CERTIFICATE_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${CERTIFICATE_STATUSES.join(', ')}`);
+        }
+        filter.status = status;
+    }
+    if ([filter.course, filter.student].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid course or student ID');
+    }
+
+    const [certificates, total] = await Promise.all([
+        Certificate.find(filter)
+            .sort({ issuedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Certificate.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, certificates, 'Certificates retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Revoke a certificate
+// @route   PUT /api/certificates/:serial/revoke
+// @access  Private (Admin)
+export const revokeCertificate = asyncHandler(async (req, res) => {
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+        throw new ApiError(400, 'A reason is required to revoke a certificate');
+    }
+
+    const certificate = await revokeCertificateBySerial(req.params.serial, req.user._id, reason);
+
+    res.status(200).json(
+        new ApiResponse(200, certificate, 'Certificate revoked')
+    );
+});
+
+// @desc    Reissue a certificate under a new serial with current names and template;
+//          a revoked one needs overrideRevocation and a reason
+// @route   POST /api/certificates/:serial/reissue
+// @access  Private (Admin)
+export const reissueCertificate = asyncHandler(async (req, res) => {
+    const { overrideRevocation, reason } = req.body || {};
+    const { certificate, previous } = await reissueCertificateBySerial(req.params.serial, req.user._id, {
+        overrideRevocation: overrideRevocation === true || overrideRevocation === 'true',
+        reason: typeof reason === 'string' ? reason : undefined
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, certificate, 'Certificate reissued', {
+            previous: { serial: previous.serial, status: previous.status }
+        })
+    );
+});
+
+// @desc    Get a course's certificate template and the design it resolves to
+// @route   GET /api/certificates/courses/:courseId/template
+// @access  Private (Instructor)
+export const getCourseCertificateTemplate = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+    const { template, source } = resolveCertificateTemplate(course.certificateTemplate);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            certificateTemplate: course.certificateTemplate,
+            resolved: template,
+            source,
+            platformDefaults: PLATFORM_CERTIFICATE_TEMPLATE
+        }, 'Certificate template retrieved')
+    );
+});
+
+// @desc    Update a course's certificate template; empty fields fall back to the platform template
+// @route   PUT /api/certificates/courses/:courseId/template
+// @access  Private (Instructor)
+export const updateCourseCertificateTemplate = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+    const body = req.body || {};
+
+    const template = { ...course.certificateTemplate?.toObject() };
+    TEMPLATE_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        // An empty value clears the override
+        if (body[field] === '' || body[field] === null) delete template[field];
+        else template[field] = body[field];
+    });
+
+    course.certificateTemplate = template;
+    try {
+        await course.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            throw new ApiError(400, Object.values(error.errors).map(e => e.message).join('; '));
+        }
+        throw error;
+    }
+
+    // Certificates already issued keep their design until reissued
+    res.status(200).json(
+        new ApiResponse(200, course.certificateTemplate, 'Certificate template updated')
+    );
+});
@@ -11,6 +11,11 @@ import Enrollment from '../../models/Enrollment.js';
 import Quiz from '../../models/Quiz.js';
 import Summary from '../../models/Summary.js';
 import { parseArrayField, validateCourseOwnership } from '../../services/courseService.js';
+import { STUDENT_SAFE_QUIZ_FIELDS } from '../../services/quiz/quizPresentation.js';
+import QuizAttempt from '../../models/QuizAttempt.js';
+import { CLOSED_ATTEMPT_STATUSES } from '../../services/quiz/quizAttemptService.js';
+import { analyzeQuizAttempts, itemAnalysisToCsv } from '../../services/quiz/quizAnalysisService.js';
+import { validateCompletionCriteria } from '../../services/courseCompletionService.js';
 
 
 /////////////////////Create Course Step 1/////////////////////
@@ -198,7 +203,9 @@ export const createCourseStep3 = async (req, res) => {
                         topicId: topic._id || new mongoose.Types.ObjectId(),
                         questions: topic.content?.questions || [],
                         passingScore: topic.content?.passingScore || 70,
-                        timeLimit: topic.content?.timeLimit || 30
+                        timeLimit: topic.content?.timeLimit || 30,
+                        maxAttempts: topic.content?.maxAttempts || 1,
+                        reviewPolicy: topic.content?.reviewPolicy
                     });
                     await newQuiz.save({ session });
 
@@ -269,7 +276,8 @@ export const getCourses = async (req, res) => {
             .populate({
                 path: 'modules',
                 populate: {
-                    path: 'topics.content.quizId'
+                    path: 'topics.content.quizId',
+                    select: STUDENT_SAFE_QUIZ_FIELDS
                 }
             });
         res.status(200).json(courses);
@@ -353,11 +361,7 @@ export const getCourseById = async (req, res) => {
         ).filter(id => id);
 
         const quizzes = await Quiz.find({ _id: { $in: quizIds } })
-            .select('title questions')
-            .populate({
-                path: 'questions',
-                select: 'question options answer'
-            })
+            .select('title questions._id questions.question questions.options questions.questionType questions.points')
             .lean();
 
         const response = {
@@ -685,7 +689,9 @@ export const updateCourseStep3 = async (req, res) => {
                         topicId: topic._id || new mongoose.Types.ObjectId(),
                         questions: topic.content?.questions || [],
                         passingScore: topic.content?.passingScore || 70,
-                        timeLimit: topic.content?.timeLimit || 30
+                        timeLimit: topic.content?.timeLimit || 30,
+                        maxAttempts: topic.content?.maxAttempts || 1,
+                        reviewPolicy: topic.content?.reviewPolicy
                     });
                     await newQuiz.save({ session });
 
@@ -978,6 +984,166 @@ export const getInstructorQuizzes = async (req, res) => {
     }
 };
 
+////////////////////Item analysis for one of the Instructor's quizzes ////////////////////
+export const getQuizItemAnalysis = async (req, res) => {
+    try {
+        const { instructorId, quizId } = req.params;
+
+        // 1. Instructors can only analyse their own quizzes
+        if (req.user.id !== instructorId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view analysis for your own quizzes'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId).populate({ path: 'courseId', select: 'title instructor' });
+        if (!quiz || !quiz.courseId || quiz.courseId.instructor.toString() !== instructorId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        // 2. Analyse every graded attempt, optionally within a date range
+        const filter = { quizId: quiz._id, status: { $in: CLOSED_ATTEMPT_STATUSES } };
+        if (req.query.from || req.query.to) {
+            filter.submittedAt = {};
+            if (req.query.from) filter.submittedAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.submittedAt.$lte = new Date(req.query.to);
+        }
+        const attempts = await QuizAttempt.find(filter)
+            .select('questions answers percentage passed submittedAt')
+            .lean();
+
+        const report = analyzeQuizAttempts(quiz, attempts);
+        report.quiz.course = { _id: quiz.courseId._id, title: quiz.courseId.title };
+
+        if (req.query.format === 'csv') {
+            const filename = `${quiz.title.replace(/[^\w-]+/g, '_')}-item-analysis.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(itemAnalysisToCsv(report));
+        }
+
+        res.status(200).json({
+            success: true,
+            analysis: report
+        });
+
+    } catch (err) {
+        console.error('Error building quiz item analysis:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build item analysis',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
+////////////////////Course completion criteria ////////////////////
+export const getCompletionCriteria = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid course ID'
+            });
+        }
+
+        const course = await Course.findOne({ _id: req.params.courseId, instructor: req.user.id })
+            .select('title completionCriteria');
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found or unauthorized access'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            completionCriteria: course.completionCriteria
+        });
+
+    } catch (err) {
+        console.error('Error fetching completion criteria:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch completion criteria',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
+export const updateCompletionCriteria = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid course ID'
+            });
+        }
+
+        const course = await Course.findOne({ _id: req.params.courseId, instructor: req.user.id })
+            .select('title completionCriteria');
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found or unauthorized access'
+            });
+        }
+
+        // Only the fields sent are changed
+        const body = req.body || {};
+        const criteria = { ...course.completionCriteria?.toObject() };
+        ['topics', 'minAverageQuizScore', 'minTimeSpentMinutes'].forEach(field => {
+            if (body[field] !== undefined) criteria[field] = body[field];
+        });
+        try {
+            ['requiredTopics', 'requiredQuizzes'].forEach(field => {
+                if (body[field] !== undefined) criteria[field] = parseArrayField(body[field], field);
+            });
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError.message
+            });
+        }
+
+        const errors = await validateCompletionCriteria(criteria, course._id);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid completion criteria: ${errors.join('; ')}`
+            });
+        }
+
+        // Enrollments already completed stay completed; new criteria apply from the next progress update
+        course.completionCriteria = criteria;
+        await course.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Completion criteria updated',
+            completionCriteria: course.completionCriteria
+        });
+
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+        console.error('Error updating completion criteria:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update completion criteria',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
 
 ////////////////////////////Get all the Modulles for a particular instructor //////////////
 
@@ -1197,7 +1363,7 @@ export const getEnrolledStudentQuizzes = async (req, res) => {
             courseId,
             topicId: { $in: quizTopicIds }
         })
-            .select('title description passingScore timeLimit questions moduleId topicId')
+            .select('title description passingScore timeLimit maxAttempts reviewPolicy questions._id moduleId topicId')
             .lean();
 
         // 7. Format response with module and topic info
@@ -1211,6 +1377,8 @@ export const getEnrolledStudentQuizzes = async (req, res) => {
                 description: quiz?.description || '',
                 passingScore: quiz?.passingScore || 70,
                 timeLimit: quiz?.timeLimit || 30,
+                maxAttempts: quiz?.maxAttempts || 1,
+                reviewPolicy: quiz?.reviewPolicy || 'after-each-attempt',
                 questionCount: Array.isArray(quiz?.questions) ? quiz.questions.length : 0,
                 module: {
                     _id: module?._id || null,
@@ -0,0 +1,128 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import InternshipApplication, { APPLICATION_STATUSES } from '../../models/InternshipApplication.js';
+import Interview from '../../models/Interview.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    findApplication,
+    changeApplicationStatus,
+    addReviewerNote
+} from '../../services/internship/applicationService.js';
+import { rankApplicants } from '../../services/internship/applicantRankingService.js';
+
+// @desc    List internship applications for review
+// @route   GET /api/applications
+// @access  Private (Admin)
+export const listApplications = asyncHandler(async (req, res) => {
+    const { internshipId, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (internshipId) {
+        if (!mongoose.Types.ObjectId.isValid(internshipId)) {
+            throw new ApiError(400, 'Invalid internship ID');
+        }
+        filter.internshipId = internshipId;
+    }
+    if (status) {
+        if (!APPLICATION_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+        }
+        filter.status = status;
+    }
+
+    const [applications, total] = await Promise.all([
+        InternshipApplication.find(filter)
+            .populate('studentId', 'fullName email')
+            .populate('internshipId', 'title company')
+            .sort({ appliedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        InternshipApplication.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, applications, 'Applications retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Get an application with its status history, reviewer notes and interviews
+// @route   GET /api/applications/:id
+// @access  Private (Admin)
+export const getApplicationForReview = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.id, { withNotes: true });
+    const [interviews] = await Promise.all([
+        Interview.find({ applicationId: application._id })
+            .select('status scheduledSlot mode interviewers feedback')
+            .populate('interviewers', 'fullName')
+            .sort({ createdAt: -1 }),
+        application.populate([
+            { path: 'studentId', select: 'fullName email' },
+            { path: 'internshipId', select: 'title company' },
+            { path: 'statusHistory.changedBy', select: 'fullName' },
+            { path: 'reviewerNotes.author', select: 'fullName' }
+        ])
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, application, 'Application retrieved', { interviews })
+    );
+});
+
+// @desc    Move an application to its next status and notify the applicant
+// @route   PUT /api/applications/:id/status
+// @access  Private (Admin)
+export const updateApplicationStatus = asyncHandler(async (req, res) => {
+    const { status, feedback } = req.body || {};
+    if (!status) {
+        throw new ApiError(400, 'status is required');
+    }
+
+    const application = await findApplication(req.params.id);
+    await changeApplicationStatus(application, { status, feedback }, req.user);
+
+    // Accepting does not enroll the applicant; point the admin to onboarding
+    const metadata = application.status === 'Accepted'
+        ? { onboarding: { method: 'POST', url: `/api/internship-enrollments/applications/${application._id}` } }
+        : undefined;
+    res.status(200).json(
+        new ApiResponse(200, application, application.status === 'Accepted'
+            ? 'Application accepted; onboard the applicant to create their enrollment'
+            : `Application is now ${application.status}`, metadata)
+    );
+});
+
+// @desc    Add a private reviewer note to an application
+// @route   POST /api/applications/:id/notes
+// @access  Private (Admin)
+export const addApplicationNote = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.id, { withNotes: true });
+    const note = await addReviewerNote(application, req.body?.note, req.user);
+
+    res.status(201).json(
+        new ApiResponse(201, note, 'Reviewer note added')
+    );
+});
+
+// @desc    Rank an internship's applicants by fit, with a score breakdown for each
+// @route   GET /api/internships/:id/applicants/ranking
+// @access  Private (Admin)
+export const getRankedApplicants = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { internship, weights, applicants } = await rankApplicants(req.params.id, { status: req.query.status });
+    const total = applicants.length;
+
+    res.status(200).json(
+        new ApiResponse(200, applicants.slice((page - 1) * limit, page * limit), 'Applicants ranked', {
+            internship: { _id: internship._id, title: internship.title, company: internship.company },
+            weights,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
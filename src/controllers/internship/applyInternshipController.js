@@ -1,6 +1,14 @@
 import InternshipApplication from '../../models/InternshipApplication.js';
 import Internship from '../../models/Internship.js';
 import User from '../../models/User.js';
+import ApiError from '../../utils/ApiError.js';
+import { reserveApplicationPlace, releaseApplicationPlace } from '../../services/internship/applicationService.js';
+import { validateApplicationAnswers } from '../../services/internship/applicationQuestionService.js';
+import { removeUploadedFile } from '../../middleware/internshipUpload.js';
+
+// Deletes every file multer stored for the request
+const removeRequestUploads = (files = {}) =>
+    Promise.all(Object.values(files).flat().map(file => removeUploadedFile(file.url)));
 
 /**
  * @desc    Apply for an internship
@@ -14,11 +22,14 @@ export const applyForInternship = async (req, res) => {
         year,
         linkedinUrl,
         githubUrl,
-        portfolioUrl
+        portfolioUrl,
+        answers: rawAnswers
     } = req.body;
 
     const internshipId = req.params.id;
     const studentId = req.user._id; // Get from authenticated user
+    let placeReserved = false;
+    let application = null;
 
     try {
         // Validate required fields
@@ -37,18 +48,6 @@ export const applyForInternship = async (req, res) => {
             });
         }
 
-        // Check internship exists and is active
-        const internship = await Internship.findOne({
-            _id: internshipId,
-            status: 'active',
-        });
-        if (!internship) {
-            return res.status(404).json({
-                success: false,
-                message: 'Internship not found or not accepting applications'
-            });
-        }
-
         // Check student exists
         const student = await User.findById(studentId);
         if (!student || student.userType !== 'student') {
@@ -70,6 +69,14 @@ export const applyForInternship = async (req, res) => {
             });
         }
 
+        // Check the answers to the internship's own questions
+        const posting = await Internship.findById(internshipId).select('applicationQuestions');
+        const answers = validateApplicationAnswers(posting?.applicationQuestions, rawAnswers, req.files?.answerFiles);
+
+        // Take an application place, or join the waitlist once the internship's limit is reached
+        const { internship, status } = await reserveApplicationPlace(internshipId);
+        placeReserved = status === 'Pending';
+
         // Process file uploads
 
         const resumeFile = {
@@ -91,7 +98,7 @@ export const applyForInternship = async (req, res) => {
         }
 
         // Create application
-        const application = await InternshipApplication.create({
+        application = await InternshipApplication.create({
             studentId,
             internshipId,
             school,
@@ -102,19 +109,19 @@ export const applyForInternship = async (req, res) => {
             linkedinUrl,
             githubUrl,
             portfolioUrl,
-            status: 'Pending'
-        });
-
-        // Update internship application count
-        await Internship.findByIdAndUpdate(internshipId, {
-            $inc: { applicationCount: 1 }
+            answers,
+            status,
+            statusHistory: [{ to: status, changedBy: studentId }]
         });
 
         res.status(201).json({
             success: true,
-            message: 'Application submitted successfully',
+            message: status === 'Waitlisted'
+                ? 'This internship has reached its application limit; your application is on the waitlist'
+                : 'Application submitted successfully',
             data: {
                 applicationId: application._id,
+                status: application.status,
                 internship: internship.title,
                 company: internship.company,
                 school: application.school,
@@ -124,6 +131,18 @@ export const applyForInternship = async (req, res) => {
         });
 
     } catch (error) {
+        if (placeReserved) {
+            await releaseApplicationPlace(internshipId).catch(err =>
+                console.error('Failed to release application place:', err));
+        }
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                errors: error.errors.length ? error.errors : undefined
+            });
+        }
+
         console.error('Application error:', error);
 
         // Handle validation errors
@@ -152,5 +171,10 @@ export const applyForInternship = async (req, res) => {
             message: 'Application failed',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    } finally {
+        // A rejected application leaves none of its uploads behind
+        if (!application) {
+            await removeRequestUploads(req.files);
+        }
     }
 };
\ No newline at end of file
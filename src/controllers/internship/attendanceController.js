@@ -0,0 +1,127 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { toDayStart } from '../../utils/dates.js';
+import { findAccessibleEnrollment } from '../../services/internship/enrollmentAccess.js';
+import { generateAttendanceForDate, overrideAttendanceRecord } from '../../services/internship/attendanceService.js';
+import {
+    parseExportFormat,
+    getExportContext,
+    buildTimesheet,
+    timesheetToCsv
+} from '../../services/internship/internshipExportService.js';
+import { renderTimesheetPdf } from '../../services/internship/internshipPdf.js';
+
+// @desc    Attendance records of an enrollment with totals per status
+// @route   GET /api/attendance/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getEnrollmentAttendance = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const { status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 31, 1), 366);
+
+    const filter = { enrollmentId: enrollment._id };
+    if (from || to) {
+        const fromDate = from && toDayStart(from);
+        const toDate = to && toDayStart(to);
+        if ((from && !fromDate) || (to && !toDate)) {
+            throw new ApiError(400, 'from and to must be valid dates (YYYY-MM-DD)');
+        }
+        filter.date = {};
+        if (fromDate) filter.date.$gte = fromDate;
+        if (toDate) filter.date.$lte = toDate;
+    }
+    // Totals cover the whole period, whatever status is listed
+    const listFilter = status ? { ...filter, status } : filter;
+
+    const [records, total, totals] = await Promise.all([
+        AttendanceRecord.find(listFilter)
+            .populate('markedBy', 'fullName')
+            .sort({ date: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        AttendanceRecord.countDocuments(listFilter),
+        AttendanceRecord.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: '$status',
+                    days: { $sum: 1 },
+                    totalHours: { $sum: { $ifNull: ['$totalHours', 0] } },
+                    expectedHours: { $sum: { $ifNull: ['$expectedHours', 0] } }
+                }
+            }
+        ])
+    ]);
+
+    const summary = {
+        byStatus: Object.fromEntries(totals.map(group => [group._id, group.days])),
+        totalHours: totals.reduce((sum, group) => sum + group.totalHours, 0),
+        expectedHours: totals.reduce((sum, group) => sum + group.expectedHours, 0)
+    };
+
+    res.status(200).json(
+        new ApiResponse(200, records, 'Attendance retrieved', {
+            summary,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Download a monthly timesheet (attendance, daily logs and hour totals) as PDF (default) or CSV
+// @route   GET /api/attendance/enrollments/:enrollmentId/timesheet?month=YYYY-MM&format=pdf|csv
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const exportTimesheet = asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format);
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const timesheet = await buildTimesheet(enrollment, req.query.month);
+
+    const filename = `timesheet-${timesheet.month}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.status(200).send(timesheetToCsv(timesheet));
+    }
+
+    const pdf = await renderTimesheetPdf({ ...timesheet, ...await getExportContext(enrollment) });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.status(200).send(pdf);
+});
+
+// @desc    Override an attendance record
+// @route   PUT /api/attendance/:id
+// @access  Private (Admin, assigned Supervisor)
+export const overrideAttendance = asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw new ApiError(400, 'Invalid attendance record ID');
+    }
+
+    const record = await AttendanceRecord.findById(req.params.id);
+    if (!record) {
+        throw new ApiError(404, 'Attendance record not found');
+    }
+    await findAccessibleEnrollment(record.enrollmentId, req.user, { supervise: true });
+
+    await overrideAttendanceRecord(record, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, record, 'Attendance record updated')
+    );
+});
+
+// @desc    Generate attendance for one day now (e.g. to backfill a missed run)
+// @route   POST /api/attendance/generate
+// @access  Private (Admin)
+export const generateAttendance = asyncHandler(async (req, res) => {
+    const result = req.body?.date
+        ? await generateAttendanceForDate(req.body.date)
+        : await generateAttendanceForDate();
+
+    res.status(200).json(
+        new ApiResponse(200, result, `Generated ${result.generated} attendance record(s)`)
+    );
+});
@@ -0,0 +1,155 @@
+import asyncHandler from 'express-async-handler';
+import DailyActivity from '../../models/DailyActivities.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { toDayStart } from '../../utils/dates.js';
+import { findAccessibleEnrollment } from '../../services/internship/enrollmentAccess.js';
+import {
+    findAccessibleLog,
+    createDailyLog,
+    updateDailyLog,
+    submitDailyLog,
+    reviewDailyLog,
+    getReviewQueueFilter
+} from '../../services/internship/dailyLogService.js';
+
+const paginate = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit };
+};
+
+// @desc    Start a draft daily log for an enrollment
+// @route   POST /api/daily-logs/enrollments/:enrollmentId
+// @access  Private (Student on the enrollment)
+export const createLog = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const log = await createDailyLog(enrollment, req.body || {}, req.user);
+
+    res.status(201).json(
+        new ApiResponse(201, log, 'Daily log draft created')
+    );
+});
+
+// @desc    List the daily logs of an enrollment
+// @route   GET /api/daily-logs/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor, the Student)
+export const getEnrollmentLogs = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const { status, from, to } = req.query;
+    const { page, limit } = paginate(req.query);
+
+    const filter = { enrollmentId: enrollment._id };
+    if (status) filter.status = status;
+    if (from || to) {
+        const fromDate = from && toDayStart(from);
+        const toDate = to && toDayStart(to);
+        if ((from && !fromDate) || (to && !toDate)) {
+            throw new ApiError(400, 'from and to must be valid dates (YYYY-MM-DD)');
+        }
+        filter.date = {};
+        if (fromDate) filter.date.$gte = fromDate;
+        if (toDate) filter.date.$lte = toDate;
+    }
+
+    const [logs, total] = await Promise.all([
+        DailyActivity.find(filter)
+            .sort({ date: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        DailyActivity.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, logs, 'Daily logs retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Submitted logs waiting for review, oldest first
+// @route   GET /api/daily-logs/review-queue
+// @access  Private (Admin, Mentor)
+export const getReviewQueue = asyncHandler(async (req, res) => {
+    const filter = await getReviewQueueFilter(req.user);
+    const { page, limit } = paginate(req.query);
+
+    const [logs, total] = await Promise.all([
+        DailyActivity.find(filter)
+            .populate('studentId', 'fullName email')
+            .populate('internshipId', 'title company')
+            .sort({ submittedAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        DailyActivity.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, logs, 'Review queue retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Get one daily log
+// @route   GET /api/daily-logs/:id
+// @access  Private (Admin, assigned Mentor, the Student)
+export const getLogById = asyncHandler(async (req, res) => {
+    const { log } = await findAccessibleLog(req.params.id, req.user);
+    await log.populate('mentorFeedback.reviewedBy', 'fullName');
+
+    res.status(200).json(
+        new ApiResponse(200, log, 'Daily log retrieved')
+    );
+});
+
+// @desc    Edit a draft or a log returned for revision
+// @route   PUT /api/daily-logs/:id
+// @access  Private (Student on the enrollment)
+export const updateLog = asyncHandler(async (req, res) => {
+    const { log } = await findAccessibleLog(req.params.id, req.user, { owner: true });
+    await updateDailyLog(log, req.body || {});
+
+    res.status(200).json(
+        new ApiResponse(200, log, 'Daily log updated')
+    );
+});
+
+// @desc    Delete a draft log
+// @route   DELETE /api/daily-logs/:id
+// @access  Private (Student on the enrollment)
+export const deleteLog = asyncHandler(async (req, res) => {
+    const { log } = await findAccessibleLog(req.params.id, req.user, { owner: true });
+    if (log.status !== 'draft') {
+        throw new ApiError(409, 'Only draft daily logs can be deleted');
+    }
+    await log.deleteOne();
+
+    res.status(200).json(
+        new ApiResponse(200, null, 'Daily log deleted')
+    );
+});
+
+// @desc    Submit a log for mentor review
+// @route   POST /api/daily-logs/:id/submit
+// @access  Private (Student on the enrollment)
+export const submitLog = asyncHandler(async (req, res) => {
+    const { log, enrollment } = await findAccessibleLog(req.params.id, req.user, { owner: true });
+    await submitDailyLog(log, enrollment);
+
+    res.status(200).json(
+        new ApiResponse(200, log, log.isLateSubmission ? 'Daily log submitted late' : 'Daily log submitted')
+    );
+});
+
+// @desc    Approve a submitted log or return it for revision
+// @route   PUT /api/daily-logs/:id/review
+// @access  Private (Admin, assigned Mentor)
+export const reviewLog = asyncHandler(async (req, res) => {
+    const { log } = await findAccessibleLog(req.params.id, req.user, { manage: true });
+    await reviewDailyLog(log, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, log, log.status === 'approved' ? 'Daily log approved' : 'Daily log returned for revision')
+    );
+});
@@ -58,8 +58,9 @@ export const createInternship = async (req, res) => {
     }
 
     try {
+        const { applicationCount, closedAt, ...details } = req.body;
         const internship = await Internship.create({
-            ...req.body,
+            ...details,
             postedBy: req.user._id, // Track admin who created it
             skills: skills || [],
             responsibilities: responsibilities || [],
@@ -209,7 +210,7 @@ export const updateInternship = async (req, res) => {
         }
 
         // Prevent updating protected fields
-        const { _id, createdAt, postedBy, ...updateData } = req.body;
+        const { _id, createdAt, postedBy, applicationCount, closedAt, ...updateData } = req.body;
 
         // Validate dates if provided
         if (updateData.startDate && updateData.endDate) {
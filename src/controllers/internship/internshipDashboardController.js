@@ -0,0 +1,15 @@
+import asyncHandler from 'express-async-handler';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { getInternDashboard } from '../../services/internship/internshipDashboardService.js';
+
+// @desc    Interns overseen by the user with what needs their attention
+// @route   GET /api/internship-dashboard
+// @access  Private (Admin, Mentor, Supervisor)
+export const getDashboard = asyncHandler(async (req, res) => {
+    const { status, mentorId } = req.query;
+    const { interns, ...overview } = await getInternDashboard(req.user, { status, mentorId });
+
+    res.status(200).json(
+        new ApiResponse(200, interns, 'Intern dashboard retrieved', overview)
+    );
+});
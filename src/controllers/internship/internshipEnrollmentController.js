@@ -0,0 +1,140 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    onboardApplicant,
+    updateEnrollmentDetails,
+    changeEnrollmentStatus,
+    ADMIN_EDITABLE_FIELDS,
+    MENTOR_EDITABLE_FIELDS
+} from '../../services/internship/internshipEnrollmentService.js';
+import { getEnrollmentScope, findAccessibleEnrollment } from '../../services/internship/enrollmentAccess.js';
+import { computeFinalGrade, completeEnrollment } from '../../services/internship/gradingService.js';
+
+const ENROLLMENT_POPULATE = [
+    { path: 'studentId', select: 'fullName email' },
+    { path: 'mentorId', select: 'fullName email' },
+    { path: 'supervisorId', select: 'fullName email' },
+    { path: 'internshipId', select: 'title company startDate endDate' }
+];
+
+// @desc    Accept an application and enroll the applicant
+// @route   POST /api/internship-enrollments/applications/:applicationId
+// @access  Private (Admin)
+export const onboardApplication = asyncHandler(async (req, res) => {
+    const { enrollment, application } = await onboardApplicant(req.params.applicationId, req.body || {}, req.user);
+    await enrollment.populate(ENROLLMENT_POPULATE);
+
+    res.status(201).json(
+        new ApiResponse(201, enrollment, 'Applicant onboarded', { applicationStatus: application.status })
+    );
+});
+
+// @desc    List internship enrollments: all for admins, assigned interns for mentors and supervisors, own for students
+// @route   GET /api/internship-enrollments
+// @access  Private (Admin, Mentor, Supervisor, Student)
+export const getInternshipEnrollments = asyncHandler(async (req, res) => {
+    const scope = getEnrollmentScope(req.user);
+    if (!scope) {
+        throw new ApiError(403, 'Not authorized to view internship enrollments');
+    }
+
+    const { status, internshipId, mentorId, supervisorId, studentId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (internshipId) filter.internshipId = internshipId;
+    if (mentorId) filter.mentorId = mentorId;
+    if (supervisorId) filter.supervisorId = supervisorId;
+    if (studentId) filter.studentId = studentId;
+    if ([internshipId, mentorId, supervisorId, studentId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid ID in filters');
+    }
+    // The caller's scope always wins over the requested filters
+    Object.assign(filter, scope);
+
+    const [enrollments, total] = await Promise.all([
+        InternshipEnrollment.find(filter)
+            .populate(ENROLLMENT_POPULATE)
+            .sort({ enrolledAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        InternshipEnrollment.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, enrollments, 'Internship enrollments retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Get one internship enrollment
+// @route   GET /api/internship-enrollments/:id
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getInternshipEnrollmentById = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.id, req.user, { populate: ENROLLMENT_POPULATE });
+
+    res.status(200).json(
+        new ApiResponse(200, enrollment, 'Internship enrollment retrieved')
+    );
+});
+
+// @desc    Update the schedule, mentor, supervisor or submission settings of an enrollment
+// @route   PUT /api/internship-enrollments/:id
+// @access  Private (Admin; assigned Mentor for submission settings)
+export const updateInternshipEnrollment = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.id, req.user, { manage: true });
+    const allowedFields = req.user.userType === 'admin' ? ADMIN_EDITABLE_FIELDS : MENTOR_EDITABLE_FIELDS;
+
+    await updateEnrollmentDetails(enrollment, req.body || {}, allowedFields);
+    await enrollment.populate(ENROLLMENT_POPULATE);
+
+    res.status(200).json(
+        new ApiResponse(200, enrollment, 'Internship enrollment updated')
+    );
+});
+
+// @desc    Preview the weighted final score and suggested grade of an enrollment
+// @route   GET /api/internship-enrollments/:id/grade
+// @access  Private (Admin, assigned Mentor)
+export const getInternshipEnrollmentGrade = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.id, req.user, { manage: true });
+    const grade = await computeFinalGrade(enrollment);
+
+    res.status(200).json(
+        new ApiResponse(200, grade, grade.suggestedGrade
+            ? `Suggested final grade is ${grade.suggestedGrade}`
+            : 'Nothing has been graded yet')
+    );
+});
+
+// @desc    Change an enrollment's status (on-hold, suspended, active, completed, terminated);
+//          completing confirms or adjusts the suggested final grade
+// @route   PUT /api/internship-enrollments/:id/status
+// @access  Private (Admin, assigned Mentor)
+export const updateInternshipEnrollmentStatus = asyncHandler(async (req, res) => {
+    const { status, completionReason, finalGrade, adjustmentReason, finalReportWaiverReason, note } = req.body || {};
+    if (!status) {
+        throw new ApiError(400, 'status is required');
+    }
+
+    const enrollment = await findAccessibleEnrollment(req.params.id, req.user, { manage: true });
+    if (status === 'completed') {
+        await completeEnrollment(
+            enrollment,
+            { finalGrade, adjustmentReason, finalReportWaiverReason, completionReason, note },
+            req.user
+        );
+    } else {
+        await changeEnrollmentStatus(enrollment, { status, completionReason, note }, req.user);
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, enrollment, `Internship enrollment is now ${enrollment.status}`)
+    );
+});
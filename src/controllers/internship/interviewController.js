@@ -0,0 +1,152 @@
+import asyncHandler from 'express-async-handler';
+import Interview, { INTERVIEW_STATUSES } from '../../models/Interview.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { findApplication } from '../../services/internship/applicationService.js';
+import {
+    findAccessibleInterview,
+    createInterview,
+    selectInterviewSlot,
+    rescheduleInterview,
+    cancelInterview,
+    recordInterviewFeedback
+} from '../../services/internship/interviewService.js';
+
+const INTERVIEW_POPULATE = [
+    { path: 'studentId', select: 'fullName email' },
+    { path: 'interviewers', select: 'fullName email' },
+    { path: 'internshipId', select: 'title company' }
+];
+
+// Interview feedback is for reviewers only
+const forViewer = (interview, user) => {
+    if (user.userType !== 'student') return interview;
+    const { feedback, ...rest } = interview.toObject();
+    return rest;
+};
+
+// @desc    Propose interview slots to an applicant in the Interviewing stage
+// @route   POST /api/interviews/applications/:applicationId
+// @access  Private (Admin)
+export const proposeInterview = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.applicationId);
+    const interview = await createInterview(application, req.body || {}, req.user);
+    await interview.populate(INTERVIEW_POPULATE);
+
+    res.status(201).json(
+        new ApiResponse(201, interview, 'Interview slots sent to the applicant')
+    );
+});
+
+// @desc    Interviews of one application
+// @route   GET /api/interviews/applications/:applicationId
+// @access  Private (Admin, the applicant)
+export const getApplicationInterviews = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.applicationId);
+    if (req.user.userType !== 'admin' && application.studentId.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You do not have access to this application');
+    }
+
+    const interviews = await Interview.find({ applicationId: application._id })
+        .populate(INTERVIEW_POPULATE)
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(
+        new ApiResponse(200, interviews.map(interview => forViewer(interview, req.user)), 'Interviews retrieved')
+    );
+});
+
+// @desc    List interviews: all for admins, the user's own for interviewers and applicants
+// @route   GET /api/interviews
+// @access  Private
+export const getInterviews = asyncHandler(async (req, res) => {
+    const { status, upcoming } = req.query;
+
+    const filter = {};
+    if (req.user.userType === 'student') {
+        filter.studentId = req.user._id;
+    } else if (req.user.userType !== 'admin') {
+        filter.interviewers = req.user._id;
+    }
+    if (status) {
+        if (!INTERVIEW_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${INTERVIEW_STATUSES.join(', ')}`);
+        }
+        filter.status = status;
+    }
+    if (upcoming === 'true') {
+        filter['scheduledSlot.startTime'] = { $gte: new Date() };
+    }
+
+    const interviews = await Interview.find(filter)
+        .populate(INTERVIEW_POPULATE)
+        .sort({ 'scheduledSlot.startTime': 1, createdAt: -1 });
+
+    res.status(200).json(
+        new ApiResponse(200, interviews.map(interview => forViewer(interview, req.user)), 'Interviews retrieved', {
+            total: interviews.length
+        })
+    );
+});
+
+// @desc    Get one interview
+// @route   GET /api/interviews/:id
+// @access  Private (Admin, interviewers, the applicant)
+export const getInterviewById = asyncHandler(async (req, res) => {
+    const interview = await findAccessibleInterview(req.params.id, req.user);
+    await interview.populate(INTERVIEW_POPULATE);
+
+    res.status(200).json(
+        new ApiResponse(200, forViewer(interview, req.user), 'Interview retrieved')
+    );
+});
+
+// @desc    Pick one of the proposed slots (or move to another one)
+// @route   PUT /api/interviews/:id/select
+// @access  Private (the applicant)
+export const selectSlot = asyncHandler(async (req, res) => {
+    const interview = await findAccessibleInterview(req.params.id, req.user);
+    await selectInterviewSlot(interview, req.body?.slotId, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, forViewer(interview, req.user), 'Interview scheduled; a calendar invitation has been emailed')
+    );
+});
+
+// @desc    Move an interview to a new time, or propose new slots
+// @route   PUT /api/interviews/:id/reschedule
+// @access  Private (Admin)
+export const reschedule = asyncHandler(async (req, res) => {
+    const interview = await findAccessibleInterview(req.params.id, req.user, { manage: true });
+    await rescheduleInterview(interview, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, interview, interview.status === 'scheduled'
+            ? 'Interview rescheduled; updated invitations have been emailed'
+            : 'New interview slots sent to the applicant')
+    );
+});
+
+// @desc    Cancel an interview
+// @route   PUT /api/interviews/:id/cancel
+// @access  Private (Admin)
+export const cancel = asyncHandler(async (req, res) => {
+    const interview = await findAccessibleInterview(req.params.id, req.user, { manage: true });
+    await cancelInterview(interview, req.body?.reason, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, interview, 'Interview cancelled')
+    );
+});
+
+// @desc    Record the interview score and feedback
+// @route   PUT /api/interviews/:id/feedback
+// @access  Private (Admin, interviewers)
+export const submitFeedback = asyncHandler(async (req, res) => {
+    const interview = await findAccessibleInterview(req.params.id, req.user, { interviewer: true });
+    await recordInterviewFeedback(interview, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, interview, 'Interview feedback recorded')
+    );
+});
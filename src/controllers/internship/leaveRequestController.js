@@ -0,0 +1,124 @@
+import asyncHandler from 'express-async-handler';
+import LeaveRequest from '../../models/LeaveRequest.js';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { findAccessibleEnrollment } from '../../services/internship/enrollmentAccess.js';
+import {
+    findAccessibleLeaveRequest,
+    createLeaveRequest,
+    reviewLeaveRequest,
+    cancelLeaveRequest
+} from '../../services/internship/leaveRequestService.js';
+
+const paginate = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit };
+};
+
+// @desc    Request sick leave or an authorized absence
+// @route   POST /api/leave-requests/enrollments/:enrollmentId
+// @access  Private (Student on the enrollment)
+export const requestLeave = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const request = await createLeaveRequest(enrollment, req.body || {}, req.file, req.user);
+
+    res.status(201).json(
+        new ApiResponse(201, request, 'Leave request submitted')
+    );
+});
+
+// @desc    List the leave requests of an enrollment
+// @route   GET /api/leave-requests/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getEnrollmentLeaveRequests = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const { page, limit } = paginate(req.query);
+
+    const filter = { enrollmentId: enrollment._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [requests, total] = await Promise.all([
+        LeaveRequest.find(filter)
+            .populate('reviewedBy', 'fullName')
+            .sort({ startDate: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        LeaveRequest.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, requests, 'Leave requests retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Pending leave requests waiting on the caller, earliest leave first
+// @route   GET /api/leave-requests/review-queue
+// @access  Private (Admin, Mentor, Supervisor)
+export const getLeaveReviewQueue = asyncHandler(async (req, res) => {
+    const { page, limit } = paginate(req.query);
+
+    const filter = { status: 'pending' };
+    if (req.user.userType !== 'admin') {
+        const enrollmentIds = await InternshipEnrollment.find({
+            $or: [{ mentorId: req.user._id }, { supervisorId: req.user._id }]
+        }).distinct('_id');
+        filter.enrollmentId = { $in: enrollmentIds };
+    }
+
+    const [requests, total] = await Promise.all([
+        LeaveRequest.find(filter)
+            .populate('studentId', 'fullName email')
+            .populate('internshipId', 'title company')
+            .sort({ startDate: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        LeaveRequest.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, requests, 'Leave review queue retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    Get one leave request
+// @route   GET /api/leave-requests/:id
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getLeaveRequestById = asyncHandler(async (req, res) => {
+    const { request } = await findAccessibleLeaveRequest(req.params.id, req.user);
+    await request.populate('reviewedBy', 'fullName');
+
+    res.status(200).json(
+        new ApiResponse(200, request, 'Leave request retrieved')
+    );
+});
+
+// @desc    Approve or reject a leave request
+// @route   PUT /api/leave-requests/:id/review
+// @access  Private (Admin, assigned Mentor or Supervisor)
+export const reviewLeave = asyncHandler(async (req, res) => {
+    const { request, enrollment } = await findAccessibleLeaveRequest(req.params.id, req.user, { review: true });
+    await reviewLeaveRequest(request, enrollment, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, request, `Leave request ${request.status}`, {
+            excusedDays: request.excusedDates.length
+        })
+    );
+});
+
+// @desc    Cancel a pending leave request
+// @route   PUT /api/leave-requests/:id/cancel
+// @access  Private (Student on the enrollment)
+export const cancelLeave = asyncHandler(async (req, res) => {
+    const { request } = await findAccessibleLeaveRequest(req.params.id, req.user, { owner: true });
+    await cancelLeaveRequest(request);
+
+    res.status(200).json(
+        new ApiResponse(200, request, 'Leave request cancelled')
+    );
+});
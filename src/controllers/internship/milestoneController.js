@@ -0,0 +1,104 @@
+import asyncHandler from 'express-async-handler';
+import InternshipMilestone from '../../models/InternshipMilestone.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { findAccessibleEnrollment } from '../../services/internship/enrollmentAccess.js';
+import {
+    findAccessibleMilestone,
+    createMilestone,
+    updateMilestone,
+    updateMilestoneProgress,
+    evaluateMilestone,
+    cancelMilestone
+} from '../../services/internship/milestoneService.js';
+
+// @desc    Create a milestone for an enrollment
+// @route   POST /api/milestones/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor)
+export const createEnrollmentMilestone = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user, { manage: true });
+    const milestone = await createMilestone(enrollment, req.body || {}, req.user);
+
+    res.status(201).json(
+        new ApiResponse(201, milestone, 'Milestone created')
+    );
+});
+
+// @desc    List the milestones of an enrollment by target date
+// @route   GET /api/milestones/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getEnrollmentMilestones = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+    const filter = { enrollmentId: enrollment._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.priority) filter.priority = req.query.priority;
+
+    const milestones = await InternshipMilestone.find(filter).sort({ targetDate: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, milestones, 'Milestones retrieved', { total: milestones.length })
+    );
+});
+
+// @desc    Get one milestone
+// @route   GET /api/milestones/:id
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getMilestoneById = asyncHandler(async (req, res) => {
+    const { milestone } = await findAccessibleMilestone(req.params.id, req.user);
+    await milestone.populate([
+        { path: 'createdBy', select: 'fullName' },
+        { path: 'evaluation.evaluatedBy', select: 'fullName' }
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, milestone, 'Milestone retrieved')
+    );
+});
+
+// @desc    Change a milestone's plan
+// @route   PUT /api/milestones/:id
+// @access  Private (Admin, assigned Mentor)
+export const updateEnrollmentMilestone = asyncHandler(async (req, res) => {
+    const { milestone, enrollment } = await findAccessibleMilestone(req.params.id, req.user, { manage: true });
+    await updateMilestone(milestone, enrollment, req.body || {});
+
+    res.status(200).json(
+        new ApiResponse(200, milestone, 'Milestone updated')
+    );
+});
+
+// @desc    Tick off deliverables and update completion
+// @route   PUT /api/milestones/:id/progress
+// @access  Private (Student on the enrollment)
+export const updateProgress = asyncHandler(async (req, res) => {
+    const { milestone, enrollment } = await findAccessibleMilestone(req.params.id, req.user, { owner: true });
+    await updateMilestoneProgress(milestone, enrollment, req.body || {});
+
+    res.status(200).json(
+        new ApiResponse(200, milestone, milestone.status === 'completed' ? 'Milestone completed' : 'Milestone progress updated')
+    );
+});
+
+// @desc    Evaluate a completed milestone
+// @route   PUT /api/milestones/:id/evaluation
+// @access  Private (Admin, assigned Mentor)
+export const evaluate = asyncHandler(async (req, res) => {
+    const { milestone } = await findAccessibleMilestone(req.params.id, req.user, { manage: true });
+    await evaluateMilestone(milestone, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, milestone, 'Milestone evaluated')
+    );
+});
+
+// @desc    Cancel an open milestone
+// @route   PUT /api/milestones/:id/cancel
+// @access  Private (Admin, assigned Mentor)
+export const cancel = asyncHandler(async (req, res) => {
+    const { milestone } = await findAccessibleMilestone(req.params.id, req.user, { manage: true });
+    await cancelMilestone(milestone);
+
+    res.status(200).json(
+        new ApiResponse(200, milestone, 'Milestone cancelled')
+    );
+});
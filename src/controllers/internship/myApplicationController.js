@@ -1,10 +1,18 @@
+import asyncHandler from 'express-async-handler';
 import InternshipApplication from '../../models/InternshipApplication.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    findApplication,
+    withdrawApplication,
+    resubmitApplication,
+    updateApplication
+} from '../../services/internship/applicationService.js';
 
 // GET user's applications
 const getMyApplications = async (req, res) => {
     try {
         const applications = await InternshipApplication.find({
-            studentId: req.query.studentId
+            studentId: req.user._id
         }).populate('internshipId');
         res.json(applications);
     } catch (err) {
@@ -12,4 +20,40 @@ const getMyApplications = async (req, res) => {
     }
 };
 
-export { getMyApplications };
\ No newline at end of file
+// @desc    Edit the application letter or replace the resume / support letter
+// @route   PUT /api/applications/:id
+// @access  Private (Student, own application)
+const editMyApplication = asyncHandler(async (req, res) => {
+    const { applicationLetter } = req.body || {};
+    const application = await updateApplication(req.params.id, { applicationLetter }, req.files, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, application, 'Application updated')
+    );
+});
+
+// @desc    Withdraw an application that has not been shortlisted yet
+// @route   PUT /api/applications/:id/withdraw
+// @access  Private (Student, own application)
+const withdrawMyApplication = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.id);
+    await withdrawApplication(application, req.body?.reason, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, application, 'Application withdrawn')
+    );
+});
+
+// @desc    Resubmit a withdrawn application before the deadline
+// @route   PUT /api/applications/:id/resubmit
+// @access  Private (Student, own application)
+const resubmitMyApplication = asyncHandler(async (req, res) => {
+    const application = await findApplication(req.params.id);
+    await resubmitApplication(application, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, application, 'Application resubmitted')
+    );
+});
+
+export { getMyApplications, editMyApplication, withdrawMyApplication, resubmitMyApplication };
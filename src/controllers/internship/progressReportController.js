@@ -0,0 +1,117 @@
+import asyncHandler from 'express-async-handler';
+import ProgressReport from '../../models/ProgressReport.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    findAccessibleEnrollment,
+    canManageEnrollment,
+    canSuperviseEnrollment
+} from '../../services/internship/enrollmentAccess.js';
+import {
+    findAccessibleReport,
+    generateProgressReport,
+    updateReportEvaluation,
+    finalizeProgressReport
+} from '../../services/internship/progressReportService.js';
+import {
+    parseExportFormat,
+    getExportContext,
+    progressReportToCsv
+} from '../../services/internship/internshipExportService.js';
+import { renderProgressReportPdf } from '../../services/internship/internshipPdf.js';
+
+// @desc    Generate (or refresh) the draft report of an enrollment for a period
+// @route   POST /api/progress-reports/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor)
+export const generateReport = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user, { manage: true });
+    const { reportType, date } = req.body || {};
+    const { report, created } = await generateProgressReport(enrollment, { reportType, date }, req.user);
+
+    res.status(created ? 201 : 200).json(
+        new ApiResponse(created ? 201 : 200, report, created ? 'Draft progress report generated' : 'Draft progress report refreshed')
+    );
+});
+
+// @desc    List the progress reports of an enrollment; interns only see finalized ones
+// @route   GET /api/progress-reports/enrollments/:enrollmentId
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student)
+export const getEnrollmentReports = asyncHandler(async (req, res) => {
+    const enrollment = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+    const { reportType, status } = req.query;
+
+    const filter = { enrollmentId: enrollment._id };
+    if (reportType) filter['reportPeriod.reportType'] = reportType;
+    if (status) filter.status = status;
+    if (!canManageEnrollment(enrollment, req.user) && !canSuperviseEnrollment(enrollment, req.user)) {
+        filter.status = status && status !== 'draft' ? status : { $ne: 'draft' };
+    }
+
+    const reports = await ProgressReport.find(filter).sort({ 'reportPeriod.startDate': -1 });
+
+    res.status(200).json(
+        new ApiResponse(200, reports, 'Progress reports retrieved', { total: reports.length })
+    );
+});
+
+// @desc    Get one progress report
+// @route   GET /api/progress-reports/:id
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student once finalized)
+export const getReportById = asyncHandler(async (req, res) => {
+    const { report } = await findAccessibleReport(req.params.id, req.user);
+    await report.populate([
+        { path: 'mentorEvaluation.evaluatedBy', select: 'fullName' },
+        { path: 'finalizedBy', select: 'fullName' }
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, report, 'Progress report retrieved')
+    );
+});
+
+// @desc    Download a progress report as PDF (default) or CSV
+// @route   GET /api/progress-reports/:id/export?format=pdf|csv
+// @access  Private (Admin, assigned Mentor or Supervisor, the Student once finalized)
+export const exportReport = asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format);
+    const { report, enrollment } = await findAccessibleReport(req.params.id, req.user);
+    const context = await getExportContext(enrollment);
+
+    const { reportType, startDate } = report.reportPeriod;
+    const filename = `progress-report-${reportType}-${startDate.toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.status(200).send(progressReportToCsv(report, context));
+    }
+
+    const pdf = await renderProgressReportPdf(report, context);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.status(200).send(pdf);
+});
+
+// @desc    Add the mentor evaluation to a draft report
+// @route   PUT /api/progress-reports/:id/evaluation
+// @access  Private (Admin, assigned Mentor)
+export const evaluateReport = asyncHandler(async (req, res) => {
+    const { report } = await findAccessibleReport(req.params.id, req.user, { manage: true });
+    await updateReportEvaluation(report, req.body || {}, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, report, 'Progress report evaluation saved')
+    );
+});
+
+// @desc    Finalize a report and send it to the intern and admins
+// @route   POST /api/progress-reports/:id/finalize
+// @access  Private (Admin, assigned Mentor)
+export const finalizeReport = asyncHandler(async (req, res) => {
+    const { report } = await findAccessibleReport(req.params.id, req.user, { manage: true });
+    await finalizeProgressReport(report, req.user);
+
+    res.status(200).json(
+        new ApiResponse(200, report, report.status === 'sent'
+            ? 'Progress report finalized and sent'
+            : 'Progress report finalized; sending failed, finalize again to retry')
+    );
+});
@@ -2,7 +2,62 @@ import mongoose from 'mongoose';
 
 import Module from '../../models/Module.js';
 import Course from '../../models/Course.js';
-import Quiz from '../../models/Quiz.js';
+import Quiz, { validateQuizQuestions } from '../../models/Quiz.js';
+import { toStudentQuiz, STUDENT_SAFE_QUIZ_FIELDS } from '../../services/quiz/quizPresentation.js';
+import { checkPoolAvailability } from '../../services/quiz/quizAssemblyService.js';
+import { readImportSource, parseQuestionFile, exportQuestionFile } from '../../services/quiz/quizImportService.js';
+
+// Turns question validation errors into one readable line per problem
+const describeQuestionErrors = (errors) =>
+    errors.map(({ index, field, message }) => `Question ${index + 1} (${field}): ${message}`);
+
+// Loads a module and checks the instructor owns its course
+const findOwnedModule = async (moduleId, userId) => {
+    const module = await Module.findById(moduleId);
+    if (!module) return { status: 404, message: 'Module not found' };
+
+    const course = await Course.findById(module.courseId).select('instructor');
+    if (!course || course.instructor.toString() !== userId) {
+        return { status: 403, message: 'Unauthorized to manage quizzes in this module' };
+    }
+
+    return { module };
+};
+
+// Creates a quiz in a module together with the quiz topic that points at it
+const createModuleQuiz = async (module, { title, description, questions, passingScore, timeLimit, maxAttempts, reviewPolicy, questionPools, shuffleQuestions, shuffleOptions }) => {
+    const topicId = new mongoose.Types.ObjectId();
+    const quiz = new Quiz({
+        title,
+        description,
+        courseId: module.courseId,
+        moduleId: module._id,
+        topicId,
+        questions,
+        passingScore: passingScore || 70,
+        timeLimit: timeLimit || 30,
+        maxAttempts: maxAttempts || 1,
+        reviewPolicy,
+        questionPools,
+        shuffleQuestions,
+        shuffleOptions
+    });
+    await quiz.save();
+
+    module.topics.push({
+        _id: topicId,
+        title,
+        type: 'quiz',
+        description: description || title,
+        content: { quizId: quiz._id },
+        order: module.topics.length + 1
+    });
+    await module.save();
+
+    return quiz;
+};
+
+const isDryRun = (req) => [req.query.dryRun, req.body?.dryRun].some(value => value === true || value === 'true');
 
 export const createModule = async (req, res) => {
     const session = await mongoose.startSession();
@@ -67,16 +122,33 @@ export const createModule = async (req, res) => {
                     break;
 
                 case 'quiz':
+                    const questionErrors = validateQuizQuestions(topic.content.questions || []);
+                    if (questionErrors.length > 0) {
+                        throw new Error(
+                            `Quiz topic '${topic.title}' has invalid questions: ${describeQuestionErrors(questionErrors).join('; ')}`
+                        );
+                    }
+                    const poolShortfalls = await checkPoolAvailability(courseId, topic.content.questionPools);
+                    if (poolShortfalls.length > 0) {
+                        throw new Error(`Quiz topic '${topic.title}': ${poolShortfalls.join('; ')}`);
+                    }
+
                     // Create a new quiz for quiz topics
+                    topic._id = topic._id || new mongoose.Types.ObjectId(); // Generate if not provided
                     const newQuiz = new Quiz({
                         title: `${title} - ${topic.title}`,
                         description: topic.description,
                         courseId,
                         moduleId: module._id,
-                        topicId: topic._id || new mongoose.Types.ObjectId(), // Generate if not provided
+                        topicId: topic._id,
                         questions: topic.content.questions || [], // Initialize with empty array
                         passingScore: topic.content.passingScore || 70,
-                        timeLimit: topic.content.timeLimit || 30
+                        timeLimit: topic.content.timeLimit || 30,
+                        maxAttempts: topic.content.maxAttempts || 1,
+                        reviewPolicy: topic.content.reviewPolicy,
+                        questionPools: topic.content.questionPools || [],
+                        shuffleQuestions: topic.content.shuffleQuestions,
+                        shuffleOptions: topic.content.shuffleOptions
                     });
                     await newQuiz.save({ session });
 
@@ -143,7 +215,7 @@ export const getModulesByCourse = async (req, res) => {
 export const getModuleById = async (req, res) => {
     try {
         const module = await Module.findById(req.params.id)
-            .populate('topics.content.quizId');
+            .populate({ path: 'topics.content.quizId', select: STUDENT_SAFE_QUIZ_FIELDS });
 
         if (!module) {
             return res.status(404).json({ message: 'Module not found' });
@@ -539,21 +611,39 @@ export const deleteTopic = async (req, res) => {
 // 🔹 Add a quiz to a module
 export const addQuizToModule = async (req, res) => {
     const { moduleId } = req.params;
-    const { title, questions } = req.body;
+    const {
+        title, description, questions = [], passingScore, timeLimit, maxAttempts, reviewPolicy,
+        questionPools = [], shuffleQuestions, shuffleOptions
+    } = req.body;
+
+    // Questions can be written into the quiz, drawn from the question bank, or both
+    if (!title || !Array.isArray(questions) || !Array.isArray(questionPools) ||
+        (questions.length === 0 && questionPools.length === 0)) {
+        return res.status(400).json({ message: 'Quiz title and questions or question pools are required' });
+    }
 
-    if (!title || !questions || !Array.isArray(questions) || questions.length === 0) {
-        return res.status(400).json({ message: 'Quiz title and questions are required' });
+    const questionErrors = validateQuizQuestions(questions);
+    if (questionErrors.length > 0) {
+        return res.status(400).json({
+            message: 'Some questions are invalid',
+            errors: describeQuestionErrors(questionErrors)
+        });
     }
 
     try {
-        const module = await Module.findById(moduleId);
-        if (!module) return res.status(404).json({ message: 'Module not found' });
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
 
-        const quiz = new Quiz({ title, questions }); // 🟢 Include full questions array
-        await quiz.save();
+        const poolShortfalls = await checkPoolAvailability(module.courseId, questionPools);
+        if (poolShortfalls.length > 0) {
+            return res.status(400).json({ message: 'The question bank cannot fill every pool', errors: poolShortfalls });
+        }
 
-        module.quizzes.push(quiz._id);
-        await module.save();
+        // Every module quiz is reached through a quiz topic
+        const quiz = await createModuleQuiz(module, {
+            title, description, questions, passingScore, timeLimit, maxAttempts, reviewPolicy,
+            questionPools, shuffleQuestions, shuffleOptions
+        });
 
         res.status(201).json({ message: 'Quiz created and added to module', quiz });
     } catch (err) {
@@ -563,29 +653,59 @@ export const addQuizToModule = async (req, res) => {
 // 🔹 Update a quiz in a module
 export const updateQuizInModule = async (req, res) => {
     const { moduleId, quizId } = req.params;
-    const { title, questions } = req.body;
+    const {
+        title, description, questions, passingScore, timeLimit, maxAttempts, reviewPolicy,
+        questionPools, shuffleQuestions, shuffleOptions
+    } = req.body;
+
+    if (questions !== undefined) {
+        const questionErrors = Array.isArray(questions)
+            ? validateQuizQuestions(questions)
+            : [{ index: 0, field: 'questions', message: 'questions must be an array' }];
+        if (questionErrors.length > 0) {
+            return res.status(400).json({
+                message: 'Some questions are invalid',
+                errors: describeQuestionErrors(questionErrors)
+            });
+        }
+    }
 
     try {
-        // Ensure the module exists and contains the quiz reference
-        const module = await Module.findById(moduleId);
-        if (!module) return res.status(404).json({ message: 'Module not found' });
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
 
-        if (!module.quizzes.includes(quizId)) {
-            return res.status(404).json({ message: 'Quiz not associated with this module' });
-        }
+        // Ensure the quiz belongs to this module
+        const quiz = await Quiz.findOne({ _id: quizId, moduleId: module._id });
+        if (!quiz) return res.status(404).json({ message: 'Quiz not associated with this module' });
 
-        // Update the Quiz
-        const quiz = await Quiz.findById(quizId);
-        if (!quiz) return res.status(404).json({ message: 'Quiz not found' });
+        if (questionPools !== undefined) {
+            const poolShortfalls = await checkPoolAvailability(module.courseId, questionPools);
+            if (poolShortfalls.length > 0) {
+                return res.status(400).json({ message: 'The question bank cannot fill every pool', errors: poolShortfalls });
+            }
+        }
 
         if (title) quiz.title = title;
+        if (description !== undefined) quiz.description = description;
         if (questions) quiz.questions = questions;
+        if (passingScore !== undefined) quiz.passingScore = passingScore;
+        if (timeLimit !== undefined) quiz.timeLimit = timeLimit;
+        if (maxAttempts !== undefined) quiz.maxAttempts = maxAttempts;
+        if (reviewPolicy !== undefined) quiz.reviewPolicy = reviewPolicy;
+        if (questionPools !== undefined) quiz.questionPools = questionPools;
+        if (shuffleQuestions !== undefined) quiz.shuffleQuestions = shuffleQuestions;
+        if (shuffleOptions !== undefined) quiz.shuffleOptions = shuffleOptions;
+
+        if (quiz.questions.length === 0 && quiz.questionPools.length === 0) {
+            return res.status(400).json({ message: 'A quiz needs questions or question pools' });
+        }
 
         await quiz.save();
 
         res.status(200).json({ message: 'Quiz updated successfully', quiz });
     } catch (err) {
-        res.status(500).json({ message: 'Failed to update quiz', error: err.message });
+        const statusCode = err.name === 'ValidationError' ? 400 : 500;
+        res.status(statusCode).json({ message: 'Failed to update quiz', error: err.message });
     }
 };
 // 🔹 Delete a quiz from a module
@@ -594,21 +714,23 @@ export const deleteQuizFromModule = async (req, res) => {
 
     try {
         // 1. Find the module
-        const module = await Module.findById(moduleId);
-        if (!module) return res.status(404).json({ message: 'Module not found' });
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
 
-        // 2. Check if the quiz exists in the module's quiz list
-        const quizIndex = module.quizzes.indexOf(quizId);
-        if (quizIndex === -1) {
+        // 2. Check the quiz belongs to this module
+        const quiz = await Quiz.findOne({ _id: quizId, moduleId: module._id });
+        if (!quiz) {
             return res.status(404).json({ message: 'Quiz not found in this module' });
         }
 
-        // 3. Remove the quiz ID from the module's quizzes array
-        module.quizzes.splice(quizIndex, 1);
+        // 3. Remove the quiz topic that points at it
+        module.topics = module.topics.filter(
+            topic => topic.content?.quizId?.toString() !== quiz._id.toString()
+        );
         await module.save();
 
-        // 4. Optionally delete the quiz document itself
-        await Quiz.findByIdAndDelete(quizId);
+        // 4. Delete the quiz document itself
+        await quiz.deleteOne();
 
         res.status(200).json({ message: 'Quiz deleted successfully' });
     } catch (err) {
@@ -616,6 +738,102 @@ export const deleteQuizFromModule = async (req, res) => {
     }
 };
 
+// 🔹 Import a quiz into a module from a GIFT, Aiken or CSV file
+export const importQuizToModule = async (req, res) => {
+    const { moduleId } = req.params;
+    const { title, description, passingScore, timeLimit, maxAttempts, reviewPolicy } = req.body || {};
+
+    const { content, format, error } = readImportSource(req);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
+
+        const { questions, errors } = parseQuestionFile(content, format);
+        if (isDryRun(req)) {
+            return res.status(200).json({ format, valid: errors.length === 0, questions, errors });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ message: `Import failed: ${errors.length} problem(s) found`, format, errors });
+        }
+
+        const quizTitle = title || req.file?.originalname.replace(/\.[^.]+$/, '') || 'Imported quiz';
+        const quiz = await createModuleQuiz(module, {
+            title: quizTitle, description, questions, passingScore, timeLimit, maxAttempts, reviewPolicy
+        });
+
+        res.status(201).json({ message: `Imported ${questions.length} question(s)`, format, quiz });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to import quiz', error: err.message });
+    }
+};
+
+// 🔹 Import questions into an existing module quiz
+export const importQuestionsIntoQuiz = async (req, res) => {
+    const { moduleId, quizId } = req.params;
+    const mode = req.query.mode || req.body?.mode || 'append';
+
+    if (!['append', 'replace'].includes(mode)) {
+        return res.status(400).json({ message: 'mode must be append or replace' });
+    }
+
+    const { content, format, error } = readImportSource(req);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
+
+        const quiz = await Quiz.findOne({ _id: quizId, moduleId: module._id });
+        if (!quiz) return res.status(404).json({ message: 'Quiz not associated with this module' });
+
+        const { questions, errors } = parseQuestionFile(content, format);
+        if (isDryRun(req)) {
+            return res.status(200).json({ format, valid: errors.length === 0, questions, errors });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ message: `Import failed: ${errors.length} problem(s) found`, format, errors });
+        }
+
+        quiz.questions = mode === 'replace' ? questions : [...quiz.questions, ...questions];
+        await quiz.save();
+
+        res.status(200).json({ message: `Imported ${questions.length} question(s)`, format, mode, quiz });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to import questions', error: err.message });
+    }
+};
+
+// 🔹 Export a module quiz as GIFT, Aiken or CSV
+export const exportModuleQuiz = async (req, res) => {
+    const { moduleId, quizId } = req.params;
+    const format = (req.query.format || 'gift').toLowerCase();
+
+    if (!['gift', 'aiken', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be gift, aiken or csv' });
+    }
+
+    try {
+        const { module, status, message } = await findOwnedModule(moduleId, req.user.id);
+        if (!module) return res.status(status).json({ message });
+
+        const quiz = await Quiz.findOne({ _id: quizId, moduleId: module._id });
+        if (!quiz) return res.status(404).json({ message: 'Quiz not associated with this module' });
+
+        const { content, contentType, extension, skipped } = exportQuestionFile(quiz.questions, format);
+        const filename = `${quiz.title.replace(/[^\w-]+/g, '_')}.${extension}`;
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        // Question types the format cannot express are left out of the file
+        res.setHeader('X-Skipped-Questions', String(skipped.length));
+        res.status(200).send(content);
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to export quiz', error: err.message });
+    }
+};
+
 // 🔹 Add a summary to a module
 export const addSummaryToModule = async (req, res) => {
     const { moduleId } = req.params;
@@ -691,10 +909,12 @@ export const getAllQuizzesInModule = async (req, res) => {
     const { moduleId } = req.params;
 
     try {
-        const module = await Module.findById(moduleId).populate({ path: 'quizzes', model: 'Quiz' });
+        const module = await Module.findById(moduleId);
         if (!module) return res.status(404).json({ message: 'Module not found' });
 
-        res.status(200).json({ quizzes: module.quizzes });
+        const quizzes = await Quiz.find({ moduleId }).sort({ createdAt: 1 });
+
+        res.status(200).json({ quizzes: quizzes.map(quiz => toStudentQuiz(quiz)) });
     } catch (err) {
         res.status(500).json({ message: 'Failed to retrieve quizzes', error: err.message });
     }
@@ -1,25 +1,143 @@
 // controllers/Progress/progressController.js
+import asyncHandler from 'express-async-handler';
 import { Progress } from '../../models/Progress.js';
+import Course from '../../models/Course.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    findActiveEnrollment,
+    findCourseTopic,
+    recordTopicProgress,
+    completeModuleTopics
+} from '../../services/progressService.js';
+import { evaluateCourseCompletion } from '../../services/courseCompletionService.js';
 
-export const updateProgress = async (req, res) => {
-    try {
-        const { userId, moduleId } = req.body;
-        const { courseId } = req.params;
-
-        let progress = await Progress.findOne({ userId, courseId });
-
-        if (!progress) {
-            progress = await Progress.create({ userId, courseId, completedModules: [moduleId] });
-        } else {
-            if (!progress.completedModules.includes(moduleId)) {
-                progress.completedModules.push(moduleId);
-                progress.lastAccessed = new Date();
-                await progress.save();
-            }
-        }
-
-        res.status(200).json(progress);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
+// Fields a client may report for a topic
+const pickReport = (body = {}) => {
+    const { timeSpentSeconds, position, duration, pages, page, totalPages, completed } = body;
+    return { timeSpentSeconds, position, duration, pages: pages ?? page, totalPages, completed };
 };
+
+// @desc    Get the authenticated student's progress in a course
+// @route   GET /api/progress/:courseId
+// @access  Private (Enrolled student)
+export const getCourseProgress = asyncHandler(async (req, res) => {
+    const { courseId } = req.params;
+    const enrollment = await findActiveEnrollment(req.user._id, courseId);
+
+    const progress = await Progress.findOne({ userId: req.user._id, courseId });
+    const data = progress
+        ? progress.toObject()
+        : { userId: req.user._id, courseId, topics: [], completedModules: [], percentage: 0 };
+
+    res.status(200).json(
+        new ApiResponse(200, data, 'Course progress retrieved', { enrollmentStatus: enrollment.status })
+    );
+});
+
+// @desc    Check the authenticated student against the course completion criteria
+// @route   GET /api/progress/:courseId/completion
+// @access  Private (Enrolled student)
+export const getCourseCompletion = asyncHandler(async (req, res) => {
+    const { courseId } = req.params;
+    const enrollment = await findActiveEnrollment(req.user._id, courseId);
+
+    const course = await Course.findById(courseId).select('completionCriteria');
+    if (!course) {
+        throw new ApiError(404, 'Course not found');
+    }
+    const progress = await Progress.findOne({ userId: req.user._id, courseId })
+        || { userId: req.user._id, courseId, topics: [] };
+
+    const evaluation = await evaluateCourseCompletion(course, progress);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            ...evaluation,
+            // Completion is kept once reached, even if the criteria change later
+            completed: enrollment.status === 'completed' || evaluation.completed,
+            completedAt: enrollment.completedAt || null,
+            grade: enrollment.status === 'completed' ? enrollment.grade ?? evaluation.grade : evaluation.grade,
+            completionCriteria: course.completionCriteria
+        }, 'Course completion status retrieved')
+    );
+});
+
+// @desc    Get the authenticated student's progress on one topic, including the video resume position
+// @route   GET /api/progress/:courseId/topics/:topicId
+// @access  Private (Enrolled student)
+export const getTopicProgress = asyncHandler(async (req, res) => {
+    const { courseId, topicId } = req.params;
+    await findActiveEnrollment(req.user._id, courseId);
+    const { module, topic } = await findCourseTopic(courseId, topicId);
+
+    const progress = await Progress.findOne({ userId: req.user._id, courseId });
+    const entry = progress?.topics.find(t => t.topicId.toString() === topic._id.toString());
+
+    res.status(200).json(
+        new ApiResponse(200, entry || {
+            moduleId: module._id,
+            topicId: topic._id,
+            topicType: topic.type,
+            status: 'not-started',
+            timeSpentSeconds: 0,
+            lastPosition: 0,
+            pagesViewed: []
+        }, 'Topic progress retrieved')
+    );
+});
+
+// @desc    Report progress on a topic (time spent, video position, PDF pages viewed)
+// @route   PUT /api/progress/:courseId/topics/:topicId
+// @access  Private (Enrolled student)
+export const updateTopicProgress = asyncHandler(async (req, res) => {
+    const { courseId, topicId } = req.params;
+
+    const { progress, topic } = await recordTopicProgress({
+        userId: req.user._id,
+        courseId,
+        topicId,
+        report: pickReport(req.body)
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, topic, 'Topic progress updated', {
+            percentage: progress.percentage,
+            completedModules: progress.completedModules,
+            courseCompletedAt: progress.completedAt || null
+        })
+    );
+});
+
+// @desc    Mark a text, video or PDF topic complete
+// @route   POST /api/progress/:courseId/topics/:topicId/complete
+// @access  Private (Enrolled student)
+export const completeTopic = asyncHandler(async (req, res) => {
+    const { courseId, topicId } = req.params;
+
+    const { progress, topic } = await recordTopicProgress({
+        userId: req.user._id,
+        courseId,
+        topicId,
+        report: { ...pickReport(req.body), completed: true }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, topic, 'Topic marked complete', {
+            percentage: progress.percentage,
+            completedModules: progress.completedModules,
+            courseCompletedAt: progress.completedAt || null
+        })
+    );
+});
+
+// @desc    Mark every non-quiz topic of a module complete (kept for older clients)
+// @route   POST /api/progress/:courseId/progress
+// @access  Private (Enrolled student)
+export const updateProgress = asyncHandler(async (req, res) => {
+    const progress = await completeModuleTopics(req.user._id, req.params.courseId, req.body?.moduleId);
+
+    res.status(200).json(
+        new ApiResponse(200, progress, 'Progress updated')
+    );
+});
@@ -0,0 +1,247 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import QuestionBankItem from '../../models/QuestionBankItem.js';
+import Course from '../../models/Course.js';
+import { validateQuizQuestions } from '../../models/Quiz.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import { parseArrayField } from '../../services/courseService.js';
+import { readImportSource, parseQuestionFile, exportQuestionFile } from '../../services/quiz/quizImportService.js';
+
+// Fields that are owned by the bank and never taken from the request body
+const PROTECTED_FIELDS = ['_id', 'courseId', 'createdBy', 'createdAt', 'updatedAt'];
+
+const stripProtectedFields = (body = {}) => {
+    const data = { ...body };
+    PROTECTED_FIELDS.forEach(field => delete data[field]);
+    return data;
+};
+
+// Verifies the requesting instructor owns the course
+const findCourseForInstructor = async (courseId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        throw new ApiError(400, 'Invalid course ID');
+    }
+
+    const course = await Course.findById(courseId).select('instructor title');
+    if (!course) {
+        throw new ApiError(404, 'Course not found');
+    }
+    if (course.instructor.toString() !== userId) {
+        throw new ApiError(403, "Not authorized to manage this course's question bank");
+    }
+
+    return course;
+};
+
+// Loads a bank question and verifies the instructor owns its course
+const findItemForInstructor = async (questionId, userId) => {
+    const item = await QuestionBankItem.findById(questionId);
+    if (!item) {
+        throw new ApiError(404, 'Question not found');
+    }
+    await findCourseForInstructor(item.courseId, userId);
+    return item;
+};
+
+// Rejects questions that fail the quiz question rules, listing every problem
+const assertValidQuestions = (questions) => {
+    const errors = validateQuizQuestions(questions);
+    if (errors.length > 0) {
+        const details = errors.map(({ index, field, message }) => `Question ${index + 1} (${field}): ${message}`);
+        throw new ApiError(400, `Some questions are invalid: ${details.join('; ')}`, errors);
+    }
+};
+
+// @desc    Add one question, or several at once, to a course question bank
+// @route   POST /api/question-bank/courses/:courseId
+// @access  Private (Instructor)
+export const createBankQuestions = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+
+    const isBulk = Array.isArray(req.body.questions);
+    const questions = (isBulk ? req.body.questions : [req.body]).map(stripProtectedFields);
+
+    if (questions.length === 0) {
+        throw new ApiError(400, 'At least one question is required');
+    }
+    assertValidQuestions(questions);
+
+    const items = await QuestionBankItem.insertMany(
+        questions.map(question => ({
+            ...question,
+            courseId: course._id,
+            createdBy: req.user._id
+        }))
+    );
+
+    res.status(201).json(
+        new ApiResponse(201, isBulk ? items : items[0], `${items.length} question(s) added to the bank`, { count: items.length })
+    );
+});
+
+// @desc    List a course question bank
+// @route   GET /api/question-bank/courses/:courseId
+// @access  Private (Instructor)
+export const getBankQuestions = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+    const { tags, difficulty, questionType, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { courseId: course._id };
+    const tagList = parseArrayField(tags, 'tags').map(tag => tag.toLowerCase());
+    if (tagList.length) filter.tags = { $in: tagList };
+    if (difficulty) filter.difficulty = difficulty;
+    if (questionType) filter.questionType = questionType;
+    if (search) filter.question = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [items, total] = await Promise.all([
+        QuestionBankItem.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        QuestionBankItem.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, items, 'Question bank retrieved', {
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        })
+    );
+});
+
+// @desc    List the tags used in a course question bank with question counts
+// @route   GET /api/question-bank/courses/:courseId/tags
+// @access  Private (Instructor)
+export const getBankTags = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+
+    const tags = await QuestionBankItem.aggregate([
+        { $match: { courseId: course._id } },
+        { $unwind: '$tags' },
+        {
+            $group: {
+                _id: '$tags',
+                count: { $sum: 1 },
+                easy: { $sum: { $cond: [{ $eq: ['$difficulty', 'easy'] }, 1, 0] } },
+                medium: { $sum: { $cond: [{ $eq: ['$difficulty', 'medium'] }, 1, 0] } },
+                hard: { $sum: { $cond: [{ $eq: ['$difficulty', 'hard'] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                tag: '$_id',
+                count: 1,
+                byDifficulty: { easy: '$easy', medium: '$medium', hard: '$hard' }
+            }
+        }
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, tags, 'Question bank tags retrieved', { count: tags.length })
+    );
+});
+
+// @desc    Update a bank question
+// @route   PUT /api/question-bank/:questionId
+// @access  Private (Instructor)
+export const updateBankQuestion = asyncHandler(async (req, res) => {
+    const item = await findItemForInstructor(req.params.questionId, req.user.id);
+    const updates = stripProtectedFields(req.body);
+
+    assertValidQuestions([{ ...item.toObject(), ...updates }]);
+
+    item.set(updates);
+    await item.save();
+
+    res.status(200).json(
+        new ApiResponse(200, item, 'Question updated')
+    );
+});
+
+// @desc    Delete a bank question
+// @route   DELETE /api/question-bank/:questionId
+// @access  Private (Instructor)
+export const deleteBankQuestion = asyncHandler(async (req, res) => {
+    const item = await findItemForInstructor(req.params.questionId, req.user.id);
+
+    // Attempts keep their own copy of every question served, so past results are unaffected
+    await item.deleteOne();
+
+    res.status(200).json(
+        new ApiResponse(200, null, 'Question deleted')
+    );
+});
+
+// @desc    Import questions into a course question bank from a GIFT, Aiken or CSV file
+// @route   POST /api/question-bank/courses/:courseId/import
+// @access  Private (Instructor)
+export const importBankQuestions = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+    const body = req.body || {};
+
+    const { content, format, error } = readImportSource(req);
+    if (error) {
+        throw new ApiError(400, error);
+    }
+
+    const { questions, errors } = parseQuestionFile(content, format);
+    const dryRun = [req.query.dryRun, body.dryRun].some(value => value === true || value === 'true');
+
+    if (dryRun) {
+        return res.status(200).json(
+            new ApiResponse(200, { format, valid: errors.length === 0, questions, errors }, 'Import checked; nothing was saved')
+        );
+    }
+    if (errors.length > 0) {
+        return res.status(400).json(
+            new ApiResponse(400, { format, errors }, `Import failed: ${errors.length} problem(s) found`)
+        );
+    }
+
+    // Tags and difficulty from the request apply to questions that do not set their own
+    const defaultTags = parseArrayField(body.tags, 'tags');
+    const items = await QuestionBankItem.insertMany(
+        questions.map(question => ({
+            ...question,
+            tags: question.tags?.length ? question.tags : defaultTags,
+            difficulty: question.difficulty || body.difficulty || undefined,
+            courseId: course._id,
+            createdBy: req.user._id
+        }))
+    );
+
+    res.status(201).json(
+        new ApiResponse(201, items, `Imported ${items.length} question(s)`, { count: items.length, format })
+    );
+});
+
+// @desc    Export a course question bank as GIFT, Aiken or CSV
+// @route   GET /api/question-bank/courses/:courseId/export
+// @access  Private (Instructor)
+export const exportBankQuestions = asyncHandler(async (req, res) => {
+    const course = await findCourseForInstructor(req.params.courseId, req.user.id);
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['gift', 'aiken', 'csv'].includes(format)) {
+        throw new ApiError(400, 'format must be gift, aiken or csv');
+    }
+
+    const filter = { courseId: course._id };
+    const tagList = parseArrayField(req.query.tags, 'tags').map(tag => tag.toLowerCase());
+    if (tagList.length) filter.tags = { $in: tagList };
+    if (req.query.difficulty) filter.difficulty = req.query.difficulty;
+
+    const items = await QuestionBankItem.find(filter).sort({ createdAt: 1 });
+    const { content, contentType, extension, skipped } = exportQuestionFile(items, format);
+    const filename = `${course.title.replace(/[^\w-]+/g, '_')}-question-bank.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // Question types the format cannot express are left out of the file
+    res.setHeader('X-Skipped-Questions', String(skipped.length));
+    res.status(200).send(content);
+});
@@ -0,0 +1,341 @@
+import asyncHandler from 'express-async-handler';
+import Quiz from '../../models/Quiz.js';
+import QuizAttempt from '../../models/QuizAttempt.js';
+import Course from '../../models/Course.js';
+import Enrollment from '../../models/Enrollment.js';
+import ApiError from '../../utils/ApiError.js';
+import ApiResponse from '../../utils/ApiResponse.js';
+import {
+    CLOSED_ATTEMPT_STATUSES,
+    computeDeadline,
+    isAttemptExpired,
+    getRemainingSeconds,
+    getAttemptQuestions,
+    mergeSavedAnswers,
+    finalizeAttempt
+} from '../../services/quiz/quizAttemptService.js';
+import { assembleAttemptQuestions } from '../../services/quiz/quizAssemblyService.js';
+import {
+    toStudentQuiz,
+    canReviewAnswers,
+    presentAttempt
+} from '../../services/quiz/quizPresentation.js';
+
+// Loads a quiz and verifies the requesting instructor owns its course
+const findQuizForInstructor = async (quizId, userId) => {
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+        throw new ApiError(404, 'Quiz not found');
+    }
+
+    const course = await Course.findById(quiz.courseId).select('instructor');
+    if (!course || course.instructor.toString() !== userId) {
+        throw new ApiError(403, 'Not authorized to view attempts for this quiz');
+    }
+
+    return quiz;
+};
+
+// Applies the quiz review policy to an attempt shown to its student
+const presentForStudent = async (attempt, quiz) => {
+    const submittedAttempts = await QuizAttempt.countDocuments({
+        quizId: quiz._id,
+        studentId: attempt.studentId,
+        status: { $in: CLOSED_ATTEMPT_STATUSES }
+    });
+    return presentAttempt(attempt, quiz, canReviewAnswers(quiz, submittedAttempts));
+};
+
+// Loads one of the student's own attempts, auto-submitting it if its deadline has passed
+const findOwnAttempt = async (attemptId, studentId) => {
+    const attempt = await QuizAttempt.findOne({ _id: attemptId, studentId });
+    if (!attempt) {
+        throw new ApiError(404, 'Attempt not found');
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (!quiz) {
+        throw new ApiError(404, 'Quiz not found');
+    }
+
+    if (attempt.status === 'in-progress' && isAttemptExpired(attempt)) {
+        await finalizeAttempt(attempt, quiz, { status: 'auto-submitted' });
+    }
+
+    return { attempt, quiz };
+};
+
+// Timing details the client uses to drive its countdown
+const timingFor = (attempt) => ({
+    expiresAt: attempt.expiresAt,
+    remainingSeconds: getRemainingSeconds(attempt),
+    serverTime: new Date()
+});
+
+// @desc    Start (or resume) an attempt on a quiz
+// @route   POST /api/quizzes/:quizId/attempts
+// @access  Private (Student)
+export const startQuizAttempt = asyncHandler(async (req, res) => {
+    const { quizId } = req.params;
+    const studentId = req.user._id;
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+        throw new ApiError(404, 'Quiz not found');
+    }
+    if (!quiz.questions.length && !quiz.questionPools.length) {
+        throw new ApiError(400, 'This quiz has no questions yet');
+    }
+
+    const enrollment = await Enrollment.findOne({
+        student: studentId,
+        course: quiz.courseId,
+        status: { $ne: 'cancelled' }
+    });
+    if (!enrollment) {
+        throw new ApiError(403, 'You must be enrolled in this course to take the quiz');
+    }
+
+    // Resume an attempt that is still open instead of starting a new one;
+    // an open attempt past its deadline is auto-submitted first
+    const openAttempt = await QuizAttempt.findOne({ quizId, studentId, status: 'in-progress' });
+    if (openAttempt && !isAttemptExpired(openAttempt)) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                attempt: presentAttempt(openAttempt, quiz, false),
+                quiz: toStudentQuiz(quiz, getAttemptQuestions(openAttempt, quiz)),
+                timing: timingFor(openAttempt)
+            }, 'Resumed in-progress attempt')
+        );
+    }
+    if (openAttempt) {
+        await finalizeAttempt(openAttempt, quiz, { status: 'auto-submitted' });
+    }
+
+    const attemptsUsed = await QuizAttempt.countDocuments({ quizId, studentId });
+    if (attemptsUsed >= quiz.maxAttempts) {
+        throw new ApiError(403, `Maximum number of attempts (${quiz.maxAttempts}) reached`);
+    }
+
+    // Fix the question set for this attempt so grading and review stay consistent
+    const questions = await assembleAttemptQuestions(quiz);
+
+    const startedAt = new Date();
+    const attempt = await QuizAttempt.create({
+        quizId,
+        studentId,
+        courseId: quiz.courseId,
+        enrollmentId: enrollment._id,
+        attemptNumber: attemptsUsed + 1,
+        startedAt,
+        expiresAt: computeDeadline(quiz, startedAt),
+        questions
+    });
+
+    enrollment.lastAccessed = new Date();
+    await enrollment.save();
+
+    res.status(201).json(
+        new ApiResponse(201, {
+            attempt: presentAttempt(attempt, quiz, false),
+            quiz: toStudentQuiz(quiz, attempt.questions),
+            timing: timingFor(attempt)
+        }, 'Quiz attempt started')
+    );
+});
+
+// @desc    Autosave answers for an in-progress attempt
+// @route   PUT /api/quizzes/attempts/:attemptId/answers
+// @access  Private (Student)
+export const saveQuizAttemptAnswers = asyncHandler(async (req, res) => {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers)) {
+        throw new ApiError(400, 'answers must be an array of { questionId, answer }');
+    }
+
+    const { attempt, quiz } = await findOwnAttempt(req.params.attemptId, req.user._id);
+    if (attempt.status !== 'in-progress') {
+        throw new ApiError(409, 'This attempt is closed; answers can no longer be saved');
+    }
+
+    mergeSavedAnswers(attempt, answers, getAttemptQuestions(attempt, quiz));
+    await attempt.save();
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            answers: attempt.answers.map(({ questionId, answer, answeredAt, timeSpentSeconds }) => ({
+                questionId, answer, answeredAt, timeSpentSeconds
+            })),
+            lastSavedAt: attempt.lastSavedAt,
+            timing: timingFor(attempt)
+        }, 'Answers saved')
+    );
+});
+
+// @desc    Get the time remaining on an attempt
+// @route   GET /api/quizzes/attempts/:attemptId/time
+// @access  Private (Student)
+export const getQuizAttemptTime = asyncHandler(async (req, res) => {
+    const { attempt } = await findOwnAttempt(req.params.attemptId, req.user._id);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            status: attempt.status,
+            startedAt: attempt.startedAt,
+            ...timingFor(attempt)
+        }, 'Attempt timing retrieved')
+    );
+});
+
+// @desc    Submit answers for an attempt and grade it
+// @route   POST /api/quizzes/attempts/:attemptId/submit
+// @access  Private (Student)
+export const submitQuizAttempt = asyncHandler(async (req, res) => {
+    const { answers } = req.body;
+
+    if (answers !== undefined && !Array.isArray(answers)) {
+        throw new ApiError(400, 'answers must be an array of { questionId, answer }');
+    }
+
+    const { attempt, quiz } = await findOwnAttempt(req.params.attemptId, req.user._id);
+
+    // Past the deadline the attempt is closed with the answers saved in time;
+    // the late answers are not accepted
+    if (attempt.status === 'auto-submitted') {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                attempt: await presentForStudent(attempt, quiz),
+                lateSubmissionRejected: true
+            }, 'Time limit exceeded; the attempt was closed with the answers saved before the deadline')
+        );
+    }
+    if (attempt.status !== 'in-progress') {
+        throw new ApiError(409, 'This attempt has already been submitted');
+    }
+
+    // Answers sent with the submission take precedence over the autosaved ones
+    if (answers) {
+        mergeSavedAnswers(attempt, answers, getAttemptQuestions(attempt, quiz));
+    }
+    await finalizeAttempt(attempt, quiz);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            attempt: await presentForStudent(attempt, quiz)
+        }, attempt.passed ? 'Quiz passed' : 'Quiz submitted')
+    );
+});
+
+// @desc    Get the authenticated student's attempt history
+// @route   GET /api/quizzes/attempts/me
+// @access  Private (Student)
+export const getMyQuizAttempts = asyncHandler(async (req, res) => {
+    const { quizId, courseId } = req.query;
+
+    const filter = { studentId: req.user._id };
+    if (quizId) filter.quizId = quizId;
+    if (courseId) filter.courseId = courseId;
+
+    const attempts = await QuizAttempt.find(filter).sort({ createdAt: -1 });
+
+    // Review eligibility depends on how many attempts were submitted per quiz
+    const quizIds = [...new Set(attempts.map(a => a.quizId.toString()))];
+    const quizzes = await Quiz.find({ _id: { $in: quizIds } });
+    const quizzesById = new Map(quizzes.map(q => [q._id.toString(), q]));
+
+    const submittedCounts = new Map();
+    attempts
+        .filter(a => CLOSED_ATTEMPT_STATUSES.includes(a.status))
+        .forEach(a => {
+            const key = a.quizId.toString();
+            submittedCounts.set(key, (submittedCounts.get(key) || 0) + 1);
+        });
+
+    const history = attempts.map(attempt => {
+        const quiz = quizzesById.get(attempt.quizId.toString());
+        const reviewAllowed = quiz
+            ? canReviewAnswers(quiz, submittedCounts.get(attempt.quizId.toString()) || 0)
+            : false;
+
+        return {
+            ...presentAttempt(attempt, quiz, reviewAllowed),
+            quiz: quiz
+                ? { _id: quiz._id, title: quiz.title, passingScore: quiz.passingScore, maxAttempts: quiz.maxAttempts }
+                : null
+        };
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, history, 'Attempt history retrieved', { count: history.length })
+    );
+});
+
+// @desc    Get a single attempt
+// @route   GET /api/quizzes/attempts/:attemptId
+// @access  Private (Attempt owner or course instructor)
+export const getQuizAttemptById = asyncHandler(async (req, res) => {
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+        throw new ApiError(404, 'Attempt not found');
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+
+    // Instructors always see the full review; students follow the quiz review policy
+    if (attempt.studentId.toString() !== req.user.id) {
+        const course = await Course.findById(attempt.courseId).select('instructor');
+        if (!course || course.instructor.toString() !== req.user.id) {
+            throw new ApiError(403, 'Not authorized to view this attempt');
+        }
+
+        return res.status(200).json(
+            new ApiResponse(200, presentAttempt(attempt, quiz, true), 'Attempt retrieved')
+        );
+    }
+
+    if (quiz && attempt.status === 'in-progress' && isAttemptExpired(attempt)) {
+        await finalizeAttempt(attempt, quiz, { status: 'auto-submitted' });
+    }
+
+    const data = quiz ? await presentForStudent(attempt, quiz) : presentAttempt(attempt, null, false);
+    if (attempt.status === 'in-progress') {
+        data.timing = timingFor(attempt);
+    }
+    res.status(200).json(
+        new ApiResponse(200, data, 'Attempt retrieved')
+    );
+});
+
+// @desc    Get every attempt on one of the instructor's quizzes
+// @route   GET /api/quizzes/:quizId/attempts
+// @access  Private (Instructor)
+export const getQuizAttempts = asyncHandler(async (req, res) => {
+    const { status, studentId } = req.query;
+    const quiz = await findQuizForInstructor(req.params.quizId, req.user.id);
+
+    const filter = { quizId: quiz._id };
+    if (status) filter.status = status;
+    if (studentId) filter.studentId = studentId;
+
+    const attempts = await QuizAttempt.find(filter)
+        .populate('studentId', 'fullName email')
+        .sort({ createdAt: -1 });
+
+    const submitted = attempts.filter(a => CLOSED_ATTEMPT_STATUSES.includes(a.status));
+    const summary = {
+        totalAttempts: attempts.length,
+        submittedAttempts: submitted.length,
+        passedAttempts: submitted.filter(a => a.passed).length,
+        averagePercentage: submitted.length
+            ? Math.round((submitted.reduce((sum, a) => sum + a.percentage, 0) / submitted.length) * 100) / 100
+            : 0
+    };
+
+    res.status(200).json(
+        new ApiResponse(200, attempts, 'Quiz attempts retrieved', {
+            quiz: { _id: quiz._id, title: quiz.title, passingScore: quiz.passingScore },
+            summary
+        })
+    );
+});
@@ -0,0 +1,14 @@
+// jobs/attendanceJob.js
+import cron from 'node-cron';
+import { generateAttendanceForDate } from '../services/internship/attendanceService.js';
+
+// Daily at 00:30 UTC: record yesterday's attendance for every active internship enrollment
+export const scheduleAttendanceGeneration = () =>
+    cron.schedule('30 0 * * *', async () => {
+        try {
+            const { generated, skipped } = await generateAttendanceForDate();
+            console.log(`🗓️ Generated ${generated} attendance record(s), kept ${skipped} supervisor override(s)`);
+        } catch (error) {
+            console.error('Attendance generation failed:', error);
+        }
+    }, { name: 'attendance-generation', timezone: 'UTC', noOverlap: true });
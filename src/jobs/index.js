@@ -0,0 +1,16 @@
+// jobs/index.js
+import { scheduleQuizAttemptSweeper } from './quizAttemptJob.js';
+import { scheduleAttendanceGeneration } from './attendanceJob.js';
+import { scheduleMilestoneOverdueSweeper } from './milestoneJob.js';
+import { scheduleProgressReportGeneration } from './progressReportJob.js';
+import { scheduleInternshipDeadlineClosing } from './internshipDeadlineJob.js';
+
+// Registers every recurring background job
+export const startScheduledJobs = () => {
+    scheduleQuizAttemptSweeper();
+    scheduleAttendanceGeneration();
+    scheduleMilestoneOverdueSweeper();
+    scheduleProgressReportGeneration();
+    scheduleInternshipDeadlineClosing();
+    console.log('🕒 Scheduled jobs started');
+};
@@ -0,0 +1,16 @@
+// jobs/internshipDeadlineJob.js
+import cron from 'node-cron';
+import { closeExpiredInternships } from '../services/internship/applicationService.js';
+
+// Hourly: close internship postings whose application deadline has passed
+export const scheduleInternshipDeadlineClosing = () =>
+    cron.schedule('5 * * * *', async () => {
+        try {
+            const closed = await closeExpiredInternships();
+            if (closed > 0) {
+                console.log(`📪 Closed ${closed} internship(s) past their application deadline`);
+            }
+        } catch (error) {
+            console.error('Internship deadline closing failed:', error);
+        }
+    }, { name: 'internship-deadline-closing', timezone: 'UTC', noOverlap: true });
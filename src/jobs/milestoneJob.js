@@ -0,0 +1,16 @@
+// jobs/milestoneJob.js
+import cron from 'node-cron';
+import { markOverdueMilestones } from '../services/internship/milestoneService.js';
+
+// Daily at 00:15 UTC: flag milestones whose target day has passed and tell the intern and mentor
+export const scheduleMilestoneOverdueSweeper = () =>
+    cron.schedule('15 0 * * *', async () => {
+        try {
+            const flagged = await markOverdueMilestones();
+            if (flagged > 0) {
+                console.log(`📌 Marked ${flagged} milestone(s) as overdue`);
+            }
+        } catch (error) {
+            console.error('Milestone overdue sweeper failed:', error);
+        }
+    }, { name: 'milestone-overdue-sweeper', timezone: 'UTC', noOverlap: true });
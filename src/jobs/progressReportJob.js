@@ -0,0 +1,22 @@
+// jobs/progressReportJob.js
+import cron from 'node-cron';
+import { generatePeriodicReports } from '../services/internship/progressReportService.js';
+import { addDays } from '../utils/dates.js';
+
+const runReports = async (reportType) => {
+    try {
+        // The run happens just after the period closes, so yesterday is its last day
+        const generated = await generatePeriodicReports(reportType, addDays(new Date(), -1));
+        console.log(`📝 Drafted ${generated} ${reportType} progress report(s)`);
+    } catch (error) {
+        console.error(`${reportType} progress report generation failed:`, error);
+    }
+};
+
+// Mondays at 01:00 UTC for the week just ended, and the 1st at 01:30 UTC for the month just ended
+export const scheduleProgressReportGeneration = () => [
+    cron.schedule('0 1 * * 1', () => runReports('weekly'),
+        { name: 'weekly-progress-reports', timezone: 'UTC', noOverlap: true }),
+    cron.schedule('30 1 1 * *', () => runReports('monthly'),
+        { name: 'monthly-progress-reports', timezone: 'UTC', noOverlap: true })
+];
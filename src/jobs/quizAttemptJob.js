@@ -0,0 +1,16 @@
+// jobs/quizAttemptJob.js
+import cron from 'node-cron';
+import { closeExpiredAttempts } from '../services/quiz/quizAttemptService.js';
+
+// Every minute: auto-submit quiz attempts left open past their deadline
+export const scheduleQuizAttemptSweeper = () =>
+    cron.schedule('* * * * *', async () => {
+        try {
+            const closed = await closeExpiredAttempts();
+            if (closed > 0) {
+                console.log(`⏱️ Auto-submitted ${closed} expired quiz attempt(s)`);
+            }
+        } catch (error) {
+            console.error('Quiz attempt sweeper failed:', error);
+        }
+    }, { name: 'quiz-attempt-sweeper', noOverlap: true });
@@ -42,6 +42,17 @@ export const isAdmin = (req, res, next) => {
     next();
 };
 
+// ✅ Middleware to allow any of the given user types
+export const hasRole = (...userTypes) => (req, res, next) => {
+    if (!userTypes.includes(req.user?.userType)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access denied. Allowed roles: ${userTypes.join(', ')}`
+        });
+    }
+    next();
+};
+
 export const isStudent = (req, res, next) => {
     if (req.user?.userType !== 'student') {
         return res.status(403).json({ message: 'Only Students are allowed to enrolled for an Internship!' });
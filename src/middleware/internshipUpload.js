@@ -71,6 +71,19 @@ const attachFileUrls = (req, res, next) => {
     next();
 };
 
+// Deletes a file stored by this middleware, given its /uploads/internships/... URL; missing files are ignored
+const removeUploadedFile = async (url) => {
+    if (!url) return;
+    const fileName = path.basename(url.split('?')[0]);
+    try {
+        await fs.promises.unlink(path.join(process.cwd(), 'uploads/internships', fileName));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Failed to remove uploaded file ${fileName}:`, err);
+        }
+    }
+};
+
 // Initialize upload directory
 const initUploadDirectory = () => {
     const baseDir = path.join(process.cwd(), 'uploads');
@@ -82,5 +95,6 @@ const initUploadDirectory = () => {
 export {
     upload,
     attachFileUrls,
-    initUploadDirectory
+    initUploadDirectory,
+    removeUploadedFile
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+import multer from 'multer';
+import ApiError from '../utils/ApiError.js';
+
+// Proof documents are kept in memory and uploaded to Cloudinary by the service
+const storage = multer.memoryStorage();
+
+const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const fileFilter = (req, file, cb) => {
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, 'Proof documents must be PDF, JPEG or PNG files'), false);
+    }
+};
+
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+export const leaveProofUpload = upload.single('proof');
@@ -0,0 +1,24 @@
+import multer from 'multer';
+import path from 'path';
+import ApiError from '../utils/ApiError.js';
+
+// Question files are parsed in memory and never written to disk
+const storage = multer.memoryStorage();
+
+const allowedExtensions = ['.gift', '.txt', '.csv'];
+
+const fileFilter = (req, file, cb) => {
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, `Only ${allowedExtensions.join(', ')} question files are allowed`), false);
+    }
+};
+
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
+
+export const quizImportUpload = upload.single('file');
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const CERTIFICATE_STATUSES = ['valid', 'revoked', 'superseded'];
+
+// A course completion certificate. The names and titles are copied at issue time
+// so the certificate still verifies after the user or course changes.
+const certificateSchema = new mongoose.Schema({
+    serial: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment'
+    },
+    studentName: { type: String, required: true },
+    courseTitle: { type: String, required: true },
+    instructorName: String,
+    completionDate: { type: Date, required: true },
+    grade: Number,
+    issuedAt: { type: Date, default: Date.now },
+    // Empty when issued automatically on completion
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    template: {
+        type: String,
+        enum: ['course', 'platform'],
+        default: 'platform'
+    },
+    pdf: {
+        url: String,
+        publicId: String
+    },
+    status: {
+        type: String,
+        enum: CERTIFICATE_STATUSES,
+        default: 'valid'
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revocationReason: String,
+    // Set when an admin reissued a revoked certificate, overriding the revocation
+    revocationLiftedAt: Date,
+    revocationLiftedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revocationLiftReason: String,
+    // Reissues link the old and new certificates both ways
+    replaces: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    }
+}, { timestamps: true });
+
+// Indexes
+certificateSchema.index({ student: 1, course: 1 });
+certificateSchema.index({ course: 1, status: 1 });
+// At most one valid certificate per student and course, even under concurrent issue
+certificateSchema.index(
+    { student: 1, course: 1 },
+    { unique: true, partialFilterExpression: { status: 'valid' }, name: 'student_1_course_1_valid' }
+);
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+export default Certificate;
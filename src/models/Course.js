@@ -1,5 +1,34 @@
 import mongoose from 'mongoose';
 
+// What a student must achieve for the course to count as completed
+const completionCriteriaSchema = new mongoose.Schema({
+    // 'all' topics, only the 'selected' requiredTopics, or 'none'
+    topics: {
+        type: String,
+        enum: ['all', 'selected', 'none'],
+        default: 'all'
+    },
+    requiredTopics: [{ type: mongoose.Schema.Types.ObjectId }],
+    // Average of the best attempt on every course quiz, unattempted quizzes counting as 0
+    minAverageQuizScore: { type: Number, default: 0, min: 0, max: 100 },
+    requiredQuizzes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' }],
+    minTimeSpentMinutes: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// Overrides for the platform certificate design; empty fields fall back to the platform template
+const certificateTemplateSchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: true },
+    title: { type: String, trim: true, maxlength: 80 },
+    // May use {studentName}, {courseTitle}, {completionDate} and {grade}
+    bodyText: { type: String, trim: true, maxlength: 500 },
+    signatoryName: { type: String, trim: true },
+    signatoryTitle: { type: String, trim: true },
+    accentColor: {
+        type: String,
+        match: [/^#[0-9a-fA-F]{6}$/, 'accentColor must be a hex colour like #1a73e8']
+    }
+}, { _id: false });
+
 const courseSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -86,7 +115,15 @@ const courseSchema = new mongoose.Schema({
     studentsEnrolled: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-    }]
+    }],
+    completionCriteria: {
+        type: completionCriteriaSchema,
+        default: () => ({})
+    },
+    certificateTemplate: {
+        type: certificateTemplateSchema,
+        default: () => ({})
+    }
 }, { timestamps: true });
 
 const Course = mongoose.model('Course', courseSchema);
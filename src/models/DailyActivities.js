@@ -90,11 +90,16 @@ const DailyActivitySchema = new mongoose.Schema({
         }
     }],
 
-    // Reflection and learning
+    // Reflection and learning; drafts may be saved before the summary is written
     whatYouDid: {
         type: String,
-        required: [true, 'Daily summary is required'],
-        minlength: [50, 'Daily summary should be at least 50 characters'],
+        required: [function () { return this.status !== 'draft'; }, 'Daily summary is required'],
+        validate: {
+            validator: function (v) {
+                return this.status === 'draft' || !v || v.length >= 50;
+            },
+            message: 'Daily summary should be at least 50 characters'
+        },
         maxlength: [1000, 'Daily summary should not exceed 1000 characters']
     },
     challengesFaced: {
@@ -186,6 +191,26 @@ const DailyActivitySchema = new mongoose.Schema({
             ref: 'User'
         }
     },
+    // Every review outcome, since mentorFeedback only holds the latest one
+    reviewHistory: [{
+        decision: {
+            type: String,
+            enum: ['approved', 'needs-revision']
+        },
+        rating: Number,
+        technicalRating: Number,
+        effortRating: Number,
+        comments: String,
+        suggestions: String,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
 
     // File attachments
     attachments: [{
@@ -211,13 +236,17 @@ DailyActivitySchema.index({ submittedAt: -1 });
 // Pre-save middleware to calculate total hours
 DailyActivitySchema.pre('save', function (next) {
     if (this.checkInTime && this.checkOutTime) {
-        const checkIn = new Date(`1970-01-01T${this.checkInTime}:00`);
-        const checkOut = new Date(`1970-01-01T${this.checkOutTime}:00`);
+        // Parsed by hand so single-digit hours such as 9:00 also work
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const checkIn = toMinutes(this.checkInTime);
+        const checkOut = toMinutes(this.checkOutTime);
 
         if (checkOut > checkIn) {
-            const diffMs = checkOut - checkIn;
-            const diffHours = diffMs / (1000 * 60 * 60);
-            this.totalHours = Math.round((diffHours - (this.breakTime || 0) / 60) * 100) / 100;
+            const diffHours = (checkOut - checkIn) / 60;
+            this.totalHours = Math.max(Math.round((diffHours - (this.breakTime || 0) / 60) * 100) / 100, 0);
         }
     }
     next();
@@ -14,11 +14,18 @@ const enrollmentSchema = new mongoose.Schema({
     },
     enrolledAt: { type: Date, default: Date.now },
     status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    // Set when the course completion criteria are first met
+    completedAt: Date,
+    grade: Number,
     lastAccessed: { type: Date, default: Date.now },
     progress: {
         type: Number,
         default: 0
-    }
+    },
+    completedQuizzes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz'
+    }]
 }, { timestamps: true });
 
 const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+export const QUESTION_TYPES = ['text', 'single-choice', 'multi-choice', 'file', 'url'];
+const CHOICE_TYPES = ['single-choice', 'multi-choice'];
+
+// A posting-specific question; answers are stored on the application against its _id
+const applicationQuestionSchema = new mongoose.Schema({
+    label: { type: String, required: true, trim: true, maxlength: 300 },
+    type: { type: String, enum: QUESTION_TYPES, required: true },
+    required: { type: Boolean, default: false },
+    helpText: { type: String, trim: true, maxlength: 500 },
+    // Choices for single-choice and multi-choice questions
+    options: {
+        type: [{ type: String, trim: true, maxlength: 200 }],
+        validate: {
+            validator: function (options) {
+                return !CHOICE_TYPES.includes(this.type) ||
+                    (options.length >= 2 && new Set(options).size === options.length);
+            },
+            message: 'Choice questions need at least two distinct options'
+        }
+    },
+    // Longest accepted text answer
+    maxLength: { type: Number, min: 1, max: 5000, default: 1000 }
+});
+
 const InternshipSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -67,6 +91,72 @@ const InternshipSchema = new mongoose.Schema({
     applicationDeadline: {
         type: Date,
         required: false
+    },
+    // Set when the posting was closed automatically at its deadline
+    closedAt: Date,
+    // Applications taken into review; later ones join the waitlist. Unset means no limit
+    maxApplications: {
+        type: Number,
+        min: [1, 'maxApplications must be at least 1']
+    },
+    // How many applications may wait for a place; unset means no limit
+    waitlistSize: {
+        type: Number,
+        min: [0, 'waitlistSize cannot be negative']
+    },
+    // Interns that can be accepted; unset means no limit
+    slots: {
+        type: Number,
+        min: [1, 'slots must be at least 1']
+    },
+    // Applications holding a place under maxApplications; maintained by the application service
+    applicationCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    applicationQuestions: {
+        type: [applicationQuestionSchema],
+        validate: {
+            validator: questions => questions.length <= 20,
+            message: 'An internship can ask at most 20 application questions'
+        }
+    },
+    // Days off for every intern; attendance marks them as holidays
+    holidays: [{
+        date: { type: Date, required: true },
+        name: { type: String, trim: true }
+    }],
+    // Share of the final intern grade given to each component; missing components are left out
+    gradingWeights: {
+        type: new mongoose.Schema({
+            attendance: { type: Number, min: 0, max: 100, default: 20 },
+            milestones: { type: Number, min: 0, max: 100, default: 30 },
+            dailyLogs: { type: Number, min: 0, max: 100, default: 20 },
+            finalReport: { type: Number, min: 0, max: 100, default: 30 }
+        }, { _id: false }),
+        default: () => ({}),
+        validate: {
+            validator: (weights) => !weights ||
+                ['attendance', 'milestones', 'dailyLogs', 'finalReport'].some(key => weights[key] > 0),
+            message: 'At least one grading weight must be above 0'
+        }
+    },
+    // Share of an applicant's ranking score given to each component; missing components are left out
+    rankingWeights: {
+        type: new mongoose.Schema({
+            skills: { type: Number, min: 0, max: 100, default: 40 },
+            qualifications: { type: Number, min: 0, max: 100, default: 15 },
+            courses: { type: Number, min: 0, max: 100, default: 20 },
+            certifications: { type: Number, min: 0, max: 100, default: 15 },
+            academicYear: { type: Number, min: 0, max: 100, default: 10 }
+        }, { _id: false }),
+        default: () => ({}),
+        validate: {
+            validator: (weights) => !weights ||
+                ['skills', 'qualifications', 'courses', 'certifications', 'academicYear'].some(key => weights[key] > 0),
+            message: 'At least one ranking weight must be above 0'
+        }
     }
 });
 
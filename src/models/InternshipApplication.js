@@ -1,4 +1,55 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES } from './Internship.js';
+
+export const APPLICATION_STATUSES = ['Pending', 'Under Review', 'Shortlisted', 'Interviewing', 'Accepted', 'Rejected', 'Withdrawn', 'Waitlisted'];
+
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: APPLICATION_STATUSES },
+    to: { type: String, enum: APPLICATION_STATUSES, required: true },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// The applicant's own edits: which fields changed and when
+const changeSchema = new mongoose.Schema({
+    fields: [String],
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Answer to one of the internship's applicationQuestions, with the question as it was asked
+const answerSchema = new mongoose.Schema({
+    questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    label: String,
+    type: { type: String, enum: QUESTION_TYPES },
+    // Text and URL answers
+    text: { type: String, maxlength: 5000 },
+    // Single- and multi-choice answers
+    choices: [String],
+    file: {
+        url: String,
+        fileName: String,
+        fileType: String,
+        fileSize: Number
+    }
+}, { _id: false });
+
+// Internal to reviewers; never shown to the applicant
+const reviewerNoteSchema = new mongoose.Schema({
+    note: { type: String, required: true, trim: true, maxlength: 2000 },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: { type: Date, default: Date.now }
+});
 
 const InternshipApplicationSchema = new mongoose.Schema({
     studentId: {
@@ -60,20 +111,35 @@ const InternshipApplicationSchema = new mongoose.Schema({
         minlength: [50, 'Application letter should be at least 50 characters'],
         maxlength: [1000, 'Application letter should not exceed 1000 characters']
     },
+    // Answers to the internship's own applicationQuestions
+    answers: [answerSchema],
 
     // Application Metadata
     status: {
         type: String,
-        enum: ['Pending', 'Under Review', 'Shortlisted', 'Interviewing', 'Accepted', 'Rejected'],
+        enum: APPLICATION_STATUSES,
         default: 'Pending',
     },
+    statusHistory: [statusChangeSchema],
+    changeHistory: [changeSchema],
     appliedAt: {
         type: Date,
         default: Date.now
     },
+    withdrawnAt: Date,
+    withdrawalReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Withdrawal reason cannot exceed 500 characters']
+    },
+    // Shown to the applicant
     feedback: {
         type: String,
         maxlength: [500, 'Feedback cannot exceed 500 characters']
+    },
+    reviewerNotes: {
+        type: [reviewerNoteSchema],
+        select: false
     }
 }, {
     timestamps: true
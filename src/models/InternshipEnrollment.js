@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+export const ENROLLMENT_STATUSES = ['active', 'completed', 'terminated', 'on-hold', 'suspended'];
+export const COMPLETION_REASONS = ['successful', 'early-termination', 'mutual-agreement', 'performance-issues', 'other'];
+export const FINAL_GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F'];
+export const GRADING_COMPONENTS = ['attendance', 'milestones', 'dailyLogs', 'finalReport'];
+
+// One entry per status change, so pauses and resumptions keep their dates
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: ENROLLMENT_STATUSES },
+    to: { type: String, enum: ENROLLMENT_STATUSES, required: true },
+    reason: { type: String, enum: COMPLETION_REASONS },
+    note: { type: String, trim: true, maxlength: 500 },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One part of the weighted final score; score is null when there was nothing to grade
+const gradingComponentSchema = new mongoose.Schema({
+    component: { type: String, enum: GRADING_COMPONENTS, required: true },
+    weight: { type: Number, min: 0, max: 100, required: true },
+    score: { type: Number, min: 0, max: 100 },
+    basis: String
+}, { _id: false });
+
 const InternshipEnrollmentSchema = new mongoose.Schema({
     studentId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -56,6 +82,10 @@ const InternshipEnrollmentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    supervisorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
 
     // Internship configuration
     totalExpectedHours: {
@@ -69,9 +99,10 @@ const InternshipEnrollmentSchema = new mongoose.Schema({
 
     status: {
         type: String,
-        enum: ['active', 'completed', 'terminated', 'on-hold', 'suspended'],
+        enum: ENROLLMENT_STATUSES,
         default: 'active'
     },
+    statusHistory: [statusChangeSchema],
 
     // Important dates
     enrolledAt: {
@@ -80,15 +111,31 @@ const InternshipEnrollmentSchema = new mongoose.Schema({
     },
     completedAt: Date,
     terminatedAt: Date,
+    // When the current on-hold or suspended period started
+    pausedAt: Date,
 
     // Completion details
     completionReason: {
         type: String,
-        enum: ['successful', 'early-termination', 'mutual-agreement', 'performance-issues', 'other']
+        enum: COMPLETION_REASONS
     },
     finalGrade: {
         type: String,
-        enum: ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F']
+        enum: FINAL_GRADES
+    },
+    // How the final grade was reached; finalGrade differs from suggestedGrade when the mentor adjusted it
+    grading: {
+        score: { type: Number, min: 0, max: 100 },
+        suggestedGrade: { type: String, enum: FINAL_GRADES },
+        components: [gradingComponentSchema],
+        adjustmentReason: { type: String, trim: true, maxlength: 500 },
+        // Why the intern was graded without an evaluated final report
+        finalReportWaiverReason: { type: String, trim: true, maxlength: 500 },
+        gradedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        gradedAt: Date
     },
 
     // Settings
@@ -112,10 +159,11 @@ const InternshipEnrollmentSchema = new mongoose.Schema({
 InternshipEnrollmentSchema.index({ studentId: 1, internshipId: 1 }, { unique: true });
 InternshipEnrollmentSchema.index({ status: 1 });
 InternshipEnrollmentSchema.index({ mentorId: 1 });
+InternshipEnrollmentSchema.index({ supervisorId: 1 });
 InternshipEnrollmentSchema.index({ actualStartDate: 1, actualEndDate: 1 });
 
-// Pre-save middleware to calculate total expected hours
-InternshipEnrollmentSchema.pre('save', function (next) {
+// Calculate total expected hours before validation, since the field is required
+InternshipEnrollmentSchema.pre('validate', function (next) {
     if (this.isNew || this.isModified('actualStartDate') || this.isModified('actualEndDate')) {
         const startDate = new Date(this.actualStartDate);
         const endDate = new Date(this.actualEndDate);
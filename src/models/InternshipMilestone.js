@@ -46,6 +46,8 @@ const InternshipMilestoneSchema = new mongoose.Schema({
         max: 100,
         default: 0
     },
+    // Set when the overdue sweeper flags the milestone, so each one is announced once
+    overdueAt: Date,
 
     // Deliverables
     deliverables: [{
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+export const INTERVIEW_STATUSES = ['proposed', 'scheduled', 'completed', 'cancelled'];
+export const INTERVIEW_MODES = ['online', 'in-person', 'phone'];
+export const INTERVIEW_RECOMMENDATIONS = ['accept', 'reject', 'undecided'];
+
+const slotSchema = new mongoose.Schema({
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true }
+});
+
+const InterviewSchema = new mongoose.Schema({
+    applicationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InternshipApplication',
+        required: true
+    },
+    internshipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Internship',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    interviewers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    // Times offered to the applicant, and the one they picked
+    proposedSlots: {
+        type: [slotSchema],
+        validate: {
+            validator: slots => slots.length > 0 && slots.length <= 10,
+            message: 'Between 1 and 10 time slots must be proposed'
+        }
+    },
+    scheduledSlot: {
+        startTime: Date,
+        endTime: Date
+    },
+
+    mode: {
+        type: String,
+        enum: INTERVIEW_MODES,
+        default: 'online'
+    },
+    location: { type: String, trim: true, maxlength: 200 },
+    meetingLink: { type: String, trim: true },
+    notes: { type: String, trim: true, maxlength: 1000 },
+
+    status: {
+        type: String,
+        enum: INTERVIEW_STATUSES,
+        default: 'proposed'
+    },
+    // Calendar revision; raised whenever a sent invitation changes
+    sequence: {
+        type: Number,
+        default: 0
+    },
+    rescheduleHistory: [{
+        from: { startTime: Date, endTime: Date },
+        reason: { type: String, trim: true, maxlength: 500 },
+        rescheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rescheduledAt: { type: Date, default: Date.now }
+    }],
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancellationReason: { type: String, trim: true, maxlength: 500 },
+
+    feedback: {
+        score: { type: Number, min: 1, max: 5 },
+        comments: { type: String, trim: true, maxlength: 2000 },
+        recommendation: { type: String, enum: INTERVIEW_RECOMMENDATIONS },
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        submittedAt: Date
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+InterviewSchema.index({ applicationId: 1, status: 1 });
+InterviewSchema.index({ studentId: 1 });
+InterviewSchema.index({ 'scheduledSlot.startTime': 1 });
+
+export default mongoose.model('Interview', InterviewSchema);
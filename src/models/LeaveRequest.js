@@ -0,0 +1,80 @@
+// models/LeaveRequest.js
+import mongoose from 'mongoose';
+
+export const LEAVE_TYPES = ['sick-leave', 'authorized-absence'];
+export const LEAVE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const LeaveRequestSchema = new mongoose.Schema({
+    enrollmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InternshipEnrollment',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    internshipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Internship',
+        required: true
+    },
+
+    // Matches the attendance status written for each approved day
+    type: {
+        type: String,
+        enum: LEAVE_TYPES,
+        required: true
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required'],
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+
+    // Same shape as AttendanceRecord.proofDocument, plus the Cloudinary ID for cleanup
+    proofDocument: {
+        fileName: String,
+        fileUrl: String,
+        fileType: String,
+        publicId: String
+    },
+
+    status: {
+        type: String,
+        enum: LEAVE_REQUEST_STATUSES,
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewComments: {
+        type: String,
+        maxlength: [500, 'Comments cannot exceed 500 characters']
+    },
+    cancelledAt: Date,
+
+    // Working days written into attendance on approval
+    excusedDates: [Date]
+}, {
+    timestamps: true
+});
+
+// Indexes
+LeaveRequestSchema.index({ enrollmentId: 1, startDate: -1 });
+LeaveRequestSchema.index({ studentId: 1, createdAt: -1 });
+LeaveRequestSchema.index({ status: 1 });
+
+export default mongoose.model('LeaveRequest', LeaveRequestSchema);
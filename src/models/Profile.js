@@ -62,7 +62,12 @@ const profileSchema = new mongoose.Schema({
         endDate: Date,
         currentlyWorking: Boolean,
         description: String,
-        skillsUsed: [String]
+        skillsUsed: [String],
+        // Set for internships completed on the portal
+        internshipEnrollment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InternshipEnrollment'
+        }
     }],
 
     // Skills & Certifications
@@ -116,7 +121,8 @@ const profileSchema = new mongoose.Schema({
         completionDate: Date,
         certificate: {
             url: String,
-            issuedDate: Date
+            issuedDate: Date,
+            serial: String
         },
         grade: Number
     }],
@@ -1,12 +1,39 @@
 import mongoose from 'mongoose'; // ✅
 
+// ====== Per-topic progress (embedded in Progress) ======
+const topicProgressSchema = new mongoose.Schema({
+    moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    topicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    topicType: { type: String, enum: ['video', 'pdf', 'text', 'quiz'] },
+    status: {
+        type: String,
+        enum: ['not-started', 'in-progress', 'completed'],
+        default: 'in-progress'
+    },
+    startedAt: { type: Date, default: Date.now },
+    completedAt: Date,
+    timeSpentSeconds: { type: Number, default: 0, min: 0 },
+    // Video playback, in seconds, so playback can resume where it stopped
+    lastPosition: { type: Number, default: 0, min: 0 },
+    duration: { type: Number, min: 0 },
+    // PDF pages the student has opened
+    pagesViewed: [{ type: Number, min: 1 }],
+    totalPages: { type: Number, min: 1 },
+    lastAccessed: { type: Date, default: Date.now }
+}, { _id: false });
 
 // ====== Student Progress Model (models/Progress.js) ======
 const progressSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    topics: [topicProgressSchema],
+    // Derived from topics: a module is complete once all of its topics are
     completedModules: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Module' }],
+    percentage: { type: Number, default: 0, min: 0, max: 100 },
+    completedAt: Date,
     lastAccessed: { type: Date, default: Date.now }
-});
+}, { timestamps: true });
+
+progressSchema.index({ userId: 1, courseId: 1 }, { unique: true });
 
 export const Progress = mongoose.model('Progress', progressSchema);
\ No newline at end of file
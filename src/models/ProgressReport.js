@@ -239,13 +239,24 @@ const ProgressReportSchema = new mongoose.Schema({
         type: String,
         enum: ['draft', 'finalized', 'sent'],
         default: 'draft'
-    }
+    },
+    finalizedAt: Date,
+    finalizedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sentAt: Date
 }, {
     timestamps: true
 });
 
 // Indexes
 ProgressReportSchema.index({ enrollmentId: 1, 'reportPeriod.startDate': 1 });
+// One report per enrollment, type and period
+ProgressReportSchema.index(
+    { enrollmentId: 1, 'reportPeriod.reportType': 1, 'reportPeriod.startDate': 1 },
+    { unique: true }
+);
 ProgressReportSchema.index({ studentId: 1, 'reportPeriod.reportType': 1 });
 ProgressReportSchema.index({ generatedAt: -1 });
 
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { quizQuestionSchema, QUESTION_DIFFICULTIES } from './Quiz.js';
+
+// A reusable question owned by a course; quizzes draw from it through question pools
+const questionBankItemSchema = quizQuestionSchema.clone();
+
+questionBankItemSchema.add({
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    difficulty: {
+        type: String,
+        enum: QUESTION_DIFFICULTIES,
+        default: 'medium'
+    }
+});
+questionBankItemSchema.set('timestamps', true);
+
+// Indexes
+questionBankItemSchema.index({ courseId: 1, tags: 1 });
+questionBankItemSchema.index({ courseId: 1, difficulty: 1 });
+
+const QuestionBankItem = mongoose.model('QuestionBankItem', questionBankItemSchema);
+export default QuestionBankItem;
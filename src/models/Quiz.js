@@ -1,39 +1,226 @@
 import mongoose from 'mongoose';
+import { isSafeRegex, MAX_PATTERN_LENGTH } from '../utils/safeRegex.js';
 
-const quizQuestionSchema = new mongoose.Schema({
+export const QUESTION_TYPES = [
+    'multiple-choice',
+    'true-false',
+    'multi-select',
+    'short-answer',
+    'numeric',
+    'ordering',
+    'matching',
+    'fill-in-the-blank'
+];
+
+export const MATCH_MODES = ['exact', 'case-insensitive', 'regex'];
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// A run of three or more underscores marks a blank in fill-in-the-blank questions
+export const BLANK_PATTERN = /_{3,}/g;
+
+const isBlank = value => typeof value !== 'string' || value.trim().length === 0;
+
+const isValidRegex = (pattern) => {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Why a regex accepted answer cannot be used, or null when it can
+const getRegexError = (pattern) => {
+    if (!isValidRegex(pattern)) return `Invalid regular expression: ${pattern}`;
+    if (pattern.length > MAX_PATTERN_LENGTH) return `Regular expressions cannot exceed ${MAX_PATTERN_LENGTH} characters`;
+    if (!isSafeRegex(pattern)) {
+        return `Regular expression could be too slow to match: ${pattern}. ` +
+            'Avoid backreferences and repeating a group that contains a repetition or "|"';
+    }
+    return null;
+};
+
+/**
+ * Collects the type-specific authoring errors for a question
+ * @param {Object} question - Question subdocument or plain object
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export const getQuestionErrors = (question) => {
+    const errors = [];
+    const add = (path, message) => errors.push({ path, message });
+    // True/false questions without options get True/False before saving
+    const options = question.questionType === 'true-false' && isBlank(question.options?.A) && isBlank(question.options?.B)
+        ? { A: 'True', B: 'False' }
+        : question.options || {};
+    const optionKeys = OPTION_KEYS.filter(key => !isBlank(options[key]));
+
+    const checkAcceptedAnswers = (answers, matchMode, path) => {
+        if (!Array.isArray(answers) || answers.filter(a => !isBlank(a)).length === 0) {
+            add(path, 'At least one accepted answer is required');
+        } else if (matchMode === 'regex') {
+            answers
+                .map(getRegexError)
+                .filter(Boolean)
+                .forEach(message => add(path, message));
+        }
+    };
+
+    switch (question.questionType || 'multiple-choice') {
+        case 'multiple-choice':
+        case 'true-false':
+            if (isBlank(options.A) || isBlank(options.B)) {
+                add('options', 'Options A and B are required');
+            }
+            if (isBlank(question.answer)) {
+                add('answer', 'An answer is required');
+            } else if (!optionKeys.includes(question.answer)) {
+                add('answer', `Answer ${question.answer} is not a valid option`);
+            } else if (question.questionType === 'true-false' && !['A', 'B'].includes(question.answer)) {
+                add('answer', 'True/false answers must be A or B');
+            }
+            break;
+
+        case 'multi-select': {
+            if (isBlank(options.A) || isBlank(options.B)) {
+                add('options', 'Options A and B are required');
+            }
+            const answers = question.answers || [];
+            if (answers.length === 0) {
+                add('answers', 'At least one correct option is required');
+            }
+            answers
+                .filter(key => !optionKeys.includes(key))
+                .forEach(key => add('answers', `Answer ${key} is not a valid option`));
+            if (new Set(answers).size !== answers.length) {
+                add('answers', 'Correct options must not repeat');
+            }
+            break;
+        }
+
+        case 'short-answer':
+            checkAcceptedAnswers(question.acceptedAnswers, question.matchMode, 'acceptedAnswers');
+            break;
+
+        case 'numeric':
+            if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+                add('numericAnswer', 'A numeric answer is required');
+            }
+            break;
+
+        case 'ordering': {
+            const items = (question.orderItems || []).map(item => item?.trim());
+            if (items.length < 2 || items.some(item => !item)) {
+                add('orderItems', 'At least two non-empty items are required');
+            } else if (new Set(items).size !== items.length) {
+                add('orderItems', 'Items must be unique');
+            }
+            break;
+        }
+
+        case 'matching': {
+            const pairs = question.matchPairs || [];
+            if (pairs.length < 2 || pairs.some(pair => isBlank(pair.left) || isBlank(pair.right))) {
+                add('matchPairs', 'At least two complete left/right pairs are required');
+            } else if (
+                new Set(pairs.map(p => p.left.trim())).size !== pairs.length ||
+                new Set(pairs.map(p => p.right.trim())).size !== pairs.length
+            ) {
+                add('matchPairs', 'Left and right items must be unique');
+            }
+            break;
+        }
+
+        case 'fill-in-the-blank': {
+            const blanks = question.blanks || [];
+            const markers = (question.question || '').match(BLANK_PATTERN) || [];
+            if (blanks.length === 0) {
+                add('blanks', 'At least one blank is required');
+            } else if (markers.length !== blanks.length) {
+                add('blanks', `Question text has ${markers.length} blank(s) (___) but ${blanks.length} answer set(s) were given`);
+            }
+            blanks.forEach((blank, index) =>
+                checkAcceptedAnswers(blank.acceptedAnswers, blank.matchMode, `blanks.${index}.acceptedAnswers`)
+            );
+            break;
+        }
+    }
+
+    return errors;
+};
+
+const blankSchema = new mongoose.Schema({
+    acceptedAnswers: [{ type: String, trim: true }],
+    matchMode: {
+        type: String,
+        enum: MATCH_MODES,
+        default: 'case-insensitive'
+    }
+}, { _id: false });
+
+export const quizQuestionSchema = new mongoose.Schema({
     question: {
         type: String,
         required: true,
         trim: true
     },
+    questionType: {
+        type: String,
+        enum: QUESTION_TYPES,
+        default: 'multiple-choice'
+    },
+    // multiple-choice, true-false and multi-select
     options: {
-        A: { type: String, required: true, trim: true },
-        B: { type: String, required: true, trim: true },
+        A: { type: String, trim: true },
+        B: { type: String, trim: true },
         C: { type: String, trim: true },
         D: { type: String, trim: true },
         E: { type: String, trim: true }
     },
+    // multiple-choice and true-false: the single correct option
     answer: {
         type: String,
-        required: true,
         uppercase: true,
-        enum: ['A', 'B', 'C', 'D', 'E'],
-        validate: {
-            validator: function (value) {
-                // Ensure the answer exists in the provided options
-                return this.options[value] !== undefined;
-            },
-            message: props => `Answer ${props.value} is not a valid option`
-        }
+        enum: OPTION_KEYS
     },
-    explanation: {
+    // multi-select: every correct option
+    answers: [{
         type: String,
-        trim: true
+        uppercase: true,
+        enum: OPTION_KEYS
+    }],
+    // short-answer
+    acceptedAnswers: [{ type: String, trim: true }],
+    matchMode: {
+        type: String,
+        enum: MATCH_MODES,
+        default: 'case-insensitive'
     },
-    questionType: {
+    // numeric
+    numericAnswer: Number,
+    tolerance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // ordering: items listed in the correct order
+    orderItems: [{ type: String, trim: true }],
+    // matching
+    matchPairs: [{
+        left: { type: String, trim: true },
+        right: { type: String, trim: true },
+        _id: false
+    }],
+    // fill-in-the-blank: one entry per ___ in the question text
+    blanks: [blankSchema],
+    // Award a share of the points for partly correct multi-part answers
+    partialCredit: {
+        type: Boolean,
+        default: true
+    },
+    explanation: {
         type: String,
-        enum: ['multiple-choice', 'true-false'],
-        default: 'multiple-choice'
+        trim: true
     },
     points: {
         type: Number,
@@ -42,6 +229,33 @@ const quizQuestionSchema = new mongoose.Schema({
     }
 }, { _id: true });
 
+quizQuestionSchema.pre('validate', function (next) {
+    // True/false questions get their two options by default
+    if (this.questionType === 'true-false' && !this.options?.A && !this.options?.B) {
+        this.set('options', { A: 'True', B: 'False' });
+    }
+
+    getQuestionErrors(this).forEach(({ path, message }) => this.invalidate(path, message));
+    next();
+});
+
+export const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Draws questions from the course question bank when an attempt starts
+const questionPoolSchema = new mongoose.Schema({
+    // Bank questions carrying any of these tags are eligible; empty means any tag
+    tags: [{ type: String, trim: true, lowercase: true }],
+    difficulty: {
+        type: String,
+        enum: QUESTION_DIFFICULTIES
+    },
+    count: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, { _id: false });
+
 const quizSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -53,6 +267,16 @@ const quizSchema = new mongoose.Schema({
         trim: true
     },
     questions: [quizQuestionSchema],
+    questionPools: [questionPoolSchema],
+    // Randomization applied to each attempt
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    shuffleOptions: {
+        type: Boolean,
+        default: false
+    },
     passingScore: {
         type: Number,
         default: 70,
@@ -69,6 +293,12 @@ const quizSchema = new mongoose.Schema({
         default: 1,
         min: 1
     },
+    // When students may see correct answers and explanations
+    reviewPolicy: {
+        type: String,
+        enum: ['never', 'after-each-attempt', 'after-last-attempt'],
+        default: 'after-each-attempt'
+    },
     courseId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Course',
@@ -91,4 +321,33 @@ quizSchema.index({ moduleId: 1 });
 quizSchema.index({ topicId: 1 });
 
 const Quiz = mongoose.model('Quiz', quizSchema);
+
+/**
+ * Validates questions against quizQuestionSchema before anything is saved
+ * @param {Array} questions - Raw question objects
+ * @returns {Array<{ index: number, field: string, message: string }>} Empty when valid
+ */
+export const validateQuizQuestions = (questions = []) => {
+    const draft = new Quiz({ questions });
+    const result = draft.validateSync(['questions']);
+
+    const errors = Object.entries(result?.errors || {})
+        .map(([key, error]) => {
+            const match = key.match(/^questions\.(\d+)\.?(.*)$/);
+            return match ? { index: Number(match[1]), field: match[2], message: error.message } : null;
+        })
+        .filter(error => error && error.field);
+
+    // Type-specific rules live in a validate hook, which validateSync does not run
+    draft.questions.forEach((question, index) => {
+        getQuestionErrors(question).forEach(({ path, message }) => {
+            if (!errors.some(error => error.index === index && error.field === path)) {
+                errors.push({ index, field: path, message });
+            }
+        });
+    });
+
+    return errors.sort((a, b) => a.index - b.index);
+};
+
 export default Quiz;
\ No newline at end of file
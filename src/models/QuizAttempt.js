@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import { quizQuestionSchema } from './Quiz.js';
+
+const attemptAnswerSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    answer: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    },
+    pointsAwarded: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    answeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Time the student spent on the question, as reported by the client
+    timeSpentSeconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+    quizId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    enrollmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment'
+    },
+    attemptNumber: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'submitted', 'auto-submitted'],
+        default: 'in-progress'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Server-side deadline derived from the quiz time limit
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastSavedAt: Date,
+    submittedAt: Date,
+
+    // The exact questions served, in the order served, with any option shuffling
+    // applied; grading and review use this set. Each keeps the _id of its source
+    // quiz or bank question.
+    questions: [quizQuestionSchema],
+
+    // Answers and grading
+    answers: [attemptAnswerSchema],
+    score: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    totalPoints: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    percentage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+// Indexes
+quizAttemptSchema.index({ quizId: 1, studentId: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ studentId: 1, createdAt: -1 });
+quizAttemptSchema.index({ quizId: 1, status: 1 });
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+export default QuizAttempt;
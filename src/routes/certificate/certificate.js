@@ -0,0 +1,387 @@
+import express from 'express';
+import {
+    verifyCertificate,
+    getMyCertificates,
+    claimCertificate,
+    getCertificates,
+    revokeCertificate,
+    reissueCertificate,
+    getCourseCertificateTemplate,
+    updateCourseCertificateTemplate
+} from '../../controllers/certificate/certificateController.js';
+import { authenticate, isAdmin, isInstructor } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Certificates
+ *   description: Course completion certificates and public verification
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Certificate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         serial:
+ *           type: string
+ *           example: TIC-2026-7K3QX9MD
+ *         student:
+ *           type: string
+ *           format: objectId
+ *         course:
+ *           type: string
+ *           format: objectId
+ *         studentName:
+ *           type: string
+ *         courseTitle:
+ *           type: string
+ *         instructorName:
+ *           type: string
+ *         completionDate:
+ *           type: string
+ *           format: date-time
+ *         grade:
+ *           type: number
+ *           example: 86.5
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         template:
+ *           type: string
+ *           enum: [course, platform]
+ *         pdf:
+ *           type: object
+ *           properties:
+ *             url:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [valid, revoked, superseded]
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revocationReason:
+ *           type: string
+ *         revocationLiftedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an admin reissued this revoked certificate, overriding the revocation
+ *         revocationLiftedBy:
+ *           type: string
+ *           format: objectId
+ *         revocationLiftReason:
+ *           type: string
+ *         replaces:
+ *           type: string
+ *           format: objectId
+ *         replacedBy:
+ *           type: string
+ *           format: objectId
+ *     CertificateVerification:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [valid, revoked, superseded]
+ *         serial:
+ *           type: string
+ *         studentName:
+ *           type: string
+ *         courseTitle:
+ *           type: string
+ *         instructorName:
+ *           type: string
+ *         completionDate:
+ *           type: string
+ *           format: date-time
+ *         grade:
+ *           type: number
+ *           nullable: true
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revocationReason:
+ *           type: string
+ *           nullable: true
+ *         replacedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Serial of the replacement when the certificate was reissued
+ *     CertificateTemplate:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Whether the course issues certificates
+ *         title:
+ *           type: string
+ *           example: Certificate of Completion
+ *         bodyText:
+ *           type: string
+ *           description: May use {studentName}, {courseTitle}, {completionDate} and {grade}
+ *         signatoryName:
+ *           type: string
+ *         signatoryTitle:
+ *           type: string
+ *         accentColor:
+ *           type: string
+ *           example: "#1a3c6e"
+ */
+
+/**
+ * @swagger
+ * /api/certificates/{serial}/verify:
+ *   get:
+ *     summary: Verify a certificate
+ *     description: Public check for employers; no login required. Revoked and reissued certificates are reported as not valid.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate details and status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateVerification'
+ *       404:
+ *         description: No certificate with this serial
+ */
+router.get('/:serial/verify', verifyCertificate);
+
+/**
+ * @swagger
+ * /api/certificates/me:
+ *   get:
+ *     summary: List my certificates
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates, newest first (reissued originals are left out)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Certificate'
+ */
+router.get('/me', authenticate, getMyCertificates);
+
+/**
+ * @swagger
+ * /api/certificates/courses/{courseId}:
+ *   post:
+ *     summary: Get the certificate for a completed course
+ *     description: Certificates are issued automatically on completion; this issues one if that failed and otherwise returns the existing certificate. A revoked certificate is not issued again; only an admin can reissue it.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The certificate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: The course is not completed or does not issue certificates
+ *       409:
+ *         description: The certificate for this course was revoked
+ */
+router.post('/courses/:courseId', authenticate, claimCertificate);
+
+/**
+ * @swagger
+ * /api/certificates/courses/{courseId}/template:
+ *   get:
+ *     summary: Get a course's certificate template
+ *     description: Returns the course overrides, the resolved design and the platform defaults
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate template
+ *       403:
+ *         description: Not the course instructor
+ *   put:
+ *     summary: Update a course's certificate template
+ *     description: Send an empty value to fall back to the platform default for that field. Issued certificates keep their design until reissued.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Invalid template values
+ *       403:
+ *         description: Not the course instructor
+ */
+router.get('/courses/:courseId/template', authenticate, isInstructor, getCourseCertificateTemplate);
+router.put('/courses/:courseId/template', authenticate, isInstructor, updateCourseCertificateTemplate);
+
+/**
+ * @swagger
+ * /api/certificates:
+ *   get:
+ *     summary: List certificates
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [valid, revoked, superseded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated certificates
+ *       403:
+ *         description: Admins only
+ */
+router.get('/', authenticate, isAdmin, getCertificates);
+
+/**
+ * @swagger
+ * /api/certificates/{serial}/revoke:
+ *   put:
+ *     summary: Revoke a certificate
+ *     description: The certificate stops verifying as valid and is removed from the student's profile
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Certificate revoked
+ *       409:
+ *         description: Certificate is not valid
+ */
+router.put('/:serial/revoke', authenticate, isAdmin, revokeCertificate);
+
+/**
+ * @swagger
+ * /api/certificates/{serial}/reissue:
+ *   post:
+ *     summary: Reissue a certificate
+ *     description: >
+ *       Issues a replacement under a new serial with the current student name, course title and
+ *       template. A valid original becomes superseded. Revoked certificates are refused unless
+ *       overrideRevocation is set with a reason; the original stays revoked and records who lifted
+ *       the revocation, when and why.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideRevocation:
+ *                 type: boolean
+ *                 description: Required to reissue a revoked certificate
+ *               reason:
+ *                 type: string
+ *                 description: Why the revocation is lifted; required with overrideRevocation
+ *     responses:
+ *       201:
+ *         description: Replacement certificate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: overrideRevocation given without a reason
+ *       409:
+ *         description: The certificate was already reissued, or is revoked and overrideRevocation was not set
+ */
+router.post('/:serial/reissue', authenticate, isAdmin, reissueCertificate);
+
+export default router;
@@ -11,7 +11,8 @@ import {
     updateCourseStep2, getInstructorModules, getEnrolledStudentModules,
     getEnrolledStudentQuizzes,
 
-    updateCourseStep3, deleteCourse, getCoursesByInstructor, getEnrolledCourses, getInstructorQuizzes
+    updateCourseStep3, deleteCourse, getCoursesByInstructor, getEnrolledCourses, getInstructorQuizzes,
+    getQuizItemAnalysis, getCompletionCriteria, updateCompletionCriteria
 } from '../../controllers/course/courseController.js';
 
 const router = express.Router();
@@ -1096,6 +1097,152 @@ router.get('/enrolled/:studentId', authenticate, getEnrolledCourses);
  *                     $ref: '#/components/schemas/QuizWithCourse'
  */
 router.get('/instructors/:instructorId/quizzes', authenticate, isInstructor, getInstructorQuizzes);
+
+/**
+ * @swagger
+ * /api/courses/instructors/{instructorId}/quizzes/{quizId}/analysis:
+ *   get:
+ *     tags: [Instructor]
+ *     summary: Item analysis for one of the instructor's quizzes
+ *     description: >
+ *       Per-question statistics from graded attempts - difficulty index (share answering correctly),
+ *       upper/lower 27% discrimination index, option pick counts, most common free-text responses and
+ *       average time per question - plus the score distribution. Questions that look broken or
+ *       ambiguous carry flags such as very-hard or negative-discrimination.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: instructorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only attempts submitted on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Item analysis report (JSON, or a CSV file with one row per question)
+ *       403:
+ *         description: Not the requesting instructor
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/instructors/:instructorId/quizzes/:quizId/analysis', authenticate, isInstructor, getQuizItemAnalysis);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseCompletionCriteria:
+ *       type: object
+ *       properties:
+ *         topics:
+ *           type: string
+ *           enum: [all, selected, none]
+ *           default: all
+ *           description: Which topics must be completed - every topic, only requiredTopics, or none
+ *         requiredTopics:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Topic IDs required when topics is "selected"
+ *         minAverageQuizScore:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Minimum average of the best attempt on every course quiz (unattempted quizzes count as 0)
+ *           example: 70
+ *         requiredQuizzes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Quiz IDs that must be passed
+ *         minTimeSpentMinutes:
+ *           type: number
+ *           minimum: 0
+ *           description: Minimum total time spent on the course topics
+ *           example: 120
+ */
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/completion-criteria:
+ *   get:
+ *     tags: [Instructor]
+ *     summary: Get the completion criteria of one of the instructor's courses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Completion criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 completionCriteria:
+ *                   $ref: '#/components/schemas/CourseCompletionCriteria'
+ *       404:
+ *         description: Course not found or not owned by the instructor
+ *   put:
+ *     tags: [Instructor]
+ *     summary: Update the completion criteria of one of the instructor's courses
+ *     description: >
+ *       Criteria are checked whenever a student's progress changes. Once they are all met the
+ *       enrollment moves to completed and the course is added to the student's completed courses
+ *       with a grade (the average best quiz score). Only the fields sent are changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseCompletionCriteria'
+ *     responses:
+ *       200:
+ *         description: Completion criteria updated
+ *       400:
+ *         description: Invalid criteria, or topics/quizzes that are not in the course
+ *       404:
+ *         description: Course not found or not owned by the instructor
+ */
+router.get('/:courseId/completion-criteria', authenticate, isInstructor, getCompletionCriteria);
+router.put('/:courseId/completion-criteria', authenticate, isInstructor, updateCompletionCriteria);
 /**
  * @swagger
  * /api/courses/instructors/{instructorId}/modules:
@@ -1,6 +1,14 @@
 // routes/progress.js
 import express from 'express';
-import { updateProgress } from '../../controllers/progress/progressController.js';
+import {
+    updateProgress,
+    getCourseProgress,
+    getTopicProgress,
+    updateTopicProgress,
+    completeTopic,
+    getCourseCompletion
+} from '../../controllers/progress/progressController.js';
+import { authenticate } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -11,12 +19,202 @@ const router = express.Router();
  *   description: Course progress tracking
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TopicProgress:
+ *       type: object
+ *       properties:
+ *         moduleId:
+ *           type: string
+ *           format: objectId
+ *         topicId:
+ *           type: string
+ *           format: objectId
+ *         topicType:
+ *           type: string
+ *           enum: [video, pdf, text, quiz]
+ *         status:
+ *           type: string
+ *           enum: [not-started, in-progress, completed]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         timeSpentSeconds:
+ *           type: number
+ *           example: 420
+ *         lastPosition:
+ *           type: number
+ *           description: Last video position in seconds, used to resume playback
+ *           example: 312.5
+ *         duration:
+ *           type: number
+ *           description: Video length in seconds
+ *         pagesViewed:
+ *           type: array
+ *           items:
+ *             type: number
+ *           example: [1, 2, 3]
+ *         totalPages:
+ *           type: number
+ *         lastAccessed:
+ *           type: string
+ *           format: date-time
+ *     Progress:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         userId:
+ *           type: string
+ *           format: objectId
+ *         courseId:
+ *           type: string
+ *           format: objectId
+ *         topics:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TopicProgress'
+ *         completedModules:
+ *           type: array
+ *           description: Modules whose topics are all completed
+ *           items:
+ *             type: string
+ *             format: objectId
+ *         percentage:
+ *           type: number
+ *           description: Share of the course topics completed, mirrored to the enrollment and profile
+ *           example: 45
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         lastAccessed:
+ *           type: string
+ *           format: date-time
+ *     TopicProgressReport:
+ *       type: object
+ *       properties:
+ *         timeSpentSeconds:
+ *           type: number
+ *           description: Time spent on the topic since the previous report
+ *           example: 30
+ *         position:
+ *           type: number
+ *           description: Current video position in seconds
+ *           example: 312.5
+ *         duration:
+ *           type: number
+ *           description: Video length in seconds; defaults to the topic duration
+ *         pages:
+ *           type: array
+ *           description: PDF pages viewed (a single page number is also accepted)
+ *           items:
+ *             type: number
+ *           example: [4, 5]
+ *         totalPages:
+ *           type: number
+ *           description: PDF page count
+ *         completed:
+ *           type: boolean
+ *           description: Mark a text, video or PDF topic complete
+ */
+
+/**
+ * @swagger
+ * /progress/{courseId}:
+ *   get:
+ *     summary: Get the authenticated student's progress in a course
+ *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Course progress with per-topic entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Progress'
+ *       403:
+ *         description: Not enrolled in the course
+ */
+router.get('/:courseId', authenticate, getCourseProgress);
+
+/**
+ * @swagger
+ * /progress/{courseId}/completion:
+ *   get:
+ *     summary: Check the authenticated student against the course completion criteria
+ *     description: >
+ *       Lists each criterion the instructor set with the required and actual values. The grade is
+ *       the average best score across the course quizzes.
+ *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Completion status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 completed:
+ *                   type: boolean
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 grade:
+ *                   type: number
+ *                   nullable: true
+ *                 criteria:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       criterion:
+ *                         type: string
+ *                         enum: [topics, minAverageQuizScore, requiredQuizzes, minTimeSpentMinutes]
+ *                       required:
+ *                         type: number
+ *                       actual:
+ *                         type: number
+ *                       met:
+ *                         type: boolean
+ *                 completionCriteria:
+ *                   $ref: '#/components/schemas/CourseCompletionCriteria'
+ *       403:
+ *         description: Not enrolled in the course
+ */
+router.get('/:courseId/completion', authenticate, getCourseCompletion);
+
 /**
  * @swagger
  * /progress/{courseId}/progress:
  *   post:
- *     summary: Update progress for a user in a course
+ *     summary: Mark every text, video and PDF topic of a module complete
+ *     description: >
+ *       Kept for older clients. Quiz topics are only completed by passing the quiz;
+ *       module completion is derived from the topics.
  *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: courseId
@@ -31,14 +229,10 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               userId:
- *                 type: string
- *                 description: ID of the user
  *               moduleId:
  *                 type: string
  *                 description: ID of the module completed
  *             required:
- *               - userId
  *               - moduleId
  *     responses:
  *       200:
@@ -47,10 +241,125 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Progress'
- *       500:
- *         description: Server error
+ *       400:
+ *         description: Invalid module ID
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Module not found in the course
  */
+router.post('/:courseId/progress', authenticate, updateProgress);
 
-router.post('/:courseId/progress', updateProgress);
+/**
+ * @swagger
+ * /progress/{courseId}/topics/{topicId}:
+ *   get:
+ *     summary: Get progress on one topic, including where video playback should resume
+ *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Topic progress (status not-started when the topic was never opened)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TopicProgress'
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Topic not found in the course
+ *   put:
+ *     summary: Report progress on a topic
+ *     description: >
+ *       Records time spent, the video position and PDF pages viewed. Videos complete once 90%
+ *       has been watched and PDFs once every page has been viewed. Module completion, the
+ *       course percentage, the enrollment progress and the profile mirror are updated.
+ *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TopicProgressReport'
+ *     responses:
+ *       200:
+ *         description: Topic progress updated; metadata holds the course percentage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TopicProgress'
+ *       400:
+ *         description: Quiz topics cannot be marked complete directly
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Topic not found in the course
+ */
+router.get('/:courseId/topics/:topicId', authenticate, getTopicProgress);
+router.put('/:courseId/topics/:topicId', authenticate, updateTopicProgress);
+
+/**
+ * @swagger
+ * /progress/{courseId}/topics/{topicId}/complete:
+ *   post:
+ *     summary: Mark a text, video or PDF topic complete
+ *     tags: [Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TopicProgressReport'
+ *     responses:
+ *       200:
+ *         description: Topic marked complete; metadata holds the course percentage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TopicProgress'
+ *       400:
+ *         description: Quiz topics are completed by passing the quiz
+ *       403:
+ *         description: Not enrolled in the course
+ */
+router.post('/:courseId/topics/:topicId/complete', authenticate, completeTopic);
 
 export default router;
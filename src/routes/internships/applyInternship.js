@@ -17,6 +17,10 @@ router.use('/uploads', initUploadDirectory());
  * /api/internship/{id}/apply:
  *   post:
  *     summary: Submit internship application
+ *     description: >
+ *       Applications close at the internship's applicationDeadline. Once maxApplications have been
+ *       taken into review, further applications are waitlisted, and take a place in arrival order when
+ *       one is withdrawn; when the waitlist is full too, applications are refused.
  *     tags: [Internship Applications]
  *     security:
  *       - bearerAuth: []
@@ -66,6 +70,19 @@ router.use('/uploads', initUploadDirectory());
  *               portfolioUrl:
  *                 type: string
  *                 format: uri
+ *               answers:
+ *                 type: string
+ *                 description: >
+ *                   JSON object answering the internship's applicationQuestions, keyed by question ID.
+ *                   Text and url questions take a string, single-choice one of the options, multi-choice
+ *                   an array of options, and file questions the index of a file in answerFiles.
+ *                 example: '{"665f1c2ab4e1f20012a3b4c5": "Backend", "665f1c2ab4e1f20012a3b4c6": 0}'
+ *               answerFiles:
+ *                 type: array
+ *                 description: Files answering file questions (PDF or Word, max 5MB each)
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
  *         description: Application created
@@ -74,11 +91,13 @@ router.use('/uploads', initUploadDirectory());
  *             schema:
  *               $ref: '#/components/schemas/InternshipApplication'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or answers missing or not matching the internship's questions
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Internship not found
+ *         description: Internship not found or not accepting applications
+ *       409:
+ *         description: Deadline passed, or the application limit and waitlist are full
  *       413:
  *         description: File too large
  *       500:
@@ -90,7 +109,8 @@ router.post(
     isStudent,
     upload.fields([
         { name: 'resumeFile', maxCount: 1 },
-        { name: 'supportLetter', maxCount: 1 }
+        { name: 'supportLetter', maxCount: 1 },
+        { name: 'answerFiles', maxCount: 10 }
     ]),
     attachFileUrls,
     applyForInternship
@@ -0,0 +1,257 @@
+import express from 'express';
+import {
+    getEnrollmentAttendance,
+    overrideAttendance,
+    generateAttendance,
+    exportTimesheet
+} from '../../controllers/internship/attendanceController.js';
+import { authenticate, isAdmin, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance
+ *   description: Daily internship attendance generated from enrollment schedules and daily logs
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceRecord:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         enrollmentId:
+ *           type: string
+ *         studentId:
+ *           type: string
+ *         internshipId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [present, absent, late, half-day, sick-leave, authorized-absence, holiday, weekend]
+ *         checkInTime:
+ *           type: string
+ *           example: "09:05"
+ *         checkOutTime:
+ *           type: string
+ *           example: "17:00"
+ *         totalHours:
+ *           type: number
+ *         expectedHours:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         isExcused:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ *         markedBy:
+ *           type: object
+ *         markedAt:
+ *           type: string
+ *           format: date-time
+ *         isAutoGenerated:
+ *           type: boolean
+ *         wasModified:
+ *           type: boolean
+ *           description: Set once a supervisor overrides the record; the generator no longer touches it
+ */
+
+/**
+ * @swagger
+ * /api/attendance/enrollments/{enrollmentId}:
+ *   get:
+ *     summary: Get an enrollment's attendance
+ *     description: Records newest first, with day counts per status and hour totals for the period in metadata.summary.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, absent, late, half-day, sick-leave, authorized-absence, holiday, weekend]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 31
+ *     responses:
+ *       200:
+ *         description: Paginated attendance records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AttendanceRecord'
+ *       403:
+ *         description: Not the admin, the assigned mentor or supervisor, or the intern
+ */
+router.get('/enrollments/:enrollmentId', authenticate, getEnrollmentAttendance);
+
+/**
+ * @swagger
+ * /api/attendance/enrollments/{enrollmentId}/timesheet:
+ *   get:
+ *     summary: Download a monthly timesheet
+ *     description: >
+ *       One row per day of the month (clipped to the internship dates) with attendance status,
+ *       check-in/out, hours worked, expected hours and the daily log status, followed by totals of
+ *       hours worked versus expected hours. Approved leave does not count towards expected hours.
+ *       The PDF has signature lines for the intern and mentor.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2026-03
+ *         description: YYYY-MM; defaults to the current month
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Timesheet file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid month or format, or month outside the internship
+ *       403:
+ *         description: Not the admin, the assigned mentor or supervisor, or the intern
+ */
+router.get('/enrollments/:enrollmentId/timesheet', authenticate, exportTimesheet);
+
+/**
+ * @swagger
+ * /api/attendance/generate:
+ *   post:
+ *     summary: Generate attendance for a day (Admin only)
+ *     description: >
+ *       Runs the daily generator now, e.g. to backfill a missed day. Non-working days become weekend,
+ *       internship holidays become holiday, and working days are present, late (check-in more than
+ *       15 minutes after dailyStartTime) or absent (no check-in in the day's log). Overridden records are kept.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to yesterday
+ *     responses:
+ *       200:
+ *         description: Number of records generated and overrides kept
+ *       400:
+ *         description: Invalid or future date
+ */
+router.post('/generate', authenticate, isAdmin, generateAttendance);
+
+/**
+ * @swagger
+ * /api/attendance/{id}:
+ *   put:
+ *     summary: Override an attendance record
+ *     description: >
+ *       For the enrollment's supervisor or an admin. Changed times recompute totalHours unless it is
+ *       given. The record is marked wasModified with markedBy set to the caller.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, half-day, sick-leave, authorized-absence, holiday, weekend]
+ *               checkInTime:
+ *                 type: string
+ *               checkOutTime:
+ *                 type: string
+ *               totalHours:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               isExcused:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Record updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceRecord'
+ *       400:
+ *         description: Invalid values
+ *       403:
+ *         description: Not the admin or the assigned supervisor
+ *       404:
+ *         description: Attendance record not found
+ */
+router.put('/:id', authenticate, hasRole('admin', 'supervisor'), overrideAttendance);
+
+export default router;
@@ -0,0 +1,415 @@
+import express from 'express';
+import {
+    createLog,
+    getEnrollmentLogs,
+    getReviewQueue,
+    getLogById,
+    updateLog,
+    deleteLog,
+    submitLog,
+    reviewLog
+} from '../../controllers/internship/dailyLogController.js';
+import { authenticate, isStudent, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Daily Logs
+ *   description: Interns' daily activity logs and mentor review
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DailyLogInput:
+ *       type: object
+ *       properties:
+ *         checkInTime:
+ *           type: string
+ *           example: "09:00"
+ *         checkOutTime:
+ *           type: string
+ *           example: "17:30"
+ *         breakTime:
+ *           type: number
+ *           description: Minutes
+ *         activities:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [task, difficulty, timeSpent]
+ *             properties:
+ *               task:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [learning, coding, research, meeting, documentation, testing, other]
+ *               difficulty:
+ *                 type: string
+ *                 enum: [Very Easy, Easy, Medium, Hard, Very Hard]
+ *               timeSpent:
+ *                 type: number
+ *                 description: Minutes
+ *               completed:
+ *                 type: boolean
+ *               completionPercentage:
+ *                 type: number
+ *         whatYouDid:
+ *           type: string
+ *           description: 50-1000 characters; required to submit
+ *         challengesFaced:
+ *           type: string
+ *         solutionsFound:
+ *           type: string
+ *         nextSteps:
+ *           type: string
+ *         skillsLearned:
+ *           type: array
+ *           items:
+ *             type: string
+ *         skillsImproved:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               skill:
+ *                 type: string
+ *               improvementLevel:
+ *                 type: string
+ *                 enum: [slight, moderate, significant]
+ *         resourcesUsed:
+ *           type: array
+ *           items:
+ *             type: string
+ *         goalsSet:
+ *           type: array
+ *           items:
+ *             type: string
+ *         goalsAchieved:
+ *           type: array
+ *           items:
+ *             type: string
+ *         moodRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         satisfactionLevel:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *     DailyLogReview:
+ *       type: object
+ *       required: [decision]
+ *       properties:
+ *         decision:
+ *           type: string
+ *           enum: [approved, needs-revision]
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         technicalRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         effortRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comments:
+ *           type: string
+ *           description: Required when asking for a revision
+ *         suggestions:
+ *           type: string
+ *     DailyLog:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DailyLogInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             enrollmentId:
+ *               type: string
+ *             studentId:
+ *               type: string
+ *             internshipId:
+ *               type: string
+ *             date:
+ *               type: string
+ *               format: date-time
+ *             totalHours:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [draft, submitted, reviewed, approved, needs-revision]
+ *             isLateSubmission:
+ *               type: boolean
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *             mentorFeedback:
+ *               type: object
+ *             reviewHistory:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DailyLogReview'
+ */
+
+/**
+ * @swagger
+ * /api/daily-logs/review-queue:
+ *   get:
+ *     summary: Submitted logs waiting for review
+ *     description: Mentors see their assigned interns' logs and admins every log, oldest submission first.
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated logs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DailyLog'
+ */
+router.get('/review-queue', authenticate, hasRole('admin', 'mentor'), getReviewQueue);
+
+/**
+ * @swagger
+ * /api/daily-logs/enrollments/{enrollmentId}:
+ *   post:
+ *     summary: Start a draft daily log
+ *     description: One log per day, within the internship period and not in the future. The enrollment must be active.
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required: [date]
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *               - $ref: '#/components/schemas/DailyLogInput'
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DailyLog'
+ *       400:
+ *         description: Invalid date or fields
+ *       403:
+ *         description: Not the intern on this enrollment
+ *       409:
+ *         description: A log already exists for this date or the enrollment is not active
+ *   get:
+ *     summary: List an enrollment's daily logs
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, submitted, reviewed, approved, needs-revision]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated logs, newest day first
+ *       403:
+ *         description: Not the admin, the assigned mentor or the intern
+ */
+router.post('/enrollments/:enrollmentId', authenticate, isStudent, createLog);
+router.get('/enrollments/:enrollmentId', authenticate, getEnrollmentLogs);
+
+/**
+ * @swagger
+ * /api/daily-logs/{id}:
+ *   get:
+ *     summary: Get a daily log
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DailyLog'
+ *       404:
+ *         description: Daily log not found
+ *   put:
+ *     summary: Edit a daily log
+ *     description: Only drafts and logs returned for revision can be edited.
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DailyLogInput'
+ *     responses:
+ *       200:
+ *         description: Log updated
+ *       400:
+ *         description: Invalid fields
+ *       409:
+ *         description: The log is submitted or approved
+ *   delete:
+ *     summary: Delete a draft daily log
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Log deleted
+ *       409:
+ *         description: Only drafts can be deleted
+ */
+router.get('/:id', authenticate, getLogById);
+router.put('/:id', authenticate, isStudent, updateLog);
+router.delete('/:id', authenticate, isStudent, deleteLog);
+
+/**
+ * @swagger
+ * /api/daily-logs/{id}/submit:
+ *   post:
+ *     summary: Submit a daily log for review
+ *     description: >
+ *       A log is due by the end of its day. When the enrollment allows late submissions it is accepted
+ *       for maxLateSubmissionHours afterwards and marked isLateSubmission; otherwise it is rejected.
+ *       Resubmitting a revised log keeps the original lateness.
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Log submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DailyLog'
+ *       400:
+ *         description: Incomplete log or submission window closed
+ *       409:
+ *         description: The log was already submitted
+ */
+router.post('/:id/submit', authenticate, isStudent, submitLog);
+
+/**
+ * @swagger
+ * /api/daily-logs/{id}/review:
+ *   put:
+ *     summary: Review a submitted daily log
+ *     description: Approves the log or returns it to the intern as needs-revision. The intern is notified either way.
+ *     tags: [Daily Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DailyLogReview'
+ *     responses:
+ *       200:
+ *         description: Review recorded
+ *       400:
+ *         description: Invalid decision, ratings or missing comments
+ *       403:
+ *         description: Not the admin or the assigned mentor
+ *       409:
+ *         description: The log is not waiting for review
+ */
+router.put('/:id/review', authenticate, hasRole('admin', 'mentor'), reviewLog);
+
+export default router;
@@ -1,8 +1,45 @@
 import express from 'express';
 import { createInternship, getInternships, getInternshipById, updateInternship, deleteInternship } from '../../controllers/internship/internshipController.js';
+import { getRankedApplicants } from '../../controllers/internship/applicationReviewController.js';
 import { authenticate, isAdmin } from '../../middleware/auth.js';
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApplicationQuestion:
+ *       type: object
+ *       required: [label, type]
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Key for the answer when applying; generated
+ *         label:
+ *           type: string
+ *           maxLength: 300
+ *           example: "Which team would you like to join?"
+ *         type:
+ *           type: string
+ *           enum: [text, single-choice, multi-choice, file, url]
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         helpText:
+ *           type: string
+ *           maxLength: 500
+ *         options:
+ *           type: array
+ *           description: At least two distinct choices for single-choice and multi-choice questions
+ *           items:
+ *             type: string
+ *           example: ["Backend", "Frontend", "Data"]
+ *         maxLength:
+ *           type: integer
+ *           default: 1000
+ *           description: Longest text answer
+ */
+
 /**
  * @swagger
  * /api/internships:
@@ -83,6 +120,25 @@ const router = express.Router();
  *                 type: string
  *                 format: date
  *                 example: "2025-07-05"
+ *                 description: Active postings are closed automatically once it passes
+ *               maxApplications:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Applications taken into review; later ones are waitlisted. Omit for no limit
+ *               waitlistSize:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Applications that may wait for a place; omit for no limit
+ *               slots:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Interns that can be accepted; omit for no limit
+ *               applicationQuestions:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Posting-specific questions applicants answer besides the standard fields
+ *                 items:
+ *                   $ref: '#/components/schemas/ApplicationQuestion'
  *     responses:
  *       201:
  *         description: Internship created successfully
@@ -275,6 +331,77 @@ router.get('/:id', getInternshipById);
  *               location:
  *                 type: string
  *                 example: "Updated Location"
+ *               holidays:
+ *                 type: array
+ *                 description: Days off for all interns, marked as holidays in attendance
+ *                 items:
+ *                   type: object
+ *                   required: [date]
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                       example: "2025-12-25"
+ *                     name:
+ *                       type: string
+ *                       example: "Christmas Day"
+ *               gradingWeights:
+ *                 type: object
+ *                 description: >
+ *                   Share of the final intern grade per component (0-100 each, at least one above 0).
+ *                   Components with nothing to grade are left out and the others scaled up.
+ *                 properties:
+ *                   attendance:
+ *                     type: number
+ *                     default: 20
+ *                   milestones:
+ *                     type: number
+ *                     default: 30
+ *                   dailyLogs:
+ *                     type: number
+ *                     default: 20
+ *                   finalReport:
+ *                     type: number
+ *                     default: 30
+ *               rankingWeights:
+ *                 type: object
+ *                 description: >
+ *                   Share of an applicant's ranking score per component (0-100 each, at least one above 0).
+ *                   Components with nothing to compare are left out and the others scaled up.
+ *                 properties:
+ *                   skills:
+ *                     type: number
+ *                     default: 40
+ *                   qualifications:
+ *                     type: number
+ *                     default: 15
+ *                   courses:
+ *                     type: number
+ *                     default: 20
+ *                   certifications:
+ *                     type: number
+ *                     default: 15
+ *                   academicYear:
+ *                     type: number
+ *                     default: 10
+ *               maxApplications:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Applications taken into review; later ones are waitlisted. Omit for no limit
+ *               waitlistSize:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Applications that may wait for a place; omit for no limit
+ *               slots:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Interns that can be accepted; omit for no limit
+ *               applicationQuestions:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Posting-specific questions applicants answer besides the standard fields
+ *                 items:
+ *                   $ref: '#/components/schemas/ApplicationQuestion'
  *     responses:
  *       200:
  *         description: Internship updated successfully
@@ -310,6 +437,91 @@ router.get('/:id', getInternshipById);
  *         description: Server error
  */
 router.patch('/:id', authenticate, isAdmin, updateInternship);
+
+/**
+ * @swagger
+ * /api/internships/{id}/applicants/ranking:
+ *   get:
+ *     summary: Rank an internship's applicants by fit (Admin only)
+ *     description: >
+ *       Scores each applicant 0-100 per component, then combines them with the internship's rankingWeights
+ *       (change them with PATCH /api/internships/{id}). skills matches the internship's skills against the
+ *       applicant's profile skills, verified ones counting in full; qualifications looks for each
+ *       qualification's keywords in their education, experience, skills, certifications and courses;
+ *       courses and certifications count completed portal courses, portal certificates and self-reported
+ *       certifications related to the internship's domain and skills; academicYear favours later years.
+ *       Withdrawn and rejected applications are left out unless asked for by status. The weights used are
+ *       in metadata.weights.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Under Review, Shortlisted, Interviewing, Accepted, Rejected, Withdrawn, Waitlisted]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applicants, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   rank:
+ *                     type: integer
+ *                   applicationId:
+ *                     type: string
+ *                   student:
+ *                     type: object
+ *                   status:
+ *                     type: string
+ *                   score:
+ *                     type: number
+ *                     nullable: true
+ *                   components:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         component:
+ *                           type: string
+ *                           enum: [skills, qualifications, courses, certifications, academicYear]
+ *                         weight:
+ *                           type: number
+ *                         score:
+ *                           type: number
+ *                           nullable: true
+ *                         basis:
+ *                           type: string
+ *                         matched:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       400:
+ *         description: Invalid internship ID or status
+ *       404:
+ *         description: Internship not found
+ */
+router.get('/:id/applicants/ranking', authenticate, isAdmin, getRankedApplicants);
 /**
  * @swagger
  * /api/internships/{id}:
@@ -0,0 +1,154 @@
+import express from 'express';
+import { getDashboard } from '../../controllers/internship/internshipDashboardController.js';
+import { authenticate, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Internship Dashboard
+ *   description: Overview of assigned interns for mentors and supervisors
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DashboardTotals:
+ *       type: object
+ *       properties:
+ *         interns:
+ *           type: integer
+ *         pendingLogs:
+ *           type: integer
+ *           description: Submitted daily logs waiting for review
+ *         overdueMilestones:
+ *           type: integer
+ *         reportsAwaitingEvaluation:
+ *           type: integer
+ *           description: Draft progress reports
+ *         averageAttendanceRate:
+ *           type: number
+ *           nullable: true
+ *     DashboardIntern:
+ *       type: object
+ *       properties:
+ *         enrollmentId:
+ *           type: string
+ *         student:
+ *           type: object
+ *         internship:
+ *           type: object
+ *         mentor:
+ *           type: object
+ *         supervisor:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [active, completed, terminated, on-hold, suspended]
+ *         actualStartDate:
+ *           type: string
+ *           format: date-time
+ *         actualEndDate:
+ *           type: string
+ *           format: date-time
+ *         attendanceThisWeek:
+ *           type: object
+ *           description: Monday to today; excused leave is left out of the rate
+ *           properties:
+ *             workingDays:
+ *               type: integer
+ *             daysPresent:
+ *               type: integer
+ *             daysLate:
+ *               type: integer
+ *             daysAbsent:
+ *               type: integer
+ *             daysExcused:
+ *               type: integer
+ *             attendanceRate:
+ *               type: number
+ *               nullable: true
+ *               description: Null until a countable working day is recorded
+ *         pendingLogs:
+ *           type: object
+ *           properties:
+ *             count:
+ *               type: integer
+ *             oldestSubmittedAt:
+ *               type: string
+ *               format: date-time
+ *         overdueMilestones:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               targetDate:
+ *                 type: string
+ *                 format: date-time
+ *               completionPercentage:
+ *                 type: number
+ *         reportsAwaitingEvaluation:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               reportType:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/internship-dashboard:
+ *   get:
+ *     summary: Dashboard of the interns the user oversees
+ *     description: >
+ *       Mentors see their assigned interns, supervisors every intern they supervise (across mentors)
+ *       and admins all interns. Each intern comes with their enrollment status, attendance this week,
+ *       daily logs waiting for review, overdue milestones and draft reports waiting for evaluation.
+ *       Totals are in metadata.summary; supervisors and admins also get metadata.byMentor.
+ *     tags: [Internship Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, terminated, on-hold, suspended]
+ *         description: Defaults to active, on-hold and suspended enrollments
+ *       - in: query
+ *         name: mentorId
+ *         schema:
+ *           type: string
+ *         description: Only this mentor's interns (supervisors and admins)
+ *     responses:
+ *       200:
+ *         description: Interns, with totals in metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DashboardIntern'
+ *       400:
+ *         description: Invalid status or mentor ID
+ *       403:
+ *         description: Not a mentor, supervisor or admin
+ */
+router.get('/', authenticate, hasRole('admin', 'mentor', 'supervisor'), getDashboard);
+
+export default router;
@@ -0,0 +1,396 @@
+import express from 'express';
+import {
+    onboardApplication,
+    getInternshipEnrollments,
+    getInternshipEnrollmentById,
+    updateInternshipEnrollment,
+    updateInternshipEnrollmentStatus,
+    getInternshipEnrollmentGrade
+} from '../../controllers/internship/internshipEnrollmentController.js';
+import { authenticate, isAdmin, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Internship Enrollments
+ *   description: Onboarding accepted applicants and managing their internship enrollments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InternshipEnrollmentInput:
+ *       type: object
+ *       properties:
+ *         actualStartDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the internship start date
+ *         actualEndDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the internship end date
+ *         workingDays:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *           description: Defaults to Monday-Friday
+ *         dailyStartTime:
+ *           type: string
+ *           example: "09:00"
+ *         dailyEndTime:
+ *           type: string
+ *           example: "17:00"
+ *         mentorId:
+ *           type: string
+ *           description: A user with the mentor role
+ *         supervisorId:
+ *           type: string
+ *           description: A user with the supervisor role; oversees attendance
+ *         weeklyExpectedHours:
+ *           type: number
+ *           description: Defaults to the daily hours times the number of working days
+ *         requiresDailySubmission:
+ *           type: boolean
+ *         allowLateSubmissions:
+ *           type: boolean
+ *         maxLateSubmissionHours:
+ *           type: number
+ *     InternshipEnrollment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/InternshipEnrollmentInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             studentId:
+ *               type: object
+ *             internshipId:
+ *               type: object
+ *             applicationId:
+ *               type: string
+ *             totalExpectedHours:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [active, completed, terminated, on-hold, suspended]
+ *             statusHistory:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   from:
+ *                     type: string
+ *                   to:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *                   note:
+ *                     type: string
+ *                   changedBy:
+ *                     type: string
+ *                   changedAt:
+ *                     type: string
+ *                     format: date-time
+ *             enrolledAt:
+ *               type: string
+ *               format: date-time
+ *             completedAt:
+ *               type: string
+ *               format: date-time
+ *             terminatedAt:
+ *               type: string
+ *               format: date-time
+ *             pausedAt:
+ *               type: string
+ *               format: date-time
+ *             completionReason:
+ *               type: string
+ *               enum: [successful, early-termination, mutual-agreement, performance-issues, other]
+ *             finalGrade:
+ *               type: string
+ *             grading:
+ *               $ref: '#/components/schemas/FinalGrade'
+ *     FinalGrade:
+ *       type: object
+ *       properties:
+ *         score:
+ *           type: number
+ *           nullable: true
+ *           description: Weighted 0-100 score; null when nothing has been graded
+ *         suggestedGrade:
+ *           type: string
+ *           nullable: true
+ *           enum: [A+, A, A-, B+, B, B-, C+, C, C-, D, F]
+ *         components:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               component:
+ *                 type: string
+ *                 enum: [attendance, milestones, dailyLogs, finalReport]
+ *               weight:
+ *                 type: number
+ *               score:
+ *                 type: number
+ *                 nullable: true
+ *               basis:
+ *                 type: string
+ *         adjustmentReason:
+ *           type: string
+ *         gradedBy:
+ *           type: string
+ *         gradedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/internship-enrollments/applications/{applicationId}:
+ *   post:
+ *     summary: Accept an application and enroll the applicant (Admin only)
+ *     description: >
+ *       Creates the enrollment with its schedule and mentor. The application must be Shortlisted or
+ *       Interviewing, and is moved to Accepted, or already Accepted through PUT /api/applications/{id}/status.
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InternshipEnrollmentInput'
+ *     responses:
+ *       201:
+ *         description: Enrollment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InternshipEnrollment'
+ *       400:
+ *         description: Invalid schedule, mentor or supervisor
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: >
+ *           Application not Shortlisted, Interviewing or Accepted, changed meanwhile, slots filled, or the
+ *           applicant is already enrolled
+ */
+router.post('/applications/:applicationId', authenticate, isAdmin, onboardApplication);
+
+/**
+ * @swagger
+ * /api/internship-enrollments:
+ *   get:
+ *     summary: List internship enrollments
+ *     description: Admins see every enrollment, mentors and supervisors their assigned interns and students their own.
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, terminated, on-hold, suspended]
+ *       - in: query
+ *         name: internshipId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mentorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: supervisorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated enrollments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InternshipEnrollment'
+ */
+router.get('/', authenticate, hasRole('admin', 'mentor', 'supervisor', 'student'), getInternshipEnrollments);
+
+/**
+ * @swagger
+ * /api/internship-enrollments/{id}:
+ *   get:
+ *     summary: Get an internship enrollment
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The enrollment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InternshipEnrollment'
+ *       403:
+ *         description: Not the admin, the assigned mentor or supervisor, or the student
+ *       404:
+ *         description: Enrollment not found
+ *   put:
+ *     summary: Update an internship enrollment
+ *     description: >
+ *       Admins can change the schedule, mentor, supervisor and submission settings. The assigned mentor can only
+ *       change requiresDailySubmission, allowLateSubmissions and maxLateSubmissionHours.
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InternshipEnrollmentInput'
+ *     responses:
+ *       200:
+ *         description: Enrollment updated
+ *       400:
+ *         description: Invalid schedule
+ *       403:
+ *         description: Not allowed to change these fields
+ *       409:
+ *         description: The enrollment is completed or terminated
+ */
+router.get('/:id', authenticate, getInternshipEnrollmentById);
+router.put('/:id', authenticate, hasRole('admin', 'mentor'), updateInternshipEnrollment);
+
+/**
+ * @swagger
+ * /api/internship-enrollments/{id}/status:
+ *   put:
+ *     summary: Change an internship enrollment's status
+ *     description: >
+ *       Active enrollments can be put on hold, suspended, completed or terminated; paused ones can be
+ *       resumed. Completed and terminated are final. Every change is added to statusHistory.
+ *       Completing grades the intern (see GET /api/internship-enrollments/{id}/grade): finalGrade
+ *       defaults to the suggested grade, and a different grade needs an adjustmentReason. While the final
+ *       report counts towards the grade but has no overallRating, completing is refused with 409 and the
+ *       report is drafted for the mentor to evaluate; finalReportWaiverReason grades without it. The
+ *       breakdown is kept in grading and the internship is added to the intern's profile experience.
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, on-hold, suspended, completed, terminated]
+ *               completionReason:
+ *                 type: string
+ *                 enum: [successful, early-termination, mutual-agreement, performance-issues, other]
+ *                 description: Required when terminating; defaults to successful when completing
+ *               finalGrade:
+ *                 type: string
+ *                 enum: [A+, A, A-, B+, B, B-, C+, C, C-, D, F]
+ *                 description: When completing; required if nothing has been graded
+ *               adjustmentReason:
+ *                 type: string
+ *                 description: Required when finalGrade differs from the suggested grade
+ *               finalReportWaiverReason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Complete and grade without an evaluated final report
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Missing status, completion reason, final grade or adjustment reason
+ *       409:
+ *         description: Transition not allowed, or the final report is not evaluated yet
+ */
+router.put('/:id/status', authenticate, hasRole('admin', 'mentor'), updateInternshipEnrollmentStatus);
+
+/**
+ * @swagger
+ * /api/internship-enrollments/{id}/grade:
+ *   get:
+ *     summary: Preview an intern's final grade
+ *     description: >
+ *       Weighted score from attendance percentage, milestone evaluations, daily-log mentor ratings and
+ *       the final progress report's overall rating, using the internship's gradingWeights. Ratings
+ *       (1-5) count as percentages. Components with nothing to grade are left out. The mentor confirms
+ *       or adjusts the suggested grade when completing the enrollment.
+ *     tags: [Internship Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Score breakdown and suggested grade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FinalGrade'
+ *       403:
+ *         description: Not the admin or the assigned mentor
+ */
+router.get('/:id/grade', authenticate, hasRole('admin', 'mentor'), getInternshipEnrollmentGrade);
+
+export default router;
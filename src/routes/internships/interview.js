@@ -0,0 +1,397 @@
+import express from 'express';
+import {
+    proposeInterview,
+    getApplicationInterviews,
+    getInterviews,
+    getInterviewById,
+    selectSlot,
+    reschedule,
+    cancel,
+    submitFeedback
+} from '../../controllers/internship/interviewController.js';
+import { authenticate, isAdmin, isStudent, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Interviews
+ *   description: Interview scheduling for applicants in the Interviewing stage
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterviewSlot:
+ *       type: object
+ *       required: [startTime, endTime]
+ *       properties:
+ *         _id:
+ *           type: string
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *     Interview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         applicationId:
+ *           type: string
+ *         internshipId:
+ *           type: object
+ *         studentId:
+ *           type: object
+ *         interviewers:
+ *           type: array
+ *           items:
+ *             type: object
+ *         proposedSlots:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InterviewSlot'
+ *         scheduledSlot:
+ *           $ref: '#/components/schemas/InterviewSlot'
+ *         mode:
+ *           type: string
+ *           enum: [online, in-person, phone]
+ *         location:
+ *           type: string
+ *         meetingLink:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [proposed, scheduled, completed, cancelled]
+ *         sequence:
+ *           type: integer
+ *           description: Calendar revision, raised each time a sent invitation changes
+ *         rescheduleHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *         cancellationReason:
+ *           type: string
+ *         feedback:
+ *           type: object
+ *           description: Not returned to the applicant
+ *           properties:
+ *             score:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 5
+ *             comments:
+ *               type: string
+ *             recommendation:
+ *               type: string
+ *               enum: [accept, reject, undecided]
+ *             submittedBy:
+ *               type: string
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/interviews:
+ *   get:
+ *     summary: List interviews
+ *     description: Admins see every interview, interviewers the ones they sit on and applicants their own.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, scheduled, completed, cancelled]
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only interviews scheduled from now on
+ *     responses:
+ *       200:
+ *         description: Interviews, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Interview'
+ */
+router.get('/', authenticate, getInterviews);
+
+/**
+ * @swagger
+ * /api/interviews/applications/{applicationId}:
+ *   post:
+ *     summary: Propose interview slots (Admin only)
+ *     description: >
+ *       The application must be in the Interviewing stage and have no open interview. The applicant is
+ *       emailed the slots and picks one; everyone invited then gets an email with an .ics invitation.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slots]
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 10
+ *                 items:
+ *                   $ref: '#/components/schemas/InterviewSlot'
+ *               mode:
+ *                 type: string
+ *                 enum: [online, in-person, phone]
+ *                 default: online
+ *               location:
+ *                 type: string
+ *                 description: Required for in-person interviews
+ *               meetingLink:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 description: Included in the invitation
+ *               interviewers:
+ *                 type: array
+ *                 description: Admin or mentor user IDs; defaults to you
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Slots proposed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       400:
+ *         description: Invalid slots, mode, location or interviewers
+ *       409:
+ *         description: Application not in Interviewing, or an open interview exists
+ *   get:
+ *     summary: Interviews of an application
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interviews, newest first
+ *       403:
+ *         description: Not an admin or the applicant
+ */
+router.post('/applications/:applicationId', authenticate, isAdmin, proposeInterview);
+router.get('/applications/:applicationId', authenticate, getApplicationInterviews);
+
+/**
+ * @swagger
+ * /api/interviews/{id}:
+ *   get:
+ *     summary: Get an interview
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The interview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       403:
+ *         description: Not an admin, an interviewer or the applicant
+ */
+router.get('/:id', authenticate, getInterviewById);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/select:
+ *   put:
+ *     summary: Pick an interview slot (applicant)
+ *     description: >
+ *       Schedules the interview and emails the applicant and interviewers an .ics invitation. Picking
+ *       another proposed slot before the interview starts moves it and sends an updated invitation.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slotId]
+ *             properties:
+ *               slotId:
+ *                 type: string
+ *                 description: _id of one of the proposedSlots
+ *     responses:
+ *       200:
+ *         description: Interview scheduled
+ *       400:
+ *         description: Unknown or past slot
+ *       409:
+ *         description: Interview cancelled, completed or already started
+ */
+router.put('/:id/select', authenticate, isStudent, selectSlot);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/reschedule:
+ *   put:
+ *     summary: Reschedule an interview (Admin only)
+ *     description: >
+ *       Send startTime and endTime to move the interview straight away (updated invitations go out), or
+ *       new slots for the applicant to pick from (the current invitation is cancelled meanwhile).
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/InterviewSlot'
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview rescheduled or new slots sent
+ *       400:
+ *         description: Invalid or past times
+ *       409:
+ *         description: Interview completed or cancelled
+ */
+router.put('/:id/reschedule', authenticate, isAdmin, reschedule);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/cancel:
+ *   put:
+ *     summary: Cancel an interview (Admin only)
+ *     description: A scheduled interview is removed from everyone's calendar with a cancellation .ics.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview cancelled
+ *       409:
+ *         description: Interview completed or already cancelled
+ */
+router.put('/:id/cancel', authenticate, isAdmin, cancel);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/feedback:
+ *   put:
+ *     summary: Record interview feedback and score
+ *     description: Allowed once the interview has started; marks it completed. Can be corrected afterwards.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [score]
+ *             properties:
+ *               score:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comments:
+ *                 type: string
+ *               recommendation:
+ *                 type: string
+ *                 enum: [accept, reject, undecided]
+ *     responses:
+ *       200:
+ *         description: Feedback recorded
+ *       400:
+ *         description: Invalid score or recommendation
+ *       403:
+ *         description: Not an admin or one of the interviewers
+ *       409:
+ *         description: Interview not held yet
+ */
+router.put('/:id/feedback', authenticate, hasRole('admin', 'mentor'), submitFeedback);
+
+export default router;
@@ -0,0 +1,287 @@
+import express from 'express';
+import {
+    requestLeave,
+    getEnrollmentLeaveRequests,
+    getLeaveReviewQueue,
+    getLeaveRequestById,
+    reviewLeave,
+    cancelLeave
+} from '../../controllers/internship/leaveRequestController.js';
+import { authenticate, isStudent, hasRole } from '../../middleware/auth.js';
+import { leaveProofUpload } from '../../middleware/leaveProofUpload.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leave Requests
+ *   description: Interns' sick leave and authorized absence requests
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaveRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         enrollmentId:
+ *           type: string
+ *         studentId:
+ *           type: string
+ *         internshipId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [sick-leave, authorized-absence]
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *         proofDocument:
+ *           type: object
+ *           properties:
+ *             fileName:
+ *               type: string
+ *             fileUrl:
+ *               type: string
+ *             fileType:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *         reviewedBy:
+ *           type: object
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewComments:
+ *           type: string
+ *         excusedDates:
+ *           type: array
+ *           description: Working days marked as excused in attendance on approval
+ *           items:
+ *             type: string
+ *             format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/leave-requests/review-queue:
+ *   get:
+ *     summary: Pending leave requests to review
+ *     description: Mentors and supervisors see requests from their assigned interns and admins every request, earliest leave first.
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated leave requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LeaveRequest'
+ */
+router.get('/review-queue', authenticate, hasRole('admin', 'mentor', 'supervisor'), getLeaveReviewQueue);
+
+/**
+ * @swagger
+ * /api/leave-requests/enrollments/{enrollmentId}:
+ *   post:
+ *     summary: Request leave
+ *     description: >
+ *       Dates must fall within the internship period, cover at most 30 days and not overlap another
+ *       pending or approved request. The mentor and supervisor are notified.
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [type, startDate, reason, proof]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [sick-leave, authorized-absence]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to startDate
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *               proof:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, JPEG or PNG up to 5MB
+ *     responses:
+ *       201:
+ *         description: Request submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeaveRequest'
+ *       400:
+ *         description: Invalid dates, type, reason or missing proof
+ *       403:
+ *         description: Not the intern on this enrollment
+ *       409:
+ *         description: Overlapping request or enrollment not active
+ *   get:
+ *     summary: List an enrollment's leave requests
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated leave requests, latest leave first
+ */
+router.post('/enrollments/:enrollmentId', authenticate, isStudent, leaveProofUpload, requestLeave);
+router.get('/enrollments/:enrollmentId', authenticate, getEnrollmentLeaveRequests);
+
+/**
+ * @swagger
+ * /api/leave-requests/{id}:
+ *   get:
+ *     summary: Get a leave request
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The leave request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeaveRequest'
+ *       404:
+ *         description: Leave request not found
+ */
+router.get('/:id', authenticate, getLeaveRequestById);
+
+/**
+ * @swagger
+ * /api/leave-requests/{id}/review:
+ *   put:
+ *     summary: Approve or reject a leave request
+ *     description: >
+ *       Approval writes each working day of the leave (holidays excluded) into attendance as
+ *       sick-leave or authorized-absence with isExcused set. These records replace any absent or
+ *       late marks and are never overwritten by the daily attendance generator. The intern is notified.
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               comments:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Request reviewed
+ *       400:
+ *         description: Invalid decision or missing comments
+ *       403:
+ *         description: Not the admin or the assigned mentor or supervisor
+ *       409:
+ *         description: The request is not pending
+ */
+router.put('/:id/review', authenticate, hasRole('admin', 'mentor', 'supervisor'), reviewLeave);
+
+/**
+ * @swagger
+ * /api/leave-requests/{id}/cancel:
+ *   put:
+ *     summary: Cancel a pending leave request
+ *     tags: [Leave Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       409:
+ *         description: The request is not pending
+ */
+router.put('/:id/cancel', authenticate, isStudent, cancelLeave);
+
+export default router;
@@ -0,0 +1,329 @@
+import express from 'express';
+import {
+    createEnrollmentMilestone,
+    getEnrollmentMilestones,
+    getMilestoneById,
+    updateEnrollmentMilestone,
+    updateProgress,
+    evaluate,
+    cancel
+} from '../../controllers/internship/milestoneController.js';
+import { authenticate, isStudent, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Milestones
+ *   description: Internship milestones, deliverables and mentor evaluation
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MilestoneInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         targetDate:
+ *           type: string
+ *           format: date
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         deliverables:
+ *           type: array
+ *           description: Replaces the list; include _id to keep an existing deliverable's completion
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *         skillsToLearn:
+ *           type: array
+ *           items:
+ *             type: string
+ *         learningObjectives:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Milestone:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MilestoneInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             enrollmentId:
+ *               type: string
+ *             studentId:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [pending, in-progress, completed, overdue, cancelled]
+ *             completionPercentage:
+ *               type: number
+ *             completedDate:
+ *               type: string
+ *               format: date-time
+ *             overdueAt:
+ *               type: string
+ *               format: date-time
+ *             evaluation:
+ *               type: object
+ *               properties:
+ *                 rating:
+ *                   type: integer
+ *                 feedback:
+ *                   type: string
+ *                 evaluatedBy:
+ *                   type: string
+ *                 evaluatedAt:
+ *                   type: string
+ *                   format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/milestones/enrollments/{enrollmentId}:
+ *   post:
+ *     summary: Create a milestone
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MilestoneInput'
+ *               - type: object
+ *                 required: [title, targetDate]
+ *     responses:
+ *       201:
+ *         description: Milestone created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Missing or invalid fields
+ *       403:
+ *         description: Not the admin or the assigned mentor
+ *       409:
+ *         description: The enrollment is completed or terminated
+ *   get:
+ *     summary: List an enrollment's milestones
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in-progress, completed, overdue, cancelled]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *     responses:
+ *       200:
+ *         description: Milestones by target date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Milestone'
+ */
+router.post('/enrollments/:enrollmentId', authenticate, hasRole('admin', 'mentor'), createEnrollmentMilestone);
+router.get('/enrollments/:enrollmentId', authenticate, getEnrollmentMilestones);
+
+/**
+ * @swagger
+ * /api/milestones/{id}:
+ *   get:
+ *     summary: Get a milestone
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The milestone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       404:
+ *         description: Milestone not found
+ *   put:
+ *     summary: Update a milestone
+ *     description: Moving the target date forward takes an overdue milestone back to pending or in-progress.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MilestoneInput'
+ *     responses:
+ *       200:
+ *         description: Milestone updated
+ *       409:
+ *         description: The milestone is completed or cancelled
+ */
+router.get('/:id', authenticate, getMilestoneById);
+router.put('/:id', authenticate, hasRole('admin', 'mentor'), updateEnrollmentMilestone);
+
+/**
+ * @swagger
+ * /api/milestones/{id}/progress:
+ *   put:
+ *     summary: Update progress on a milestone
+ *     description: >
+ *       Ticks deliverables on or off and sets completionPercentage. Without a percentage it follows the
+ *       share of deliverables done. At 100% the milestone is completed, which requires every deliverable.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliverables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [_id, completed]
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     completed:
+ *                       type: boolean
+ *               completionPercentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Progress updated
+ *       400:
+ *         description: Unknown deliverable, invalid percentage or deliverables still open at 100%
+ *       409:
+ *         description: The milestone is completed or cancelled
+ */
+router.put('/:id/progress', authenticate, isStudent, updateProgress);
+
+/**
+ * @swagger
+ * /api/milestones/{id}/evaluation:
+ *   put:
+ *     summary: Evaluate a completed milestone
+ *     description: The intern is notified of the rating and feedback.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               feedback:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Evaluation recorded
+ *       400:
+ *         description: Missing or invalid rating
+ *       409:
+ *         description: The milestone is not completed
+ */
+router.put('/:id/evaluation', authenticate, hasRole('admin', 'mentor'), evaluate);
+
+/**
+ * @swagger
+ * /api/milestones/{id}/cancel:
+ *   put:
+ *     summary: Cancel a milestone
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Milestone cancelled
+ *       409:
+ *         description: The milestone is already completed or cancelled
+ */
+router.put('/:id/cancel', authenticate, hasRole('admin', 'mentor'), cancel);
+
+export default router;
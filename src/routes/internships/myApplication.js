@@ -1,20 +1,28 @@
 import express from 'express';
 const router = express.Router();
-import { getMyApplications } from '../../controllers/internship/myApplicationController.js';
+import {
+    getMyApplications,
+    editMyApplication,
+    withdrawMyApplication,
+    resubmitMyApplication
+} from '../../controllers/internship/myApplicationController.js';
+import {
+    listApplications,
+    getApplicationForReview,
+    updateApplicationStatus,
+    addApplicationNote
+} from '../../controllers/internship/applicationReviewController.js';
+import { upload, attachFileUrls } from '../../middleware/internshipUpload.js';
+import { authenticate, isAdmin, isStudent } from '../../middleware/auth.js';
 
 /**
  * @swagger
- * /api/applications:
+ * /api/applications/my-applications:
  *   get:
- *     summary: Get user's internship applications
+ *     summary: Get the signed-in student's internship applications (Student only)
  *     tags: [Applications]
- *     parameters:
- *       - in: query
- *         name: studentId
- *         required: true
- *         description: ID of the student to retrieve applications for
- *         schema:
- *           type: string
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Successful retrieval of applications
@@ -24,10 +32,344 @@ import { getMyApplications } from '../../controllers/internship/myApplicationCon
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/InternshipApplication'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a student
  *       500:
  *         description: Server error
  */
 // GET user's applications
-router.get('/my-applications', getMyApplications);
+router.get('/my-applications', authenticate, isStudent, getMyApplications);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   put:
+ *     summary: Edit your application before the deadline (Student only)
+ *     description: >
+ *       Pending, Under Review and Waitlisted applications can have their letter rewritten and their resume or
+ *       support letter replaced until the internship's applicationDeadline. Replaced files are deleted,
+ *       and the changed fields are added to changeHistory.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               applicationLetter:
+ *                 type: string
+ *                 minLength: 50
+ *                 maxLength: 1000
+ *               resumeFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF or Word, max 5MB
+ *               supportLetter:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF or Word, max 5MB
+ *     responses:
+ *       200:
+ *         description: Application updated
+ *       400:
+ *         description: Nothing to change or invalid letter
+ *       403:
+ *         description: Not your application
+ *       409:
+ *         description: Deadline passed, or the application is past review
+ */
+router.put(
+    '/:id',
+    authenticate,
+    isStudent,
+    upload.fields([
+        { name: 'resumeFile', maxCount: 1 },
+        { name: 'supportLetter', maxCount: 1 }
+    ]),
+    attachFileUrls,
+    editMyApplication
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/withdraw:
+ *   put:
+ *     summary: Withdraw your application (Student only)
+ *     description: Only Pending, Under Review and Waitlisted applications can be withdrawn; a freed place goes to the first waitlisted application. The change is added to statusHistory.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       403:
+ *         description: Not your application
+ *       409:
+ *         description: The application can no longer be withdrawn
+ */
+router.put('/:id/withdraw', authenticate, isStudent, withdrawMyApplication);
+
+/**
+ * @swagger
+ * /api/applications/{id}/resubmit:
+ *   put:
+ *     summary: Resubmit a withdrawn application (Student only)
+ *     description: Puts the application back to Pending, or on the waitlist if the internship's places are taken, while the internship is active and its deadline has not passed.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application resubmitted
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         description: Internship closed
+ *       409:
+ *         description: Not withdrawn, deadline passed, or the application limit and waitlist are full
+ */
+router.put('/:id/resubmit', authenticate, isStudent, resubmitMyApplication);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApplicationReview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         studentId:
+ *           type: object
+ *         internshipId:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [Pending, Under Review, Shortlisted, Interviewing, Accepted, Rejected, Withdrawn, Waitlisted]
+ *         feedback:
+ *           type: string
+ *           description: Shown to the applicant
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               changedBy:
+ *                 type: object
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         changeHistory:
+ *           type: array
+ *           description: Edits made by the applicant
+ *           items:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               changedBy:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         withdrawalReason:
+ *           type: string
+ *         reviewerNotes:
+ *           type: array
+ *           description: Private to reviewers; never returned to the applicant
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               author:
+ *                 type: object
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/applications:
+ *   get:
+ *     summary: List internship applications for review (Admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: internshipId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Under Review, Shortlisted, Interviewing, Accepted, Rejected, Withdrawn, Waitlisted]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applications, newest first
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', authenticate, isAdmin, listApplications);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get an application with its status history and reviewer notes (Admin only)
+ *     description: The application's interviews, with their scores and feedback, are in metadata.interviews.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The application
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApplicationReview'
+ *       404:
+ *         description: Application not found
+ */
+router.get('/:id', authenticate, isAdmin, getApplicationForReview);
+
+/**
+ * @swagger
+ * /api/applications/{id}/status:
+ *   put:
+ *     summary: Change an application's status (Admin only)
+ *     description: >
+ *       Applications move Pending -> Under Review -> Shortlisted -> Interviewing -> Accepted, and can be
+ *       rejected at any step; shortlisted applicants can also be accepted without an interview.
+ *       Accepted and Rejected are final. Waitlisted applications can be moved to Pending while the internship
+ *       is below maxApplications, taking one of its places. Accepting is refused once the internship's slots are filled, and does
+ *       not enroll the applicant: metadata.onboarding points to POST
+ *       /api/internship-enrollments/applications/{applicationId}, which does. Each
+ *       change is added to statusHistory with who made it, and the applicant is notified by email and push.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Pending, Under Review, Shortlisted, Interviewing, Accepted, Rejected]
+ *               feedback:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the applicant and included in the notification
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Missing status or invalid feedback
+ *       409:
+ *         description: Transition not allowed, slots or application places filled, or the application changed meanwhile
+ */
+router.put('/:id/status', authenticate, isAdmin, updateApplicationStatus);
+
+/**
+ * @swagger
+ * /api/applications/{id}/notes:
+ *   post:
+ *     summary: Add a private reviewer note (Admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Note added
+ *       400:
+ *         description: Empty or too long note
+ */
+router.post('/:id/notes', authenticate, isAdmin, addApplicationNote);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,347 @@
+import express from 'express';
+import {
+    generateReport,
+    getEnrollmentReports,
+    getReportById,
+    exportReport,
+    evaluateReport,
+    finalizeReport
+} from '../../controllers/internship/progressReportController.js';
+import { authenticate, hasRole } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Progress Reports
+ *   description: Weekly, monthly and final internship progress reports
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MentorEvaluation:
+ *       type: object
+ *       properties:
+ *         technicalSkills:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         communication:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         problemSolving:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         initiative:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         teamwork:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         punctuality:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         overallRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: Required before finalizing
+ *         comments:
+ *           type: string
+ *         recommendations:
+ *           type: string
+ *     ProgressReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         enrollmentId:
+ *           type: string
+ *         studentId:
+ *           type: string
+ *         reportPeriod:
+ *           type: object
+ *           properties:
+ *             startDate:
+ *               type: string
+ *               format: date-time
+ *             endDate:
+ *               type: string
+ *               format: date-time
+ *             weekNumber:
+ *               type: integer
+ *               description: Week of the internship, counting from 1
+ *             monthNumber:
+ *               type: integer
+ *               description: Month of the internship, counting from 1
+ *             reportType:
+ *               type: string
+ *               enum: [weekly, monthly, milestone, final]
+ *         attendanceMetrics:
+ *           type: object
+ *           description: Excused leave is left out of the attendance percentage
+ *         workMetrics:
+ *           type: object
+ *         performanceMetrics:
+ *           type: object
+ *         learningProgress:
+ *           type: object
+ *         goals:
+ *           type: object
+ *         challenges:
+ *           type: array
+ *           items:
+ *             type: object
+ *         summary:
+ *           type: string
+ *         areasForImprovement:
+ *           type: array
+ *           items:
+ *             type: string
+ *         strengthsIdentified:
+ *           type: array
+ *           items:
+ *             type: string
+ *         nextPeriodPlans:
+ *           type: string
+ *         mentorEvaluation:
+ *           $ref: '#/components/schemas/MentorEvaluation'
+ *         isAutoGenerated:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [draft, finalized, sent]
+ *         finalizedAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/progress-reports/enrollments/{enrollmentId}:
+ *   post:
+ *     summary: Generate a draft progress report
+ *     description: >
+ *       Aggregates attendance, submitted daily logs and milestones for the period. Weekly reports cover
+ *       Monday-Sunday and monthly ones a calendar month, clipped to the internship dates. Generating an
+ *       existing draft refreshes its metrics. Weekly and monthly drafts are also generated automatically
+ *       after each period, and the final draft when the enrollment is completed.
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reportType]
+ *             properties:
+ *               reportType:
+ *                 type: string
+ *                 enum: [weekly, monthly, final]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Any day in the period; defaults to today
+ *     responses:
+ *       201:
+ *         description: Draft generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProgressReport'
+ *       200:
+ *         description: Existing draft refreshed
+ *       400:
+ *         description: Invalid report type or period outside the internship
+ *       409:
+ *         description: The report for this period is already finalized
+ *   get:
+ *     summary: List an enrollment's progress reports
+ *     description: Interns only see finalized reports.
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reportType
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, milestone, final]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, finalized, sent]
+ *     responses:
+ *       200:
+ *         description: Reports, latest period first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProgressReport'
+ */
+router.post('/enrollments/:enrollmentId', authenticate, hasRole('admin', 'mentor'), generateReport);
+router.get('/enrollments/:enrollmentId', authenticate, getEnrollmentReports);
+
+/**
+ * @swagger
+ * /api/progress-reports/{id}:
+ *   get:
+ *     summary: Get a progress report
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProgressReport'
+ *       404:
+ *         description: Report not found (or still a draft, for interns)
+ */
+router.get('/:id', authenticate, getReportById);
+
+/**
+ * @swagger
+ * /api/progress-reports/{id}/export:
+ *   get:
+ *     summary: Download a progress report
+ *     description: Printable PDF, or CSV with one section/metric/value row per figure.
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Report file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Report not found (or still a draft, for interns)
+ */
+router.get('/:id/export', authenticate, exportReport);
+
+/**
+ * @swagger
+ * /api/progress-reports/{id}/evaluation:
+ *   put:
+ *     summary: Evaluate a draft progress report
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mentorEvaluation:
+ *                 $ref: '#/components/schemas/MentorEvaluation'
+ *               areasForImprovement:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               strengthsIdentified:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               nextPeriodPlans:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Evaluation saved
+ *       400:
+ *         description: Invalid ratings
+ *       409:
+ *         description: The report is already finalized
+ */
+router.put('/:id/evaluation', authenticate, hasRole('admin', 'mentor'), evaluateReport);
+
+/**
+ * @swagger
+ * /api/progress-reports/{id}/finalize:
+ *   post:
+ *     summary: Finalize a progress report
+ *     description: >
+ *       Locks the report and sends it to the intern and every admin. Needs an overallRating in the
+ *       mentor evaluation. If sending fails the report stays finalized and can be finalized again to retry.
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report finalized (and sent)
+ *       400:
+ *         description: Mentor evaluation missing
+ *       409:
+ *         description: Already sent
+ */
+router.post('/:id/finalize', authenticate, hasRole('admin', 'mentor'), finalizeReport);
+
+export default router;
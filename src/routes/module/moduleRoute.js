@@ -16,11 +16,15 @@ import {
     updateSummaryInModule,
     deleteSummaryFromModule,
     getAllQuizzesInModule,
-    getAllSummariesInModule
+    getAllSummariesInModule,
+    importQuizToModule,
+    importQuestionsIntoQuiz,
+    exportModuleQuiz
 } from '../../controllers/module/moduleController.js';
 
 import { authenticate, isInstructor } from '../../middleware/auth.js';
 import upload from '../../middleware/moduleUpload.js';
+import { quizImportUpload } from '../../middleware/quizImportUpload.js';
 
 const moduleUpload = upload.fields([
     { name: 'videoFile', maxCount: 1 },
@@ -159,13 +163,34 @@ const router = express.Router();
  *             timeLimit:
  *               type: number
  *               example: 30
+ *             maxAttempts:
+ *               type: number
+ *               example: 2
+ *             reviewPolicy:
+ *               type: string
+ *               enum: [never, after-each-attempt, after-last-attempt]
+ *               default: after-each-attempt
+ *               description: When students may see correct answers and explanations
+ *             questionPools:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/QuestionPool'
+ *             shuffleQuestions:
+ *               type: boolean
+ *               default: false
+ *             shuffleOptions:
+ *               type: boolean
+ *               default: false
  *     
  *     QuizQuestionInput:
  *       type: object
+ *       description: >
+ *         The answer fields depend on questionType. multiple-choice and true-false use options + answer;
+ *         multi-select uses options + answers; short-answer uses acceptedAnswers + matchMode; numeric uses
+ *         numericAnswer + tolerance; ordering lists orderItems in the correct order; matching uses matchPairs;
+ *         fill-in-the-blank marks each blank with ___ in the question text and gives one entry per blank in blanks.
  *       required:
  *         - question
- *         - options
- *         - answer
  *       properties:
  *         question:
  *           type: string
@@ -186,12 +211,71 @@ const router = express.Router();
  *           type: string
  *           enum: [A, B, C, D, E]
  *           example: "B"
+ *         answers:
+ *           type: array
+ *           description: Correct options for multi-select questions
+ *           items:
+ *             type: string
+ *             enum: [A, B, C, D, E]
+ *           example: ["A", "C"]
+ *         acceptedAnswers:
+ *           type: array
+ *           description: Accepted responses (or patterns in regex mode) for short-answer questions
+ *           items:
+ *             type: string
+ *           example: ["Paris"]
+ *         matchMode:
+ *           type: string
+ *           enum: [exact, case-insensitive, regex]
+ *           default: case-insensitive
+ *           description: >
+ *             In regex mode each accepted answer must match the whole response. Patterns are limited to 200
+ *             characters, may not use backreferences or repeat a group containing a repetition or "|" (such as
+ *             (a+)+), and responses over 200 characters never match.
+ *         numericAnswer:
+ *           type: number
+ *           example: 3.14
+ *         tolerance:
+ *           type: number
+ *           default: 0
+ *           example: 0.01
+ *         orderItems:
+ *           type: array
+ *           description: Items in the correct order; students receive them shuffled
+ *           items:
+ *             type: string
+ *         matchPairs:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               left:
+ *                 type: string
+ *               right:
+ *                 type: string
+ *         blanks:
+ *           type: array
+ *           description: One entry per ___ in the question text
+ *           items:
+ *             type: object
+ *             properties:
+ *               acceptedAnswers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               matchMode:
+ *                 type: string
+ *                 enum: [exact, case-insensitive, regex]
+ *         partialCredit:
+ *           type: boolean
+ *           default: true
+ *           description: Award a share of the points on partly correct multi-select, ordering, matching and fill-in-the-blank answers
  *         explanation:
  *           type: string
  *           example: "Basic arithmetic"
  *         questionType:
  *           type: string
- *           enum: [multiple-choice, true-false]
+ *           enum: [multiple-choice, true-false, multi-select, short-answer, numeric, ordering, matching, fill-in-the-blank]
  *           default: "multiple-choice"
  *         points:
  *           type: number
@@ -599,14 +683,39 @@ router.delete('/:moduleId/topics/:topicId', authenticate, isInstructor, deleteTo
  *                 type: string
  *                 description: Title of the quiz
  *                 example: "JavaScript Basics Quiz"
+ *               description:
+ *                 type: string
  *               questions:
  *                 type: array
  *                 description: List of quiz questions
  *                 items:
  *                   $ref: '#/components/schemas/QuizQuestionInput'
+ *               passingScore:
+ *                 type: number
+ *                 example: 70
+ *               timeLimit:
+ *                 type: number
+ *                 example: 30
+ *               maxAttempts:
+ *                 type: number
+ *                 example: 1
+ *               reviewPolicy:
+ *                 type: string
+ *                 enum: [never, after-each-attempt, after-last-attempt]
+ *               questionPools:
+ *                 type: array
+ *                 description: Random draws from the course question bank, made when each attempt starts
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionPool'
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 description: Serve questions in a random order on each attempt
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 description: Reassign multiple-choice and multi-select option letters on each attempt
  *     responses:
  *       201:
- *         description: Quiz added successfully
+ *         description: Quiz added successfully (a quiz topic is appended to the module)
  *         content:
  *           application/json:
  *             schema:
@@ -621,7 +730,11 @@ router.delete('/:moduleId/topics/:topicId', authenticate, isInstructor, deleteTo
  *                 quiz:
  *                   $ref: '#/components/schemas/Quiz'
  *       400:
- *         description: Validation error
+ *         description: Validation error; errors lists each invalid question and field
+ *       403:
+ *         description: Not the instructor of this module's course
+ *       404:
+ *         description: Module not found
  *       500:
  *         description: Server error
  */
@@ -632,6 +745,7 @@ router.post('/:moduleId/quizzes', authenticate, isInstructor, addQuizToModule);
  * /api/modules/{moduleId}/quizzes:
  *   get:
  *     summary: Get all quizzes in a module
+ *     description: Returns a student-safe projection; correct answers and explanations are never included
  *     tags: [Modules]
  *     parameters:
  *       - in: path
@@ -696,10 +810,29 @@ router.get('/:moduleId/quizzes', getAllQuizzesInModule);
  *               title:
  *                 type: string
  *                 example: "Updated Quiz Title"
+ *               description:
+ *                 type: string
  *               questions:
  *                 type: array
  *                 items:
  *                   $ref: '#/components/schemas/QuizQuestionInput'
+ *               passingScore:
+ *                 type: number
+ *               timeLimit:
+ *                 type: number
+ *               maxAttempts:
+ *                 type: number
+ *               reviewPolicy:
+ *                 type: string
+ *                 enum: [never, after-each-attempt, after-last-attempt]
+ *               questionPools:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionPool'
+ *               shuffleQuestions:
+ *                 type: boolean
+ *               shuffleOptions:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Quiz updated successfully
@@ -767,6 +900,193 @@ router.put('/:moduleId/quizzes/:quizId', authenticate, isInstructor, updateQuizI
  */
 router.delete('/:moduleId/quizzes/:quizId', authenticate, isInstructor, deleteQuizFromModule);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizImportInput:
+ *       type: object
+ *       description: >
+ *         Send the file in "file", or its text in "content". GIFT (.gift), Aiken (.txt) and CSV (.csv)
+ *         are supported; the format comes from the format field or the file extension.
+ *       properties:
+ *         file:
+ *           type: string
+ *           format: binary
+ *         content:
+ *           type: string
+ *           description: File text, used when no file is uploaded
+ *         format:
+ *           type: string
+ *           enum: [gift, aiken, csv]
+ *     QuizImportError:
+ *       type: object
+ *       properties:
+ *         line:
+ *           type: number
+ *           description: Line in the file where the offending question starts
+ *           example: 12
+ *         field:
+ *           type: string
+ *           example: "answer"
+ *         message:
+ *           type: string
+ *           example: "Answer E is not a valid option"
+ */
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/quizzes/import:
+ *   post:
+ *     summary: Create a module quiz from a GIFT, Aiken or CSV file
+ *     description: Nothing is saved if any question is invalid; the response lists every problem by line
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Parse and validate without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuizImportInput'
+ *               - type: object
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                     description: Defaults to the file name
+ *                   description:
+ *                     type: string
+ *                   passingScore:
+ *                     type: number
+ *                   timeLimit:
+ *                     type: number
+ *                   maxAttempts:
+ *                     type: number
+ *                   reviewPolicy:
+ *                     type: string
+ *                     enum: [never, after-each-attempt, after-last-attempt]
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizImportInput'
+ *     responses:
+ *       201:
+ *         description: Quiz created (a quiz topic is appended to the module)
+ *       200:
+ *         description: Dry run result with the parsed questions and any errors
+ *       400:
+ *         description: Unreadable file or invalid questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuizImportError'
+ *       403:
+ *         description: Not the instructor of this module's course
+ */
+router.post('/:moduleId/quizzes/import', authenticate, isInstructor, quizImportUpload, importQuizToModule);
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/quizzes/{quizId}/import:
+ *   post:
+ *     summary: Import questions from a GIFT, Aiken or CSV file into an existing quiz
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [append, replace]
+ *           default: append
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizImportInput'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizImportInput'
+ *     responses:
+ *       200:
+ *         description: Questions imported (or dry run result)
+ *       400:
+ *         description: Unreadable file or invalid questions, listed by line
+ *       404:
+ *         description: Quiz not found in this module
+ */
+router.post('/:moduleId/quizzes/:quizId/import', authenticate, isInstructor, quizImportUpload, importQuestionsIntoQuiz);
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/quizzes/{quizId}/export:
+ *   get:
+ *     summary: Download a module quiz as GIFT, Aiken or CSV, answer key included
+ *     description: >
+ *       Questions the format cannot express (e.g. ordering in GIFT, anything but multiple-choice
+ *       in Aiken) are left out; the X-Skipped-Questions header gives how many.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [gift, aiken, csv]
+ *           default: gift
+ *     responses:
+ *       200:
+ *         description: The quiz file
+ *       404:
+ *         description: Quiz not found in this module
+ */
+router.get('/:moduleId/quizzes/:quizId/export', authenticate, isInstructor, exportModuleQuiz);
+
 /**
  * @swagger
  * /api/modules/{moduleId}/summaries:
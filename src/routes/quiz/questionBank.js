@@ -0,0 +1,308 @@
+import express from 'express';
+import {
+    createBankQuestions,
+    getBankQuestions,
+    getBankTags,
+    updateBankQuestion,
+    deleteBankQuestion,
+    importBankQuestions,
+    exportBankQuestions
+} from '../../controllers/quiz/questionBankController.js';
+import { authenticate, isInstructor } from '../../middleware/auth.js';
+import { quizImportUpload } from '../../middleware/quizImportUpload.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Question Bank
+ *   description: Reusable per-course questions that quizzes draw from at random
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionBankItemInput:
+ *       allOf:
+ *         - $ref: '#/components/schemas/QuizQuestionInput'
+ *         - type: object
+ *           properties:
+ *             tags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["arrays", "loops"]
+ *             difficulty:
+ *               type: string
+ *               enum: [easy, medium, hard]
+ *               default: medium
+ *     QuestionPool:
+ *       type: object
+ *       description: Draws count random bank questions matching the tags (any of them) and difficulty when an attempt starts
+ *       required:
+ *         - count
+ *       properties:
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["arrays"]
+ *         difficulty:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         count:
+ *           type: number
+ *           example: 5
+ */
+
+/**
+ * @swagger
+ * /api/question-bank/courses/{courseId}:
+ *   post:
+ *     summary: Add questions to a course question bank
+ *     description: Send a single question, or an object with a questions array to add several at once
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/QuestionBankItemInput'
+ *               - type: object
+ *                 properties:
+ *                   questions:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/QuestionBankItemInput'
+ *     responses:
+ *       201:
+ *         description: Questions added
+ *       400:
+ *         description: One or more questions are invalid
+ *       403:
+ *         description: Not the instructor of this course
+ *       404:
+ *         description: Course not found
+ *   get:
+ *     summary: List a course question bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; questions with any of them match
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated bank questions
+ *       403:
+ *         description: Not the instructor of this course
+ */
+router.post('/courses/:courseId', authenticate, isInstructor, createBankQuestions);
+router.get('/courses/:courseId', authenticate, isInstructor, getBankQuestions);
+
+/**
+ * @swagger
+ * /api/question-bank/courses/{courseId}/tags:
+ *   get:
+ *     summary: List the tags in a course question bank with counts per difficulty
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tags with question counts
+ */
+router.get('/courses/:courseId/tags', authenticate, isInstructor, getBankTags);
+
+/**
+ * @swagger
+ * /api/question-bank/courses/{courseId}/import:
+ *   post:
+ *     summary: Import questions into a course question bank from a GIFT, Aiken or CSV file
+ *     description: >
+ *       Nothing is saved if any question is invalid; the response lists every problem by line.
+ *       GIFT $CATEGORY names and the CSV tags/difficulty columns are kept; tags and difficulty
+ *       sent with the request apply to questions that set none.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuizImportInput'
+ *               - type: object
+ *                 properties:
+ *                   tags:
+ *                     type: string
+ *                     description: Comma-separated default tags
+ *                   difficulty:
+ *                     type: string
+ *                     enum: [easy, medium, hard]
+ *     responses:
+ *       201:
+ *         description: Questions imported
+ *       200:
+ *         description: Dry run result
+ *       400:
+ *         description: Unreadable file or invalid questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizImportError'
+ */
+router.post('/courses/:courseId/import', authenticate, isInstructor, quizImportUpload, importBankQuestions);
+
+/**
+ * @swagger
+ * /api/question-bank/courses/{courseId}/export:
+ *   get:
+ *     summary: Download a course question bank as GIFT, Aiken or CSV
+ *     description: Questions the format cannot express are left out; the X-Skipped-Questions header gives how many
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [gift, aiken, csv]
+ *           default: csv
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *     responses:
+ *       200:
+ *         description: The question file
+ */
+router.get('/courses/:courseId/export', authenticate, isInstructor, exportBankQuestions);
+
+/**
+ * @swagger
+ * /api/question-bank/{questionId}:
+ *   put:
+ *     summary: Update a bank question
+ *     description: Attempts already started keep the version of the question they were served
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionBankItemInput'
+ *     responses:
+ *       200:
+ *         description: Question updated
+ *       400:
+ *         description: Invalid question
+ *       404:
+ *         description: Question not found
+ *   delete:
+ *     summary: Delete a bank question
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question deleted
+ *       404:
+ *         description: Question not found
+ */
+router.put('/:questionId', authenticate, isInstructor, updateBankQuestion);
+router.delete('/:questionId', authenticate, isInstructor, deleteBankQuestion);
+
+export default router;
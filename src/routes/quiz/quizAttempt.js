@@ -0,0 +1,366 @@
+import express from 'express';
+import {
+    startQuizAttempt,
+    submitQuizAttempt,
+    saveQuizAttemptAnswers,
+    getQuizAttemptTime,
+    getMyQuizAttempts,
+    getQuizAttemptById,
+    getQuizAttempts
+} from '../../controllers/quiz/quizAttemptController.js';
+import { authenticate, isInstructor, isStudent } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quiz Attempts
+ *   description: Taking quizzes, server-side grading and attempt history
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizAttemptAnswer:
+ *       type: object
+ *       properties:
+ *         questionId:
+ *           type: string
+ *           format: objectId
+ *         answer:
+ *           description: >
+ *             The submitted answer. Option letter for multiple-choice and true-false, array of letters
+ *             for multi-select, text for short-answer, number for numeric, array of items for ordering,
+ *             { left: right } object for matching, array with one response per blank for fill-in-the-blank.
+ *           example: "B"
+ *         isCorrect:
+ *           type: boolean
+ *         pointsAwarded:
+ *           type: number
+ *         timeSpentSeconds:
+ *           type: number
+ *           description: Total time spent on the question, as reported by the client
+ *     QuizAttempt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         quizId:
+ *           type: string
+ *           format: objectId
+ *         studentId:
+ *           type: string
+ *           format: objectId
+ *         attemptNumber:
+ *           type: number
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [in-progress, submitted, auto-submitted]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Server-side deadline derived from the quiz time limit
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         answers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuizAttemptAnswer'
+ *         score:
+ *           type: number
+ *           example: 8
+ *         totalPoints:
+ *           type: number
+ *           example: 10
+ *         percentage:
+ *           type: number
+ *           example: 80
+ *         passed:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /api/quizzes/attempts/me:
+ *   get:
+ *     summary: Get the authenticated student's quiz attempt history
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         description: Only return attempts for this quiz
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Only return attempts for quizzes in this course
+ *     responses:
+ *       200:
+ *         description: Attempt history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuizAttempt'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/attempts/me', authenticate, isStudent, getMyQuizAttempts);
+
+/**
+ * @swagger
+ * /api/quizzes/attempts/{attemptId}:
+ *   get:
+ *     summary: Get a single quiz attempt
+ *     description: Available to the student who owns the attempt and to the course instructor
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attempt details
+ *       403:
+ *         description: Not authorized to view this attempt
+ *       404:
+ *         description: Attempt not found
+ */
+router.get('/attempts/:attemptId', authenticate, getQuizAttemptById);
+
+/**
+ * @swagger
+ * /api/quizzes/attempts/{attemptId}/time:
+ *   get:
+ *     summary: Get the time remaining on an attempt
+ *     description: An attempt found past its deadline is auto-submitted with the answers saved so far
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attempt timing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     remainingSeconds:
+ *                       type: number
+ *                       example: 754
+ *                     serverTime:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Attempt not found
+ */
+router.get('/attempts/:attemptId/time', authenticate, isStudent, getQuizAttemptTime);
+
+/**
+ * @swagger
+ * /api/quizzes/attempts/{attemptId}/answers:
+ *   put:
+ *     summary: Autosave answers for an in-progress attempt
+ *     description: >
+ *       Saved answers are merged by questionId and survive page reloads; they are graded if the attempt times out.
+ *       Answers to questions the attempt was not served are ignored.
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     answer:
+ *                       example: "C"
+ *                     timeSpentSeconds:
+ *                       type: number
+ *                       description: Total seconds spent on this question so far; kept from the last save when omitted
+ *                       example: 42
+ *     responses:
+ *       200:
+ *         description: Answers saved
+ *       400:
+ *         description: answers is not an array, or a questionId is not a valid ID
+ *       404:
+ *         description: Attempt not found
+ *       409:
+ *         description: Attempt already closed (submitted or timed out)
+ */
+router.put('/attempts/:attemptId/answers', authenticate, isStudent, saveQuizAttemptAnswers);
+
+/**
+ * @swagger
+ * /api/quizzes/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit answers for an in-progress attempt
+ *     description: >
+ *       Answers are graded on the server against the quiz answer key and question points.
+ *       Answers omitted from the body fall back to the autosaved ones. A submission after the
+ *       deadline is not accepted; the attempt is closed with the answers saved before it.
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     answer:
+ *                       example: "B"
+ *                     timeSpentSeconds:
+ *                       type: number
+ *                       example: 42
+ *     responses:
+ *       200:
+ *         description: Graded attempt (lateSubmissionRejected is true when the deadline had passed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *       400:
+ *         description: Invalid answers payload or questionId
+ *       404:
+ *         description: Attempt not found
+ *       409:
+ *         description: Attempt already submitted
+ */
+router.post('/attempts/:attemptId/submit', authenticate, isStudent, submitQuizAttempt);
+
+/**
+ * @swagger
+ * /api/quizzes/{quizId}/attempts:
+ *   post:
+ *     summary: Start a new attempt on a quiz (or resume the open one)
+ *     description: >
+ *       Requires an active enrollment in the quiz's course and enforces the quiz maxAttempts.
+ *       The server stamps a deadline from the quiz timeLimit.
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: An in-progress attempt was resumed
+ *       201:
+ *         description: Attempt started
+ *       403:
+ *         description: Not enrolled, or maximum attempts reached
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:quizId/attempts', authenticate, isStudent, startQuizAttempt);
+
+/**
+ * @swagger
+ * /api/quizzes/{quizId}/attempts:
+ *   get:
+ *     summary: Get every attempt on a quiz (course instructor only)
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in-progress, submitted, auto-submitted]
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attempts with a pass-rate summary
+ *       403:
+ *         description: Not the instructor of this quiz's course
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/:quizId/attempts', authenticate, isInstructor, getQuizAttempts);
+
+export default router;
@@ -23,12 +23,26 @@ import myApplicationRoutes from './routes/internships/myApplication.js';
 import applyInternshipRoutes from './routes/internships/applyInternship.js';
 import notificationRoutes from './routes/notification/notification.js';
 import profileRoute from './routes/profile/profile.js';
+import quizAttemptRoutes from './routes/quiz/quizAttempt.js';
+import questionBankRoutes from './routes/quiz/questionBank.js';
+import certificateRoutes from './routes/certificate/certificate.js';
+import internshipEnrollmentRoutes from './routes/internships/internshipEnrollment.js';
+import dailyLogRoutes from './routes/internships/dailyLog.js';
+import attendanceRoutes from './routes/internships/attendance.js';
+import leaveRequestRoutes from './routes/internships/leaveRequest.js';
+import milestoneRoutes from './routes/internships/milestone.js';
+import progressReportRoutes from './routes/internships/progressReport.js';
+import internshipDashboardRoutes from './routes/internships/internshipDashboard.js';
+import interviewRoutes from './routes/internships/interview.js';
+import { startScheduledJobs } from './jobs/index.js';
 
 const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 // Connect to MongoDB
 connectDB();
+// Background jobs
+startScheduledJobs();
 // CORS
 app.use(cors({
     origin: true,
@@ -51,10 +65,21 @@ app.use('/uploads', express.static(join(__dirname, 'uploads')));
 app.use('/api/labs', labRoutes);
 app.use('/api/forums', forumRoutes);
 app.use('/api/modules', moduleRoute);
+app.use('/api/quizzes', quizAttemptRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/certificates', certificateRoutes);
 //internship routes
 app.use('/api/internships', internshipRoutes);
 app.use('/api/applications', myApplicationRoutes);
 app.use('/api/internship', applyInternshipRoutes);
+app.use('/api/internship-enrollments', internshipEnrollmentRoutes);
+app.use('/api/daily-logs', dailyLogRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/milestones', milestoneRoutes);
+app.use('/api/progress-reports', progressReportRoutes);
+app.use('/api/internship-dashboard', internshipDashboardRoutes);
+app.use('/api/interviews', interviewRoutes);
 //notification routes
 app.use('/api/notifications', notificationRoutes);
 // Swagger Docs
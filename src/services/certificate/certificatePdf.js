@@ -0,0 +1,118 @@
+// src/services/certificate/certificatePdf.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+// The platform design; a course's certificateTemplate overrides individual fields
+export const PLATFORM_CERTIFICATE_TEMPLATE = {
+    title: 'Certificate of Completion',
+    bodyText: 'has successfully completed the course {courseTitle} on {completionDate}.',
+    signatoryName: 'TIC Portal',
+    signatoryTitle: 'Learning Platform',
+    accentColor: '#1a3c6e'
+};
+
+const TEMPLATE_FIELDS = Object.keys(PLATFORM_CERTIFICATE_TEMPLATE);
+
+/**
+ * The template a course's certificates are rendered with
+ * @param {Object} [courseTemplate] - Course.certificateTemplate
+ * @returns {{ template: Object, source: string }} source is 'course' when any field is overridden
+ */
+export const resolveCertificateTemplate = (courseTemplate = {}) => {
+    const overrides = TEMPLATE_FIELDS.filter(field => courseTemplate?.[field]);
+    const template = { ...PLATFORM_CERTIFICATE_TEMPLATE };
+    overrides.forEach(field => { template[field] = courseTemplate[field]; });
+    return { template, source: overrides.length ? 'course' : 'platform' };
+};
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Replaces {placeholders} in template text with certificate values
+const fillPlaceholders = (text, certificate) =>
+    text.replace(/\{(\w+)\}/g, (match, key) => {
+        switch (key) {
+            case 'studentName': return certificate.studentName;
+            case 'courseTitle': return certificate.courseTitle;
+            case 'completionDate': return formatDate(certificate.completionDate);
+            case 'grade': return certificate.grade !== undefined && certificate.grade !== null ? `${certificate.grade}%` : '';
+            default: return match;
+        }
+    });
+
+/**
+ * Renders a certificate as a landscape A4 PDF with a QR code linking to its verification page
+ * @param {Object} certificate - Certificate document
+ * @param {Object} template - Resolved template (see resolveCertificateTemplate)
+ * @param {string} verificationUrl - URL encoded in the QR code
+ * @returns {Promise<Buffer>}
+ */
+export const renderCertificatePdf = async (certificate, template, verificationUrl) => {
+    const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 });
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 0,
+        info: {
+            Title: `${template.title} - ${certificate.courseTitle}`,
+            Author: template.signatoryName,
+            Subject: `Certificate ${certificate.serial}`
+        }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const { width, height } = doc.page;
+    const accent = template.accentColor;
+    const contentWidth = width - 160;
+
+    // Double border
+    doc.lineWidth(6).strokeColor(accent).rect(24, 24, width - 48, height - 48).stroke();
+    doc.lineWidth(1).rect(38, 38, width - 76, height - 76).stroke();
+
+    doc.fillColor(accent).font('Helvetica-Bold').fontSize(34)
+        .text(template.title, 80, 90, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#444444').font('Helvetica').fontSize(14)
+        .text('This is to certify that', 80, 160, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(30)
+        .text(certificate.studentName, 80, 190, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#444444').font('Helvetica').fontSize(14)
+        .text(fillPlaceholders(template.bodyText, certificate), 110, 245, { width: width - 220, align: 'center' });
+
+    if (certificate.grade !== undefined && certificate.grade !== null && !template.bodyText.includes('{grade}')) {
+        doc.moveDown(0.6).text(`Final grade: ${certificate.grade}%`, { width: width - 220, align: 'center' });
+    }
+
+    // Signature block
+    const signatureY = height - 150;
+    doc.lineWidth(1).strokeColor('#999999').moveTo(80, signatureY).lineTo(300, signatureY).stroke();
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(12)
+        .text(template.signatoryName, 80, signatureY + 8, { width: 220 });
+    doc.fillColor('#666666').font('Helvetica').fontSize(10)
+        .text(template.signatoryTitle, 80, signatureY + 24, { width: 220 });
+    if (certificate.instructorName) {
+        doc.text(`Instructor: ${certificate.instructorName}`, 80, signatureY + 38, { width: 220 });
+    }
+
+    // Verification block
+    const qrSize = 96;
+    const qrX = width - 80 - qrSize;
+    const qrY = height - 80 - qrSize;
+    doc.image(qrCode, qrX, qrY, { width: qrSize, height: qrSize });
+    doc.fillColor('#666666').font('Helvetica').fontSize(9)
+        .text(`Certificate No. ${certificate.serial}`, qrX - 230, qrY + 30, { width: 220, align: 'right' })
+        .text(`Issued ${formatDate(certificate.issuedAt)}`, { width: 220, align: 'right' })
+        .text('Scan to verify', { width: 220, align: 'right' });
+
+    doc.end();
+    return finished;
+};
@@ -0,0 +1,269 @@
+// src/services/certificate/certificateService.js
+import crypto from 'crypto';
+import Certificate from '../../models/Certificate.js';
+import Course from '../../models/Course.js';
+import Enrollment from '../../models/Enrollment.js';
+import Profile from '../../models/Profile.js';
+import User from '../../models/User.js';
+import ApiError from '../../utils/ApiError.js';
+import { uploadToCloudinary } from '../../utils/cloudinary.js';
+import NotificationManager from '../notification/notificationManager.js';
+import { renderCertificatePdf, resolveCertificateTemplate } from './certificatePdf.js';
+
+// Crockford base32 without I, L, O and U, so serials read back unambiguously
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * A new certificate serial such as TIC-2026-7K3QX9MD
+ * @returns {string}
+ */
+export const generateSerial = () => {
+    const random = [...crypto.randomBytes(8)].map(byte => SERIAL_ALPHABET[byte % 32]).join('');
+    return `TIC-${new Date().getFullYear()}-${random}`;
+};
+
+/**
+ * The public page a certificate's QR code points at
+ * @param {string} serial
+ * @returns {string}
+ */
+export const getVerificationUrl = (serial) => `${process.env.CLIENT_URL}/certificates/verify/${serial}`;
+
+// Points the profile's completed-course entry at the certificate, or clears it
+const updateProfileCertificate = (certificate, remove = false) =>
+    Profile.updateOne(
+        { user: certificate.student, 'coursesCompleted.course': certificate.course },
+        remove
+            ? { $unset: { 'coursesCompleted.$.certificate': '' } }
+            : {
+                $set: {
+                    'coursesCompleted.$.certificate': {
+                        url: certificate.pdf.url,
+                        issuedDate: certificate.issuedAt,
+                        serial: certificate.serial
+                    }
+                }
+            }
+    );
+
+/**
+ * Issues a certificate for a completed enrollment: renders the PDF, stores it and
+ * links it from the student's profile. Returns the existing valid certificate
+ * instead of issuing a second one, unless a certificate is being replaced, and
+ * refuses to issue over a revoked certificate that has not been reissued.
+ * @param {Object} params
+ * @param {string} params.studentId
+ * @param {string} params.courseId
+ * @param {string} [params.issuedBy] - Admin issuing it; empty for automatic issue
+ * @param {Object} [params.replaces] - Certificate being reissued
+ * @returns {Promise<Object>} Certificate document
+ */
+export const issueCertificate = async ({ studentId, courseId, issuedBy, replaces }) => {
+    if (!replaces) {
+        const [existing, revoked] = await Promise.all([
+            Certificate.findOne({ student: studentId, course: courseId, status: 'valid' }),
+            Certificate.exists({ student: studentId, course: courseId, status: 'revoked', replacedBy: null })
+        ]);
+        if (existing) return existing;
+        // Only an admin can lift a revocation, through reissueCertificate
+        if (revoked) {
+            throw new ApiError(409, 'The certificate for this course was revoked and cannot be issued again');
+        }
+    }
+
+    const [enrollment, course, student] = await Promise.all([
+        Enrollment.findOne({ student: studentId, course: courseId, status: 'completed' }),
+        Course.findById(courseId).select('title certificateTemplate instructor').populate('instructor', 'fullName'),
+        User.findById(studentId).select('fullName')
+    ]);
+    if (!enrollment) {
+        throw new ApiError(400, 'Certificates are only issued for completed courses');
+    }
+    if (!course || !student) {
+        throw new ApiError(404, 'Course or student not found');
+    }
+    if (course.certificateTemplate?.enabled === false) {
+        throw new ApiError(400, 'This course does not issue certificates');
+    }
+
+    const { template, source } = resolveCertificateTemplate(course.certificateTemplate);
+
+    let certificate;
+    for (let attempt = 1; !certificate; attempt++) {
+        try {
+            certificate = await Certificate.create({
+                serial: generateSerial(),
+                student: student._id,
+                course: course._id,
+                enrollment: enrollment._id,
+                studentName: student.fullName,
+                courseTitle: course.title,
+                instructorName: course.instructor?.fullName,
+                completionDate: enrollment.completedAt || new Date(),
+                grade: enrollment.grade,
+                issuedBy,
+                template: source,
+                replaces: replaces?._id
+            });
+        } catch (error) {
+            // Another request issued the valid certificate for this course first
+            if (error.code === 11000 && !error.keyPattern?.serial) {
+                const existing = !replaces &&
+                    await Certificate.findOne({ student: studentId, course: courseId, status: 'valid' });
+                if (existing) return existing;
+                throw new ApiError(409, 'A valid certificate for this course already exists');
+            }
+            // Retry on the rare serial collision
+            if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+    }
+
+    try {
+        const pdf = await renderCertificatePdf(certificate, template, getVerificationUrl(certificate.serial));
+        const upload = await uploadToCloudinary(pdf, 'certificates', {
+            resource_type: 'raw',
+            public_id: `${certificate.serial}.pdf`
+        });
+        certificate.pdf = { url: upload.secure_url, publicId: upload.public_id };
+        await certificate.save();
+    } catch (error) {
+        // Without a PDF the certificate cannot be handed out; drop it so it can be issued again
+        await certificate.deleteOne();
+        throw error;
+    }
+
+    await updateProfileCertificate(certificate);
+    NotificationManager.notifyCertificateIssued(student._id, certificate).catch(console.error);
+
+    return certificate;
+};
+
+/**
+ * Finds a certificate by serial
+ * @param {string} serial
+ * @returns {Promise<Object>} Certificate document
+ */
+export const findCertificateBySerial = async (serial) => {
+    const certificate = await Certificate.findOne({ serial: String(serial).trim().toUpperCase() });
+    if (!certificate) {
+        throw new ApiError(404, 'Certificate not found');
+    }
+    return certificate;
+};
+
+/**
+ * Revokes a valid certificate and removes it from the student's profile
+ * @param {string} serial
+ * @param {string} adminId
+ * @param {string} reason
+ * @returns {Promise<Object>} Certificate document
+ */
+export const revokeCertificate = async (serial, adminId, reason) => {
+    const certificate = await findCertificateBySerial(serial);
+    if (certificate.status !== 'valid') {
+        throw new ApiError(409, `Certificate is already ${certificate.status}`);
+    }
+
+    certificate.status = 'revoked';
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = adminId;
+    certificate.revocationReason = reason;
+    await certificate.save();
+
+    await updateProfileCertificate(certificate, true);
+    return certificate;
+};
+
+/**
+ * Issues a replacement with current names and template. A valid original is
+ * marked superseded. A revoked one is only reissued when the admin overrides the
+ * revocation with a reason; it stays revoked and records who lifted it.
+ * @param {string} serial
+ * @param {string} adminId
+ * @param {Object} [options]
+ * @param {boolean} [options.overrideRevocation] - Required to reissue a revoked certificate
+ * @param {string} [options.reason] - Why the revocation is lifted
+ * @returns {Promise<{ certificate: Object, previous: Object }>}
+ */
+export const reissueCertificate = async (serial, adminId, { overrideRevocation = false, reason } = {}) => {
+    const previous = await findCertificateBySerial(serial);
+    if (previous.status === 'superseded') {
+        throw new ApiError(409, 'Certificate has already been reissued; reissue its replacement instead');
+    }
+    if (previous.status === 'revoked') {
+        if (previous.replacedBy) {
+            throw new ApiError(409, 'Certificate has already been reissued; reissue its replacement instead');
+        }
+        if (!overrideRevocation) {
+            throw new ApiError(409, 'Certificate is revoked; set overrideRevocation with a reason to lift the revocation and reissue it');
+        }
+        if (!reason?.trim()) {
+            throw new ApiError(400, 'A reason is required to lift a revocation');
+        }
+    }
+
+    // Only one valid certificate per student and course, so a valid original is superseded first
+    const wasValid = previous.status === 'valid';
+    if (wasValid) {
+        const superseded = await Certificate.updateOne(
+            { _id: previous._id, status: 'valid' },
+            { $set: { status: 'superseded' } }
+        );
+        if (!superseded.modifiedCount) {
+            throw new ApiError(409, 'Certificate changed while it was being reissued; please try again');
+        }
+    }
+
+    let certificate;
+    try {
+        certificate = await issueCertificate({
+            studentId: previous.student,
+            courseId: previous.course,
+            issuedBy: adminId,
+            replaces: previous
+        });
+    } catch (error) {
+        if (wasValid) {
+            await Certificate.updateOne({ _id: previous._id, status: 'superseded' }, { $set: { status: 'valid' } });
+        }
+        throw error;
+    }
+
+    if (wasValid) {
+        previous.status = 'superseded';
+    } else {
+        previous.revocationLiftedAt = new Date();
+        previous.revocationLiftedBy = adminId;
+        previous.revocationLiftReason = reason.trim();
+    }
+    previous.replacedBy = certificate._id;
+    await previous.save();
+
+    return { certificate, previous };
+};
+
+/**
+ * The public view of a certificate, safe to show anyone holding the serial
+ * @param {Object} certificate - Certificate document
+ * @returns {Promise<Object>}
+ */
+export const toVerificationResult = async (certificate) => {
+    const replacement = certificate.replacedBy
+        ? await Certificate.findById(certificate.replacedBy).select('serial')
+        : null;
+
+    return {
+        valid: certificate.status === 'valid',
+        status: certificate.status,
+        serial: certificate.serial,
+        studentName: certificate.studentName,
+        courseTitle: certificate.courseTitle,
+        instructorName: certificate.instructorName,
+        completionDate: certificate.completionDate,
+        grade: certificate.grade ?? null,
+        issuedAt: certificate.issuedAt,
+        revokedAt: certificate.revokedAt || null,
+        revocationReason: certificate.revocationReason || null,
+        replacedBy: replacement?.serial || null
+    };
+};
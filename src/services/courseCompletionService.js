@@ -0,0 +1,205 @@
+// src/services/courseCompletionService.js
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Module from '../models/Module.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Enrollment from '../models/Enrollment.js';
+import Profile from '../models/Profile.js';
+import { issueCertificate } from './certificate/certificateService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toIdSet = (ids = []) => new Set(ids.map(id => id.toString()));
+
+/**
+ * Checks completion criteria sent by an instructor against the course content
+ * @param {Object} criteria - Requested completionCriteria
+ * @param {string} courseId
+ * @returns {Promise<Array<string>>} Problems found; empty when the criteria are usable
+ */
+export const validateCompletionCriteria = async (criteria, courseId) => {
+    const errors = [];
+
+    if (criteria.topics === 'selected' && !criteria.requiredTopics?.length) {
+        errors.push('requiredTopics must list at least one topic when topics is "selected"');
+    }
+
+    const invalidIds = [...(criteria.requiredTopics || []), ...(criteria.requiredQuizzes || [])]
+        .filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length) {
+        errors.push(`Invalid IDs: ${invalidIds.join(', ')}`);
+        return errors;
+    }
+
+    if (criteria.requiredTopics?.length) {
+        const modules = await Module.find({ courseId }).select('topics._id');
+        const courseTopics = toIdSet(modules.flatMap(module => module.topics.map(topic => topic._id)));
+        const unknown = criteria.requiredTopics.filter(id => !courseTopics.has(id.toString()));
+        if (unknown.length) errors.push(`Topics not in this course: ${unknown.join(', ')}`);
+    }
+
+    if (criteria.requiredQuizzes?.length) {
+        const quizzes = await Quiz.find({ _id: { $in: criteria.requiredQuizzes }, courseId }).select('_id');
+        const found = toIdSet(quizzes.map(quiz => quiz._id));
+        const unknown = criteria.requiredQuizzes.filter(id => !found.has(id.toString()));
+        if (unknown.length) errors.push(`Quizzes not in this course: ${unknown.join(', ')}`);
+    }
+
+    return errors;
+};
+
+// Best percentage and whether any attempt passed, per quiz
+const getQuizResults = async (userId, courseId) => {
+    const results = await QuizAttempt.aggregate([
+        {
+            $match: {
+                studentId: new mongoose.Types.ObjectId(userId.toString()),
+                courseId: new mongoose.Types.ObjectId(courseId.toString()),
+                status: { $ne: 'in-progress' }
+            }
+        },
+        {
+            $group: {
+                _id: '$quizId',
+                bestPercentage: { $max: '$percentage' },
+                passed: { $max: '$passed' }
+            }
+        }
+    ]);
+    return new Map(results.map(result => [result._id.toString(), result]));
+};
+
+/**
+ * Evaluates a student's progress against the course completion criteria.
+ * The grade is the average best score across the course quizzes.
+ * @param {Object} course - Course document (completionCriteria is used)
+ * @param {Object} progress - Progress document of the student
+ * @returns {Promise<{ completed: boolean, grade: number|null, criteria: Array }>}
+ */
+export const evaluateCourseCompletion = async (course, progress) => {
+    const criteria = course.completionCriteria || {};
+    const rule = criteria.topics || 'all';
+
+    const [modules, quizzes, quizResults] = await Promise.all([
+        Module.find({ courseId: course._id }).select('topics._id'),
+        Quiz.find({ courseId: course._id }).select('_id title'),
+        getQuizResults(progress.userId, course._id)
+    ]);
+
+    const completedTopics = toIdSet(
+        progress.topics.filter(topic => topic.status === 'completed').map(topic => topic.topicId)
+    );
+    const bestScores = quizzes.map(quiz => quizResults.get(quiz._id.toString())?.bestPercentage || 0);
+    const averageQuizScore = quizzes.length
+        ? round(bestScores.reduce((sum, score) => sum + score, 0) / quizzes.length)
+        : null;
+
+    const results = [];
+
+    if (rule !== 'none') {
+        const courseTopics = modules.flatMap(module => module.topics.map(topic => topic._id.toString()));
+        const required = rule === 'selected'
+            ? (criteria.requiredTopics || []).map(id => id.toString()).filter(id => courseTopics.includes(id))
+            : courseTopics;
+        const done = required.filter(id => completedTopics.has(id)).length;
+        results.push({
+            criterion: 'topics',
+            required: required.length,
+            actual: done,
+            // A course without content cannot be completed by viewing it
+            met: required.length > 0 && done === required.length
+        });
+    }
+
+    if (criteria.minAverageQuizScore > 0) {
+        results.push({
+            criterion: 'minAverageQuizScore',
+            required: criteria.minAverageQuizScore,
+            actual: averageQuizScore ?? 0,
+            met: (averageQuizScore ?? 0) >= criteria.minAverageQuizScore
+        });
+    }
+
+    if (criteria.requiredQuizzes?.length) {
+        const passed = criteria.requiredQuizzes.filter(id => quizResults.get(id.toString())?.passed);
+        results.push({
+            criterion: 'requiredQuizzes',
+            required: criteria.requiredQuizzes.length,
+            actual: passed.length,
+            met: passed.length === criteria.requiredQuizzes.length,
+            pending: criteria.requiredQuizzes
+                .filter(id => !quizResults.get(id.toString())?.passed)
+                .map(id => ({ _id: id, title: quizzes.find(quiz => quiz._id.equals(id))?.title }))
+        });
+    }
+
+    if (criteria.minTimeSpentMinutes > 0) {
+        const minutes = round(progress.topics.reduce((sum, topic) => sum + (topic.timeSpentSeconds || 0), 0) / 60);
+        results.push({
+            criterion: 'minTimeSpentMinutes',
+            required: criteria.minTimeSpentMinutes,
+            actual: minutes,
+            met: minutes >= criteria.minTimeSpentMinutes
+        });
+    }
+
+    return {
+        completed: results.length > 0 && results.every(result => result.met),
+        grade: averageQuizScore,
+        criteria: results
+    };
+};
+
+/**
+ * Checks the completion criteria after progress changes. The first time they are
+ * met the enrollment moves to completed, the course is added to
+ * Profile.coursesCompleted with the grade and a certificate is issued.
+ * Completion is never revoked by later changes.
+ * @param {Object} progress - Progress document (completedAt is set, not saved)
+ * @returns {Promise<Object|null>} The evaluation, or null without an active enrollment
+ */
+export const checkCourseCompletion = async (progress) => {
+    const [enrollment, course] = await Promise.all([
+        Enrollment.findOne({ student: progress.userId, course: progress.courseId, status: { $ne: 'cancelled' } }),
+        Course.findById(progress.courseId).select('completionCriteria')
+    ]);
+    if (!enrollment || !course) return null;
+
+    const evaluation = await evaluateCourseCompletion(course, progress);
+
+    if (enrollment.status === 'completed') {
+        progress.completedAt = progress.completedAt || enrollment.completedAt;
+        return { ...evaluation, completed: true, completedAt: enrollment.completedAt };
+    }
+    if (!evaluation.completed) {
+        return evaluation;
+    }
+
+    const completedAt = new Date();
+    enrollment.status = 'completed';
+    enrollment.completedAt = completedAt;
+    enrollment.grade = evaluation.grade ?? undefined;
+    await enrollment.save();
+
+    progress.completedAt = completedAt;
+
+    await Profile.updateOne(
+        { user: progress.userId, 'coursesCompleted.course': { $ne: progress.courseId } },
+        {
+            $push: {
+                coursesCompleted: {
+                    course: progress.courseId,
+                    completionDate: completedAt,
+                    grade: evaluation.grade ?? undefined
+                }
+            }
+        }
+    );
+
+    // Certificate rendering and upload should not hold up the progress update
+    issueCertificate({ studentId: progress.userId, courseId: progress.courseId })
+        .catch(error => console.error(`Failed to issue certificate for enrollment ${enrollment._id}:`, error));
+
+    return { ...evaluation, completedAt, newlyCompleted: true };
+};
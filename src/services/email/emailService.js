@@ -120,7 +120,8 @@ class EmailService {
         return { success: true, message: 'Notification processed' };
     }
 
-    async sendCustomNotification(user, title, message, metadata = {}) {
+    // attachments use the nodemailer format, e.g. [{ filename, content, contentType }]
+    async sendCustomNotification(user, title, message, metadata = {}, attachments = []) {
         const mailOptions = {
             from: process.env.EMAILJS_FROM_EMAIL || 'noreply@ticportal.com',
             to: user.email,
@@ -144,6 +145,9 @@ class EmailService {
                 </div>
             `
         };
+        if (attachments.length) {
+            mailOptions.attachments = attachments;
+        }
 
         try {
             const info = await this.transporter.sendMail(mailOptions);
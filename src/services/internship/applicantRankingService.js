@@ -0,0 +1,239 @@
+// src/services/internship/applicantRankingService.js
+import mongoose from 'mongoose';
+import Internship from '../../models/Internship.js';
+import InternshipApplication, { APPLICATION_STATUSES } from '../../models/InternshipApplication.js';
+import Profile from '../../models/Profile.js';
+import Enrollment from '../../models/Enrollment.js';
+import Certificate from '../../models/Certificate.js';
+import ApiError from '../../utils/ApiError.js';
+
+export const RANKING_COMPONENTS = ['skills', 'qualifications', 'courses', 'certifications', 'academicYear'];
+export const DEFAULT_RANKING_WEIGHTS = { skills: 40, qualifications: 15, courses: 20, certifications: 15, academicYear: 10 };
+
+// Applications left out of the ranking unless asked for by status
+const UNRANKED_STATUSES = ['Withdrawn', 'Rejected'];
+// Credit for a matched profile skill; skills verified on the portal count in full
+const SELF_REPORTED_SKILL_CREDIT = 0.7;
+// Relevant completed courses and certifications that earn the full component score
+const COURSES_FOR_FULL_SCORE = 3;
+const CERTIFICATIONS_FOR_FULL_SCORE = 2;
+// Self-reported certifications count for less than certificates issued by the portal
+const SELF_REPORTED_CERTIFICATION_CREDIT = 0.5;
+const ACADEMIC_YEAR_SCORES = {
+    'Year one': 20, 'Year two': 40, 'Year three': 60, 'Year four': 80, 'Year five': 100, Other: 50
+};
+// Words too common in qualifications to tell applicants apart
+const STOP_WORDS = new Set([
+    'and', 'the', 'with', 'for', 'from', 'into', 'least', 'years', 'year', 'experience', 'knowledge',
+    'good', 'strong', 'basic', 'ability', 'skills', 'understanding', 'familiarity', 'familiar', 'working',
+    'must', 'have', 'should', 'able', 'plus', 'preferred', 'related', 'field', 'degree', 'student', 'students'
+]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// "React.js" -> "react js"; keeps + and # for C++ and C#
+const normalize = (text = '') => String(text).toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+
+// True when either phrase contains the other as whole words
+const phrasesMatch = (a, b) => {
+    const [x, y] = [normalize(a), normalize(b)];
+    return Boolean(x && y) && (` ${x} `.includes(` ${y} `) || ` ${y} `.includes(` ${x} `));
+};
+
+const keywords = (text) => normalize(text).split(' ').filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+
+// Phrases describing what the internship is about, used to judge course and certification relevance
+const internshipTopics = (internship) => [internship.domain, ...(internship.skills || [])].filter(Boolean);
+
+const isRelevant = (text, topics) => topics.some(topic => phrasesMatch(text, topic) ||
+    keywords(topic).some(word => ` ${normalize(text)} `.includes(` ${word} `)));
+
+const scoreSkills = (internship, profile) => {
+    const required = internship.skills || [];
+    if (!required.length) return { score: null, basis: 'The internship lists no skills' };
+
+    const skills = profile?.skills || [];
+    const matched = [];
+    let credit = 0;
+    for (const skill of required) {
+        const found = skills.filter(own => phrasesMatch(own.name, skill));
+        if (!found.length) continue;
+        const verified = found.some(own => own.verified);
+        credit += verified ? 1 : SELF_REPORTED_SKILL_CREDIT;
+        matched.push(verified ? `${skill} (verified)` : skill);
+    }
+    return {
+        score: round(credit / required.length * 100),
+        basis: `Has ${matched.length} of ${required.length} required skills`,
+        matched
+    };
+};
+
+const scoreQualifications = (internship, profile, application, courseTitles) => {
+    const qualifications = (internship.qualifications || []).filter(qualification => keywords(qualification).length);
+    if (!qualifications.length) return { score: null, basis: 'The internship lists no qualifications' };
+
+    // Everything the applicant has told us or done that a qualification might mention
+    const background = ` ${normalize([
+        application.school,
+        ...(profile?.education || []).flatMap(education => [education.degree, education.fieldOfStudy, education.institution]),
+        ...(profile?.skills || []).map(skill => skill.name),
+        ...(profile?.certifications || []).map(certification => certification.name),
+        ...(profile?.experience || []).flatMap(experience => [experience.title, ...(experience.skillsUsed || [])]),
+        ...courseTitles
+    ].filter(Boolean).join(' '))} `;
+
+    const matched = [];
+    const total = qualifications.reduce((sum, qualification) => {
+        const words = keywords(qualification);
+        const share = words.filter(word => background.includes(` ${word} `)).length / words.length;
+        if (share >= 0.5) matched.push(qualification);
+        return sum + share;
+    }, 0);
+    return {
+        score: round(total / qualifications.length * 100),
+        basis: `Background matches ${matched.length} of ${qualifications.length} qualifications`,
+        matched
+    };
+};
+
+const scoreCourses = (internship, courses) => {
+    const topics = internshipTopics(internship);
+    const relevant = courses.filter(course =>
+        isRelevant([course.title, course.category, ...(course.whatYouLearn || [])].join(' '), topics));
+    return {
+        score: round(Math.min(relevant.length / COURSES_FOR_FULL_SCORE, 1) * 100),
+        basis: `Completed ${relevant.length} relevant of ${courses.length} portal courses`,
+        matched: relevant.map(course => course.title)
+    };
+};
+
+const scoreCertifications = (internship, profile, certificates) => {
+    const topics = internshipTopics(internship);
+    const issued = certificates.filter(certificate => isRelevant(certificate.courseTitle, topics));
+    const selfReported = (profile?.certifications || []).filter(certification =>
+        isRelevant(`${certification.name} ${certification.issuingOrganization || ''}`, topics));
+    const credit = issued.length + selfReported.length * SELF_REPORTED_CERTIFICATION_CREDIT;
+    return {
+        score: round(Math.min(credit / CERTIFICATIONS_FOR_FULL_SCORE, 1) * 100),
+        basis: `${issued.length} relevant portal certificates, ${selfReported.length} relevant self-reported certifications`,
+        matched: [
+            ...issued.map(certificate => `${certificate.courseTitle} (portal)`),
+            ...selfReported.map(certification => certification.name)
+        ]
+    };
+};
+
+const scoreAcademicYear = (application) => ({
+    score: ACADEMIC_YEAR_SCORES[application.year] ?? null,
+    basis: application.year ? `Academic level: ${application.year}` : 'No academic level given'
+});
+
+/**
+ * Scores one applicant against an internship. Each component is 0-100; components with nothing to
+ * compare are left out and the remaining weights scaled up, as in intern grading.
+ * @param {Object} internship - Internship with skills, qualifications and domain
+ * @param {Object} application - InternshipApplication
+ * @param {Object} background
+ * @param {Object|null} background.profile - The applicant's Profile
+ * @param {Array<Object>} background.courses - Completed portal courses
+ * @param {Array<Object>} background.certificates - Valid portal certificates
+ * @param {Object} weights - Weight per ranking component
+ * @returns {{ score: number|null, components: Array<Object> }}
+ */
+export const scoreApplicant = (internship, application, { profile, courses = [], certificates = [] }, weights) => {
+    const scores = {
+        skills: scoreSkills(internship, profile),
+        qualifications: scoreQualifications(internship, profile, application, courses.map(course => course.title)),
+        courses: scoreCourses(internship, courses),
+        certifications: scoreCertifications(internship, profile, certificates),
+        academicYear: scoreAcademicYear(application)
+    };
+
+    const components = RANKING_COMPONENTS.map(component => ({
+        component,
+        weight: weights[component],
+        ...scores[component]
+    }));
+    const scored = components.filter(component => component.score !== null && component.weight > 0);
+    const totalWeight = scored.reduce((sum, component) => sum + component.weight, 0);
+    const score = totalWeight
+        ? round(scored.reduce((sum, component) => sum + component.score * component.weight, 0) / totalWeight)
+        : null;
+    return { score, components };
+};
+
+// Profiles, completed courses and certificates of many applicants at once, by student ID
+const loadBackgrounds = async (studentIds) => {
+    const [profiles, enrollments, certificates] = await Promise.all([
+        Profile.find({ user: { $in: studentIds } }).select('user skills certifications education experience'),
+        Enrollment.find({ student: { $in: studentIds }, status: 'completed' })
+            .select('student course')
+            .populate('course', 'title category whatYouLearn'),
+        Certificate.find({ student: { $in: studentIds }, status: 'valid' }).select('student courseTitle')
+    ]);
+
+    const backgrounds = new Map(studentIds.map(id => [id.toString(), { profile: null, courses: [], certificates: [] }]));
+    profiles.forEach(profile => { backgrounds.get(profile.user.toString()).profile = profile; });
+    enrollments
+        .filter(enrollment => enrollment.course)
+        .forEach(enrollment => backgrounds.get(enrollment.student.toString()).courses.push(enrollment.course));
+    certificates.forEach(certificate => backgrounds.get(certificate.student.toString()).certificates.push(certificate));
+    return backgrounds;
+};
+
+/**
+ * Ranks an internship's applicants by how well their profile, portal courses, certificates and
+ * academic year fit it, using the internship's rankingWeights. Withdrawn and rejected applications
+ * are left out unless a status is given.
+ * @param {string} internshipId
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only rank applications in this status
+ * @returns {Promise<{ internship: Object, weights: Object, applicants: Array<Object> }>} Applicants best first,
+ *   each with its rank, score and per-component breakdown
+ */
+export const rankApplicants = async (internshipId, { status } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(internshipId)) {
+        throw new ApiError(400, 'Invalid internship ID');
+    }
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+    }
+
+    const internship = await Internship.findById(internshipId)
+        .select('title company domain skills qualifications rankingWeights');
+    if (!internship) {
+        throw new ApiError(404, 'Internship not found');
+    }
+    const weights = { ...DEFAULT_RANKING_WEIGHTS, ...internship.rankingWeights?.toObject?.() };
+
+    const applications = await InternshipApplication.find({
+        internshipId,
+        status: status || { $nin: UNRANKED_STATUSES }
+    })
+        .select('studentId school year status appliedAt')
+        .populate('studentId', 'fullName email');
+
+    const studentIds = [...new Set(applications
+        .filter(application => application.studentId)
+        .map(application => application.studentId._id.toString()))];
+    const backgrounds = await loadBackgrounds(studentIds);
+
+    const applicants = applications
+        .map(application => {
+            const background = backgrounds.get(application.studentId?._id.toString()) || {};
+            return {
+                applicationId: application._id,
+                student: application.studentId,
+                status: application.status,
+                year: application.year,
+                appliedAt: application.appliedAt,
+                ...scoreApplicant(internship, application, background, weights)
+            };
+        })
+        // Best score first, unscored last; ties go to whoever applied first
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.appliedAt - b.appliedAt)
+        .map((applicant, index) => ({ rank: index + 1, ...applicant }));
+
+    return { internship, weights, applicants };
+};
@@ -0,0 +1,120 @@
+// src/services/internship/applicationQuestionService.js
+import ApiError from '../../utils/ApiError.js';
+
+const isBlank = (value) => value === undefined || value === null ||
+    (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Reads the answers sent with an application: an object keyed by question ID, or that object as
+ * a JSON string, as multipart forms send it
+ * @param {Object|string} [raw]
+ * @returns {Object}
+ */
+export const parseAnswers = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return {};
+    let answers = raw;
+    if (typeof raw === 'string') {
+        try {
+            answers = JSON.parse(raw);
+        } catch {
+            throw new ApiError(400, 'answers must be a JSON object keyed by question ID');
+        }
+    }
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+        throw new ApiError(400, 'answers must be a JSON object keyed by question ID');
+    }
+    return answers;
+};
+
+// Checks one answer against its question; returns the stored answer or an error message
+const answerQuestion = (question, value, files) => {
+    const answer = { questionId: question._id, label: question.label, type: question.type };
+
+    switch (question.type) {
+        case 'text':
+            if (typeof value !== 'string') return { error: 'must be text' };
+            if (value.trim().length > question.maxLength) {
+                return { error: `cannot exceed ${question.maxLength} characters` };
+            }
+            return { answer: { ...answer, text: value.trim() } };
+        case 'url':
+            if (typeof value !== 'string' || !isHttpUrl(value.trim())) {
+                return { error: 'must be an http or https URL' };
+            }
+            return { answer: { ...answer, text: value.trim() } };
+        case 'single-choice':
+            if (!question.options.includes(value)) {
+                return { error: `must be one of: ${question.options.join(', ')}` };
+            }
+            return { answer: { ...answer, choices: [value] } };
+        case 'multi-choice': {
+            const choices = [...new Set(Array.isArray(value) ? value : [value])];
+            const invalid = choices.filter(choice => !question.options.includes(choice));
+            if (invalid.length) {
+                return { error: `must be chosen from: ${question.options.join(', ')}` };
+            }
+            return { answer: { ...answer, choices } };
+        }
+        case 'file': {
+            // The answer is the position of the file among the uploaded answerFiles
+            const file = Number.isInteger(Number(value)) ? files[Number(value)] : undefined;
+            if (!file) return { error: 'must be the index of a file uploaded as answerFiles' };
+            return {
+                answer: {
+                    ...answer,
+                    file: { url: file.url, fileName: file.originalname, fileType: file.mimetype, fileSize: file.size }
+                }
+            };
+        }
+        default:
+            return { error: 'has an unsupported question type' };
+    }
+};
+
+/**
+ * Checks an applicant's answers against the internship's applicationQuestions
+ * @param {Array<Object>} questions - The internship's applicationQuestions
+ * @param {Object|string} [rawAnswers] - Answers keyed by question ID; see parseAnswers
+ * @param {Array<Object>} [files] - Files uploaded as answerFiles, referenced by index from file answers
+ * @returns {Array<Object>} Answers to store on the application, in question order
+ */
+export const validateApplicationAnswers = (questions = [], rawAnswers, files = []) => {
+    const answers = parseAnswers(rawAnswers);
+    const errors = [];
+    const accepted = [];
+
+    const known = new Set(questions.map(question => question._id.toString()));
+    Object.keys(answers)
+        .filter(questionId => !known.has(questionId))
+        .forEach(questionId => errors.push({ field: `answers.${questionId}`, message: 'Unknown question' }));
+
+    for (const question of questions) {
+        const value = answers[question._id.toString()];
+        if (isBlank(value)) {
+            if (question.required) {
+                errors.push({ field: `answers.${question._id}`, message: `"${question.label}" is required` });
+            }
+            continue;
+        }
+
+        const { answer, error } = answerQuestion(question, value, files);
+        if (error) {
+            errors.push({ field: `answers.${question._id}`, message: `"${question.label}" ${error}` });
+        } else {
+            accepted.push(answer);
+        }
+    }
+
+    if (errors.length) {
+        throw new ApiError(400, 'Invalid answers to the application questions', errors);
+    }
+    return accepted;
+};
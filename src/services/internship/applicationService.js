@@ -0,0 +1,394 @@
+// src/services/internship/applicationService.js
+import mongoose from 'mongoose';
+import InternshipApplication from '../../models/InternshipApplication.js';
+import Internship from '../../models/Internship.js';
+import NotificationManager from '../notification/notificationManager.js';
+import { removeUploadedFile } from '../../middleware/internshipUpload.js';
+import ApiError from '../../utils/ApiError.js';
+
+// Statuses reviewers may move an application to from each status; Accepted and Rejected are final,
+// and only the applicant can withdraw or resubmit. Moving a waitlisted application to Pending
+// takes one of the internship's application places, so it needs one to be free.
+export const APPLICATION_STATUS_TRANSITIONS = {
+    Pending: ['Under Review', 'Rejected'],
+    'Under Review': ['Shortlisted', 'Rejected'],
+    Shortlisted: ['Interviewing', 'Accepted', 'Rejected'],
+    Interviewing: ['Accepted', 'Rejected'],
+    Accepted: [],
+    Rejected: [],
+    Withdrawn: [],
+    Waitlisted: ['Pending', 'Rejected']
+};
+// Statuses in which the applicant may still withdraw or edit
+export const APPLICANT_EDITABLE_STATUSES = ['Pending', 'Under Review', 'Waitlisted'];
+// Statuses that do not hold one of the internship's maxApplications places
+const PLACELESS_STATUSES = ['Waitlisted', 'Withdrawn'];
+
+// Counts one more application place on the internship unless maxApplications is reached
+const takeApplicationPlace = async (internshipId) => {
+    const { modifiedCount } = await Internship.updateOne(
+        {
+            _id: internshipId,
+            $or: [
+                { maxApplications: null },
+                { $expr: { $lt: [{ $ifNull: ['$applicationCount', 0] }, '$maxApplications'] } }
+            ]
+        },
+        { $inc: { applicationCount: 1 } }
+    );
+    return modifiedCount > 0;
+};
+
+// Hands back a place that was taken but never given to an application
+const returnApplicationPlace = (internshipId) =>
+    Internship.updateOne(
+        { _id: internshipId, applicationCount: { $gt: 0 } },
+        { $inc: { applicationCount: -1 } }
+    );
+
+/**
+ * Takes one of an internship's application places, or a waitlist position once maxApplications
+ * is reached. The place is counted on the internship atomically, so concurrent applicants cannot
+ * go past the cap.
+ * @param {string} internshipId
+ * @param {Date} [now]
+ * @returns {Promise<{ internship: Object, status: string }>} The internship and the status to give
+ *   the application: Pending, or Waitlisted
+ */
+export const reserveApplicationPlace = async (internshipId, now = new Date()) => {
+    const internship = await Internship.findOne({ _id: internshipId, status: 'active' })
+        .select('title company applicationDeadline maxApplications waitlistSize');
+    if (!internship) {
+        throw new ApiError(404, 'Internship not found or not accepting applications');
+    }
+    if (internship.applicationDeadline && internship.applicationDeadline < now) {
+        throw new ApiError(409, 'The application deadline for this internship has passed');
+    }
+
+    if (await takeApplicationPlace(internship._id)) {
+        return { internship, status: 'Pending' };
+    }
+
+    if (internship.waitlistSize != null) {
+        const waiting = await InternshipApplication.countDocuments({ internshipId: internship._id, status: 'Waitlisted' });
+        if (waiting >= internship.waitlistSize) {
+            throw new ApiError(409, 'This internship is no longer taking applications; its application limit and waitlist are full');
+        }
+    }
+    return { internship, status: 'Waitlisted' };
+};
+
+/**
+ * Gives up an application place: the longest-waiting waitlisted application takes it over and
+ * its applicant is notified; with nobody waiting the place is freed.
+ * @param {string} internshipId
+ * @returns {Promise<Object|null>} The promoted application, if any
+ */
+export const releaseApplicationPlace = async (internshipId) => {
+    const entry = { from: 'Waitlisted', to: 'Pending', changedAt: new Date() };
+    const promoted = await InternshipApplication.findOneAndUpdate(
+        { internshipId, status: 'Waitlisted' },
+        { $set: { status: 'Pending' }, $push: { statusHistory: entry } },
+        { sort: { appliedAt: 1 }, new: true }
+    );
+    if (!promoted) {
+        await returnApplicationPlace(internshipId);
+        return null;
+    }
+
+    await notifyApplicant(promoted);
+    return promoted;
+};
+
+/**
+ * Refuses to accept another intern once the internship's slots are filled
+ * @param {string} internshipId
+ * @returns {Promise<void>}
+ */
+export const assertSlotAvailable = async (internshipId) => {
+    const internship = await Internship.findById(internshipId).select('slots');
+    if (internship?.slots == null) return;
+
+    const accepted = await InternshipApplication.countDocuments({ internshipId, status: 'Accepted' });
+    if (accepted >= internship.slots) {
+        throw new ApiError(409, `All ${internship.slots} slots for this internship are filled`);
+    }
+};
+
+/**
+ * Closes active postings whose application deadline has passed
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many internships were closed
+ */
+export const closeExpiredInternships = async (now = new Date()) => {
+    const { modifiedCount } = await Internship.updateMany(
+        { status: 'active', applicationDeadline: { $lt: now } },
+        { $set: { status: 'closed', closedAt: now, updatedAt: now } }
+    );
+    return modifiedCount;
+};
+
+/**
+ * Loads an application for review
+ * @param {string} applicationId
+ * @param {Object} [options]
+ * @param {boolean} [options.withNotes] - Include the private reviewer notes
+ * @returns {Promise<Object>} InternshipApplication document
+ */
+export const findApplication = async (applicationId, { withNotes = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+        throw new ApiError(400, 'Invalid application ID');
+    }
+
+    const query = InternshipApplication.findById(applicationId);
+    if (withNotes) query.select('+reviewerNotes');
+    const application = await query;
+    if (!application) {
+        throw new ApiError(404, 'Application not found');
+    }
+    return application;
+};
+
+/**
+ * Tells the applicant about a status change by email and push; failures are only logged
+ * @param {Object} application - InternshipApplication document
+ * @returns {Promise<void>}
+ */
+export const notifyApplicant = async (application) => {
+    try {
+        const internship = await Internship.findById(application.internshipId).select('title company');
+        await NotificationManager.notifyApplicationStatusChanged(application, internship);
+    } catch (error) {
+        console.error(`Failed to notify applicant of application ${application._id}:`, error);
+    }
+};
+
+/**
+ * Moves an application along the review pipeline, records who changed it and notifies the applicant.
+ * Applications are updated in place rather than saved, so ones submitted under older rules are not
+ * re-validated, and only if the status has not changed since they were loaded.
+ * @param {Object} application - InternshipApplication document
+ * @param {Object} change
+ * @param {string} change.status - Target status
+ * @param {string} [change.feedback] - Replaces the feedback shown to the applicant
+ * @param {Object} admin - Who is making the change
+ * @returns {Promise<Object>} The updated application
+ */
+export const changeApplicationStatus = async (application, { status, feedback }, admin) => {
+    const from = application.status;
+    const allowed = APPLICATION_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+        throw new ApiError(409, allowed.length
+            ? `Cannot move a ${from} application to ${status}; allowed: ${allowed.join(', ')}`
+            : `A ${from} application cannot change status`);
+    }
+    if (feedback !== undefined && (typeof feedback !== 'string' || feedback.length > 500)) {
+        throw new ApiError(400, 'feedback must be text of at most 500 characters');
+    }
+    if (status === 'Accepted') {
+        await assertSlotAvailable(application.internshipId);
+    }
+    // A waitlisted application moved back to Pending needs one of the internship's places
+    const takesPlace = from === 'Waitlisted' && status === 'Pending';
+    if (takesPlace && !await takeApplicationPlace(application.internshipId)) {
+        throw new ApiError(409, 'The internship has reached its application limit; no place is free for this application');
+    }
+
+    const entry = { from, to: status, changedBy: admin._id, changedAt: new Date() };
+    const set = { status };
+    if (feedback !== undefined) set.feedback = feedback.trim();
+
+    const { modifiedCount } = await InternshipApplication.updateOne(
+        { _id: application._id, status: from },
+        { $set: set, $push: { statusHistory: entry } }
+    );
+    if (!modifiedCount) {
+        if (takesPlace) await returnApplicationPlace(application.internshipId);
+        throw new ApiError(409, 'The application changed while you were reviewing it; reload and try again');
+    }
+
+    application.set(set);
+    application.statusHistory.push(entry);
+
+    await notifyApplicant(application);
+    return application;
+};
+
+/**
+ * Adds a private reviewer note to an application
+ * @param {Object} application - InternshipApplication document loaded with its notes
+ * @param {string} note
+ * @param {Object} admin - Author
+ * @returns {Promise<Object>} The new note
+ */
+export const addReviewerNote = async (application, note, admin) => {
+    if (typeof note !== 'string' || !note.trim()) {
+        throw new ApiError(400, 'note is required');
+    }
+    if (note.length > 2000) {
+        throw new ApiError(400, 'note cannot exceed 2000 characters');
+    }
+
+    application.reviewerNotes.push({ note: note.trim(), author: admin._id });
+    const added = application.reviewerNotes[application.reviewerNotes.length - 1];
+    await InternshipApplication.updateOne({ _id: application._id }, { $push: { reviewerNotes: added } });
+    return added;
+};
+
+const assertApplicant = (application, user) => {
+    if (application.studentId.toString() !== user._id.toString()) {
+        throw new ApiError(403, 'You can only change your own applications');
+    }
+};
+
+// Edits and resubmissions close with the internship's application deadline
+const assertBeforeDeadline = async (application, now = new Date()) => {
+    const internship = await Internship.findById(application.internshipId).select('status applicationDeadline');
+    if (!internship) {
+        throw new ApiError(404, 'Internship not found');
+    }
+    if (internship.applicationDeadline && internship.applicationDeadline < now) {
+        throw new ApiError(409, 'The application deadline for this internship has passed');
+    }
+    return internship;
+};
+
+// Describes an uploaded file the way applyForInternship stores it
+const toStoredFile = (file) => ({
+    url: file.url,
+    fileName: file.originalname,
+    fileType: file.mimetype,
+    fileSize: file.size
+});
+
+/**
+ * Withdraws the applicant's application while it has not been shortlisted
+ * @param {Object} application - InternshipApplication document
+ * @param {string} [reason]
+ * @param {Object} user - The applicant
+ * @returns {Promise<Object>} The withdrawn application
+ */
+export const withdrawApplication = async (application, reason, user) => {
+    assertApplicant(application, user);
+    const from = application.status;
+    if (!APPLICANT_EDITABLE_STATUSES.includes(from)) {
+        throw new ApiError(409, `A ${from} application can no longer be withdrawn`);
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+        throw new ApiError(400, 'reason must be text of at most 500 characters');
+    }
+
+    const now = new Date();
+    const entry = { from, to: 'Withdrawn', changedBy: user._id, changedAt: now };
+    const set = { status: 'Withdrawn', withdrawnAt: now, withdrawalReason: reason?.trim() };
+
+    const { modifiedCount } = await InternshipApplication.updateOne(
+        { _id: application._id, status: from },
+        { $set: set, $push: { statusHistory: entry } }
+    );
+    if (!modifiedCount) {
+        throw new ApiError(409, 'The application changed meanwhile; reload and try again');
+    }
+    if (!PLACELESS_STATUSES.includes(from)) {
+        await releaseApplicationPlace(application.internshipId);
+    }
+
+    application.set(set);
+    application.statusHistory.push(entry);
+    return application;
+};
+
+/**
+ * Puts a withdrawn application back in the queue before the deadline; it is waitlisted
+ * if the internship's application places have been taken meanwhile
+ * @param {Object} application - InternshipApplication document
+ * @param {Object} user - The applicant
+ * @returns {Promise<Object>} The resubmitted application
+ */
+export const resubmitApplication = async (application, user) => {
+    assertApplicant(application, user);
+    if (application.status !== 'Withdrawn') {
+        throw new ApiError(409, 'Only withdrawn applications can be resubmitted');
+    }
+    const { status } = await reserveApplicationPlace(application.internshipId);
+
+    const entry = { from: 'Withdrawn', to: status, changedBy: user._id, changedAt: new Date() };
+    const { modifiedCount } = await InternshipApplication.updateOne(
+        { _id: application._id, status: 'Withdrawn' },
+        {
+            $set: { status },
+            $unset: { withdrawnAt: '', withdrawalReason: '' },
+            $push: { statusHistory: entry }
+        }
+    );
+    if (!modifiedCount) {
+        if (status === 'Pending') await releaseApplicationPlace(application.internshipId);
+        throw new ApiError(409, 'The application changed meanwhile; reload and try again');
+    }
+
+    application.set({ status, withdrawnAt: undefined, withdrawalReason: undefined });
+    application.statusHistory.push(entry);
+    return application;
+};
+
+/**
+ * Lets the applicant rewrite the application letter and replace the resume or support letter
+ * before the deadline. Replaced files are deleted once the change is saved; on failure the newly
+ * uploaded ones are deleted instead.
+ * @param {string} applicationId
+ * @param {Object} updates
+ * @param {string} [updates.applicationLetter]
+ * @param {Object} [files] - req.files from the internship upload middleware
+ * @param {Object} user - The applicant
+ * @returns {Promise<Object>} The updated application
+ */
+export const updateApplication = async (applicationId, { applicationLetter } = {}, files = {}, user) => {
+    const resume = files.resumeFile?.[0];
+    const supportLetter = files.supportLetter?.[0];
+
+    try {
+        const application = await findApplication(applicationId);
+        assertApplicant(application, user);
+        if (!APPLICANT_EDITABLE_STATUSES.includes(application.status)) {
+            throw new ApiError(409, `A ${application.status} application can no longer be changed`);
+        }
+        await assertBeforeDeadline(application);
+
+        const set = {};
+        if (applicationLetter !== undefined) set.applicationLetter = applicationLetter;
+        if (resume) set.resumeFile = { ...toStoredFile(resume), uploadedAt: new Date() };
+        if (supportLetter) set.supportLetter = toStoredFile(supportLetter);
+        const fields = Object.keys(set);
+        if (!fields.length) {
+            throw new ApiError(400, 'Provide an applicationLetter, resumeFile or supportLetter to change');
+        }
+
+        const entry = { fields, changedBy: user._id, changedAt: new Date() };
+        let result;
+        try {
+            result = await InternshipApplication.updateOne(
+                { _id: application._id, status: { $in: APPLICANT_EDITABLE_STATUSES } },
+                { $set: set, $push: { changeHistory: entry } },
+                { runValidators: true }
+            );
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                const details = Object.values(error.errors).map(err => err.message);
+                throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+            }
+            throw error;
+        }
+        if (!result.modifiedCount) {
+            throw new ApiError(409, 'The application changed meanwhile; reload and try again');
+        }
+
+        const replaced = [resume && application.resumeFile?.url, supportLetter && application.supportLetter?.url];
+        application.set(set);
+        application.changeHistory.push(entry);
+        await Promise.all(replaced.map(removeUploadedFile));
+        return application;
+    } catch (error) {
+        await Promise.all([resume?.url, supportLetter?.url].map(removeUploadedFile));
+        throw error;
+    }
+};
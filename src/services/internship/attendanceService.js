@@ -0,0 +1,188 @@
+// src/services/internship/attendanceService.js
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import DailyActivity from '../../models/DailyActivities.js';
+import Internship from '../../models/Internship.js';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import ApiError from '../../utils/ApiError.js';
+import { toDayStart, addDays, getWeekdayName } from '../../utils/dates.js';
+import { toMinutes, TIME_PATTERN } from './internshipEnrollmentService.js';
+
+// Check-ins up to this many minutes after dailyStartTime still count as present
+export const LATE_GRACE_MINUTES = 15;
+
+// Fields a supervisor may set when overriding a record
+export const OVERRIDE_FIELDS = ['status', 'checkInTime', 'checkOutTime', 'totalHours', 'reason', 'isExcused', 'notes'];
+
+// Fields derived by the generator; any it does not set are cleared on regeneration
+const DERIVED_FIELDS = ['status', 'checkInTime', 'checkOutTime', 'totalHours', 'expectedHours', 'reason'];
+
+/**
+ * Hours an intern is expected to work on a working day
+ * @param {Object} enrollment - InternshipEnrollment with dailyStartTime and dailyEndTime
+ * @returns {number}
+ */
+export const getDailyExpectedHours = (enrollment) =>
+    (toMinutes(enrollment.dailyEndTime) - toMinutes(enrollment.dailyStartTime)) / 60;
+
+/**
+ * Works out one day's attendance from the enrollment schedule and the intern's daily log.
+ * Non-working days are weekends, then holidays; otherwise the log's check-in decides
+ * between present, late and absent.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Date} date - Start of the day
+ * @param {Object} [context]
+ * @param {Object} [context.holiday] - The internship holiday on this day, if any
+ * @param {Object} [context.log] - The intern's DailyActivity for this day, if any
+ * @returns {Object} Attendance fields
+ */
+export const deriveAttendance = (enrollment, date, { holiday, log } = {}) => {
+    if (!enrollment.workingDays.includes(getWeekdayName(date))) {
+        return { status: 'weekend', expectedHours: 0 };
+    }
+    if (holiday) {
+        return { status: 'holiday', expectedHours: 0, reason: holiday.name };
+    }
+
+    const expectedHours = getDailyExpectedHours(enrollment);
+    if (!log?.checkInTime) {
+        return { status: 'absent', expectedHours, totalHours: 0 };
+    }
+
+    const minutesLate = toMinutes(log.checkInTime) - toMinutes(enrollment.dailyStartTime);
+    return {
+        status: minutesLate > LATE_GRACE_MINUTES ? 'late' : 'present',
+        checkInTime: log.checkInTime,
+        checkOutTime: log.checkOutTime,
+        totalHours: log.totalHours || 0,
+        expectedHours
+    };
+};
+
+/**
+ * Creates or refreshes the attendance of every active enrollment for one day.
+ * Records a supervisor changed, or that were entered by hand, are left alone.
+ * @param {string|Date} [day] - Defaults to yesterday
+ * @returns {Promise<{ date: Date, generated: number, skipped: number }>}
+ */
+export const generateAttendanceForDate = async (day = addDays(new Date(), -1)) => {
+    const date = toDayStart(day);
+    if (!date) {
+        throw new ApiError(400, 'date must be a valid date (YYYY-MM-DD)');
+    }
+    if (date > toDayStart(new Date())) {
+        throw new ApiError(400, 'Attendance cannot be generated for future dates');
+    }
+    const nextDay = addDays(date, 1);
+
+    const enrollments = await InternshipEnrollment.find({
+        status: 'active',
+        actualStartDate: { $lt: nextDay },
+        actualEndDate: { $gte: date }
+    }).select('studentId internshipId workingDays dailyStartTime dailyEndTime');
+    if (!enrollments.length) {
+        return { date, generated: 0, skipped: 0 };
+    }
+
+    const enrollmentIds = enrollments.map(enrollment => enrollment._id);
+    const internshipIds = [...new Set(enrollments.map(enrollment => enrollment.internshipId.toString()))];
+
+    const [internships, logs, protectedIds] = await Promise.all([
+        Internship.find({ _id: { $in: internshipIds }, 'holidays.date': { $gte: date, $lt: nextDay } }).select('holidays'),
+        DailyActivity.find({ enrollmentId: { $in: enrollmentIds }, date }).select('enrollmentId checkInTime checkOutTime totalHours'),
+        AttendanceRecord.find({
+            enrollmentId: { $in: enrollmentIds },
+            date,
+            $or: [{ wasModified: true }, { isAutoGenerated: false }]
+        }).distinct('enrollmentId')
+    ]);
+
+    const holidaysByInternship = new Map(internships.map(internship => [
+        internship._id.toString(),
+        internship.holidays.find(holiday => holiday.date >= date && holiday.date < nextDay)
+    ]));
+    const logsByEnrollment = new Map(logs.map(log => [log.enrollmentId.toString(), log]));
+    const skip = new Set(protectedIds.map(id => id.toString()));
+
+    const now = new Date();
+    const operations = enrollments
+        .filter(enrollment => !skip.has(enrollment._id.toString()))
+        .map(enrollment => {
+            const derived = deriveAttendance(enrollment, date, {
+                holiday: holidaysByInternship.get(enrollment.internshipId.toString()),
+                log: logsByEnrollment.get(enrollment._id.toString())
+            });
+            const unset = Object.fromEntries(
+                DERIVED_FIELDS.filter(field => derived[field] === undefined).map(field => [field, ''])
+            );
+            const set = Object.fromEntries(Object.entries(derived).filter(([, value]) => value !== undefined));
+
+            return {
+                updateOne: {
+                    filter: { enrollmentId: enrollment._id, date },
+                    update: {
+                        $set: {
+                            ...set,
+                            studentId: enrollment.studentId,
+                            internshipId: enrollment.internshipId,
+                            isAutoGenerated: true,
+                            markedAt: now
+                        },
+                        ...(Object.keys(unset).length ? { $unset: unset } : {})
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+    if (operations.length) {
+        await AttendanceRecord.bulkWrite(operations, { ordered: false });
+    }
+
+    return { date, generated: operations.length, skipped: skip.size };
+};
+
+/**
+ * Applies a supervisor's correction to an attendance record. The record is flagged
+ * as modified so later generator runs keep the correction.
+ * @param {Object} record - AttendanceRecord document
+ * @param {Object} updates - Any of OVERRIDE_FIELDS
+ * @param {Object} user - The supervisor or admin
+ * @returns {Promise<Object>} The saved record
+ */
+export const overrideAttendanceRecord = async (record, updates = {}, user) => {
+    const rejected = Object.keys(updates).filter(field => !OVERRIDE_FIELDS.includes(field));
+    if (rejected.length) {
+        throw new ApiError(403, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+    if (!Object.keys(updates).length) {
+        throw new ApiError(400, `Provide at least one of: ${OVERRIDE_FIELDS.join(', ')}`);
+    }
+    const badTimes = ['checkInTime', 'checkOutTime'].filter(field => updates[field] && !TIME_PATTERN.test(updates[field]));
+    if (badTimes.length) {
+        throw new ApiError(400, `${badTimes.join(' and ')} must use HH:MM format`);
+    }
+
+    record.set(updates);
+
+    // Keep hours in line with corrected times unless they were given explicitly
+    const timesChanged = updates.checkInTime !== undefined || updates.checkOutTime !== undefined;
+    if (timesChanged && updates.totalHours === undefined && record.checkInTime && record.checkOutTime) {
+        const minutes = toMinutes(record.checkOutTime) - toMinutes(record.checkInTime);
+        record.totalHours = Math.max(Math.round(minutes / 60 * 100) / 100, 0);
+    }
+
+    record.wasModified = true;
+    record.markedBy = user._id;
+    record.markedAt = new Date();
+
+    try {
+        await record.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+    return record;
+};
@@ -0,0 +1,227 @@
+// src/services/internship/dailyLogService.js
+import mongoose from 'mongoose';
+import DailyActivity from '../../models/DailyActivities.js';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import NotificationManager from '../notification/notificationManager.js';
+import ApiError from '../../utils/ApiError.js';
+import { toDayStart, addDays } from '../../utils/dates.js';
+import { findAccessibleEnrollment, isEnrollmentStudent } from './enrollmentAccess.js';
+
+// Statuses in which the student may still change a log
+export const EDITABLE_LOG_STATUSES = ['draft', 'needs-revision'];
+export const REVIEW_DECISIONS = ['approved', 'needs-revision'];
+
+export const STUDENT_EDITABLE_FIELDS = [
+    'checkInTime', 'checkOutTime', 'breakTime', 'activities', 'whatYouDid', 'challengesFaced',
+    'solutionsFound', 'nextSteps', 'skillsLearned', 'skillsImproved', 'resourcesUsed', 'goalsSet',
+    'goalsAchieved', 'moodRating', 'satisfactionLevel'
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Saves a log, reporting schema validation failures as bad requests and duplicate days as conflicts
+const saveLog = async (log) => {
+    try {
+        await log.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        if (error.code === 11000) {
+            throw new ApiError(409, 'A daily log already exists for this date');
+        }
+        throw error;
+    }
+};
+
+const pickFields = (updates, allowedFields) => {
+    const rejected = Object.keys(updates).filter(field => !allowedFields.includes(field));
+    if (rejected.length) {
+        throw new ApiError(403, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+    return updates;
+};
+
+/**
+ * When a log is due and how long a late submission is still accepted.
+ * A log is due by the end of its day; enrollments allowing late submissions
+ * accept it for maxLateSubmissionHours after that.
+ * @param {Date} logDate - Start of the logged day
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @returns {{ dueAt: Date, acceptedUntil: Date }}
+ */
+export const getSubmissionWindow = (logDate, enrollment) => {
+    const dueAt = addDays(logDate, 1);
+    const graceHours = enrollment.allowLateSubmissions ? enrollment.maxLateSubmissionHours || 0 : 0;
+    return { dueAt, acceptedUntil: new Date(dueAt.getTime() + graceHours * HOUR_MS) };
+};
+
+/**
+ * Loads a daily log together with its enrollment, checking the user may see it
+ * @param {string} logId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Require admin or assigned-mentor access
+ * @param {boolean} [options.owner] - Require the log's student
+ * @returns {Promise<{ log: Object, enrollment: Object }>}
+ */
+export const findAccessibleLog = async (logId, user, { manage = false, owner = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(logId)) {
+        throw new ApiError(400, 'Invalid daily log ID');
+    }
+
+    const log = await DailyActivity.findById(logId);
+    if (!log) {
+        throw new ApiError(404, 'Daily log not found');
+    }
+
+    const enrollment = await findAccessibleEnrollment(log.enrollmentId, user, { manage });
+    if (owner && !isEnrollmentStudent(enrollment, user)) {
+        throw new ApiError(403, 'Only the intern can change their daily log');
+    }
+
+    return { log, enrollment };
+};
+
+/**
+ * Starts a draft log for one day of an active enrollment
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} data - date plus any of STUDENT_EDITABLE_FIELDS
+ * @param {Object} user - The intern
+ * @returns {Promise<Object>} The saved DailyActivity
+ */
+export const createDailyLog = async (enrollment, { date, ...fields } = {}, user) => {
+    if (!isEnrollmentStudent(enrollment, user)) {
+        throw new ApiError(403, 'Only the intern can log activities for this enrollment');
+    }
+    if (enrollment.status !== 'active') {
+        throw new ApiError(409, `Daily logs cannot be added to a ${enrollment.status} enrollment`);
+    }
+
+    const logDate = toDayStart(date);
+    if (!logDate) {
+        throw new ApiError(400, 'date must be a valid date (YYYY-MM-DD)');
+    }
+    if (logDate > toDayStart(new Date())) {
+        throw new ApiError(400, 'Daily logs cannot be created for future dates');
+    }
+    if (logDate < toDayStart(enrollment.actualStartDate) || logDate > toDayStart(enrollment.actualEndDate)) {
+        throw new ApiError(400, 'date must fall within the internship period');
+    }
+
+    const log = new DailyActivity({
+        ...pickFields(fields, STUDENT_EDITABLE_FIELDS),
+        enrollmentId: enrollment._id,
+        studentId: enrollment.studentId,
+        internshipId: enrollment.internshipId,
+        date: logDate,
+        status: 'draft'
+    });
+    await saveLog(log);
+    return log;
+};
+
+/**
+ * Applies the intern's changes to a draft or a log returned for revision
+ * @param {Object} log - DailyActivity document
+ * @param {Object} updates - Any of STUDENT_EDITABLE_FIELDS
+ * @returns {Promise<Object>} The saved log
+ */
+export const updateDailyLog = async (log, updates = {}) => {
+    if (!EDITABLE_LOG_STATUSES.includes(log.status)) {
+        throw new ApiError(409, `A ${log.status} daily log cannot be edited`);
+    }
+
+    log.set(pickFields(updates, STUDENT_EDITABLE_FIELDS));
+    await saveLog(log);
+    return log;
+};
+
+/**
+ * Submits a log for mentor review. The first submission is checked against the
+ * enrollment's late-submission settings; resubmitting a revision keeps that result.
+ * @param {Object} log - DailyActivity document
+ * @param {Object} enrollment - The log's InternshipEnrollment
+ * @returns {Promise<Object>} The saved log
+ */
+export const submitDailyLog = async (log, enrollment) => {
+    if (!EDITABLE_LOG_STATUSES.includes(log.status)) {
+        throw new ApiError(409, `A ${log.status} daily log cannot be submitted`);
+    }
+
+    const now = new Date();
+    if (log.status === 'draft') {
+        if (enrollment.status !== 'active') {
+            throw new ApiError(409, `Daily logs cannot be submitted for a ${enrollment.status} enrollment`);
+        }
+
+        const { dueAt, acceptedUntil } = getSubmissionWindow(log.date, enrollment);
+        if (now > acceptedUntil) {
+            throw new ApiError(400, enrollment.allowLateSubmissions
+                ? `Late submissions for this log closed at ${acceptedUntil.toISOString()}`
+                : `This log was due by ${dueAt.toISOString()} and late submissions are not allowed`);
+        }
+        log.isLateSubmission = now > dueAt;
+    }
+
+    log.status = 'submitted';
+    log.submittedAt = now;
+    await saveLog(log);
+    return log;
+};
+
+/**
+ * Records a mentor's review of a submitted log and notifies the intern
+ * @param {Object} log - DailyActivity document
+ * @param {Object} review
+ * @param {string} review.decision - approved or needs-revision
+ * @param {number} [review.rating]
+ * @param {number} [review.technicalRating]
+ * @param {number} [review.effortRating]
+ * @param {string} [review.comments] - Required when asking for a revision
+ * @param {string} [review.suggestions]
+ * @param {Object} reviewer - Admin or assigned mentor
+ * @returns {Promise<Object>} The saved log
+ */
+export const reviewDailyLog = async (log, { decision, rating, technicalRating, effortRating, comments, suggestions }, reviewer) => {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new ApiError(400, `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+    if (decision === 'needs-revision' && !comments?.trim()) {
+        throw new ApiError(400, 'comments are required when asking for a revision');
+    }
+    if (log.status !== 'submitted') {
+        throw new ApiError(409, `Only submitted daily logs can be reviewed; this one is ${log.status}`);
+    }
+
+    const reviewedAt = new Date();
+    const feedback = { rating, technicalRating, effortRating, comments, suggestions };
+    log.mentorFeedback = { ...feedback, reviewedAt, reviewedBy: reviewer._id };
+    log.reviewHistory.push({ decision, ...feedback, reviewedBy: reviewer._id, reviewedAt });
+    log.status = decision;
+    await saveLog(log);
+
+    try {
+        await NotificationManager.notifyDailyLogReviewed(log.studentId, log);
+    } catch (error) {
+        console.error('Failed to send daily log review notification:', error);
+    }
+
+    return log;
+};
+
+/**
+ * Query filter for logs waiting on a reviewer: every submitted log for admins,
+ * those of their assigned interns for mentors
+ * @param {Object} user - Admin or mentor
+ * @returns {Promise<Object>}
+ */
+export const getReviewQueueFilter = async (user) => {
+    const filter = { status: 'submitted' };
+    if (user.userType !== 'admin') {
+        const enrollmentIds = await InternshipEnrollment.find({ mentorId: user._id }).distinct('_id');
+        filter.enrollmentId = { $in: enrollmentIds };
+    }
+    return filter;
+};
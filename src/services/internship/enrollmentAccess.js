@@ -0,0 +1,95 @@
+// src/services/internship/enrollmentAccess.js
+import mongoose from 'mongoose';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import ApiError from '../../utils/ApiError.js';
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Query filter limiting internship enrollments to those a user may see:
+ * admins see all, mentors and supervisors their assigned interns, students their own
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Filter, or null when the role has no access
+ */
+export const getEnrollmentScope = (user) => {
+    switch (user?.userType) {
+        case 'admin':
+            return {};
+        case 'mentor':
+            return { mentorId: user._id };
+        case 'supervisor':
+            return { supervisorId: user._id };
+        case 'student':
+            return { studentId: user._id };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Whether the user is the intern on the enrollment
+ * @param {Object} enrollment
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isEnrollmentStudent = (enrollment, user) =>
+    sameId(enrollment.studentId?._id || enrollment.studentId, user._id);
+
+/**
+ * Whether the user may manage the enrollment (admins and the assigned mentor)
+ * @param {Object} enrollment
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const canManageEnrollment = (enrollment, user) =>
+    user?.userType === 'admin' ||
+    (user?.userType === 'mentor' && sameId(enrollment.mentorId?._id || enrollment.mentorId, user._id));
+
+/**
+ * Whether the user may supervise the enrollment's attendance (admins and the assigned supervisor)
+ * @param {Object} enrollment
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const canSuperviseEnrollment = (enrollment, user) =>
+    user?.userType === 'admin' ||
+    (user?.userType === 'supervisor' && sameId(enrollment.supervisorId?._id || enrollment.supervisorId, user._id));
+
+/**
+ * Loads an internship enrollment the user is allowed to see
+ * @param {string} enrollmentId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Require admin or assigned-mentor access
+ * @param {boolean} [options.supervise] - Require admin or assigned-supervisor access
+ * @param {string|Object} [options.populate] - Passed to Query#populate
+ * @returns {Promise<Object>} InternshipEnrollment document
+ */
+export const findAccessibleEnrollment = async (enrollmentId, user, { manage = false, supervise = false, populate } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(enrollmentId)) {
+        throw new ApiError(400, 'Invalid enrollment ID');
+    }
+
+    const query = InternshipEnrollment.findById(enrollmentId);
+    if (populate) query.populate(populate);
+    const enrollment = await query;
+    if (!enrollment) {
+        throw new ApiError(404, 'Internship enrollment not found');
+    }
+
+    let allowed;
+    if (manage) {
+        allowed = canManageEnrollment(enrollment, user);
+    } else if (supervise) {
+        allowed = canSuperviseEnrollment(enrollment, user);
+    } else {
+        allowed = canManageEnrollment(enrollment, user) ||
+            canSuperviseEnrollment(enrollment, user) ||
+            isEnrollmentStudent(enrollment, user);
+    }
+    if (!allowed) {
+        throw new ApiError(403, 'Not authorized to access this internship enrollment');
+    }
+
+    return enrollment;
+};
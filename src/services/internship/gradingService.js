@@ -0,0 +1,213 @@
+// src/services/internship/gradingService.js
+import Internship from '../../models/Internship.js';
+import Profile from '../../models/Profile.js';
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import DailyActivity from '../../models/DailyActivities.js';
+import InternshipMilestone from '../../models/InternshipMilestone.js';
+import ProgressReport from '../../models/ProgressReport.js';
+import { FINAL_GRADES, GRADING_COMPONENTS } from '../../models/InternshipEnrollment.js';
+import ApiError from '../../utils/ApiError.js';
+import { changeEnrollmentStatus, ENROLLMENT_STATUS_TRANSITIONS } from './internshipEnrollmentService.js';
+import {
+    PRESENT_STATUSES,
+    EXCUSED_STATUSES,
+    NON_WORKING_STATUSES,
+    generateProgressReport
+} from './progressReportService.js';
+
+export const DEFAULT_GRADING_WEIGHTS = { attendance: 20, milestones: 30, dailyLogs: 20, finalReport: 30 };
+
+// Lowest score for each letter grade, best first; anything lower is an F
+export const GRADE_THRESHOLDS = [
+    ['A+', 90], ['A', 85], ['A-', 80], ['B+', 75], ['B', 70], ['B-', 65],
+    ['C+', 60], ['C', 55], ['C-', 50], ['D', 45]
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+// 1-5 ratings as a percentage
+const ratingScore = (rating) => round(rating / 5 * 100);
+
+/**
+ * Letter grade for a 0-100 score
+ * @param {number} score
+ * @returns {string}
+ */
+export const toLetterGrade = (score) => GRADE_THRESHOLDS.find(([, minimum]) => score >= minimum)?.[0] || 'F';
+
+// Each component's score (0-100) and what it was based on; null score when there is nothing to grade
+const scoreComponents = async (enrollment) => {
+    const [attendance, ratedLogs, milestones, finalReport] = await Promise.all([
+        AttendanceRecord.aggregate([
+            { $match: { enrollmentId: enrollment._id } },
+            { $group: { _id: '$status', days: { $sum: 1 } } }
+        ]),
+        DailyActivity.find({
+            enrollmentId: enrollment._id,
+            status: { $ne: 'draft' },
+            'mentorFeedback.rating': { $exists: true }
+        }).select('mentorFeedback.rating'),
+        InternshipMilestone.find({ enrollmentId: enrollment._id, status: { $ne: 'cancelled' } })
+            .select('status evaluation.rating'),
+        ProgressReport.findOne({ enrollmentId: enrollment._id, 'reportPeriod.reportType': 'final' })
+            .select('status mentorEvaluation.overallRating')
+    ]);
+
+    // Attendance over the whole internship; excused leave is left out, as in progress reports
+    const days = Object.fromEntries(attendance.map(({ _id, days }) => [_id, days]));
+    const count = (statuses) => statuses.reduce((sum, status) => sum + (days[status] || 0), 0);
+    const countable = Object.values(days).reduce((sum, value) => sum + value, 0) -
+        count(NON_WORKING_STATUSES) - count(EXCUSED_STATUSES);
+    const present = count(PRESENT_STATUSES);
+
+    const ratings = ratedLogs.map(log => log.mentorFeedback.rating);
+    const evaluated = milestones.filter(milestone => milestone.evaluation?.rating);
+    const finalRating = finalReport?.mentorEvaluation?.overallRating;
+
+    return {
+        attendance: countable > 0
+            ? { score: round(present / countable * 100), basis: `Present ${present} of ${countable} working days` }
+            : { score: null, basis: 'No attendance recorded' },
+        milestones: evaluated.length
+            ? {
+                score: ratingScore(average(evaluated.map(milestone => milestone.evaluation.rating))),
+                basis: `Average evaluation of ${evaluated.length} of ${milestones.length} milestones`
+            }
+            : { score: null, basis: milestones.length ? 'No milestone evaluated yet' : 'No milestones' },
+        dailyLogs: ratings.length
+            ? { score: ratingScore(average(ratings)), basis: `Average mentor rating of ${ratings.length} daily logs` }
+            : { score: null, basis: 'No rated daily logs' },
+        finalReport: finalRating
+            ? { score: ratingScore(finalRating), basis: `Final report overall rating ${finalRating} / 5` }
+            : { score: null, basis: finalReport ? 'Final report not evaluated yet' : 'No final report' }
+    };
+};
+
+/**
+ * Combines attendance, milestone evaluations, daily-log ratings and the final report's overall
+ * rating into a weighted 0-100 score, using the internship's gradingWeights. Components with
+ * nothing to grade are left out and the remaining weights scaled up.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @returns {Promise<{ score: number|null, suggestedGrade: string|null, components: Array<Object> }>}
+ */
+export const computeFinalGrade = async (enrollment) => {
+    const internshipId = enrollment.internshipId?._id || enrollment.internshipId;
+    const [internship, scores] = await Promise.all([
+        Internship.findById(internshipId).select('gradingWeights'),
+        scoreComponents(enrollment)
+    ]);
+    const weights = { ...DEFAULT_GRADING_WEIGHTS, ...internship?.gradingWeights?.toObject?.() };
+
+    const components = GRADING_COMPONENTS.map(component => ({
+        component,
+        weight: weights[component],
+        ...scores[component]
+    }));
+    const graded = components.filter(component => component.score !== null && component.weight > 0);
+    const totalWeight = graded.reduce((sum, component) => sum + component.weight, 0);
+    if (!totalWeight) {
+        return { score: null, suggestedGrade: null, components };
+    }
+
+    const score = round(graded.reduce((sum, component) => sum + component.score * component.weight, 0) / totalWeight);
+    return { score, suggestedGrade: toLetterGrade(score), components };
+};
+
+// Adds the internship to the student's profile experience, once
+const recordProfileExperience = async (enrollment) => {
+    const internship = await Internship.findById(enrollment.internshipId?._id || enrollment.internshipId)
+        .select('title company location skills');
+    if (!internship) return;
+
+    await Profile.updateOne(
+        { user: enrollment.studentId?._id || enrollment.studentId, 'experience.internshipEnrollment': { $ne: enrollment._id } },
+        {
+            $push: {
+                experience: {
+                    title: `${internship.title} Intern`,
+                    company: internship.company,
+                    location: internship.location,
+                    startDate: enrollment.actualStartDate,
+                    endDate: enrollment.completedAt,
+                    currentlyWorking: false,
+                    description: `Completed the ${internship.title} internship with a final grade of ${enrollment.finalGrade}.`,
+                    skillsUsed: internship.skills,
+                    internshipEnrollment: enrollment._id
+                }
+            }
+        }
+    );
+};
+
+// Drafts (or refreshes) the final report so the mentor can rate it; a report past draft is left alone
+const draftFinalReport = async (enrollment, user) => {
+    try {
+        await generateProgressReport(enrollment, { reportType: 'final' }, user);
+    } catch (error) {
+        if (error.statusCode !== 409) throw error;
+    }
+};
+
+/**
+ * Completes an enrollment with its final grade. The grade defaults to the suggested one;
+ * a different grade needs an adjustmentReason. While the final report counts towards the grade
+ * but has no overallRating, completion is refused and the report drafted for the mentor, unless
+ * a finalReportWaiverReason is given to grade without it. The grading breakdown is kept on the
+ * enrollment and the internship is added to the student's profile experience.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} completion
+ * @param {string} [completion.finalGrade] - Confirms or adjusts the suggested grade
+ * @param {string} [completion.adjustmentReason] - Required when finalGrade differs from the suggestion
+ * @param {string} [completion.finalReportWaiverReason] - Grades without an evaluated final report
+ * @param {string} [completion.completionReason] - Defaults to successful
+ * @param {string} [completion.note]
+ * @param {Object} user - Admin or assigned mentor
+ * @returns {Promise<Object>} The completed enrollment
+ */
+export const completeEnrollment = async (enrollment, {
+    finalGrade, adjustmentReason, finalReportWaiverReason, completionReason, note
+} = {}, user) => {
+    // Checked before anything is graded or drafted, so an enrollment that cannot complete is left untouched
+    if (!(ENROLLMENT_STATUS_TRANSITIONS[enrollment.status] || []).includes('completed')) {
+        throw new ApiError(409, `A ${enrollment.status} enrollment cannot be completed`);
+    }
+    if (finalGrade && !FINAL_GRADES.includes(finalGrade)) {
+        throw new ApiError(400, `finalGrade must be one of: ${FINAL_GRADES.join(', ')}`);
+    }
+
+    const { score, suggestedGrade, components } = await computeFinalGrade(enrollment);
+    const finalReport = components.find(component => component.component === 'finalReport');
+    const waived = finalReport.weight > 0 && finalReport.score === null && Boolean(finalReportWaiverReason?.trim());
+    if (finalReport.weight > 0 && finalReport.score === null && !waived) {
+        await draftFinalReport(enrollment, user);
+        throw new ApiError(409, 'The final report must have an overallRating before the intern is graded; ' +
+            'it has been drafted for the mentor to evaluate. Give a finalReportWaiverReason to grade without it');
+    }
+    const grade = finalGrade || suggestedGrade;
+    if (!grade) {
+        throw new ApiError(400, 'Nothing has been graded yet; a finalGrade is required to complete this enrollment');
+    }
+    const adjusted = Boolean(suggestedGrade) && grade !== suggestedGrade;
+    if (adjusted && !adjustmentReason?.trim()) {
+        throw new ApiError(400, `An adjustmentReason is required to change the suggested grade ${suggestedGrade} to ${grade}`);
+    }
+
+    enrollment.grading = {
+        score,
+        suggestedGrade,
+        components,
+        adjustmentReason: adjusted || !suggestedGrade ? adjustmentReason : undefined,
+        finalReportWaiverReason: waived ? finalReportWaiverReason.trim() : undefined,
+        gradedBy: user._id,
+        gradedAt: new Date()
+    };
+    await changeEnrollmentStatus(enrollment, { status: 'completed', completionReason, finalGrade: grade, note }, user);
+
+    try {
+        await recordProfileExperience(enrollment);
+    } catch (error) {
+        console.error(`Failed to add internship experience for enrollment ${enrollment._id}:`, error);
+    }
+
+    return enrollment;
+};
@@ -0,0 +1,184 @@
+// src/services/internship/internshipDashboardService.js
+import mongoose from 'mongoose';
+import InternshipEnrollment, { ENROLLMENT_STATUSES } from '../../models/InternshipEnrollment.js';
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import DailyActivity from '../../models/DailyActivities.js';
+import InternshipMilestone from '../../models/InternshipMilestone.js';
+import ProgressReport from '../../models/ProgressReport.js';
+import ApiError from '../../utils/ApiError.js';
+import { toDayStart, addDays } from '../../utils/dates.js';
+import { getEnrollmentScope } from './enrollmentAccess.js';
+import { PRESENT_STATUSES, EXCUSED_STATUSES, NON_WORKING_STATUSES } from './progressReportService.js';
+
+// Enrollments shown when no status is asked for: everything not yet closed
+const OPEN_STATUSES = ['active', 'on-hold', 'suspended'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const groupByEnrollment = (items) => {
+    const groups = new Map();
+    for (const item of items) {
+        const key = item.enrollmentId.toString();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+};
+
+/**
+ * Attendance of the current week (Monday to today) from per-status day counts;
+ * like progress reports, excused leave leaves the denominator
+ * @param {Object} counts - Days per attendance status
+ * @returns {Object}
+ */
+const summarizeWeek = (counts = {}) => {
+    const days = (statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+    const recorded = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const workingDays = recorded - days(NON_WORKING_STATUSES);
+    const countable = workingDays - days(EXCUSED_STATUSES);
+    const daysPresent = days(PRESENT_STATUSES);
+
+    return {
+        workingDays,
+        daysPresent,
+        daysLate: counts.late || 0,
+        daysAbsent: counts.absent || 0,
+        daysExcused: days(EXCUSED_STATUSES),
+        attendanceRate: countable > 0 ? round(daysPresent / countable * 100) : null
+    };
+};
+
+/**
+ * What needs attention across the interns a mentor, supervisor or admin oversees: each intern's
+ * status, attendance this week, daily logs waiting for review, overdue milestones and draft
+ * progress reports waiting for evaluation. Supervisors and admins also get totals per mentor.
+ * @param {Object} user - Mentor, supervisor or admin
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Enrollment status; defaults to all open enrollments
+ * @param {string} [filters.mentorId] - Narrow to one mentor (supervisors and admins)
+ * @param {Date} [now]
+ * @returns {Promise<{ summary: Object, byMentor?: Array<Object>, interns: Array<Object> }>}
+ */
+export const getInternDashboard = async (user, { status, mentorId } = {}, now = new Date()) => {
+    const scope = getEnrollmentScope(user);
+    if (!scope || user.userType === 'student') {
+        throw new ApiError(403, 'Only mentors, supervisors and admins have an intern dashboard');
+    }
+
+    const filter = { ...scope, status: { $in: OPEN_STATUSES } };
+    if (status) {
+        if (!ENROLLMENT_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`);
+        }
+        filter.status = status;
+    }
+    if (mentorId && user.userType !== 'mentor') {
+        if (!mongoose.Types.ObjectId.isValid(mentorId)) {
+            throw new ApiError(400, 'Invalid mentor ID');
+        }
+        filter.mentorId = mentorId;
+    }
+
+    const enrollments = await InternshipEnrollment.find(filter)
+        .populate('studentId', 'fullName email')
+        .populate('mentorId', 'fullName email')
+        .populate('supervisorId', 'fullName email')
+        .populate('internshipId', 'title company')
+        .sort({ actualStartDate: -1 });
+    const enrollmentIds = enrollments.map(enrollment => enrollment._id);
+
+    const today = toDayStart(now);
+    const weekStart = addDays(today, -((today.getUTCDay() + 6) % 7));
+
+    const [attendance, pendingLogs, overdueMilestones, draftReports] = await Promise.all([
+        AttendanceRecord.aggregate([
+            { $match: { enrollmentId: { $in: enrollmentIds }, date: { $gte: weekStart, $lte: today } } },
+            { $group: { _id: { enrollmentId: '$enrollmentId', status: '$status' }, days: { $sum: 1 } } }
+        ]),
+        DailyActivity.aggregate([
+            { $match: { enrollmentId: { $in: enrollmentIds }, status: 'submitted' } },
+            { $group: { _id: '$enrollmentId', count: { $sum: 1 }, oldestSubmittedAt: { $min: '$submittedAt' } } }
+        ]),
+        // Milestones the nightly sweep has flagged, plus any past due since it last ran
+        InternshipMilestone.find({
+            enrollmentId: { $in: enrollmentIds },
+            $or: [
+                { status: 'overdue' },
+                { status: { $in: ['pending', 'in-progress'] }, targetDate: { $lt: today } }
+            ]
+        })
+            .select('enrollmentId title targetDate completionPercentage status')
+            .sort({ targetDate: 1 }),
+        ProgressReport.find({ enrollmentId: { $in: enrollmentIds }, status: 'draft' })
+            .select('enrollmentId reportPeriod createdAt')
+            .sort({ 'reportPeriod.startDate': 1 })
+    ]);
+
+    const weekCounts = new Map();
+    for (const { _id, days } of attendance) {
+        const key = _id.enrollmentId.toString();
+        weekCounts.set(key, { ...weekCounts.get(key), [_id.status]: days });
+    }
+    const logsByEnrollment = new Map(pendingLogs.map(group => [group._id.toString(), group]));
+    const milestonesByEnrollment = groupByEnrollment(overdueMilestones);
+    const reportsByEnrollment = groupByEnrollment(draftReports);
+
+    const interns = enrollments.map(enrollment => {
+        const key = enrollment._id.toString();
+        const logs = logsByEnrollment.get(key);
+        return {
+            enrollmentId: enrollment._id,
+            student: enrollment.studentId,
+            internship: enrollment.internshipId,
+            mentor: enrollment.mentorId,
+            supervisor: enrollment.supervisorId,
+            status: enrollment.status,
+            actualStartDate: enrollment.actualStartDate,
+            actualEndDate: enrollment.actualEndDate,
+            attendanceThisWeek: summarizeWeek(weekCounts.get(key)),
+            pendingLogs: { count: logs?.count || 0, oldestSubmittedAt: logs?.oldestSubmittedAt || null },
+            overdueMilestones: (milestonesByEnrollment.get(key) || []).map(milestone => ({
+                _id: milestone._id,
+                title: milestone.title,
+                targetDate: milestone.targetDate,
+                completionPercentage: milestone.completionPercentage
+            })),
+            reportsAwaitingEvaluation: (reportsByEnrollment.get(key) || []).map(report => ({
+                _id: report._id,
+                reportType: report.reportPeriod.reportType,
+                startDate: report.reportPeriod.startDate,
+                endDate: report.reportPeriod.endDate
+            }))
+        };
+    });
+
+    const totals = (rows) => {
+        const rates = rows.map(row => row.attendanceThisWeek.attendanceRate).filter(rate => rate !== null);
+        return {
+            interns: rows.length,
+            pendingLogs: rows.reduce((sum, row) => sum + row.pendingLogs.count, 0),
+            overdueMilestones: rows.reduce((sum, row) => sum + row.overdueMilestones.length, 0),
+            reportsAwaitingEvaluation: rows.reduce((sum, row) => sum + row.reportsAwaitingEvaluation.length, 0),
+            averageAttendanceRate: rates.length ? round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null
+        };
+    };
+
+    const summary = {
+        ...totals(interns),
+        byStatus: interns.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), {}),
+        weekStart
+    };
+    if (user.userType === 'mentor') {
+        return { summary, interns };
+    }
+
+    const byMentorId = new Map();
+    for (const row of interns) {
+        const key = row.mentor?._id?.toString() || 'unassigned';
+        if (!byMentorId.has(key)) byMentorId.set(key, { mentor: row.mentor || null, rows: [] });
+        byMentorId.get(key).rows.push(row);
+    }
+    const byMentor = [...byMentorId.values()].map(({ mentor, rows }) => ({ mentor, ...totals(rows) }));
+
+    return { summary, byMentor, interns };
+};
@@ -0,0 +1,287 @@
+// src/services/internship/internshipEnrollmentService.js
+import mongoose from 'mongoose';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import InternshipApplication from '../../models/InternshipApplication.js';
+import Internship from '../../models/Internship.js';
+import User from '../../models/User.js';
+import ApiError from '../../utils/ApiError.js';
+import { generateProgressReport } from './progressReportService.js';
+import { notifyApplicant, assertSlotAvailable, APPLICATION_STATUS_TRANSITIONS } from './applicationService.js';
+
+export const DEFAULT_WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Statuses an enrollment may move to from each status; completed and terminated are final
+export const ENROLLMENT_STATUS_TRANSITIONS = {
+    active: ['on-hold', 'suspended', 'completed', 'terminated'],
+    'on-hold': ['active', 'suspended', 'completed', 'terminated'],
+    suspended: ['active', 'on-hold', 'terminated'],
+    completed: [],
+    terminated: []
+};
+
+// Fields admins may change after onboarding; mentors only the submission settings
+export const ADMIN_EDITABLE_FIELDS = [
+    'actualStartDate', 'actualEndDate', 'workingDays', 'dailyStartTime', 'dailyEndTime', 'mentorId',
+    'supervisorId', 'weeklyExpectedHours', 'requiresDailySubmission', 'allowLateSubmissions', 'maxLateSubmissionHours'
+];
+export const MENTOR_EDITABLE_FIELDS = ['requiresDailySubmission', 'allowLateSubmissions', 'maxLateSubmissionHours'];
+
+/**
+ * Minutes since midnight for an HH:MM time
+ * @param {string} time
+ * @returns {number}
+ */
+export const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Checks an enrollment schedule, returning every problem found
+ * @param {Object} schedule - actualStartDate, actualEndDate, workingDays, dailyStartTime, dailyEndTime
+ * @returns {Array<string>}
+ */
+export const validateSchedule = ({ actualStartDate, actualEndDate, workingDays, dailyStartTime, dailyEndTime }) => {
+    const errors = [];
+    const start = new Date(actualStartDate);
+    const end = new Date(actualEndDate);
+
+    if (isNaN(start)) errors.push('actualStartDate must be a valid date');
+    if (isNaN(end)) errors.push('actualEndDate must be a valid date');
+    if (!isNaN(start) && !isNaN(end) && end <= start) errors.push('actualEndDate must be after actualStartDate');
+
+    if (!Array.isArray(workingDays) || workingDays.length === 0) {
+        errors.push('workingDays must list at least one day');
+    } else {
+        const unknown = workingDays.filter(day => !WEEK_DAYS.includes(day));
+        if (unknown.length) errors.push(`Unknown working days: ${unknown.join(', ')}`);
+    }
+
+    const validTimes = [dailyStartTime, dailyEndTime].every(time => TIME_PATTERN.test(time || ''));
+    if (!validTimes) {
+        errors.push('dailyStartTime and dailyEndTime must use HH:MM format');
+    } else if (toMinutes(dailyEndTime) <= toMinutes(dailyStartTime)) {
+        errors.push('dailyEndTime must be after dailyStartTime');
+    }
+
+    return errors;
+};
+
+// Saves an enrollment, reporting schema validation failures as bad requests
+const saveEnrollment = async (enrollment) => {
+    try {
+        await enrollment.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+};
+
+// Mentors and supervisors must be existing users with that role
+const assertUserRole = async (userId, userType, field) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, `Invalid ${userType} ID`);
+    }
+    const user = await User.findOne({ _id: userId, userType }).select('_id');
+    if (!user) {
+        throw new ApiError(400, `${field} must belong to a user with the ${userType} role`);
+    }
+};
+
+/**
+ * Accepts an application (if it is not accepted yet) and enrolls the applicant. Only applications
+ * that may move to Accepted under APPLICATION_STATUS_TRANSITIONS, or already have, can be onboarded.
+ * Dates default to the internship's dates, the week to Monday-Friday and the day to 09:00-17:00.
+ * @param {string} applicationId
+ * @param {Object} details - Schedule, mentorId, supervisorId and submission settings
+ * @param {Object} admin - The admin onboarding the applicant
+ * @returns {Promise<{ enrollment: Object, application: Object }>}
+ */
+export const onboardApplicant = async (applicationId, details = {}, admin) => {
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+        throw new ApiError(400, 'Invalid application ID');
+    }
+
+    const application = await InternshipApplication.findById(applicationId);
+    if (!application) {
+        throw new ApiError(404, 'Application not found');
+    }
+    const from = application.status;
+    if (from !== 'Accepted' && !APPLICATION_STATUS_TRANSITIONS[from]?.includes('Accepted')) {
+        const onboardable = Object.keys(APPLICATION_STATUS_TRANSITIONS)
+            .filter(status => APPLICATION_STATUS_TRANSITIONS[status].includes('Accepted'));
+        throw new ApiError(409, `A ${from} application cannot be onboarded; it must be Accepted or ${onboardable.join(' or ')}`);
+    }
+
+    const existing = await InternshipEnrollment.findOne({
+        studentId: application.studentId,
+        internshipId: application.internshipId
+    }).select('_id');
+    if (existing) {
+        throw new ApiError(409, `The applicant is already enrolled in this internship (enrollment ${existing._id})`);
+    }
+
+    const internship = await Internship.findById(application.internshipId).select('startDate endDate');
+    if (!internship) {
+        throw new ApiError(404, 'Internship not found');
+    }
+
+    const schedule = {
+        actualStartDate: details.actualStartDate || internship.startDate,
+        actualEndDate: details.actualEndDate || internship.endDate,
+        workingDays: details.workingDays || DEFAULT_WORKING_DAYS,
+        dailyStartTime: details.dailyStartTime || '09:00',
+        dailyEndTime: details.dailyEndTime || '17:00'
+    };
+    const errors = validateSchedule(schedule);
+    if (errors.length) {
+        throw new ApiError(400, `Invalid schedule: ${errors.join('; ')}`, errors);
+    }
+    if (details.mentorId) {
+        await assertUserRole(details.mentorId, 'mentor', 'mentorId');
+    }
+    if (details.supervisorId) {
+        await assertUserRole(details.supervisorId, 'supervisor', 'supervisorId');
+    }
+
+    const dailyHours = (toMinutes(schedule.dailyEndTime) - toMinutes(schedule.dailyStartTime)) / 60;
+    const enrollment = new InternshipEnrollment({
+        ...schedule,
+        studentId: application.studentId,
+        applicationId: application._id,
+        internshipId: application.internshipId,
+        mentorId: details.mentorId,
+        supervisorId: details.supervisorId,
+        weeklyExpectedHours: details.weeklyExpectedHours ?? dailyHours * schedule.workingDays.length,
+        requiresDailySubmission: details.requiresDailySubmission,
+        allowLateSubmissions: details.allowLateSubmissions,
+        maxLateSubmissionHours: details.maxLateSubmissionHours,
+        statusHistory: [{ to: 'active', note: 'Onboarded from application', changedBy: admin._id }]
+    });
+    if (from !== 'Accepted') {
+        await assertSlotAvailable(application.internshipId);
+    }
+    await saveEnrollment(enrollment);
+
+    if (from !== 'Accepted') {
+        // Only the status changes, so older applications are not re-validated; an application
+        // changed meanwhile (e.g. withdrawn) is not accepted and the enrollment is undone
+        const entry = { from, to: 'Accepted', changedBy: admin._id, changedAt: new Date() };
+        const { modifiedCount } = await InternshipApplication.updateOne(
+            { _id: application._id, status: from },
+            { $set: { status: 'Accepted' }, $push: { statusHistory: entry } }
+        );
+        if (!modifiedCount) {
+            await InternshipEnrollment.deleteOne({ _id: enrollment._id });
+            throw new ApiError(409, 'The application changed while it was being onboarded; reload and try again');
+        }
+        application.status = 'Accepted';
+        application.statusHistory.push(entry);
+        await notifyApplicant(application);
+    }
+
+    return { enrollment, application };
+};
+
+/**
+ * Applies allowed field updates to an enrollment, re-checking the schedule
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} updates - Requested changes
+ * @param {Array<string>} allowedFields - Fields the caller may change
+ * @returns {Promise<Object>} The saved enrollment
+ */
+export const updateEnrollmentDetails = async (enrollment, updates = {}, allowedFields) => {
+    const rejected = Object.keys(updates).filter(field => !allowedFields.includes(field));
+    if (rejected.length) {
+        throw new ApiError(403, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+    if (['completed', 'terminated'].includes(enrollment.status)) {
+        throw new ApiError(409, `A ${enrollment.status} enrollment cannot be changed`);
+    }
+
+    if (updates.mentorId) {
+        await assertUserRole(updates.mentorId, 'mentor', 'mentorId');
+    }
+    if (updates.supervisorId) {
+        await assertUserRole(updates.supervisorId, 'supervisor', 'supervisorId');
+    }
+
+    enrollment.set(updates);
+    const errors = validateSchedule(enrollment);
+    if (errors.length) {
+        throw new ApiError(400, `Invalid schedule: ${errors.join('; ')}`, errors);
+    }
+
+    await saveEnrollment(enrollment);
+    return enrollment;
+};
+
+/**
+ * Moves an enrollment to a new status and records the change.
+ * Completing defaults the reason to 'successful' and drafts the final progress report;
+ * terminating requires a reason.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} change
+ * @param {string} change.status - Target status
+ * @param {string} [change.completionReason]
+ * @param {string} [change.finalGrade]
+ * @param {string} [change.note]
+ * @param {Object} user - Who is making the change
+ * @returns {Promise<Object>} The saved enrollment
+ */
+export const changeEnrollmentStatus = async (enrollment, { status, completionReason, finalGrade, note }, user) => {
+    const from = enrollment.status;
+    const allowed = ENROLLMENT_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+        throw new ApiError(409, allowed.length
+            ? `Cannot move an ${from} enrollment to ${status}; allowed: ${allowed.join(', ')}`
+            : `A ${from} enrollment cannot change status`);
+    }
+
+    const now = new Date();
+    let reason;
+
+    switch (status) {
+        case 'completed':
+            reason = completionReason || 'successful';
+            enrollment.completedAt = now;
+            if (finalGrade) enrollment.finalGrade = finalGrade;
+            break;
+        case 'terminated':
+            if (!completionReason || completionReason === 'successful') {
+                throw new ApiError(400, 'A completionReason other than successful is required to terminate an enrollment');
+            }
+            reason = completionReason;
+            enrollment.terminatedAt = now;
+            break;
+        case 'on-hold':
+        case 'suspended':
+            enrollment.pausedAt = now;
+            break;
+        case 'active':
+            enrollment.pausedAt = undefined;
+            break;
+    }
+
+    if (reason) enrollment.completionReason = reason;
+    enrollment.status = status;
+    enrollment.statusHistory.push({ from, to: status, reason, note, changedBy: user._id, changedAt: now });
+
+    await saveEnrollment(enrollment);
+
+    // Draft (or refresh) the final report for the mentor to evaluate; one finalized before grading is kept
+    if (status === 'completed') {
+        generateProgressReport(enrollment, { reportType: 'final' })
+            .catch(error => {
+                if (error.statusCode === 409) return;
+                console.error(`Failed to draft final report for enrollment ${enrollment._id}:`, error);
+            });
+    }
+
+    return enrollment;
+};
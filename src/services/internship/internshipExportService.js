@@ -0,0 +1,186 @@
+// src/services/internship/internshipExportService.js
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import DailyActivities from '../../models/DailyActivities.js';
+import ApiError from '../../utils/ApiError.js';
+import { toCsv } from '../../utils/csv.js';
+import { toDayStart, addDays, getWeekdayName } from '../../utils/dates.js';
+
+export const EXPORT_FORMATS = ['pdf', 'csv'];
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Validates the requested export format
+ * @param {string} [format] - Defaults to pdf
+ * @returns {string}
+ */
+export const parseExportFormat = (format = 'pdf') => {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new ApiError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+};
+
+/**
+ * Populates the people and internship named on exported documents
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @returns {Promise<{ student: Object, internship: Object, mentor: Object }>}
+ */
+export const getExportContext = async (enrollment) => {
+    await enrollment.populate([
+        { path: 'studentId', select: 'fullName email' },
+        { path: 'mentorId', select: 'fullName email' },
+        { path: 'internshipId', select: 'title company' }
+    ]);
+    return {
+        student: enrollment.studentId,
+        internship: enrollment.internshipId,
+        mentor: enrollment.mentorId
+    };
+};
+
+/**
+ * Collects one month of attendance and daily logs, day by day, with hour totals.
+ * Expected hours leave out excused days (approved leave), like progress reports do.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {string} [month] - YYYY-MM; defaults to the current month
+ * @returns {Promise<Object>} Timesheet with days and totals
+ */
+export const buildTimesheet = async (enrollment, month) => {
+    const now = new Date();
+    const value = month || `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+    const match = MONTH_PATTERN.exec(value);
+    if (!match) {
+        throw new ApiError(400, 'month must be formatted as YYYY-MM');
+    }
+
+    const monthStart = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const monthEnd = addDays(new Date(Date.UTC(Number(match[1]), Number(match[2]), 1)), -1);
+    const enrollmentStart = toDayStart(enrollment.actualStartDate);
+    const enrollmentEnd = toDayStart(enrollment.actualEndDate);
+    const startDate = enrollmentStart > monthStart ? enrollmentStart : monthStart;
+    const endDate = enrollmentEnd && enrollmentEnd < monthEnd ? enrollmentEnd : monthEnd;
+    if (startDate > endDate) {
+        throw new ApiError(400, `${value} is outside the internship period`);
+    }
+
+    const range = { $gte: startDate, $lte: endDate };
+    const [records, logs] = await Promise.all([
+        AttendanceRecord.find({ enrollmentId: enrollment._id, date: range })
+            .select('date status checkInTime checkOutTime totalHours expectedHours isExcused notes'),
+        DailyActivities.find({ enrollmentId: enrollment._id, date: range })
+            .select('date status totalHours')
+    ]);
+    const recordsByDay = new Map(records.map(record => [isoDay(record.date), record]));
+    const logsByDay = new Map(logs.map(log => [isoDay(log.date), log]));
+
+    const days = [];
+    const totals = { hoursWorked: 0, expectedHours: 0, byStatus: {} };
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        const record = recordsByDay.get(isoDay(day));
+        const log = logsByDay.get(isoDay(day));
+        const hours = record?.totalHours || 0;
+        const expectedHours = record && !record.isExcused ? record.expectedHours || 0 : 0;
+
+        days.push({
+            date: day,
+            weekday: getWeekdayName(day),
+            status: record?.status || '',
+            checkInTime: record?.checkInTime || '',
+            checkOutTime: record?.checkOutTime || '',
+            totalHours: round(hours),
+            expectedHours: round(expectedHours),
+            isExcused: Boolean(record?.isExcused),
+            logStatus: log?.status || '',
+            logHours: log?.totalHours || 0,
+            notes: record?.notes || ''
+        });
+
+        totals.hoursWorked += hours;
+        totals.expectedHours += expectedHours;
+        if (record) {
+            totals.byStatus[record.status] = (totals.byStatus[record.status] || 0) + 1;
+        }
+    }
+    totals.hoursWorked = round(totals.hoursWorked);
+    totals.expectedHours = round(totals.expectedHours);
+    totals.difference = round(totals.hoursWorked - totals.expectedHours);
+
+    return { month: value, startDate, endDate, days, totals };
+};
+
+/**
+ * Timesheet as CSV: one row per day followed by a totals row
+ * @param {Object} timesheet - From buildTimesheet
+ * @returns {string}
+ */
+export const timesheetToCsv = (timesheet) => toCsv([
+    ['Date', 'Weekday', 'Status', 'Check-in', 'Check-out', 'Hours worked', 'Expected hours', 'Excused', 'Daily log status', 'Daily log hours', 'Notes'],
+    ...timesheet.days.map(day => [
+        isoDay(day.date), day.weekday, day.status, day.checkInTime, day.checkOutTime,
+        day.totalHours, day.expectedHours, day.isExcused ? 'yes' : 'no', day.logStatus, day.logHours, day.notes
+    ]),
+    ['Total', '', '', '', '', timesheet.totals.hoursWorked, timesheet.totals.expectedHours, '', '', '', `Difference: ${timesheet.totals.difference}`]
+]);
+
+/**
+ * Progress report as CSV with one section/metric/value row per figure
+ * @param {Object} report - ProgressReport document
+ * @param {Object} context - From getExportContext
+ * @returns {string}
+ */
+export const progressReportToCsv = (report, { student, internship, mentor }) => {
+    const { reportPeriod: period, attendanceMetrics: attendance, workMetrics: work, performanceMetrics: performance } = report;
+    const evaluation = report.mentorEvaluation || {};
+    const list = (items) => (items || []).join('; ');
+
+    return toCsv([
+        ['Section', 'Metric', 'Value'],
+        ['Report', 'Intern', student?.fullName],
+        ['Report', 'Internship', internship?.title],
+        ['Report', 'Company', internship?.company],
+        ['Report', 'Mentor', mentor?.fullName],
+        ['Report', 'Type', period.reportType],
+        ['Report', 'Week', period.weekNumber],
+        ['Report', 'Month', period.monthNumber],
+        ['Report', 'Start date', isoDay(period.startDate)],
+        ['Report', 'End date', isoDay(period.endDate)],
+        ['Report', 'Status', report.status],
+        ['Attendance', 'Working days', attendance.totalWorkingDays],
+        ['Attendance', 'Days present', attendance.daysPresent],
+        ['Attendance', 'Days late', attendance.daysLate],
+        ['Attendance', 'Days absent', attendance.daysAbsent],
+        ['Attendance', 'Attendance %', attendance.attendancePercentage],
+        ['Hours', 'Hours worked', work.totalHoursWorked],
+        ['Hours', 'Expected hours', work.expectedHours],
+        ['Hours', 'Average daily hours', work.averageDailyHours],
+        ['Hours', 'Hours completion %', work.hoursCompletionPercentage],
+        ['Daily logs', 'Activities completed', performance.totalActivitiesCompleted],
+        ['Daily logs', 'Average mentor rating', performance.averageTaskRating],
+        ['Daily logs', 'On-time submissions', performance.onTimeSubmissions],
+        ['Daily logs', 'Late submissions', performance.lateSubmissions],
+        ['Daily logs', 'Submission rate %', performance.submissionRate],
+        ['Goals', 'Goal completion %', report.goals.goalCompletionRate],
+        ['Goals', 'Achieved', list(report.goals.goalsAchieved)],
+        ['Goals', 'In progress', list(report.goals.goalsInProgress)],
+        ['Learning', 'Skills learned', list(report.learningProgress.skillsLearned.map(({ skill }) => skill))],
+        ['Learning', 'Skills improved', list(report.learningProgress.skillsImproved.map(({ skill }) => skill))],
+        ['Summary', 'Summary', report.summary],
+        ['Mentor evaluation', 'Technical skills', evaluation.technicalSkills],
+        ['Mentor evaluation', 'Communication', evaluation.communication],
+        ['Mentor evaluation', 'Problem solving', evaluation.problemSolving],
+        ['Mentor evaluation', 'Initiative', evaluation.initiative],
+        ['Mentor evaluation', 'Teamwork', evaluation.teamwork],
+        ['Mentor evaluation', 'Punctuality', evaluation.punctuality],
+        ['Mentor evaluation', 'Overall rating', evaluation.overallRating],
+        ['Mentor evaluation', 'Comments', evaluation.comments],
+        ['Mentor evaluation', 'Recommendations', evaluation.recommendations],
+        ['Mentor evaluation', 'Strengths', list(report.strengthsIdentified)],
+        ['Mentor evaluation', 'Areas for improvement', list(report.areasForImprovement)],
+        ['Mentor evaluation', 'Next period plans', report.nextPeriodPlans]
+    ]);
+};
@@ -0,0 +1,297 @@
+// src/services/internship/internshipPdf.js
+import PDFDocument from 'pdfkit';
+
+const ACCENT = '#1a3c6e';
+const MARGIN = 50;
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const display = (value) => (value === undefined || value === null || value === '' ? '-' : String(value));
+
+// Creates a portrait A4 document and a promise of its bytes
+const createDocument = (title) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: { Title: title, Author: 'TIC Portal' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+    return { doc, finished };
+};
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+// Starts a new page when fewer than `needed` points remain
+const ensureSpace = (doc, needed) => {
+    if (doc.y + needed > doc.page.height - MARGIN) {
+        doc.addPage();
+    }
+};
+
+const heading = (doc, title, subtitle) => {
+    doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(20).text(title, MARGIN, MARGIN);
+    if (subtitle) {
+        doc.fillColor('#444444').font('Helvetica').fontSize(11).text(subtitle);
+    }
+    doc.moveDown(0.5);
+    doc.lineWidth(2).strokeColor(ACCENT)
+        .moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+    doc.moveDown(0.8);
+};
+
+const sectionTitle = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.6);
+    doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(13).text(title, MARGIN);
+    doc.moveDown(0.3);
+};
+
+// Label/value pairs in two columns
+const keyValues = (doc, pairs) => {
+    const labelWidth = 170;
+    for (const [label, value] of pairs) {
+        ensureSpace(doc, 18);
+        const y = doc.y;
+        doc.fillColor('#666666').font('Helvetica').fontSize(10).text(label, MARGIN, y, { width: labelWidth });
+        doc.fillColor('#111111').text(display(value), MARGIN + labelWidth, y, { width: contentWidth(doc) - labelWidth });
+        doc.moveDown(0.25);
+    }
+};
+
+const paragraph = (doc, text) => {
+    ensureSpace(doc, 30);
+    doc.fillColor('#111111').font('Helvetica').fontSize(10).text(display(text), MARGIN, doc.y, { width: contentWidth(doc) });
+};
+
+const bulletList = (doc, items) => {
+    if (!items?.length) {
+        paragraph(doc, 'None recorded');
+        return;
+    }
+    for (const item of items) {
+        ensureSpace(doc, 16);
+        doc.fillColor('#111111').font('Helvetica').fontSize(10)
+            .text(`•  ${item}`, MARGIN + 8, doc.y, { width: contentWidth(doc) - 8 });
+    }
+};
+
+/**
+ * Draws a table with a shaded header row, repeating the header on new pages
+ * @param {PDFDocument} doc
+ * @param {Array<{ header: string, width: number, align?: string }>} columns - Widths are fractions of the page width
+ * @param {Array<Array<any>>} rows
+ * @param {Object} [options]
+ * @param {Array<any>} [options.footer] - Bold totals row
+ */
+const table = (doc, columns, rows, { footer } = {}) => {
+    const width = contentWidth(doc);
+    const rowHeight = 16;
+    const drawRow = (cells, { bold = false, fill } = {}) => {
+        ensureSpace(doc, rowHeight);
+        const y = doc.y;
+        if (fill) {
+            doc.rect(MARGIN, y - 3, width, rowHeight).fill(fill);
+        }
+        let x = MARGIN;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5).fillColor('#111111');
+        columns.forEach((column, index) => {
+            const cellWidth = column.width * width;
+            doc.text(display(cells[index]), x + 3, y, {
+                width: cellWidth - 6,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += cellWidth;
+        });
+        doc.x = MARGIN;
+        doc.y = y + rowHeight;
+    };
+
+    const header = columns.map(column => column.header);
+    drawRow(header, { bold: true, fill: '#e8edf5' });
+    for (const row of rows) {
+        if (doc.y + rowHeight > doc.page.height - MARGIN) {
+            doc.addPage();
+            drawRow(header, { bold: true, fill: '#e8edf5' });
+        }
+        drawRow(row);
+    }
+    if (footer) {
+        drawRow(footer, { bold: true, fill: '#f3f3f3' });
+    }
+};
+
+// Page numbers and generation date on every page
+const addFooters = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let index = 0; index < range.count; index++) {
+        doc.switchToPage(range.start + index);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fillColor('#888888').font('Helvetica').fontSize(8)
+            .text(`Generated ${formatDate(new Date())} - Page ${index + 1} of ${range.count}`,
+                MARGIN, doc.page.height - 35, { width: contentWidth(doc), align: 'center' });
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+const participantPairs = ({ student, internship, mentor }) => [
+    ['Intern', student?.fullName],
+    ['Internship', internship ? `${internship.title} - ${internship.company}` : undefined],
+    ['Mentor', mentor?.fullName]
+];
+
+/**
+ * Renders a progress report as a printable PDF
+ * @param {Object} report - ProgressReport document
+ * @param {Object} context - student, internship and mentor of the enrollment
+ * @returns {Promise<Buffer>}
+ */
+export const renderProgressReportPdf = (report, context) => {
+    const { reportType, startDate, endDate, weekNumber, monthNumber } = report.reportPeriod;
+    const typeLabel = `${reportType.charAt(0).toUpperCase()}${reportType.slice(1)}`;
+    const number = weekNumber ? ` - Week ${weekNumber}` : monthNumber ? ` - Month ${monthNumber}` : '';
+    const { doc, finished } = createDocument(`${typeLabel} progress report`);
+
+    heading(doc, `${typeLabel} Progress Report${number}`, `${formatDate(startDate)} to ${formatDate(endDate)}`);
+    keyValues(doc, [...participantPairs(context), ['Status', report.status]]);
+
+    const { attendanceMetrics: attendance, workMetrics: work, performanceMetrics: performance, goals } = report;
+    sectionTitle(doc, 'Attendance');
+    keyValues(doc, [
+        ['Working days', attendance.totalWorkingDays],
+        ['Days present', attendance.daysPresent],
+        ['Days late', attendance.daysLate],
+        ['Days absent', attendance.daysAbsent],
+        ['Attendance', `${attendance.attendancePercentage}%`]
+    ]);
+
+    sectionTitle(doc, 'Hours');
+    keyValues(doc, [
+        ['Hours worked', work.totalHoursWorked],
+        ['Expected hours', work.expectedHours],
+        ['Average per day present', work.averageDailyHours],
+        ['Hours completion', `${work.hoursCompletionPercentage}%`]
+    ]);
+
+    sectionTitle(doc, 'Daily logs and tasks');
+    keyValues(doc, [
+        ['Activities completed', performance.totalActivitiesCompleted],
+        ['Average mentor rating', performance.averageTaskRating ? `${performance.averageTaskRating} / 5` : undefined],
+        ['On-time submissions', performance.onTimeSubmissions],
+        ['Late submissions', performance.lateSubmissions],
+        ['Submission rate', `${performance.submissionRate}%`]
+    ]);
+
+    sectionTitle(doc, 'Goals');
+    keyValues(doc, [['Goal completion', `${goals.goalCompletionRate}%`]]);
+    doc.moveDown(0.2);
+    bulletList(doc, [
+        ...goals.goalsAchieved.map(goal => `Achieved: ${goal}`),
+        ...goals.goalsInProgress.map(goal => `In progress: ${goal}`)
+    ]);
+
+    sectionTitle(doc, 'Learning');
+    bulletList(doc, [
+        ...report.learningProgress.technicalAchievements,
+        ...report.learningProgress.skillsLearned.map(({ skill }) => `Learned: ${skill}`),
+        ...report.learningProgress.skillsImproved.map(({ skill, improvementLevel }) =>
+            `Improved: ${skill}${improvementLevel ? ` (${improvementLevel})` : ''}`)
+    ]);
+
+    sectionTitle(doc, 'Challenges');
+    bulletList(doc, report.challenges.map(({ challenge, resolved, resolution }) =>
+        resolved ? `${challenge} - resolved: ${resolution}` : `${challenge} - unresolved`));
+
+    sectionTitle(doc, 'Summary');
+    paragraph(doc, report.summary);
+
+    const evaluation = report.mentorEvaluation || {};
+    if (evaluation.overallRating) {
+        sectionTitle(doc, 'Mentor evaluation');
+        keyValues(doc, [
+            ['Technical skills', evaluation.technicalSkills],
+            ['Communication', evaluation.communication],
+            ['Problem solving', evaluation.problemSolving],
+            ['Initiative', evaluation.initiative],
+            ['Teamwork', evaluation.teamwork],
+            ['Punctuality', evaluation.punctuality],
+            ['Overall rating', `${evaluation.overallRating} / 5`],
+            ['Comments', evaluation.comments],
+            ['Recommendations', evaluation.recommendations]
+        ]);
+    }
+    if (report.strengthsIdentified?.length) {
+        sectionTitle(doc, 'Strengths');
+        bulletList(doc, report.strengthsIdentified);
+    }
+    if (report.areasForImprovement?.length) {
+        sectionTitle(doc, 'Areas for improvement');
+        bulletList(doc, report.areasForImprovement);
+    }
+    if (report.nextPeriodPlans) {
+        sectionTitle(doc, 'Plans for the next period');
+        paragraph(doc, report.nextPeriodPlans);
+    }
+
+    addFooters(doc);
+    doc.end();
+    return finished;
+};
+
+/**
+ * Renders a monthly timesheet as a printable PDF
+ * @param {Object} timesheet - From buildTimesheet
+ * @returns {Promise<Buffer>}
+ */
+export const renderTimesheetPdf = (timesheet) => {
+    const { doc, finished } = createDocument(`Timesheet ${timesheet.month}`);
+
+    heading(doc, 'Monthly Timesheet', `${formatDate(timesheet.startDate)} to ${formatDate(timesheet.endDate)}`);
+    keyValues(doc, participantPairs(timesheet));
+    doc.moveDown(0.6);
+
+    table(doc, [
+        { header: 'Date', width: 0.15 },
+        { header: 'Day', width: 0.1 },
+        { header: 'Status', width: 0.18 },
+        { header: 'In', width: 0.08, align: 'center' },
+        { header: 'Out', width: 0.08, align: 'center' },
+        { header: 'Hours', width: 0.1, align: 'right' },
+        { header: 'Expected', width: 0.11, align: 'right' },
+        { header: 'Daily log', width: 0.2 }
+    ], timesheet.days.map(day => [
+        formatDate(day.date), day.weekday.slice(0, 3), day.status, day.checkInTime, day.checkOutTime,
+        day.totalHours, day.expectedHours, day.logStatus
+    ]), {
+        footer: ['Total', '', '', '', '', timesheet.totals.hoursWorked, timesheet.totals.expectedHours, '']
+    });
+
+    doc.moveDown(1);
+    const { totals } = timesheet;
+    keyValues(doc, [
+        ['Hours worked', totals.hoursWorked],
+        ['Expected hours', totals.expectedHours],
+        ['Difference', totals.difference > 0 ? `+${totals.difference}` : totals.difference],
+        ['Days by status', Object.entries(totals.byStatus).map(([status, days]) => `${status}: ${days}`).join(', ')]
+    ]);
+    doc.fillColor('#666666').font('Helvetica').fontSize(8)
+        .text('Expected hours leave out approved leave, weekends and holidays.', MARGIN, doc.y + 6);
+
+    // Signature lines for paper sign-off
+    ensureSpace(doc, 80);
+    const y = doc.y + 45;
+    doc.lineWidth(1).strokeColor('#999999')
+        .moveTo(MARGIN, y).lineTo(MARGIN + 200, y).stroke()
+        .moveTo(doc.page.width - MARGIN - 200, y).lineTo(doc.page.width - MARGIN, y).stroke();
+    doc.fillColor('#666666').font('Helvetica').fontSize(9)
+        .text('Intern signature', MARGIN, y + 5, { width: 200 })
+        .text('Mentor signature', doc.page.width - MARGIN - 200, y + 5, { width: 200 });
+
+    addFooters(doc);
+    doc.end();
+    return finished;
+};
@@ -0,0 +1,363 @@
+// src/services/internship/interviewService.js
+import mongoose from 'mongoose';
+import Interview, { INTERVIEW_MODES, INTERVIEW_RECOMMENDATIONS } from '../../models/Interview.js';
+import Internship from '../../models/Internship.js';
+import User from '../../models/User.js';
+import NotificationManager from '../notification/notificationManager.js';
+import ApiError from '../../utils/ApiError.js';
+import { buildIcsEvent } from '../../utils/ics.js';
+
+export const ACTIVE_INTERVIEW_STATUSES = ['proposed', 'scheduled'];
+export const MAX_PROPOSED_SLOTS = 10;
+const INTERVIEWER_TYPES = ['admin', 'mentor'];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const saveInterview = async (interview) => {
+    try {
+        await interview.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Checks proposed interview times: each must be in the future and end after it starts
+ * @param {Array<{ startTime: string|Date, endTime: string|Date }>} slots
+ * @param {Date} [now]
+ * @returns {Array<{ startTime: Date, endTime: Date }>} Slots in chronological order
+ */
+export const parseSlots = (slots, now = new Date()) => {
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_PROPOSED_SLOTS) {
+        throw new ApiError(400, `slots must list between 1 and ${MAX_PROPOSED_SLOTS} time slots`);
+    }
+
+    const errors = [];
+    const parsed = slots.map((slot, index) => {
+        const startTime = new Date(slot?.startTime);
+        const endTime = new Date(slot?.endTime);
+        if (isNaN(startTime) || isNaN(endTime)) {
+            errors.push(`Slot ${index + 1} needs a valid startTime and endTime`);
+        } else if (endTime <= startTime) {
+            errors.push(`Slot ${index + 1} must end after it starts`);
+        } else if (startTime <= now) {
+            errors.push(`Slot ${index + 1} is in the past`);
+        }
+        return { startTime, endTime };
+    });
+    if (errors.length) {
+        throw new ApiError(400, `Invalid slots: ${errors.join('; ')}`, errors);
+    }
+
+    return parsed.sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Whether the user is one of the interview's interviewers
+ * @param {Object} interview
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isInterviewer = (interview, user) =>
+    interview.interviewers.some(interviewer => sameId(interviewer?._id || interviewer, user._id));
+
+/**
+ * Loads an interview the user takes part in: admins see all, interviewers and the applicant their own
+ * @param {string} interviewId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Require admin access
+ * @param {boolean} [options.interviewer] - Require admin or interviewer access
+ * @returns {Promise<Object>} Interview document
+ */
+export const findAccessibleInterview = async (interviewId, user, { manage = false, interviewer = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(interviewId)) {
+        throw new ApiError(400, 'Invalid interview ID');
+    }
+
+    const interview = await Interview.findById(interviewId);
+    if (!interview) {
+        throw new ApiError(404, 'Interview not found');
+    }
+
+    const isAdmin = user.userType === 'admin';
+    let allowed;
+    if (manage) {
+        allowed = isAdmin;
+    } else if (interviewer) {
+        allowed = isAdmin || isInterviewer(interview, user);
+    } else {
+        allowed = isAdmin || isInterviewer(interview, user) || sameId(interview.studentId, user._id);
+    }
+    if (!allowed) {
+        throw new ApiError(403, 'You do not have access to this interview');
+    }
+    return interview;
+};
+
+// Emails the applicant and interviewers an invitation (REQUEST) or cancellation (CANCEL) with an .ics file
+const sendCalendarUpdate = async (interview, method = 'REQUEST', slot = interview.scheduledSlot) => {
+    try {
+        const [internship, people] = await Promise.all([
+            Internship.findById(interview.internshipId).select('title company'),
+            User.find({ _id: { $in: [interview.studentId, ...interview.interviewers] } }).select('fullName email')
+        ]);
+        const applicant = people.find(person => sameId(person._id, interview.studentId));
+        const position = internship ? `${internship.title} at ${internship.company}` : 'internship';
+
+        const ics = buildIcsEvent({
+            uid: `interview-${interview._id}@ticportal`,
+            sequence: interview.sequence,
+            method,
+            start: slot.startTime,
+            end: slot.endTime,
+            summary: `Interview: ${applicant?.fullName || 'Applicant'} - ${position}`,
+            description: [interview.notes, interview.meetingLink && `Join: ${interview.meetingLink}`].filter(Boolean).join('\n'),
+            location: interview.mode === 'online' ? interview.meetingLink || 'Online' : interview.location,
+            url: interview.meetingLink,
+            organizer: { name: 'TIC Portal', email: process.env.EMAILJS_FROM_EMAIL || 'noreply@ticportal.com' },
+            attendees: people.filter(person => person.email).map(({ fullName, email }) => ({ name: fullName, email }))
+        });
+
+        await NotificationManager.notifyInterviewCalendarUpdate(
+            interview, internship, people.map(person => person._id), { method, slot, ics });
+    } catch (error) {
+        console.error(`Failed to send calendar update for interview ${interview._id}:`, error);
+    }
+};
+
+/**
+ * Proposes interview times to an applicant in the Interviewing stage and asks them to pick one
+ * @param {Object} application - InternshipApplication document
+ * @param {Object} details
+ * @param {Array<Object>} details.slots - Proposed { startTime, endTime } pairs
+ * @param {string} [details.mode] - online, in-person or phone
+ * @param {string} [details.location] - Required in person
+ * @param {string} [details.meetingLink]
+ * @param {string} [details.notes] - Shown to everyone invited
+ * @param {Array<string>} [details.interviewers] - Admin or mentor user IDs; defaults to the creator
+ * @param {Object} admin
+ * @returns {Promise<Object>} The new interview
+ */
+export const createInterview = async (application, { slots, mode, location, meetingLink, notes, interviewers } = {}, admin) => {
+    if (application.status !== 'Interviewing') {
+        throw new ApiError(409, `Interviews can only be arranged for applications in Interviewing, not ${application.status}`);
+    }
+    const active = await Interview.findOne({
+        applicationId: application._id,
+        status: { $in: ACTIVE_INTERVIEW_STATUSES }
+    }).select('_id');
+    if (active) {
+        throw new ApiError(409, `This application already has an open interview (${active._id}); reschedule or cancel it instead`);
+    }
+
+    if (mode !== undefined && !INTERVIEW_MODES.includes(mode)) {
+        throw new ApiError(400, `mode must be one of: ${INTERVIEW_MODES.join(', ')}`);
+    }
+    if (mode === 'in-person' && !location?.trim()) {
+        throw new ApiError(400, 'location is required for in-person interviews');
+    }
+
+    let interviewerIds = [admin._id];
+    if (interviewers !== undefined) {
+        if (!Array.isArray(interviewers) || !interviewers.length ||
+            !interviewers.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw new ApiError(400, 'interviewers must be a non-empty list of user IDs');
+        }
+        interviewerIds = [...new Set(interviewers.map(String))];
+        const found = await User.countDocuments({ _id: { $in: interviewerIds }, userType: { $in: INTERVIEWER_TYPES } });
+        if (found !== interviewerIds.length) {
+            throw new ApiError(400, 'Every interviewer must be an admin or mentor');
+        }
+    }
+
+    const interview = new Interview({
+        applicationId: application._id,
+        internshipId: application.internshipId,
+        studentId: application.studentId,
+        interviewers: interviewerIds,
+        proposedSlots: parseSlots(slots),
+        mode,
+        location,
+        meetingLink,
+        notes,
+        createdBy: admin._id
+    });
+    await saveInterview(interview);
+
+    try {
+        const internship = await Internship.findById(application.internshipId).select('title company');
+        await NotificationManager.notifyInterviewProposed(interview, internship);
+    } catch (error) {
+        console.error(`Failed to send interview slots for interview ${interview._id}:`, error);
+    }
+
+    return interview;
+};
+
+/**
+ * The applicant picks one of the proposed slots. Picking another slot later moves the interview,
+ * as long as the current one has not started.
+ * @param {Object} interview - Interview document
+ * @param {string} slotId - _id of a proposed slot
+ * @param {Object} user - The applicant
+ * @returns {Promise<Object>} The scheduled interview
+ */
+export const selectInterviewSlot = async (interview, slotId, user) => {
+    if (!sameId(interview.studentId, user._id)) {
+        throw new ApiError(403, 'Only the applicant can pick an interview slot');
+    }
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+        throw new ApiError(409, `A ${interview.status} interview cannot be scheduled`);
+    }
+
+    const slot = mongoose.Types.ObjectId.isValid(slotId) && interview.proposedSlots.id(slotId);
+    if (!slot) {
+        throw new ApiError(400, 'slotId must be one of the proposed slots');
+    }
+    const now = new Date();
+    if (slot.startTime <= now) {
+        throw new ApiError(400, 'That slot has already passed');
+    }
+
+    const current = interview.scheduledSlot;
+    if (interview.status === 'scheduled') {
+        if (current.startTime <= now) {
+            throw new ApiError(409, 'The interview has already started and can no longer be moved');
+        }
+        if (current.startTime.getTime() === slot.startTime.getTime()) {
+            return interview;
+        }
+        interview.rescheduleHistory.push({
+            from: { startTime: current.startTime, endTime: current.endTime },
+            reason: 'Applicant picked another slot',
+            rescheduledBy: user._id
+        });
+        interview.sequence += 1;
+    }
+
+    interview.scheduledSlot = { startTime: slot.startTime, endTime: slot.endTime };
+    interview.status = 'scheduled';
+    await saveInterview(interview);
+
+    await sendCalendarUpdate(interview);
+    return interview;
+};
+
+/**
+ * Moves an interview. A startTime/endTime pair schedules the new time straight away and sends an
+ * updated invitation; new slots send the interview back to the applicant to pick again.
+ * @param {Object} interview - Interview document
+ * @param {Object} change
+ * @param {string|Date} [change.startTime]
+ * @param {string|Date} [change.endTime]
+ * @param {Array<Object>} [change.slots] - New proposed slots
+ * @param {string} [change.reason]
+ * @param {Object} admin
+ * @returns {Promise<Object>} The updated interview
+ */
+export const rescheduleInterview = async (interview, { startTime, endTime, slots, reason } = {}, admin) => {
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+        throw new ApiError(409, `A ${interview.status} interview cannot be rescheduled`);
+    }
+    if (Boolean(slots) === Boolean(startTime || endTime)) {
+        throw new ApiError(400, 'Provide either startTime and endTime, or new slots');
+    }
+
+    const previous = interview.status === 'scheduled'
+        ? { startTime: interview.scheduledSlot.startTime, endTime: interview.scheduledSlot.endTime }
+        : null;
+    if (previous) {
+        interview.rescheduleHistory.push({ from: previous, reason, rescheduledBy: admin._id });
+        interview.sequence += 1;
+    }
+
+    if (slots) {
+        interview.proposedSlots = parseSlots(slots);
+        interview.scheduledSlot = undefined;
+        interview.status = 'proposed';
+    } else {
+        const [slot] = parseSlots([{ startTime, endTime }]);
+        interview.proposedSlots = [slot];
+        interview.scheduledSlot = slot;
+        interview.status = 'scheduled';
+    }
+    await saveInterview(interview);
+
+    if (interview.status === 'scheduled') {
+        await sendCalendarUpdate(interview);
+    } else {
+        // The old time no longer holds; take it out of calendars until a new slot is picked
+        if (previous) {
+            await sendCalendarUpdate(interview, 'CANCEL', previous);
+        }
+        try {
+            const internship = await Internship.findById(interview.internshipId).select('title company');
+            await NotificationManager.notifyInterviewProposed(interview, internship);
+        } catch (error) {
+            console.error(`Failed to send interview slots for interview ${interview._id}:`, error);
+        }
+    }
+
+    return interview;
+};
+
+/**
+ * Cancels an open interview; a scheduled one is removed from everyone's calendar
+ * @param {Object} interview - Interview document
+ * @param {string} [reason]
+ * @param {Object} admin
+ * @returns {Promise<Object>} The cancelled interview
+ */
+export const cancelInterview = async (interview, reason, admin) => {
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+        throw new ApiError(409, `A ${interview.status} interview cannot be cancelled`);
+    }
+
+    const wasScheduled = interview.status === 'scheduled';
+    interview.status = 'cancelled';
+    interview.cancelledAt = new Date();
+    interview.cancelledBy = admin._id;
+    interview.cancellationReason = reason;
+    if (wasScheduled) interview.sequence += 1;
+    await saveInterview(interview);
+
+    if (wasScheduled) {
+        await sendCalendarUpdate(interview, 'CANCEL');
+    }
+    return interview;
+};
+
+/**
+ * Records the outcome of an interview once it has started, completing it
+ * @param {Object} interview - Interview document
+ * @param {Object} feedback
+ * @param {number} feedback.score - 1 to 5
+ * @param {string} [feedback.comments]
+ * @param {string} [feedback.recommendation] - accept, reject or undecided
+ * @param {Object} user - Admin or interviewer
+ * @returns {Promise<Object>} The completed interview
+ */
+export const recordInterviewFeedback = async (interview, { score, comments, recommendation } = {}, user) => {
+    if (!['scheduled', 'completed'].includes(interview.status)) {
+        throw new ApiError(409, `Feedback cannot be recorded for a ${interview.status} interview`);
+    }
+    if (interview.scheduledSlot.startTime > new Date()) {
+        throw new ApiError(409, 'Feedback can be recorded once the interview has started');
+    }
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+        throw new ApiError(400, 'score must be a whole number from 1 to 5');
+    }
+    if (recommendation !== undefined && !INTERVIEW_RECOMMENDATIONS.includes(recommendation)) {
+        throw new ApiError(400, `recommendation must be one of: ${INTERVIEW_RECOMMENDATIONS.join(', ')}`);
+    }
+
+    interview.feedback = { score, comments, recommendation, submittedBy: user._id, submittedAt: new Date() };
+    interview.status = 'completed';
+    await saveInterview(interview);
+    return interview;
+};
@@ -0,0 +1,264 @@
+// src/services/internship/leaveRequestService.js
+import mongoose from 'mongoose';
+import LeaveRequest, { LEAVE_TYPES } from '../../models/LeaveRequest.js';
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import Internship from '../../models/Internship.js';
+import NotificationManager from '../notification/notificationManager.js';
+import ApiError from '../../utils/ApiError.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../../utils/cloudinary.js';
+import { toDayStart, addDays, getWeekdayName } from '../../utils/dates.js';
+import {
+    findAccessibleEnrollment,
+    isEnrollmentStudent,
+    canManageEnrollment,
+    canSuperviseEnrollment
+} from './enrollmentAccess.js';
+import { getDailyExpectedHours } from './attendanceService.js';
+
+export const LEAVE_REVIEW_DECISIONS = ['approved', 'rejected'];
+
+// Longest single request; longer absences go through the enrollment status instead
+export const MAX_LEAVE_DAYS = 30;
+
+// Mentors and supervisors of the enrollment, and admins, decide on leave
+const canReviewLeave = (enrollment, user) =>
+    canManageEnrollment(enrollment, user) || canSuperviseEnrollment(enrollment, user);
+
+/**
+ * Loads a leave request together with its enrollment, checking the user may see it
+ * @param {string} requestId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.review] - Require admin, assigned mentor or assigned supervisor
+ * @param {boolean} [options.owner] - Require the requesting intern
+ * @returns {Promise<{ request: Object, enrollment: Object }>}
+ */
+export const findAccessibleLeaveRequest = async (requestId, user, { review = false, owner = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new ApiError(400, 'Invalid leave request ID');
+    }
+
+    const request = await LeaveRequest.findById(requestId);
+    if (!request) {
+        throw new ApiError(404, 'Leave request not found');
+    }
+
+    const enrollment = await findAccessibleEnrollment(request.enrollmentId, user);
+    if (review && !canReviewLeave(enrollment, user)) {
+        throw new ApiError(403, 'Only the mentor or supervisor can review this leave request');
+    }
+    if (owner && !isEnrollmentStudent(enrollment, user)) {
+        throw new ApiError(403, 'Only the intern can change their leave request');
+    }
+
+    return { request, enrollment };
+};
+
+/**
+ * Working days of the enrollment between two dates, leaving out internship holidays
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Date} startDate - Start of the first day
+ * @param {Date} endDate - Start of the last day
+ * @returns {Promise<Array<Date>>}
+ */
+export const getWorkingDaysBetween = async (enrollment, startDate, endDate) => {
+    const internship = await Internship.findById(enrollment.internshipId).select('holidays');
+    const holidays = new Set((internship?.holidays || []).map(holiday => toDayStart(holiday.date).getTime()));
+
+    const days = [];
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        if (enrollment.workingDays.includes(getWeekdayName(day)) && !holidays.has(day.getTime())) {
+            days.push(day);
+        }
+    }
+    return days;
+};
+
+/**
+ * Files a leave request for the intern, uploading the proof document
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} details
+ * @param {string} details.type - sick-leave or authorized-absence
+ * @param {string} details.startDate
+ * @param {string} details.endDate - Defaults to startDate
+ * @param {string} details.reason
+ * @param {Object} file - Multer file for the proof document
+ * @param {Object} user - The intern
+ * @returns {Promise<Object>} The saved LeaveRequest
+ */
+export const createLeaveRequest = async (enrollment, { type, startDate, endDate, reason } = {}, file, user) => {
+    if (!isEnrollmentStudent(enrollment, user)) {
+        throw new ApiError(403, 'Only the intern can request leave for this enrollment');
+    }
+    if (enrollment.status !== 'active') {
+        throw new ApiError(409, `Leave cannot be requested for a ${enrollment.status} enrollment`);
+    }
+    if (!LEAVE_TYPES.includes(type)) {
+        throw new ApiError(400, `type must be one of: ${LEAVE_TYPES.join(', ')}`);
+    }
+    if (!reason?.trim()) {
+        throw new ApiError(400, 'reason is required');
+    }
+    if (!file) {
+        throw new ApiError(400, 'A proof document is required');
+    }
+
+    const start = toDayStart(startDate);
+    const end = endDate ? toDayStart(endDate) : start;
+    if (!start || !end) {
+        throw new ApiError(400, 'startDate and endDate must be valid dates (YYYY-MM-DD)');
+    }
+    if (end < start) {
+        throw new ApiError(400, 'endDate cannot be before startDate');
+    }
+    if (addDays(start, MAX_LEAVE_DAYS) <= end) {
+        throw new ApiError(400, `A leave request cannot cover more than ${MAX_LEAVE_DAYS} days`);
+    }
+    if (start < toDayStart(enrollment.actualStartDate) || end > toDayStart(enrollment.actualEndDate)) {
+        throw new ApiError(400, 'Leave must fall within the internship period');
+    }
+
+    const overlapping = await LeaveRequest.findOne({
+        enrollmentId: enrollment._id,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: end },
+        endDate: { $gte: start }
+    }).select('_id status');
+    if (overlapping) {
+        throw new ApiError(409, `These dates overlap an existing ${overlapping.status} leave request (${overlapping._id})`);
+    }
+
+    const upload = await uploadToCloudinary(file.buffer, 'leave-proofs', { resource_type: 'auto' });
+    const request = new LeaveRequest({
+        enrollmentId: enrollment._id,
+        studentId: enrollment.studentId,
+        internshipId: enrollment.internshipId,
+        type,
+        startDate: start,
+        endDate: end,
+        reason,
+        proofDocument: {
+            fileName: file.originalname,
+            fileUrl: upload.secure_url,
+            fileType: file.mimetype,
+            publicId: upload.public_id
+        }
+    });
+
+    try {
+        await request.save();
+    } catch (error) {
+        await deleteFromCloudinary(upload.public_id).catch(() => {});
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+
+    try {
+        await NotificationManager.notifyLeaveRequested(enrollment, request);
+    } catch (error) {
+        console.error('Failed to send leave request notification:', error);
+    }
+
+    return request;
+};
+
+/**
+ * Marks every working day of an approved leave as excused in attendance.
+ * The records are not auto-generated, so the daily generator leaves them alone
+ * and the days never count as absent or late.
+ * @param {Object} request - Approved LeaveRequest
+ * @param {Object} enrollment - Its InternshipEnrollment
+ * @param {Object} reviewer - Who approved the leave
+ * @returns {Promise<Array<Date>>} The excused days
+ */
+const applyLeaveToAttendance = async (request, enrollment, reviewer) => {
+    const days = await getWorkingDaysBetween(enrollment, request.startDate, request.endDate);
+    if (!days.length) return days;
+
+    const now = new Date();
+    const { fileName, fileUrl, fileType } = request.proofDocument || {};
+    await AttendanceRecord.bulkWrite(days.map(date => ({
+        updateOne: {
+            filter: { enrollmentId: enrollment._id, date },
+            update: {
+                $set: {
+                    studentId: enrollment.studentId,
+                    internshipId: enrollment.internshipId,
+                    status: request.type,
+                    isExcused: true,
+                    reason: request.reason,
+                    proofDocument: { fileName, fileUrl, fileType },
+                    expectedHours: getDailyExpectedHours(enrollment),
+                    totalHours: 0,
+                    notes: `Approved leave request ${request._id}`,
+                    markedBy: reviewer._id,
+                    markedAt: now,
+                    isAutoGenerated: false
+                },
+                $unset: { checkInTime: '', checkOutTime: '' }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+
+    return days;
+};
+
+/**
+ * Approves or rejects a pending leave request and notifies the intern
+ * @param {Object} request - LeaveRequest document
+ * @param {Object} enrollment - Its InternshipEnrollment
+ * @param {Object} review
+ * @param {string} review.decision - approved or rejected
+ * @param {string} [review.comments] - Required when rejecting
+ * @param {Object} reviewer
+ * @returns {Promise<Object>} The saved request
+ */
+export const reviewLeaveRequest = async (request, enrollment, { decision, comments }, reviewer) => {
+    if (!LEAVE_REVIEW_DECISIONS.includes(decision)) {
+        throw new ApiError(400, `decision must be one of: ${LEAVE_REVIEW_DECISIONS.join(', ')}`);
+    }
+    if (decision === 'rejected' && !comments?.trim()) {
+        throw new ApiError(400, 'comments are required when rejecting a leave request');
+    }
+    if (request.status !== 'pending') {
+        throw new ApiError(409, `Only pending leave requests can be reviewed; this one is ${request.status}`);
+    }
+
+    if (decision === 'approved') {
+        request.excusedDates = await applyLeaveToAttendance(request, enrollment, reviewer);
+    }
+
+    request.status = decision;
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewComments = comments;
+    await request.save();
+
+    try {
+        await NotificationManager.notifyLeaveRequestReviewed(request);
+    } catch (error) {
+        console.error('Failed to send leave review notification:', error);
+    }
+
+    return request;
+};
+
+/**
+ * Withdraws a pending leave request
+ * @param {Object} request - LeaveRequest document
+ * @returns {Promise<Object>} The saved request
+ */
+export const cancelLeaveRequest = async (request) => {
+    if (request.status !== 'pending') {
+        throw new ApiError(409, `Only pending leave requests can be cancelled; this one is ${request.status}`);
+    }
+
+    request.status = 'cancelled';
+    request.cancelledAt = new Date();
+    await request.save();
+    return request;
+};
@@ -0,0 +1,300 @@
+// src/services/internship/milestoneService.js
+import mongoose from 'mongoose';
+import InternshipMilestone from '../../models/InternshipMilestone.js';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import NotificationManager from '../notification/notificationManager.js';
+import ApiError from '../../utils/ApiError.js';
+import { toDayStart } from '../../utils/dates.js';
+import { findAccessibleEnrollment, isEnrollmentStudent } from './enrollmentAccess.js';
+
+// Fields the mentor sets when planning a milestone
+export const MILESTONE_FIELDS = [
+    'title', 'description', 'targetDate', 'deliverables', 'skillsToLearn', 'learningObjectives', 'priority'
+];
+
+// Milestones that are finished one way or another no longer change
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Saves a milestone, reporting schema validation failures as bad requests
+const saveMilestone = async (milestone) => {
+    try {
+        await milestone.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+};
+
+// Finished enrollments keep their milestones as they were
+const assertEnrollmentOpen = (enrollment) => {
+    if (['completed', 'terminated'].includes(enrollment.status)) {
+        throw new ApiError(409, `Milestones of a ${enrollment.status} enrollment cannot be changed`);
+    }
+};
+
+// Open status for a milestone that is not complete: overdue once past its target day
+const openStatus = (milestone, today = toDayStart(new Date())) => {
+    if (milestone.targetDate < today) return 'overdue';
+    return milestone.completionPercentage > 0 ? 'in-progress' : 'pending';
+};
+
+/**
+ * Applies the mentor's milestone fields, normalizing the target date and keeping
+ * the completion state of deliverables that are resent with their _id
+ * @param {Object} milestone - InternshipMilestone document
+ * @param {Object} fields - Any of MILESTONE_FIELDS
+ */
+const applyMilestoneFields = (milestone, fields) => {
+    const rejected = Object.keys(fields).filter(field => !MILESTONE_FIELDS.includes(field));
+    if (rejected.length) {
+        throw new ApiError(403, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+
+    const { targetDate, deliverables, ...rest } = fields;
+    milestone.set(rest);
+
+    if (targetDate !== undefined) {
+        const target = toDayStart(targetDate);
+        if (!target) {
+            throw new ApiError(400, 'targetDate must be a valid date (YYYY-MM-DD)');
+        }
+        milestone.targetDate = target;
+    }
+
+    if (deliverables !== undefined) {
+        if (!Array.isArray(deliverables)) {
+            throw new ApiError(400, 'deliverables must be an array');
+        }
+        milestone.deliverables = deliverables.map(({ _id, title, description, dueDate }) => {
+            const existing = _id && milestone.deliverables.id(_id);
+            return {
+                ...(existing ? { _id: existing._id, completed: existing.completed, completedDate: existing.completedDate } : {}),
+                title,
+                description,
+                dueDate: dueDate ? toDayStart(dueDate) : undefined
+            };
+        });
+    }
+};
+
+/**
+ * Loads a milestone together with its enrollment, checking the user may see it
+ * @param {string} milestoneId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Require admin or assigned-mentor access
+ * @param {boolean} [options.owner] - Require the enrollment's intern
+ * @returns {Promise<{ milestone: Object, enrollment: Object }>}
+ */
+export const findAccessibleMilestone = async (milestoneId, user, { manage = false, owner = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(milestoneId)) {
+        throw new ApiError(400, 'Invalid milestone ID');
+    }
+
+    const milestone = await InternshipMilestone.findById(milestoneId);
+    if (!milestone) {
+        throw new ApiError(404, 'Milestone not found');
+    }
+
+    const enrollment = await findAccessibleEnrollment(milestone.enrollmentId, user, { manage });
+    if (owner && !isEnrollmentStudent(enrollment, user)) {
+        throw new ApiError(403, 'Only the intern can update progress on this milestone');
+    }
+
+    return { milestone, enrollment };
+};
+
+/**
+ * Plans a new milestone for an enrollment
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} fields - MILESTONE_FIELDS; title and targetDate are required
+ * @param {Object} user - Admin or assigned mentor
+ * @returns {Promise<Object>} The saved milestone
+ */
+export const createMilestone = async (enrollment, fields = {}, user) => {
+    assertEnrollmentOpen(enrollment);
+    if (!fields.targetDate) {
+        throw new ApiError(400, 'targetDate is required');
+    }
+
+    const milestone = new InternshipMilestone({
+        enrollmentId: enrollment._id,
+        studentId: enrollment.studentId,
+        internshipId: enrollment.internshipId,
+        createdBy: user._id
+    });
+    applyMilestoneFields(milestone, fields);
+    milestone.status = openStatus(milestone);
+
+    await saveMilestone(milestone);
+    return milestone;
+};
+
+/**
+ * Changes a milestone's plan. Moving the target date forward clears an overdue flag.
+ * @param {Object} milestone - InternshipMilestone document
+ * @param {Object} enrollment - Its InternshipEnrollment
+ * @param {Object} fields - Any of MILESTONE_FIELDS
+ * @returns {Promise<Object>} The saved milestone
+ */
+export const updateMilestone = async (milestone, enrollment, fields = {}) => {
+    assertEnrollmentOpen(enrollment);
+    if (CLOSED_STATUSES.includes(milestone.status)) {
+        throw new ApiError(409, `A ${milestone.status} milestone cannot be changed`);
+    }
+
+    applyMilestoneFields(milestone, fields);
+    milestone.status = openStatus(milestone);
+    if (milestone.status !== 'overdue') milestone.overdueAt = undefined;
+
+    await saveMilestone(milestone);
+    return milestone;
+};
+
+/**
+ * Records the intern's progress: ticked deliverables and the completion percentage.
+ * Without an explicit percentage it follows the share of deliverables done.
+ * Reaching 100% completes the milestone, which needs every deliverable ticked.
+ * @param {Object} milestone - InternshipMilestone document
+ * @param {Object} enrollment - Its InternshipEnrollment
+ * @param {Object} progress
+ * @param {Array<{ _id: string, completed: boolean }>} [progress.deliverables]
+ * @param {number} [progress.completionPercentage]
+ * @returns {Promise<Object>} The saved milestone
+ */
+export const updateMilestoneProgress = async (milestone, enrollment, { deliverables, completionPercentage } = {}) => {
+    assertEnrollmentOpen(enrollment);
+    if (CLOSED_STATUSES.includes(milestone.status)) {
+        throw new ApiError(409, `A ${milestone.status} milestone cannot be updated`);
+    }
+    if (deliverables === undefined && completionPercentage === undefined) {
+        throw new ApiError(400, 'Provide deliverables and/or completionPercentage');
+    }
+
+    const now = new Date();
+    if (deliverables !== undefined) {
+        if (!Array.isArray(deliverables)) {
+            throw new ApiError(400, 'deliverables must be an array of { _id, completed }');
+        }
+        for (const { _id, completed } of deliverables) {
+            const deliverable = _id && mongoose.Types.ObjectId.isValid(_id) && milestone.deliverables.id(_id);
+            if (!deliverable) {
+                throw new ApiError(400, `Unknown deliverable: ${_id}`);
+            }
+            if (deliverable.completed !== Boolean(completed)) {
+                deliverable.completed = Boolean(completed);
+                deliverable.completedDate = completed ? now : undefined;
+            }
+        }
+    }
+
+    const total = milestone.deliverables.length;
+    const done = milestone.deliverables.filter(deliverable => deliverable.completed).length;
+    if (completionPercentage !== undefined) {
+        const percentage = Number(completionPercentage);
+        if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+            throw new ApiError(400, 'completionPercentage must be between 0 and 100');
+        }
+        milestone.completionPercentage = Math.round(percentage);
+    } else if (total) {
+        milestone.completionPercentage = Math.round(done / total * 100);
+    }
+
+    if (milestone.completionPercentage === 100) {
+        if (done < total) {
+            throw new ApiError(400, `Tick off every deliverable before completing the milestone (${done}/${total} done)`);
+        }
+        milestone.status = 'completed';
+        milestone.completedDate = now;
+    } else {
+        milestone.status = openStatus(milestone);
+    }
+
+    await saveMilestone(milestone);
+    return milestone;
+};
+
+/**
+ * Records the mentor's evaluation of a completed milestone and notifies the intern
+ * @param {Object} milestone - InternshipMilestone document
+ * @param {Object} evaluation
+ * @param {number} evaluation.rating - 1 to 5
+ * @param {string} [evaluation.feedback]
+ * @param {Object} user - Admin or assigned mentor
+ * @returns {Promise<Object>} The saved milestone
+ */
+export const evaluateMilestone = async (milestone, { rating, feedback }, user) => {
+    if (milestone.status !== 'completed') {
+        throw new ApiError(409, `Only completed milestones can be evaluated; this one is ${milestone.status}`);
+    }
+    if (rating === undefined || rating === null || rating === '') {
+        throw new ApiError(400, 'rating is required');
+    }
+
+    milestone.evaluation = { rating, feedback, evaluatedBy: user._id, evaluatedAt: new Date() };
+    await saveMilestone(milestone);
+
+    try {
+        await NotificationManager.notifyMilestoneEvaluated(milestone);
+    } catch (error) {
+        console.error('Failed to send milestone evaluation notification:', error);
+    }
+
+    return milestone;
+};
+
+/**
+ * Cancels an open milestone
+ * @param {Object} milestone - InternshipMilestone document
+ * @returns {Promise<Object>} The saved milestone
+ */
+export const cancelMilestone = async (milestone) => {
+    if (CLOSED_STATUSES.includes(milestone.status)) {
+        throw new ApiError(409, `A ${milestone.status} milestone cannot be cancelled`);
+    }
+
+    milestone.status = 'cancelled';
+    await saveMilestone(milestone);
+    return milestone;
+};
+
+/**
+ * Flags open milestones of active enrollments whose target day has passed as overdue
+ * and notifies the intern and mentor once per milestone
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many milestones became overdue
+ */
+export const markOverdueMilestones = async (now = new Date()) => {
+    const activeEnrollments = await InternshipEnrollment.find({ status: 'active' }).select('mentorId');
+    const mentors = new Map(activeEnrollments.map(enrollment => [enrollment._id.toString(), enrollment.mentorId]));
+
+    const milestones = await InternshipMilestone.find({
+        enrollmentId: { $in: [...mentors.keys()] },
+        status: { $in: ['pending', 'in-progress'] },
+        targetDate: { $lt: toDayStart(now) }
+    });
+
+    let flagged = 0;
+    for (const milestone of milestones) {
+        // Skip milestones that changed since they were loaded
+        const { modifiedCount } = await InternshipMilestone.updateOne(
+            { _id: milestone._id, status: milestone.status },
+            { status: 'overdue', overdueAt: now }
+        );
+        if (!modifiedCount) continue;
+
+        flagged++;
+        milestone.status = 'overdue';
+        const recipients = [milestone.studentId, mentors.get(milestone.enrollmentId.toString())].filter(Boolean);
+        try {
+            await NotificationManager.notifyMilestoneOverdue(milestone, recipients);
+        } catch (error) {
+            console.error(`Failed to send overdue notice for milestone ${milestone._id}:`, error);
+        }
+    }
+
+    return flagged;
+};
@@ -0,0 +1,365 @@
+// src/services/internship/progressReportService.js
+import mongoose from 'mongoose';
+import ProgressReport from '../../models/ProgressReport.js';
+import AttendanceRecord from '../../models/AttendanceRecord.js';
+import DailyActivity from '../../models/DailyActivities.js';
+import InternshipMilestone from '../../models/InternshipMilestone.js';
+import InternshipEnrollment from '../../models/InternshipEnrollment.js';
+import User from '../../models/User.js';
+import NotificationManager from '../notification/notificationManager.js';
+import ApiError from '../../utils/ApiError.js';
+import { toDayStart, addDays } from '../../utils/dates.js';
+import { findAccessibleEnrollment, canManageEnrollment, canSuperviseEnrollment } from './enrollmentAccess.js';
+
+export const GENERATED_REPORT_TYPES = ['weekly', 'monthly', 'final'];
+
+// Ratings the mentor gives on a report; overallRating is needed to finalize
+export const MENTOR_EVALUATION_FIELDS = [
+    'technicalSkills', 'communication', 'problemSolving', 'initiative', 'teamwork', 'punctuality',
+    'overallRating', 'comments', 'recommendations'
+];
+// Sections the mentor may write alongside the evaluation; the summary is always generated
+export const MENTOR_REPORT_FIELDS = ['areasForImprovement', 'strengthsIdentified', 'nextPeriodPlans'];
+
+export const PRESENT_STATUSES = ['present', 'late', 'half-day'];
+export const EXCUSED_STATUSES = ['sick-leave', 'authorized-absence'];
+export const NON_WORKING_STATUSES = ['weekend', 'holiday'];
+const IMPROVEMENT_LEVELS = ['slight', 'moderate', 'significant'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const percentage = (part, whole) => (whole > 0 ? round(part / whole * 100) : 0);
+const unique = (values) => [...new Set(values.filter(Boolean).map(value => value.trim()).filter(Boolean))];
+
+/**
+ * The days a report covers, clipped to the enrollment's dates.
+ * Weekly reports run Monday to Sunday and monthly ones a calendar month; week and month
+ * numbers count from the start of the internship.
+ * @param {string} reportType - weekly, monthly or final
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {string|Date} [date] - Any day in the period; defaults to today
+ * @returns {{ startDate: Date, endDate: Date, weekNumber?: number, monthNumber?: number, reportType: string }}
+ */
+export const getReportPeriod = (reportType, enrollment, date = new Date()) => {
+    const enrollmentStart = toDayStart(enrollment.actualStartDate);
+    const enrollmentEnd = toDayStart(enrollment.actualEndDate);
+
+    if (reportType === 'final') {
+        return { startDate: enrollmentStart, endDate: enrollmentEnd, reportType };
+    }
+
+    const day = toDayStart(date);
+    if (!day) {
+        throw new ApiError(400, 'date must be a valid date (YYYY-MM-DD)');
+    }
+
+    let start;
+    let end;
+    const period = { reportType };
+    if (reportType === 'weekly') {
+        start = addDays(day, -((day.getUTCDay() + 6) % 7));
+        end = addDays(start, 6);
+        const firstMonday = addDays(enrollmentStart, -((enrollmentStart.getUTCDay() + 6) % 7));
+        period.weekNumber = Math.floor((start - firstMonday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    } else if (reportType === 'monthly') {
+        start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+        end = addDays(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1)), -1);
+        period.monthNumber = (start.getUTCFullYear() - enrollmentStart.getUTCFullYear()) * 12 +
+            start.getUTCMonth() - enrollmentStart.getUTCMonth() + 1;
+    } else {
+        throw new ApiError(400, `reportType must be one of: ${GENERATED_REPORT_TYPES.join(', ')}`);
+    }
+
+    period.startDate = start < enrollmentStart ? enrollmentStart : start;
+    period.endDate = end > enrollmentEnd ? enrollmentEnd : end;
+    if (period.endDate < period.startDate) {
+        throw new ApiError(400, 'The requested period is outside the internship');
+    }
+    return period;
+};
+
+/**
+ * Aggregates attendance, daily logs and milestones of an enrollment over a period into
+ * the metric blocks of a progress report. Excused leave counts neither as worked nor as missed.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Date} startDate - Start of the first day
+ * @param {Date} endDate - Start of the last day
+ * @returns {Promise<Object>} Report fields
+ */
+export const computeReportMetrics = async (enrollment, startDate, endDate) => {
+    const dateRange = { $gte: startDate, $lt: addDays(endDate, 1) };
+
+    const [attendance, logs, milestones] = await Promise.all([
+        AttendanceRecord.find({ enrollmentId: enrollment._id, date: dateRange })
+            .select('status totalHours expectedHours'),
+        DailyActivity.find({ enrollmentId: enrollment._id, date: dateRange, status: { $ne: 'draft' } })
+            .select('activities skillsLearned skillsImproved goalsSet goalsAchieved challengesFaced solutionsFound isLateSubmission mentorFeedback.rating'),
+        InternshipMilestone.find({
+            enrollmentId: enrollment._id,
+            status: { $ne: 'cancelled' },
+            $or: [{ targetDate: dateRange }, { completedDate: dateRange }]
+        }).select('title status completedDate')
+    ]);
+
+    // Attendance: excused days leave the denominator
+    const workingDays = attendance.filter(record => !NON_WORKING_STATUSES.includes(record.status));
+    const countable = workingDays.filter(record => !EXCUSED_STATUSES.includes(record.status));
+    const daysPresent = countable.filter(record => PRESENT_STATUSES.includes(record.status)).length;
+    const attendanceMetrics = {
+        totalWorkingDays: workingDays.length,
+        daysPresent,
+        daysAbsent: countable.filter(record => record.status === 'absent').length,
+        daysLate: countable.filter(record => record.status === 'late').length,
+        attendancePercentage: percentage(daysPresent, countable.length)
+    };
+
+    const totalHoursWorked = round(countable.reduce((sum, record) => sum + (record.totalHours || 0), 0));
+    const expectedHours = round(countable.reduce((sum, record) => sum + (record.expectedHours || 0), 0));
+    const workMetrics = {
+        totalHoursWorked,
+        expectedHours,
+        averageDailyHours: daysPresent ? round(totalHoursWorked / daysPresent) : 0,
+        hoursCompletionPercentage: percentage(totalHoursWorked, expectedHours)
+    };
+
+    // Daily logs that were submitted at some point
+    const ratings = logs.map(log => log.mentorFeedback?.rating).filter(Boolean);
+    const lateSubmissions = logs.filter(log => log.isLateSubmission).length;
+    const performanceMetrics = {
+        totalActivitiesCompleted: logs.reduce(
+            (sum, log) => sum + log.activities.filter(activity => activity.completed).length, 0),
+        averageTaskRating: ratings.length ? round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) : 0,
+        onTimeSubmissions: logs.length - lateSubmissions,
+        lateSubmissions,
+        submissionRate: Math.min(percentage(logs.length, countable.length), 100)
+    };
+
+    // Keep the strongest improvement reported for each skill
+    const improved = new Map();
+    for (const { skill, improvementLevel } of logs.flatMap(log => log.skillsImproved)) {
+        if (!skill) continue;
+        const previous = improved.get(skill);
+        if (!previous || IMPROVEMENT_LEVELS.indexOf(improvementLevel) > IMPROVEMENT_LEVELS.indexOf(previous)) {
+            improved.set(skill, improvementLevel);
+        }
+    }
+
+    const completedMilestones = milestones.filter(milestone => milestone.status === 'completed');
+    const learningProgress = {
+        skillsLearned: unique(logs.flatMap(log => log.skillsLearned)).map(skill => ({ skill })),
+        skillsImproved: [...improved].map(([skill, improvementLevel]) => ({ skill, improvementLevel })),
+        technicalAchievements: completedMilestones.map(milestone => `Completed milestone: ${milestone.title}`)
+    };
+
+    // Goals come from the logs plus the milestones due or completed in the period
+    const goalsSet = unique([...logs.flatMap(log => log.goalsSet), ...milestones.map(milestone => milestone.title)]);
+    const achieved = unique([...logs.flatMap(log => log.goalsAchieved), ...completedMilestones.map(milestone => milestone.title)]);
+    const goals = {
+        goalsSet,
+        goalsAchieved: achieved,
+        goalsInProgress: goalsSet.filter(goal => !achieved.includes(goal)),
+        goalCompletionRate: Math.min(percentage(goalsSet.filter(goal => achieved.includes(goal)).length, goalsSet.length), 100)
+    };
+
+    const challenges = logs
+        .filter(log => log.challengesFaced?.trim())
+        .map(log => ({
+            challenge: log.challengesFaced.trim(),
+            resolved: Boolean(log.solutionsFound?.trim()),
+            resolution: log.solutionsFound?.trim() || undefined
+        }));
+
+    const summary = `Attended ${daysPresent} of ${countable.length} working day(s) (${attendanceMetrics.attendancePercentage}%), ` +
+        `worked ${totalHoursWorked} of ${expectedHours} expected hour(s), submitted ${logs.length} daily log(s) ` +
+        `(${lateSubmissions} late) and completed ${completedMilestones.length} milestone(s).`;
+
+    return { attendanceMetrics, workMetrics, performanceMetrics, learningProgress, goals, challenges, summary };
+};
+
+/**
+ * Creates the draft report of an enrollment for a period, or refreshes the metrics of an
+ * existing draft. Finalized reports are never regenerated.
+ * @param {Object} enrollment - InternshipEnrollment document
+ * @param {Object} options
+ * @param {string} options.reportType - weekly, monthly or final
+ * @param {string|Date} [options.date] - Any day in the period
+ * @param {Object} [user] - Who asked for the report; omitted for scheduled runs
+ * @returns {Promise<{ report: Object, created: boolean }>}
+ */
+export const generateProgressReport = async (enrollment, { reportType, date } = {}, user) => {
+    if (!GENERATED_REPORT_TYPES.includes(reportType)) {
+        throw new ApiError(400, `reportType must be one of: ${GENERATED_REPORT_TYPES.join(', ')}`);
+    }
+
+    const period = getReportPeriod(reportType, enrollment, date);
+    let report = await ProgressReport.findOne({
+        enrollmentId: enrollment._id,
+        'reportPeriod.reportType': reportType,
+        'reportPeriod.startDate': period.startDate
+    });
+    if (report && report.status !== 'draft') {
+        throw new ApiError(409, `The ${reportType} report for this period is already ${report.status}`);
+    }
+
+    const created = !report;
+    const metrics = await computeReportMetrics(enrollment, period.startDate, period.endDate);
+    if (!report) {
+        report = new ProgressReport({
+            enrollmentId: enrollment._id,
+            studentId: enrollment.studentId,
+            internshipId: enrollment.internshipId
+        });
+    }
+
+    report.set({
+        ...metrics,
+        reportPeriod: period,
+        generatedAt: new Date(),
+        generatedBy: user?._id,
+        isAutoGenerated: !user
+    });
+    await report.save();
+
+    if (created && enrollment.mentorId) {
+        try {
+            await NotificationManager.notifyProgressReportDrafted(report, enrollment.mentorId);
+        } catch (error) {
+            console.error('Failed to send progress report draft notification:', error);
+        }
+    }
+
+    return { report, created };
+};
+
+/**
+ * Drafts the weekly or monthly report covering a day for every active enrollment
+ * @param {string} reportType - weekly or monthly
+ * @param {Date} date - Any day in the period
+ * @returns {Promise<number>} How many drafts were created or refreshed
+ */
+export const generatePeriodicReports = async (reportType, date) => {
+    const day = toDayStart(date);
+    const enrollments = await InternshipEnrollment.find({
+        status: 'active',
+        actualStartDate: { $lt: addDays(day, 1) }
+    });
+
+    let generated = 0;
+    for (const enrollment of enrollments) {
+        try {
+            await generateProgressReport(enrollment, { reportType, date: day });
+            generated++;
+        } catch (error) {
+            // Finalized reports and periods outside the internship are expected here
+            if (!(error instanceof ApiError)) {
+                console.error(`Failed to generate ${reportType} report for enrollment ${enrollment._id}:`, error);
+            }
+        }
+    }
+    return generated;
+};
+
+/**
+ * Loads a progress report together with its enrollment. Interns only see reports
+ * once they are finalized.
+ * @param {string} reportId
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Require admin or assigned-mentor access
+ * @returns {Promise<{ report: Object, enrollment: Object }>}
+ */
+export const findAccessibleReport = async (reportId, user, { manage = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+        throw new ApiError(400, 'Invalid progress report ID');
+    }
+
+    const report = await ProgressReport.findById(reportId);
+    if (!report) {
+        throw new ApiError(404, 'Progress report not found');
+    }
+
+    const enrollment = await findAccessibleEnrollment(report.enrollmentId, user, { manage });
+    const isStaff = canManageEnrollment(enrollment, user) || canSuperviseEnrollment(enrollment, user);
+    if (!isStaff && report.status === 'draft') {
+        throw new ApiError(404, 'Progress report not found');
+    }
+
+    return { report, enrollment };
+};
+
+/**
+ * Records the mentor's evaluation and edits on a draft report
+ * @param {Object} report - ProgressReport document
+ * @param {Object} updates
+ * @param {Object} [updates.mentorEvaluation] - Any of MENTOR_EVALUATION_FIELDS
+ * @param {Object} user - Admin or assigned mentor
+ * @returns {Promise<Object>} The saved report
+ */
+export const updateReportEvaluation = async (report, { mentorEvaluation, ...fields } = {}, user) => {
+    if (report.status !== 'draft') {
+        throw new ApiError(409, `A ${report.status} report cannot be changed`);
+    }
+
+    const rejected = [
+        ...Object.keys(fields).filter(field => !MENTOR_REPORT_FIELDS.includes(field)),
+        ...Object.keys(mentorEvaluation || {}).filter(field => !MENTOR_EVALUATION_FIELDS.includes(field))
+            .map(field => `mentorEvaluation.${field}`)
+    ];
+    if (rejected.length) {
+        throw new ApiError(403, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+
+    report.set(fields);
+    if (mentorEvaluation) {
+        for (const [field, value] of Object.entries(mentorEvaluation)) {
+            report.set(`mentorEvaluation.${field}`, value);
+        }
+        report.set('mentorEvaluation.evaluatedBy', user._id);
+        report.set('mentorEvaluation.evaluatedAt', new Date());
+    }
+
+    try {
+        await report.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const details = Object.values(error.errors).map(err => err.message);
+            throw new ApiError(400, `Validation failed: ${details.join('; ')}`, details);
+        }
+        throw error;
+    }
+    return report;
+};
+
+/**
+ * Finalizes a report and sends it to the intern and the admins. A finalized report
+ * whose sending failed can be finalized again to retry.
+ * @param {Object} report - ProgressReport document
+ * @param {Object} user - Admin or assigned mentor
+ * @returns {Promise<Object>} The saved report
+ */
+export const finalizeProgressReport = async (report, user) => {
+    if (report.status === 'sent') {
+        throw new ApiError(409, 'This report has already been finalized and sent');
+    }
+
+    if (report.status === 'draft') {
+        if (!report.mentorEvaluation?.overallRating) {
+            throw new ApiError(400, 'Add an overallRating to the mentor evaluation before finalizing');
+        }
+        report.status = 'finalized';
+        report.finalizedAt = new Date();
+        report.finalizedBy = user._id;
+        await report.save();
+    }
+
+    try {
+        const admins = await User.find({ userType: 'admin' }).distinct('_id');
+        await NotificationManager.notifyProgressReportFinalized(report, [report.studentId, ...admins]);
+        report.status = 'sent';
+        report.sentAt = new Date();
+        await report.save();
+    } catch (error) {
+        console.error(`Failed to send progress report ${report._id}:`, error);
+    }
+
+    return report;
+};
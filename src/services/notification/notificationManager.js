@@ -11,14 +11,15 @@ class NotificationManager {
         };
     }
 
-    async createNotification(data) {
+    // Attachments are only sent with the first attempt; retries go out without them
+    async createNotification(data, { attachments } = {}) {
         try {
             const notification = new Notification(data);
             await notification.save();
 
             // Send immediately if not scheduled for later
             if (!data.scheduledFor || new Date(data.scheduledFor) <= new Date()) {
-                await this.sendNotification(notification);
+                await this.sendNotification(notification, { attachments });
             }
 
             return notification;
@@ -28,7 +29,7 @@ class NotificationManager {
         }
     }
 
-    async sendNotification(notification) {
+    async sendNotification(notification, { attachments } = {}) {
         try {
             // Ensure we have a Mongoose document
             let notificationDoc = notification;
@@ -54,7 +55,8 @@ class NotificationManager {
                             user,
                             notificationDoc.title,
                             notificationDoc.message,
-                            metadata
+                            metadata,
+                            attachments
                         );
                     } else {
                         result = { success: false, message: 'Email notifications disabled by user' };
@@ -182,6 +184,282 @@ class NotificationManager {
         });
     }
 
+    async notifyCertificateIssued(userId, certificate) {
+        return this.createNotification({
+            recipient: userId,
+            type: 'email',
+            title: 'Your certificate is ready',
+            message: `Congratulations on completing ${certificate.courseTitle}! Your certificate (No. ${certificate.serial}) is ready to download.`,
+            category: 'course',
+            metadata: {
+                courseId: certificate.course.toString(),
+                certificateSerial: certificate.serial,
+                actionUrl: certificate.pdf?.url || `${process.env.CLIENT_URL}/certificates/verify/${certificate.serial}`,
+                actionText: 'Download certificate'
+            }
+        });
+    }
+
+    async notifyDailyLogReviewed(userId, log) {
+        const day = log.date.toISOString().slice(0, 10);
+        const approved = log.status === 'approved';
+        const comments = log.mentorFeedback?.comments;
+
+        return this.createNotification({
+            recipient: userId,
+            type: 'email',
+            title: approved ? 'Daily log approved' : 'Daily log needs revision',
+            message: approved
+                ? `Your daily log for ${day} was approved.${comments ? ` Mentor comments: ${comments}` : ''}`
+                : `Your mentor asked for changes to your daily log for ${day}: ${comments}`,
+            category: 'internship',
+            metadata: {
+                dailyLogId: log._id.toString(),
+                enrollmentId: log.enrollmentId.toString(),
+                decision: log.status,
+                actionUrl: `${process.env.CLIENT_URL}/internships/daily-logs/${log._id}`,
+                actionText: approved ? 'View feedback' : 'Revise log'
+            }
+        });
+    }
+
+    async notifyLeaveRequested(enrollment, request) {
+        const reviewers = [enrollment.mentorId, enrollment.supervisorId].filter(Boolean);
+        const student = await User.findById(request.studentId).select('fullName');
+        const period = this.formatDateRange(request.startDate, request.endDate);
+
+        return Promise.all(reviewers.map(reviewerId => this.createNotification({
+            recipient: reviewerId,
+            type: 'email',
+            title: 'New leave request',
+            message: `${student?.fullName || 'An intern'} requested ${request.type.replace('-', ' ')} for ${period}: ${request.reason}`,
+            category: 'internship',
+            metadata: {
+                leaveRequestId: request._id.toString(),
+                enrollmentId: request.enrollmentId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/leave-requests/${request._id}`,
+                actionText: 'Review request'
+            }
+        })));
+    }
+
+    async notifyLeaveRequestReviewed(request) {
+        const period = this.formatDateRange(request.startDate, request.endDate);
+        const approved = request.status === 'approved';
+
+        return this.createNotification({
+            recipient: request.studentId,
+            type: 'email',
+            title: approved ? 'Leave request approved' : 'Leave request rejected',
+            message: approved
+                ? `Your ${request.type.replace('-', ' ')} for ${period} was approved.`
+                : `Your ${request.type.replace('-', ' ')} for ${period} was rejected: ${request.reviewComments}`,
+            category: 'internship',
+            metadata: {
+                leaveRequestId: request._id.toString(),
+                enrollmentId: request.enrollmentId.toString(),
+                decision: request.status,
+                actionUrl: `${process.env.CLIENT_URL}/internships/leave-requests/${request._id}`,
+                actionText: 'View request'
+            }
+        });
+    }
+
+    async notifyMilestoneOverdue(milestone, recipientIds) {
+        const due = milestone.targetDate.toISOString().slice(0, 10);
+
+        return Promise.all(recipientIds.map(recipientId => this.createNotification({
+            recipient: recipientId,
+            type: 'email',
+            title: 'Milestone overdue',
+            message: `The milestone "${milestone.title}" was due on ${due} and is ${milestone.completionPercentage}% complete.`,
+            category: 'internship',
+            priority: 'high',
+            metadata: {
+                milestoneId: milestone._id.toString(),
+                enrollmentId: milestone.enrollmentId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/milestones/${milestone._id}`,
+                actionText: 'View milestone'
+            }
+        })));
+    }
+
+    async notifyMilestoneEvaluated(milestone) {
+        const { rating, feedback } = milestone.evaluation;
+
+        return this.createNotification({
+            recipient: milestone.studentId,
+            type: 'email',
+            title: 'Milestone evaluated',
+            message: `Your mentor rated "${milestone.title}" ${rating}/5.${feedback ? ` Feedback: ${feedback}` : ''}`,
+            category: 'internship',
+            metadata: {
+                milestoneId: milestone._id.toString(),
+                enrollmentId: milestone.enrollmentId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/milestones/${milestone._id}`,
+                actionText: 'View evaluation'
+            }
+        });
+    }
+
+    async notifyProgressReportDrafted(report, mentorId) {
+        const { reportType, startDate, endDate } = report.reportPeriod;
+        const period = this.formatDateRange(startDate, endDate);
+
+        return this.createNotification({
+            recipient: mentorId,
+            type: 'email',
+            title: 'Progress report ready for review',
+            message: `A draft ${reportType} progress report for ${period} is ready. Add your evaluation and finalize it to share it with the intern.`,
+            category: 'internship',
+            metadata: {
+                progressReportId: report._id.toString(),
+                enrollmentId: report.enrollmentId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/progress-reports/${report._id}`,
+                actionText: 'Review report'
+            }
+        });
+    }
+
+    async notifyProgressReportFinalized(report, recipientIds) {
+        const { reportType, startDate, endDate } = report.reportPeriod;
+        const period = this.formatDateRange(startDate, endDate);
+        const rating = report.mentorEvaluation?.overallRating;
+
+        return Promise.all(recipientIds.map(recipientId => this.createNotification({
+            recipient: recipientId,
+            type: 'email',
+            title: `${reportType.charAt(0).toUpperCase()}${reportType.slice(1)} progress report`,
+            message: `The ${reportType} progress report for ${period} has been finalized. ${report.summary || ''}` +
+                (rating ? ` Overall mentor rating: ${rating}/5.` : ''),
+            category: 'internship',
+            metadata: {
+                progressReportId: report._id.toString(),
+                enrollmentId: report.enrollmentId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/progress-reports/${report._id}`,
+                actionText: 'View report'
+            }
+        })));
+    }
+
+    async notifyApplicationStatusChanged(application, internship) {
+        const position = internship ? `${internship.title} at ${internship.company}` : 'the internship';
+        const messages = {
+            'Under Review': `Your application for ${position} is now under review.`,
+            Shortlisted: `Good news! Your application for ${position} has been shortlisted.`,
+            Interviewing: `You have been invited to interview for ${position}. Look out for the interview details.`,
+            Accepted: `Congratulations! Your application for ${position} has been accepted.`,
+            Rejected: `Your application for ${position} was not successful this time.`
+        };
+        const title = `Application ${application.status.toLowerCase()}`;
+        const message = (messages[application.status] || `Your application for ${position} is now ${application.status}.`) +
+            (application.feedback ? ` Feedback: ${application.feedback}` : '');
+        const metadata = {
+            applicationId: application._id.toString(),
+            internshipId: application.internshipId.toString(),
+            status: application.status,
+            actionUrl: `${process.env.CLIENT_URL}/internships/applications/${application._id}`,
+            actionText: 'View application'
+        };
+
+        const notifications = [this.createNotification({
+            recipient: application.studentId,
+            type: 'email',
+            title,
+            message,
+            category: 'internship',
+            metadata
+        })];
+
+        // Push only reaches applicants with a registered device
+        const student = await User.findById(application.studentId).select('notificationPreferences pushTokens');
+        if (student?.notificationPreferences?.push?.enabled && student.pushTokens?.length) {
+            notifications.push(this.createNotification({
+                recipient: application.studentId,
+                type: 'push',
+                title,
+                message,
+                category: 'internship',
+                metadata
+            }));
+        }
+
+        return Promise.all(notifications);
+    }
+
+    async notifyInterviewProposed(interview, internship) {
+        const position = internship ? `${internship.title} at ${internship.company}` : 'the internship';
+        const slots = interview.proposedSlots.map(slot => this.formatDateTime(slot.startTime)).join('; ');
+
+        return this.createNotification({
+            recipient: interview.studentId,
+            type: 'email',
+            title: 'Choose your interview time',
+            message: `You are invited to interview for ${position}. Pick one of these times (${interview.mode}): ${slots}.`,
+            category: 'internship',
+            priority: 'high',
+            metadata: {
+                interviewId: interview._id.toString(),
+                applicationId: interview.applicationId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/interviews/${interview._id}`,
+                actionText: 'Pick a time'
+            }
+        });
+    }
+
+    // Invitation, update or cancellation for everyone taking part, with the .ics file attached
+    async notifyInterviewCalendarUpdate(interview, internship, recipientIds, { method, slot, ics }) {
+        const position = internship ? `${internship.title} at ${internship.company}` : 'the internship';
+        const when = this.formatDateTime(slot.startTime);
+        const where = interview.mode === 'in-person' ? ` at ${interview.location}` :
+            interview.meetingLink ? ` (${interview.meetingLink})` : '';
+
+        let title;
+        let message;
+        if (method === 'CANCEL') {
+            title = 'Interview cancelled';
+            message = interview.status === 'cancelled'
+                ? `The interview for ${position} on ${when} has been cancelled.` +
+                (interview.cancellationReason ? ` Reason: ${interview.cancellationReason}` : '')
+                : `The interview for ${position} on ${when} has been withdrawn; new times will follow.`;
+        } else {
+            title = interview.sequence > 0 ? 'Interview rescheduled' : 'Interview scheduled';
+            message = `The ${interview.mode} interview for ${position} is on ${when}${where}. The calendar invitation is attached.`;
+        }
+
+        const attachments = [{
+            filename: 'interview.ics',
+            content: ics,
+            contentType: `text/calendar; charset=utf-8; method=${method}`
+        }];
+
+        return Promise.all(recipientIds.map(recipientId => this.createNotification({
+            recipient: recipientId,
+            type: 'email',
+            title,
+            message,
+            category: 'internship',
+            metadata: {
+                interviewId: interview._id.toString(),
+                applicationId: interview.applicationId.toString(),
+                actionUrl: `${process.env.CLIENT_URL}/internships/interviews/${interview._id}`,
+                actionText: 'View interview'
+            }
+        }, { attachments })));
+    }
+
+    // "2026-10-19 14:00 UTC"
+    formatDateTime(date) {
+        return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    }
+
+    // "2026-10-19" or "2026-10-19 to 2026-10-21"
+    formatDateRange(start, end) {
+        const from = start.toISOString().slice(0, 10);
+        const to = end.toISOString().slice(0, 10);
+        return from === to ? from : `${from} to ${to}`;
+    }
+
     async notifyNewCourseAvailable(course, targetUserTypes = ['student']) {
         // Find users who should receive this notification
         const users = await User.find({
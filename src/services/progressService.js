@@ -0,0 +1,320 @@
+// src/services/progressService.js
+import mongoose from 'mongoose';
+import { Progress } from '../models/Progress.js';
+import Module from '../models/Module.js';
+import Enrollment from '../models/Enrollment.js';
+import Profile from '../models/Profile.js';
+import ApiError from '../utils/ApiError.js';
+import { checkCourseCompletion } from './courseCompletionService.js';
+
+// Share of a video that must be watched before it counts as completed
+export const VIDEO_COMPLETION_RATIO = 0.9;
+
+// Most time credited while nothing has been recorded for a topic; after that
+// each report is capped at the time elapsed since the previous one
+const MAX_FIRST_REPORT_SECONDS = 60 * 60;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Finds the active enrollment of a student in a course
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<Object>} Enrollment document
+ */
+export const findActiveEnrollment = async (userId, courseId) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        throw new ApiError(400, 'Invalid course ID');
+    }
+
+    const enrollment = await Enrollment.findOne({
+        student: userId,
+        course: courseId,
+        status: { $ne: 'cancelled' }
+    });
+    if (!enrollment) {
+        throw new ApiError(403, 'You are not enrolled in this course');
+    }
+    return enrollment;
+};
+
+/**
+ * Finds a topic and the module holding it within a course
+ * @param {string} courseId
+ * @param {string} topicId
+ * @returns {Promise<{ module: Object, topic: Object }>}
+ */
+export const findCourseTopic = async (courseId, topicId) => {
+    if (!mongoose.Types.ObjectId.isValid(topicId)) {
+        throw new ApiError(400, 'Invalid topic ID');
+    }
+
+    const module = await Module.findOne({ courseId, 'topics._id': topicId });
+    if (!module) {
+        throw new ApiError(404, 'Topic not found in this course');
+    }
+    return { module, topic: module.topics.id(topicId) };
+};
+
+/**
+ * The progress document of a student in a course, created on first use
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<Object>} Progress document
+ */
+export const getOrCreateProgress = (userId, courseId) =>
+    Progress.findOneAndUpdate(
+        { userId, courseId },
+        { $setOnInsert: { userId, courseId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+// The progress entry for a topic, added when the student first opens it
+const getTopicEntry = (progress, module, topic) => {
+    let entry = progress.topics.find(t => sameId(t.topicId, topic._id));
+    if (!entry) {
+        progress.topics.push({
+            moduleId: module._id,
+            topicId: topic._id,
+            topicType: topic.type,
+            startedAt: new Date()
+        });
+        entry = progress.topics[progress.topics.length - 1];
+    }
+    return entry;
+};
+
+const completeEntry = (entry, now = new Date()) => {
+    if (entry.status !== 'completed') {
+        entry.status = 'completed';
+        entry.completedAt = now;
+    }
+};
+
+const toPositiveNumber = (value) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0
+        ? number
+        : undefined;
+};
+
+/**
+ * Applies one progress report to a topic entry. Video topics complete once
+ * VIDEO_COMPLETION_RATIO of the duration is reached, PDF topics once every
+ * page has been viewed; text, video and PDF topics can also be marked complete.
+ * @param {Object} entry - Topic progress subdocument
+ * @param {Object} topic - Module topic subdocument
+ * @param {Object} report
+ * @param {number} [report.timeSpentSeconds] - Time spent since the previous report
+ * @param {number} [report.position] - Current video position in seconds
+ * @param {number} [report.duration] - Video length in seconds
+ * @param {number|Array<number>} [report.pages] - PDF page(s) viewed
+ * @param {number} [report.totalPages] - PDF page count
+ * @param {boolean} [report.completed] - Mark the topic complete
+ */
+export const applyTopicReport = (entry, topic, report = {}) => {
+    const now = new Date();
+
+    const reportedTime = toPositiveNumber(report.timeSpentSeconds);
+    if (reportedTime !== undefined) {
+        const elapsed = entry.timeSpentSeconds === 0
+            ? MAX_FIRST_REPORT_SECONDS
+            : Math.ceil((now.getTime() - entry.lastAccessed.getTime()) / 1000);
+        entry.timeSpentSeconds += Math.min(Math.round(reportedTime), Math.max(elapsed, 0));
+    }
+
+    if (topic.type === 'video') {
+        // Module durations are stored in minutes
+        const duration = toPositiveNumber(report.duration) || entry.duration || (topic.duration ? topic.duration * 60 : undefined);
+        if (duration) entry.duration = duration;
+
+        const position = toPositiveNumber(report.position);
+        if (position !== undefined) {
+            entry.lastPosition = duration ? Math.min(position, duration) : position;
+        }
+        if (entry.duration && entry.lastPosition >= entry.duration * VIDEO_COMPLETION_RATIO) {
+            completeEntry(entry, now);
+        }
+    }
+
+    if (topic.type === 'pdf') {
+        const totalPages = toPositiveNumber(report.totalPages);
+        if (totalPages) entry.totalPages = Math.floor(totalPages);
+
+        const pages = [].concat(report.pages ?? [])
+            .map(Number)
+            .filter(page => Number.isInteger(page) && page >= 1 && (!entry.totalPages || page <= entry.totalPages));
+        pages.forEach(page => {
+            if (!entry.pagesViewed.includes(page)) entry.pagesViewed.push(page);
+        });
+        entry.pagesViewed.sort((a, b) => a - b);
+
+        if (entry.totalPages && entry.pagesViewed.length >= entry.totalPages) {
+            completeEntry(entry, now);
+        }
+    }
+
+    if (report.completed === true || report.completed === 'true') {
+        if (topic.type === 'quiz') {
+            throw new ApiError(400, 'Quiz topics are completed by passing the quiz');
+        }
+        completeEntry(entry, now);
+    }
+
+    entry.lastAccessed = now;
+};
+
+const toCompletionStatus = (progress, completed) => {
+    if (completed) return 'Completed';
+    return progress.topics.length > 0 ? 'In Progress' : 'Not Started';
+};
+
+// Mirrors course progress onto the enrollment and the student's profile
+const syncEnrollmentAndProfile = async (progress, completed) => {
+    const now = new Date();
+
+    await Enrollment.updateOne(
+        { student: progress.userId, course: progress.courseId, status: { $ne: 'cancelled' } },
+        { progress: progress.percentage, lastAccessed: now }
+    );
+
+    const mirror = {
+        progress: progress.percentage,
+        completionStatus: toCompletionStatus(progress, completed),
+        lastAccessed: now
+    };
+    const { matchedCount } = await Profile.updateOne(
+        { user: progress.userId, 'coursesEnrolled.course': progress.courseId },
+        {
+            $set: {
+                'coursesEnrolled.$.progress': mirror.progress,
+                'coursesEnrolled.$.completionStatus': mirror.completionStatus,
+                'coursesEnrolled.$.lastAccessed': mirror.lastAccessed
+            }
+        }
+    );
+    if (matchedCount === 0) {
+        // Students enrolled before the mirror existed get their entry on first progress
+        await Profile.updateOne(
+            { user: progress.userId },
+            { $push: { coursesEnrolled: { course: progress.courseId, ...mirror } } }
+        );
+    }
+};
+
+/**
+ * Derives completed modules and the course percentage from the topic entries,
+ * checks the course completion criteria, saves the progress and mirrors it onto
+ * the enrollment and profile. A module is complete once every one of its topics is.
+ * @param {Object} progress - Progress document
+ * @returns {Promise<Object>} The saved progress
+ */
+export const recalculateProgress = async (progress) => {
+    const modules = await Module.find({ courseId: progress.courseId }).select('topics._id');
+    const completedTopics = new Set(
+        progress.topics.filter(t => t.status === 'completed').map(t => t.topicId.toString())
+    );
+
+    let totalTopics = 0;
+    let doneTopics = 0;
+    const completedModules = [];
+
+    modules.forEach(module => {
+        const topicIds = module.topics.map(topic => topic._id.toString());
+        const done = topicIds.filter(id => completedTopics.has(id)).length;
+        totalTopics += topicIds.length;
+        doneTopics += done;
+        if (topicIds.length > 0 && done === topicIds.length) {
+            completedModules.push(module._id);
+        }
+    });
+
+    progress.completedModules = completedModules;
+    progress.percentage = totalTopics > 0 ? Math.round((doneTopics / totalTopics) * 100) : 0;
+    progress.lastAccessed = new Date();
+
+    const completion = await checkCourseCompletion(progress);
+    await progress.save();
+
+    await syncEnrollmentAndProfile(progress, Boolean(completion?.completed));
+    return progress;
+};
+
+/**
+ * Records a progress report for one topic of a course
+ * @param {Object} params
+ * @param {string} params.userId - The student
+ * @param {string} params.courseId
+ * @param {string} params.topicId
+ * @param {Object} params.report - See applyTopicReport
+ * @returns {Promise<{ progress: Object, topic: Object }>}
+ */
+export const recordTopicProgress = async ({ userId, courseId, topicId, report }) => {
+    await findActiveEnrollment(userId, courseId);
+    const { module, topic } = await findCourseTopic(courseId, topicId);
+
+    const progress = await getOrCreateProgress(userId, courseId);
+    const entry = getTopicEntry(progress, module, topic);
+    applyTopicReport(entry, topic, report);
+
+    await recalculateProgress(progress);
+    return { progress, topic: entry };
+};
+
+/**
+ * Updates progress after a graded quiz attempt: a pass completes the quiz topic,
+ * and any attempt can change the quiz scores the completion criteria look at
+ * @param {string} userId - The student
+ * @param {Object} quiz - Quiz document
+ * @param {boolean} passed - Whether the attempt passed
+ * @returns {Promise<Object>} The saved progress
+ */
+export const recordQuizResult = async (userId, quiz, passed) => {
+    const progress = await getOrCreateProgress(userId, quiz.courseId);
+
+    if (passed) {
+        const module = await Module.findOne({
+            courseId: quiz.courseId,
+            $or: [{ 'topics._id': quiz.topicId }, { 'topics.content.quizId': quiz._id }]
+        });
+        const topic = module?.topics.find(t => sameId(t._id, quiz.topicId) || sameId(t.content?.quizId, quiz._id));
+        if (topic) {
+            const entry = getTopicEntry(progress, module, topic);
+            completeEntry(entry);
+            entry.lastAccessed = new Date();
+        }
+    }
+
+    return recalculateProgress(progress);
+};
+
+/**
+ * Marks every non-quiz topic of a module complete; quiz topics still need a passing attempt
+ * @param {string} userId - The student
+ * @param {string} courseId
+ * @param {string} moduleId
+ * @returns {Promise<Object>} The saved progress
+ */
+export const completeModuleTopics = async (userId, courseId, moduleId) => {
+    if (!mongoose.Types.ObjectId.isValid(moduleId)) {
+        throw new ApiError(400, 'A valid moduleId is required');
+    }
+    await findActiveEnrollment(userId, courseId);
+
+    const module = await Module.findOne({ _id: moduleId, courseId });
+    if (!module) {
+        throw new ApiError(404, 'Module not found in this course');
+    }
+
+    const progress = await getOrCreateProgress(userId, courseId);
+    const now = new Date();
+    module.topics
+        .filter(topic => topic.type !== 'quiz')
+        .forEach(topic => {
+            const entry = getTopicEntry(progress, module, topic);
+            completeEntry(entry, now);
+            entry.lastAccessed = now;
+        });
+
+    return recalculateProgress(progress);
+};
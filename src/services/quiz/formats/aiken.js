@@ -0,0 +1,131 @@
+// src/services/quiz/formats/aiken.js
+//
+// Aiken holds multiple-choice questions only:
+//   What is 2 + 2?
+//   A. 3
+//   B. 4
+//   ANSWER: B
+// Options may use "A." or "A)"; questions are separated by blank lines.
+
+const OPTION_LINE = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_LINE = /^ANSWER:\s*([A-Z])\s*$/i;
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * Parses Aiken text into multiple-choice questions
+ * @param {string} content - Aiken file contents
+ * @returns {{ questions: Array<{ line: number, question: Object }>, errors: Array<{ line: number, message: string }> }}
+ */
+export const parseAiken = (content) => {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const questions = [];
+    const errors = [];
+
+    let current = null;
+
+    const fail = (line, message) => {
+        errors.push({ line, message });
+        current = null;
+    };
+
+    lines.forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.trim();
+        if (!line) return;
+
+        const answer = line.match(ANSWER_LINE);
+        const option = line.match(OPTION_LINE);
+
+        if (answer) {
+            if (!current) {
+                errors.push({ line: lineNumber, message: 'ANSWER line without a question' });
+                return;
+            }
+            if (current.keys.length < 2) {
+                return fail(current.line, 'A question needs at least two options');
+            }
+
+            const key = answer[1].toUpperCase();
+            if (!current.keys.includes(key)) {
+                return fail(lineNumber, `ANSWER ${key} does not match any option`);
+            }
+
+            // Options are stored under A-E whatever letters the file used
+            const options = {};
+            current.keys.forEach((fileKey, position) => {
+                options[OPTION_KEYS[position]] = current.options[fileKey];
+            });
+
+            questions.push({
+                line: current.line,
+                question: {
+                    question: current.text.join(' '),
+                    questionType: 'multiple-choice',
+                    options,
+                    answer: OPTION_KEYS[current.keys.indexOf(key)]
+                }
+            });
+            current = null;
+            return;
+        }
+
+        if (option && current && current.text.length > 0) {
+            if (current.keys.length >= OPTION_KEYS.length) {
+                return fail(lineNumber, `At most ${OPTION_KEYS.length} options are supported`);
+            }
+            current.keys.push(option[1]);
+            current.options[option[1]] = option[2].trim();
+            return;
+        }
+
+        if (!current) {
+            current = { line: lineNumber, text: [line], keys: [], options: {} };
+            return;
+        }
+
+        if (current.keys.length > 0) {
+            // Text after the options means the ANSWER line is missing
+            fail(current.line, 'Missing ANSWER line');
+            current = { line: lineNumber, text: [line], keys: [], options: {} };
+            return;
+        }
+
+        current.text.push(line);
+    });
+
+    if (current) {
+        errors.push({ line: current.line, message: 'Missing ANSWER line' });
+    }
+
+    return { questions, errors };
+};
+
+/**
+ * Writes questions as Aiken. Only multiple-choice and true/false questions can be expressed.
+ * @param {Array} questions - Quiz questions
+ * @returns {{ content: string, skipped: Array<{ index: number, reason: string }> }}
+ */
+export const formatAiken = (questions) => {
+    const blocks = [];
+    const skipped = [];
+
+    questions.forEach((question, index) => {
+        const type = question.questionType || 'multiple-choice';
+        if (!['multiple-choice', 'true-false'].includes(type)) {
+            skipped.push({ index, reason: `${type} questions cannot be expressed in Aiken` });
+            return;
+        }
+
+        const options = OPTION_KEYS
+            .filter(key => question.options?.[key])
+            .map(key => `${key}. ${question.options[key].replace(/\s+/g, ' ')}`);
+
+        blocks.push([
+            question.question.replace(/\s+/g, ' '),
+            ...options,
+            `ANSWER: ${question.answer}`
+        ].join('\n'));
+    });
+
+    return { content: blocks.length ? `${blocks.join('\n\n')}\n` : '', skipped };
+};
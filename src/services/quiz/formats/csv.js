@@ -0,0 +1,280 @@
+// src/services/quiz/formats/csv.js
+//
+// Spreadsheet layout, one question per row after a header row. Column names are
+// case-insensitive and only "question" is required:
+//   question, type, optionA-optionE, answer, points, explanation,
+//   tolerance, matchMode, partialCredit, tags, difficulty
+// How "answer" is read depends on the type; "|" separates multiple values:
+//   multiple-choice, true-false   B
+//   multi-select                  A|C
+//   short-answer                  Paris|paris, France
+//   numeric                       3.14            (with the tolerance column)
+//   ordering                      first|second|third   (the correct order)
+//   matching                      cat -> meow|dog -> woof
+//   fill-in-the-blank             sky|heavens;blue     (";" separates blanks)
+// A literal "|", ";" or "\" inside a value is written "\|", "\;" or "\\"; any other
+// backslash is kept as is, so regex answers like \d+ can be typed directly.
+// For fill-in-the-blank, matchMode may also list one mode per blank: exact;regex
+
+import { toCsv } from '../../../utils/csv.js';
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+export const CSV_COLUMNS = [
+    'question', 'type', 'optionA', 'optionB', 'optionC', 'optionD', 'optionE',
+    'answer', 'points', 'explanation', 'tolerance', 'matchMode', 'partialCredit', 'tags', 'difficulty'
+];
+
+/**
+ * Splits CSV text into rows, honouring quoted fields that span lines
+ * @param {string} content - CSV text
+ * @returns {Array<{ line: number, cells: Array<string> }>}
+ */
+export const parseCsvRows = (content) => {
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = [];
+
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.some(value => value.trim() !== '')) {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) endRow();
+
+    return rows;
+};
+
+const ESCAPABLE = ['|', ';', '\\'];
+
+// Splits on separators that are not escaped, leaving escapes in the parts for a nested split
+const splitEscaped = (value, separator) => {
+    const text = String(value || '');
+    const parts = [];
+    let part = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && ESCAPABLE.includes(text[i + 1])) {
+            part += text[i] + text[i + 1];
+            i++;
+        } else if (text[i] === separator) {
+            parts.push(part);
+            part = '';
+        } else {
+            part += text[i];
+        }
+    }
+    parts.push(part);
+    return parts;
+};
+
+const unescapeValue = (value) => value.replace(/\\([|;\\])/g, '$1');
+const escapeValue = (value) => String(value ?? '').replace(/[|;\\]/g, '\\$&');
+
+const splitValues = (value, separator = '|') =>
+    splitEscaped(value, separator).map(item => unescapeValue(item).trim()).filter(Boolean);
+const joinValues = (values, separator = '|') => values.map(escapeValue).join(separator);
+
+const parseNumber = (value, column) => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`${column} must be a number`);
+    }
+    return number;
+};
+
+// Builds a question from one row keyed by lower-cased column name
+const rowToQuestion = (row) => {
+    const type = (row.type || 'multiple-choice').trim().toLowerCase();
+    const answer = (row.answer || '').trim();
+    const question = {
+        question: (row.question || '').trim(),
+        questionType: type
+    };
+
+    const options = {};
+    OPTION_KEYS.forEach(key => {
+        const value = (row[`option${key.toLowerCase()}`] || '').trim();
+        if (value) options[key] = value;
+    });
+    if (Object.keys(options).length > 0) question.options = options;
+
+    switch (type) {
+        case 'multiple-choice':
+        case 'true-false':
+            question.answer = answer.toUpperCase();
+            break;
+        case 'multi-select':
+            question.answers = splitValues(answer).map(key => key.toUpperCase());
+            break;
+        case 'short-answer':
+            question.acceptedAnswers = splitValues(answer);
+            break;
+        case 'numeric':
+            question.numericAnswer = parseNumber(answer, 'answer');
+            break;
+        case 'ordering':
+            question.orderItems = splitValues(answer);
+            break;
+        case 'matching':
+            question.matchPairs = splitValues(answer).map(pair => {
+                const [left, ...right] = pair.split('->');
+                return { left: left.trim(), right: right.join('->').trim() };
+            });
+            break;
+        case 'fill-in-the-blank':
+            question.blanks = splitEscaped(answer, ';').map(blank => ({ acceptedAnswers: splitValues(blank) }));
+            break;
+    }
+
+    if (row.points) question.points = parseNumber(row.points.trim(), 'points');
+    if (row.tolerance) question.tolerance = parseNumber(row.tolerance.trim(), 'tolerance');
+    if (row.explanation?.trim()) question.explanation = row.explanation.trim();
+    if (row.partialcredit?.trim()) question.partialCredit = !['false', 'no', '0'].includes(row.partialcredit.trim().toLowerCase());
+    if (row.tags?.trim()) question.tags = splitValues(row.tags);
+    if (row.difficulty?.trim()) question.difficulty = row.difficulty.trim().toLowerCase();
+    if (row.matchmode?.trim()) {
+        const matchMode = row.matchmode.trim().toLowerCase();
+        if (type === 'fill-in-the-blank') {
+            // One mode for every blank, or one per blank
+            const modes = matchMode.split(';').map(mode => mode.trim());
+            if (modes.length > 1 && modes.length !== question.blanks.length) {
+                throw new Error(`matchMode lists ${modes.length} modes for ${question.blanks.length} blanks`);
+            }
+            question.blanks.forEach((blank, index) => {
+                const mode = modes.length > 1 ? modes[index] : modes[0];
+                if (mode) blank.matchMode = mode;
+            });
+        } else {
+            question.matchMode = matchMode;
+        }
+    }
+
+    return question;
+};
+
+/**
+ * Parses CSV text into questions
+ * @param {string} content - CSV file contents
+ * @returns {{ questions: Array<{ line: number, question: Object }>, errors: Array<{ line: number, message: string }> }}
+ */
+export const parseCsv = (content) => {
+    const [header, ...rows] = parseCsvRows(content);
+    const questions = [];
+    const errors = [];
+
+    const columns = (header?.cells || []).map(name => name.trim().toLowerCase());
+    if (!columns.includes('question')) {
+        errors.push({ line: header?.line || 1, message: 'Header row must include a "question" column' });
+        return { questions, errors };
+    }
+
+    rows.forEach(({ line, cells }) => {
+        const row = Object.fromEntries(columns.map((name, index) => [name, cells[index] ?? '']));
+        try {
+            questions.push({ line, question: rowToQuestion(row) });
+        } catch (error) {
+            errors.push({ line, message: error.message });
+        }
+    });
+
+    return { questions, errors };
+};
+
+// The "answer" cell for a question, the inverse of rowToQuestion
+const formatAnswerCell = (question) => {
+    switch (question.questionType) {
+        case 'multi-select':
+            return joinValues(question.answers);
+        case 'short-answer':
+            return joinValues(question.acceptedAnswers);
+        case 'numeric':
+            return question.numericAnswer;
+        case 'ordering':
+            return joinValues(question.orderItems);
+        case 'matching':
+            return question.matchPairs
+                .map(pair => `${escapeValue(pair.left)} -> ${escapeValue(pair.right)}`)
+                .join('|');
+        case 'fill-in-the-blank':
+            return question.blanks.map(blank => joinValues(blank.acceptedAnswers)).join(';');
+        default:
+            return question.answer;
+    }
+};
+
+// One match mode when every blank shares it, otherwise one per blank separated by ";"
+const formatBlankMatchModes = (blanks = []) => {
+    const modes = blanks.map(blank => blank.matchMode || 'case-insensitive');
+    return new Set(modes).size > 1 ? modes.join(';') : modes[0];
+};
+
+/**
+ * Writes questions as CSV. Every question type can be expressed.
+ * @param {Array} questions - Quiz or bank questions
+ * @returns {{ content: string, skipped: Array }}
+ */
+export const formatCsv = (questions) => {
+    const rows = [CSV_COLUMNS];
+
+    questions.forEach(question => {
+        const type = question.questionType || 'multiple-choice';
+        const matchMode = type === 'fill-in-the-blank'
+            ? formatBlankMatchModes(question.blanks)
+            : type === 'short-answer' ? question.matchMode : '';
+
+        rows.push([
+            question.question,
+            type,
+            ...OPTION_KEYS.map(key => question.options?.[key] || ''),
+            formatAnswerCell({ ...question, questionType: type }),
+            question.points,
+            question.explanation,
+            type === 'numeric' ? question.tolerance : '',
+            matchMode,
+            ['multi-select', 'ordering', 'matching', 'fill-in-the-blank'].includes(type) ? question.partialCredit : '',
+            joinValues(question.tags || []),
+            question.difficulty
+        ]);
+    });
+
+    return { content: toCsv(rows), skipped: [] };
+};
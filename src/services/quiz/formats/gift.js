@@ -0,0 +1,293 @@
+// src/services/quiz/formats/gift.js
+//
+// Moodle GIFT support for the question types the Quiz model understands:
+//   Who wrote Hamlet? {=Shakespeare ~Marlowe ~Bacon}          multiple-choice
+//   Paris is in France. {TRUE}                                 true-false
+//   Pick the primes. {~%50%2 ~%50%3 ~%-100%4}                  multi-select
+//   Capital of France? {=Paris =paris}                         short-answer
+//   Value of pi? {#3.14:0.01}   or   {#3..3.2}                 numeric
+//   Match them. {=cat -> meow =dog -> woof}                    matching
+//   The sky is {=blue =azure} today.                           fill-in-the-blank
+// Questions are separated by blank lines; "//" starts a comment line and
+// "$CATEGORY:" lines become tags. "####" inside the answer block holds the
+// explanation. Essay questions are not supported.
+
+// Characters GIFT lets authors escape with a backslash
+const SPECIAL_CHARS = ['~', '=', '#', '{', '}', ':'];
+const PLACEHOLDER_BASE = 0xE000;
+
+const protectEscapes = (text) =>
+    text.replace(/\\([~=#{}:])/g, (_, char) => String.fromCharCode(PLACEHOLDER_BASE + SPECIAL_CHARS.indexOf(char)));
+
+const restoreEscapes = (text) =>
+    text.replace(/[\uE000-\uE005]/g, char => SPECIAL_CHARS[char.charCodeAt(0) - PLACEHOLDER_BASE]);
+
+const clean = (text) => restoreEscapes(text).replace(/\s+/g, ' ').trim();
+
+const escapeText = (text = '') => String(text).replace(/([~=#{}:])/g, '\\$1');
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Splits "=a ~b ~%50%c" into answer tokens, dropping per-answer feedback
+const tokenizeAnswers = (body) => {
+    const tokens = [];
+    const pattern = /([=~])([^=~]*)/g;
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        let text = match[2].split('#')[0];
+        let weight = null;
+        const weighted = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+        if (weighted) {
+            weight = parseFloat(weighted[1]);
+            text = text.slice(weighted[0].length);
+        }
+        tokens.push({ mark: match[1], text, weight });
+    }
+    return tokens;
+};
+
+// Turns the text between { and } into question fields
+const parseAnswerBlock = (body) => {
+    let explanation;
+    const generalFeedback = body.indexOf('####');
+    if (generalFeedback !== -1) {
+        explanation = clean(body.slice(generalFeedback + 4));
+        body = body.slice(0, generalFeedback);
+    }
+    const trimmed = body.trim();
+
+    if (!trimmed) {
+        throw new Error('Essay questions are not supported');
+    }
+
+    // True/false
+    const trueFalse = trimmed.match(/^(TRUE|FALSE|T|F)\s*(#.*)?$/is);
+    if (trueFalse) {
+        const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+        return { questionType: 'true-false', options: { A: 'True', B: 'False' }, answer: isTrue ? 'A' : 'B', explanation };
+    }
+
+    // Numeric: "#value", "#value:tolerance" or "#min..max"; only the first answer is used
+    if (trimmed.startsWith('#')) {
+        const first = trimmed.slice(1).replace(/^\s*=\s*(%-?\d+(?:\.\d+)?%)?/, '').split(/[=#]/)[0].trim();
+        const range = first.match(/^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/);
+        const point = first.match(/^(-?\d+(?:\.\d+)?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+
+        if (range) {
+            const min = parseFloat(range[1]);
+            const max = parseFloat(range[2]);
+            // Rounded to drop floating point noise such as 0.10000000000000009
+            const round = value => Number(value.toFixed(10));
+            return { questionType: 'numeric', numericAnswer: round((min + max) / 2), tolerance: round(Math.abs(max - min) / 2), explanation };
+        }
+        if (point) {
+            return { questionType: 'numeric', numericAnswer: parseFloat(point[1]), tolerance: point[2] ? parseFloat(point[2]) : 0, explanation };
+        }
+        throw new Error(`Invalid numeric answer "${clean(first)}"`);
+    }
+
+    const tokens = tokenizeAnswers(trimmed);
+    if (tokens.length === 0) {
+        throw new Error('Answers must start with = or ~');
+    }
+
+    // Matching
+    if (tokens.every(token => token.mark === '=' && token.text.includes('->'))) {
+        return {
+            questionType: 'matching',
+            matchPairs: tokens.map(token => {
+                const [left, ...right] = token.text.split('->');
+                return { left: clean(left), right: clean(right.join('->')) };
+            }),
+            explanation
+        };
+    }
+
+    // Only right answers: free-text response
+    if (tokens.every(token => token.mark === '=')) {
+        return { questionType: 'short-answer', acceptedAnswers: tokens.map(token => clean(token.text)), explanation };
+    }
+
+    if (tokens.length > OPTION_KEYS.length) {
+        throw new Error(`At most ${OPTION_KEYS.length} options are supported`);
+    }
+
+    const options = {};
+    const correct = [];
+    tokens.forEach((token, index) => {
+        const key = OPTION_KEYS[index];
+        options[key] = clean(token.text);
+        if (token.mark === '=' || token.weight > 0) correct.push(key);
+    });
+
+    if (correct.length === 0) {
+        throw new Error('No correct answer marked with = or a positive %weight%');
+    }
+
+    return correct.length === 1
+        ? { questionType: 'multiple-choice', options, answer: correct[0], explanation }
+        : { questionType: 'multi-select', options, answers: correct, explanation };
+};
+
+// Finds the first unescaped answer block
+const findAnswerBlock = (text) => {
+    const open = text.indexOf('{');
+    if (open === -1) return null;
+    const close = text.indexOf('}', open);
+    if (close === -1) throw new Error('Answer block is missing its closing }');
+    return { open, close };
+};
+
+const parseQuestionBlock = (raw) => {
+    let text = protectEscapes(raw);
+
+    // Optional ::title:: and [format] prefixes
+    text = text.replace(/^\s*::[^]*?::/, '').replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+
+    const block = findAnswerBlock(text);
+    if (!block) throw new Error('Missing answer block {...}');
+
+    const before = text.slice(0, block.open);
+    const after = text.slice(block.close + 1);
+    const fields = parseAnswerBlock(text.slice(block.open + 1, block.close));
+
+    if (findAnswerBlock(after)) {
+        throw new Error('Only one answer block per question is supported');
+    }
+
+    // Text on both sides of the block makes a "missing word" question
+    const isMissingWord = after.trim().length > 0;
+    const question = clean(isMissingWord ? `${before} ___ ${after}` : before);
+
+    if (isMissingWord && fields.questionType === 'short-answer') {
+        return {
+            question,
+            questionType: 'fill-in-the-blank',
+            blanks: [{ acceptedAnswers: fields.acceptedAnswers }],
+            explanation: fields.explanation
+        };
+    }
+
+    return { question, ...fields };
+};
+
+/**
+ * Parses GIFT text into questions
+ * @param {string} content - GIFT file contents
+ * @returns {{ questions: Array<{ line: number, question: Object }>, errors: Array<{ line: number, message: string }> }}
+ */
+export const parseGift = (content) => {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const questions = [];
+    const errors = [];
+
+    let category = null;
+    let buffer = [];
+    let startLine = 0;
+    let depth = 0;
+
+    const flush = () => {
+        if (buffer.length === 0) return;
+        try {
+            const question = parseQuestionBlock(buffer.join('\n'));
+            if (category) question.tags = [category];
+            questions.push({ line: startLine, question });
+        } catch (error) {
+            errors.push({ line: startLine, message: error.message });
+        }
+        buffer = [];
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        if (depth === 0 && trimmed.startsWith('//')) return;
+
+        if (depth === 0 && /^\$CATEGORY:/i.test(trimmed)) {
+            flush();
+            // "$CATEGORY: $course$/Arrays/Loops" becomes the tag "loops"
+            category = trimmed.replace(/^\$CATEGORY:/i, '').split('/').pop().trim().toLowerCase() || null;
+            return;
+        }
+
+        if (depth === 0 && trimmed === '') {
+            flush();
+            return;
+        }
+
+        if (buffer.length === 0) startLine = index + 1;
+        buffer.push(line);
+
+        const unescaped = protectEscapes(line);
+        depth += (unescaped.match(/{/g) || []).length - (unescaped.match(/}/g) || []).length;
+        if (depth < 0) depth = 0;
+    });
+    flush();
+
+    return { questions, errors };
+};
+
+// Percentages for multi-select answers: right ones share 100%, wrong ones cancel it
+const formatWeight = (value) => `%${Number(value.toFixed(5))}%`;
+
+const formatAnswerBlock = (question) => {
+    const keys = OPTION_KEYS.filter(key => question.options?.[key]);
+
+    switch (question.questionType) {
+        case 'true-false':
+            return question.answer === 'A' ? 'TRUE' : 'FALSE';
+        case 'multi-select': {
+            const share = 100 / question.answers.length;
+            return keys
+                .map(key => `~${formatWeight(question.answers.includes(key) ? share : -100)}${escapeText(question.options[key])}`)
+                .join(' ');
+        }
+        case 'short-answer':
+            return question.acceptedAnswers.map(answer => `=${escapeText(answer)}`).join(' ');
+        case 'numeric':
+            return `#${question.numericAnswer}${question.tolerance ? `:${question.tolerance}` : ''}`;
+        case 'matching':
+            return question.matchPairs.map(pair => `=${escapeText(pair.left)} -> ${escapeText(pair.right)}`).join(' ');
+        case 'multiple-choice':
+        default:
+            return keys
+                .map(key => `${key === question.answer ? '=' : '~'}${escapeText(question.options[key])}`)
+                .join(' ');
+    }
+};
+
+/**
+ * Writes questions as GIFT. Types GIFT cannot express are left out and noted in a comment.
+ * @param {Array} questions - Quiz questions
+ * @returns {{ content: string, skipped: Array<{ index: number, reason: string }> }}
+ */
+export const formatGift = (questions) => {
+    const blocks = [];
+    const skipped = [];
+
+    questions.forEach((question, index) => {
+        const number = index + 1;
+        const feedback = question.explanation ? ` ####${escapeText(question.explanation)}` : '';
+
+        if (question.questionType === 'ordering' ||
+            (question.questionType === 'fill-in-the-blank' && question.blanks.length !== 1)) {
+            const reason = question.questionType === 'ordering'
+                ? 'ordering questions cannot be expressed in GIFT'
+                : 'GIFT supports a single blank per question';
+            skipped.push({ index, reason });
+            blocks.push(`// Question ${number} skipped: ${reason}`);
+            return;
+        }
+
+        if (question.questionType === 'fill-in-the-blank') {
+            const answers = question.blanks[0].acceptedAnswers.map(answer => `=${escapeText(answer)}`).join(' ');
+            const [before, after] = question.question.split(/_{3,}/);
+            blocks.push(`::Q${number}:: ${escapeText(before)}{${answers}${feedback}}${escapeText(after)}`);
+            return;
+        }
+
+        blocks.push(`::Q${number}:: ${escapeText(question.question)} {${formatAnswerBlock(question)}${feedback}}`);
+    });
+
+    return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
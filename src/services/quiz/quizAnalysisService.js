@@ -0,0 +1,233 @@
+// src/services/quiz/quizAnalysisService.js
+import { toCsv } from '../../utils/csv.js';
+
+const OPTION_TYPES = ['multiple-choice', 'true-false', 'multi-select'];
+const FREE_TEXT_TYPES = ['short-answer', 'numeric'];
+
+// Share of students in each of the top and bottom groups used for discrimination
+const DISCRIMINATION_GROUP_SHARE = 0.27;
+
+const round = (value, places = 2) =>
+    value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const isAnswered = (answer) =>
+    answer !== undefined && answer !== null && answer !== '' && !(Array.isArray(answer) && answer.length === 0);
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const standardDeviation = (values) => {
+    const average = mean(values);
+    if (average === null) return null;
+    return Math.sqrt(mean(values.map(v => (v - average) ** 2)));
+};
+
+/**
+ * Ten-point buckets of attempt percentages (the last bucket includes 100)
+ * @param {Array<number>} percentages
+ * @returns {Array<{ range: string, count: number }>}
+ */
+export const buildScoreDistribution = (percentages) => {
+    const buckets = Array.from({ length: 10 }, (_, i) => ({
+        range: i === 9 ? '90-100' : `${i * 10}-${i * 10 + 9}`,
+        count: 0
+    }));
+    percentages.forEach(p => {
+        buckets[Math.min(Math.floor(p / 10), 9)].count++;
+    });
+    return buckets;
+};
+
+// Flags that point instructors at questions worth reviewing
+const flagQuestion = ({ responses, difficultyIndex, discriminationIndex }) => {
+    const flags = [];
+    if (responses === 0) return flags;
+    if (difficultyIndex < 0.2) flags.push('very-hard');
+    if (difficultyIndex > 0.95) flags.push('very-easy');
+    if (discriminationIndex !== null) {
+        if (discriminationIndex < 0) flags.push('negative-discrimination');
+        else if (discriminationIndex < 0.2) flags.push('low-discrimination');
+    }
+    return flags;
+};
+
+/**
+ * Builds the item analysis report for a quiz from its closed attempts.
+ * Questions are matched across attempts by their source _id; option picks are
+ * counted by option text so shuffled option letters are tallied together.
+ * @param {Object} quiz - Quiz document
+ * @param {Array} attempts - Closed QuizAttempt documents for the quiz
+ * @returns {Object}
+ */
+export const analyzeQuizAttempts = (quiz, attempts) => {
+    const quizQuestions = new Map(quiz.questions.map(q => [q._id.toString(), toPlain(q)]));
+    const items = new Map();
+
+    const itemFor = (question) => {
+        const id = question._id.toString();
+        if (!items.has(id)) {
+            // Prefer the quiz's own version of the question for labels
+            const reference = quizQuestions.get(id) || question;
+            items.set(id, {
+                question: reference,
+                order: items.size,
+                responses: []
+            });
+        }
+        return items.get(id);
+    };
+
+    attempts.forEach(attempt => {
+        const served = attempt.questions?.length ? attempt.questions.map(toPlain) : quiz.questions.map(toPlain);
+        const answers = new Map((attempt.answers || []).map(a => [a.questionId.toString(), a]));
+
+        served.forEach(question => {
+            const answer = answers.get(question._id.toString());
+            itemFor(question).responses.push({
+                attemptId: attempt._id.toString(),
+                attemptPercentage: attempt.percentage,
+                served: question,
+                answer: answer?.answer ?? null,
+                isCorrect: Boolean(answer?.isCorrect),
+                fraction: (answer?.pointsAwarded || 0) / (question.points || 1),
+                timeSpentSeconds: answer?.timeSpentSeconds || 0
+            });
+        });
+    });
+
+    const questions = [...items.values()]
+        .sort((a, b) => a.order - b.order)
+        .map((item, index) => analyzeItem(item, index));
+
+    const percentages = attempts.map(a => a.percentage);
+    return {
+        quiz: {
+            _id: quiz._id,
+            title: quiz.title,
+            passingScore: quiz.passingScore
+        },
+        attemptCount: attempts.length,
+        summary: {
+            averagePercentage: round(mean(percentages)),
+            medianPercentage: round(median(percentages)),
+            standardDeviation: round(standardDeviation(percentages)),
+            passRate: attempts.length ? round(attempts.filter(a => a.passed).length / attempts.length, 4) : null
+        },
+        scoreDistribution: buildScoreDistribution(percentages),
+        questions
+    };
+};
+
+const analyzeItem = ({ question, responses }, index) => {
+    const type = question.questionType || 'multiple-choice';
+    const answered = responses.filter(r => isAnswered(r.answer));
+    const correct = responses.filter(r => r.isCorrect).length;
+    const difficultyIndex = responses.length ? correct / responses.length : null;
+
+    // Upper-lower group discrimination: share correct among the top 27% of
+    // attempts minus share correct among the bottom 27%
+    let discriminationIndex = null;
+    const groupSize = Math.floor(responses.length * DISCRIMINATION_GROUP_SHARE);
+    if (groupSize >= 1) {
+        const ranked = [...responses].sort((a, b) => b.attemptPercentage - a.attemptPercentage);
+        const share = group => group.filter(r => r.isCorrect).length / group.length;
+        discriminationIndex = share(ranked.slice(0, groupSize)) - share(ranked.slice(-groupSize));
+    }
+
+    const timed = responses.map(r => r.timeSpentSeconds).filter(seconds => seconds > 0);
+
+    const result = {
+        number: index + 1,
+        questionId: question._id,
+        question: question.question,
+        questionType: type,
+        points: question.points || 1,
+        responses: responses.length,
+        answered: answered.length,
+        correct,
+        difficultyIndex: round(difficultyIndex, 4),
+        averageScore: round(mean(responses.map(r => r.fraction)), 4),
+        discriminationIndex: round(discriminationIndex, 4),
+        averageTimeSeconds: round(mean(timed), 1)
+    };
+
+    if (OPTION_TYPES.includes(type)) {
+        result.options = countOptionPicks(question, responses);
+    } else if (FREE_TEXT_TYPES.includes(type)) {
+        result.topResponses = countTopResponses(answered);
+    }
+
+    result.flags = flagQuestion(result);
+    return result;
+};
+
+// How often each option was picked, matched by text across shuffled attempts
+const countOptionPicks = (question, responses) => {
+    const correctKeys = question.questionType === 'multi-select' ? question.answers : [question.answer];
+    const options = Object.entries(question.options || {})
+        .filter(([, text]) => text)
+        .map(([key, text]) => ({ key, text, isCorrect: correctKeys.includes(key), count: 0 }));
+    const byText = new Map(options.map(option => [option.text, option]));
+
+    responses.forEach(({ served, answer }) => {
+        if (!isAnswered(answer)) return;
+        const picked = Array.isArray(answer) ? answer : [answer];
+        picked.forEach(letter => {
+            const text = served.options?.[String(letter).trim().toUpperCase()];
+            const option = byText.get(text);
+            if (option) option.count++;
+        });
+    });
+
+    return options.map(option => ({
+        ...option,
+        pickRate: responses.length ? round(option.count / responses.length, 4) : 0
+    }));
+};
+
+// The most common free-text responses, which shows up answers the key misses
+const countTopResponses = (answered, limit = 5) => {
+    const counts = new Map();
+    answered.forEach(({ answer, isCorrect }) => {
+        const text = String(answer).trim().toLowerCase();
+        const entry = counts.get(text) || { response: text, count: 0, isCorrect };
+        entry.count++;
+        counts.set(text, entry);
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+/**
+ * Renders the item analysis report as CSV, one row per question
+ * @param {Object} report - Result of analyzeQuizAttempts
+ * @returns {string}
+ */
+export const itemAnalysisToCsv = (report) => {
+    const header = [
+        'number', 'questionId', 'question', 'questionType', 'points', 'responses', 'answered', 'correct',
+        'difficultyIndex', 'discriminationIndex', 'averageScore', 'averageTimeSeconds',
+        'optionA', 'optionB', 'optionC', 'optionD', 'optionE', 'flags'
+    ];
+
+    const rows = report.questions.map(q => {
+        const picks = ['A', 'B', 'C', 'D', 'E'].map(key => {
+            const option = q.options?.find(o => o.key === key);
+            return option ? `${option.count}${option.isCorrect ? '*' : ''}` : '';
+        });
+        return [
+            q.number, q.questionId, q.question, q.questionType, q.points, q.responses, q.answered, q.correct,
+            q.difficultyIndex, q.discriminationIndex, q.averageScore, q.averageTimeSeconds,
+            ...picks, q.flags.join('|')
+        ];
+    });
+
+    return toCsv([header, ...rows]);
+};
@@ -0,0 +1,108 @@
+// src/services/quiz/quizAssemblyService.js
+import QuestionBankItem from '../../models/QuestionBankItem.js';
+import ApiError from '../../utils/ApiError.js';
+import { shuffle } from './quizPresentation.js';
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Question types whose option letters can be reassigned
+const SHUFFLABLE_OPTION_TYPES = ['multiple-choice', 'multi-select'];
+
+// Bank questions eligible for a pool
+const buildPoolFilter = (courseId, pool, excludeIds = []) => {
+    const filter = { courseId };
+    if (pool.tags?.length) filter.tags = { $in: pool.tags };
+    if (pool.difficulty) filter.difficulty = pool.difficulty;
+    if (excludeIds.length) filter._id = { $nin: excludeIds };
+    return filter;
+};
+
+const describePool = (pool) => {
+    const parts = [];
+    if (pool.tags?.length) parts.push(`tagged ${pool.tags.join(', ')}`);
+    if (pool.difficulty) parts.push(`of ${pool.difficulty} difficulty`);
+    return parts.length ? `questions ${parts.join(' ')}` : 'questions';
+};
+
+/**
+ * Checks the course bank holds enough questions for each pool
+ * @param {string|ObjectId} courseId - Course owning the bank
+ * @param {Array} pools - Quiz question pools
+ * @returns {Promise<Array<string>>} One message per pool that cannot be filled
+ */
+export const checkPoolAvailability = async (courseId, pools = []) => {
+    const shortfalls = [];
+
+    for (const [index, pool] of pools.entries()) {
+        const available = await QuestionBankItem.countDocuments(buildPoolFilter(courseId, pool));
+        if (available < pool.count) {
+            shortfalls.push(
+                `Pool ${index + 1} needs ${pool.count} ${describePool(pool)} but the bank has ${available}`
+            );
+        }
+    }
+
+    return shortfalls;
+};
+
+/**
+ * Reassigns option letters at random, remapping the answer key to match
+ * @param {Object} question - Plain question object
+ * @returns {Object}
+ */
+export const shuffleQuestionOptions = (question) => {
+    if (!SHUFFLABLE_OPTION_TYPES.includes(question.questionType || 'multiple-choice')) {
+        return question;
+    }
+
+    const keys = Object.keys(question.options || {}).filter(key => question.options[key]);
+    const shuffledKeys = shuffle(keys);
+    const remap = Object.fromEntries(keys.map((key, index) => [key, shuffledKeys[index]]));
+
+    const options = {};
+    [...keys].sort().forEach(key => {
+        const original = keys.find(k => remap[k] === key);
+        options[key] = question.options[original];
+    });
+
+    return {
+        ...question,
+        options,
+        answer: question.answer ? remap[question.answer] : question.answer,
+        answers: (question.answers || []).map(key => remap[key]).sort()
+    };
+};
+
+/**
+ * Builds the question set served to one attempt: the quiz's own questions plus
+ * random draws from the course bank, shuffled as the quiz settings require.
+ * @param {Object} quiz - Quiz document
+ * @returns {Promise<Array>} Plain question objects, each keeping its source _id
+ * @throws {ApiError} 409 if the bank cannot fill a pool
+ */
+export const assembleAttemptQuestions = async (quiz) => {
+    let questions = quiz.questions.map(toPlain);
+
+    for (const pool of quiz.questionPools || []) {
+        // A bank question is drawn at most once per attempt
+        const drawnIds = questions.map(question => question._id);
+        const drawn = await QuestionBankItem.aggregate([
+            { $match: buildPoolFilter(quiz.courseId, pool, drawnIds) },
+            { $sample: { size: pool.count } }
+        ]);
+
+        if (drawn.length < pool.count) {
+            throw new ApiError(409, `Not enough ${describePool(pool)} in the question bank to assemble this quiz`);
+        }
+        questions = questions.concat(drawn);
+    }
+
+    if (quiz.shuffleQuestions) {
+        questions = shuffle(questions);
+    }
+    if (quiz.shuffleOptions) {
+        questions = questions.map(shuffleQuestionOptions);
+    }
+
+    return questions;
+};
@@ -0,0 +1,166 @@
+// src/services/quiz/quizAttemptService.js
+import mongoose from 'mongoose';
+import Quiz from '../../models/Quiz.js';
+import QuizAttempt from '../../models/QuizAttempt.js';
+import Enrollment from '../../models/Enrollment.js';
+import { gradeAttempt } from './quizGradingService.js';
+import { recordQuizResult } from '../progressService.js';
+import ApiError from '../../utils/ApiError.js';
+
+// Allowance for network latency when a submission arrives right at the deadline
+export const SUBMISSION_GRACE_MS = 30 * 1000;
+
+// Attempt statuses that count as a finished, graded attempt
+export const CLOSED_ATTEMPT_STATUSES = ['submitted', 'auto-submitted'];
+
+/**
+ * Computes the deadline for an attempt started now
+ * @param {Object} quiz - Quiz document (timeLimit in minutes)
+ * @param {Date} startedAt - When the attempt started
+ * @returns {Date}
+ */
+export const computeDeadline = (quiz, startedAt = new Date()) =>
+    new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000);
+
+/**
+ * Whether an in-progress attempt is past its deadline (including the grace period)
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isAttemptExpired = (attempt, now = new Date()) =>
+    Boolean(attempt.expiresAt) && now.getTime() > attempt.expiresAt.getTime() + SUBMISSION_GRACE_MS;
+
+/**
+ * Seconds left before the attempt deadline (never negative)
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Date} now - Reference time
+ * @returns {number}
+ */
+export const getRemainingSeconds = (attempt, now = new Date()) => {
+    if (!attempt.expiresAt || attempt.status !== 'in-progress') return 0;
+    return Math.max(0, Math.floor((attempt.expiresAt.getTime() - now.getTime()) / 1000));
+};
+
+/**
+ * The questions an attempt is graded against: the set served when it started,
+ * or the quiz's current questions for attempts started before snapshots existed
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Object} quiz - Quiz the attempt belongs to
+ * @returns {Array}
+ */
+export const getAttemptQuestions = (attempt, quiz) =>
+    attempt.questions?.length ? attempt.questions : quiz.questions;
+
+// Time reported for a question, capped at the time the attempt has been open;
+// without a report the previously saved value is kept
+const normalizeTimeSpent = (reported, previous, attempt) => {
+    const seconds = Number(reported);
+    if (reported === undefined || reported === null || !Number.isFinite(seconds) || seconds < 0) {
+        return previous || 0;
+    }
+    const elapsed = Math.ceil((Date.now() - attempt.startedAt.getTime()) / 1000);
+    return Math.min(Math.round(seconds), Math.max(elapsed, 0));
+};
+
+/**
+ * Merges autosaved answers into an attempt, keyed by questionId. Answers to questions
+ * the attempt was not served are dropped.
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Array} answers - [{ questionId, answer, timeSpentSeconds }]; timeSpentSeconds is
+ *   the total time spent on the question so far
+ * @param {Array} questions - The attempt's questions, from getAttemptQuestions
+ * @throws {ApiError} 400 when a questionId is not a valid ID
+ */
+export const mergeSavedAnswers = (attempt, answers, questions) => {
+    const malformed = answers.filter(a => a?.questionId && !mongoose.Types.ObjectId.isValid(a.questionId));
+    if (malformed.length) {
+        throw new ApiError(400, `Invalid questionId: ${malformed.map(a => String(a.questionId)).join(', ')}`);
+    }
+
+    const served = new Set(questions.map(question => question._id.toString()));
+    const saved = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+
+    answers
+        .filter(a => a?.questionId && served.has(a.questionId.toString()))
+        .forEach(({ questionId, answer, timeSpentSeconds }) => {
+            const previous = saved.get(questionId.toString());
+            saved.set(questionId.toString(), {
+                questionId,
+                answer,
+                answeredAt: new Date(),
+                timeSpentSeconds: normalizeTimeSpent(timeSpentSeconds, previous?.timeSpentSeconds, attempt)
+            });
+        });
+
+    attempt.answers = [...saved.values()];
+    attempt.lastSavedAt = new Date();
+};
+
+/**
+ * Grades and closes an attempt
+ * @param {Object} attempt - In-progress QuizAttempt document
+ * @param {Object} quiz - Quiz the attempt belongs to
+ * @param {Object} options
+ * @param {Array} [options.answers] - Answers to grade; defaults to the autosaved answers
+ * @param {string} [options.status] - 'submitted' or 'auto-submitted'
+ * @returns {Promise<Object>} The saved attempt
+ */
+export const finalizeAttempt = async (attempt, quiz, { answers, status = 'submitted' } = {}) => {
+    const result = gradeAttempt(getAttemptQuestions(attempt, quiz), answers || attempt.answers, quiz.passingScore);
+
+    attempt.answers = result.answers;
+    attempt.score = result.score;
+    attempt.totalPoints = result.totalPoints;
+    attempt.percentage = result.percentage;
+    attempt.passed = result.passed;
+    attempt.status = status;
+    attempt.submittedAt = status === 'auto-submitted' && attempt.expiresAt
+        ? attempt.expiresAt
+        : new Date();
+    await attempt.save();
+
+    if (attempt.passed) {
+        await Enrollment.updateOne(
+            { _id: attempt.enrollmentId },
+            { $addToSet: { completedQuizzes: quiz._id }, lastAccessed: new Date() }
+        );
+    }
+
+    // A passed quiz completes its topic, and the new score may meet the course
+    // completion criteria; the attempt is already saved either way
+    try {
+        await recordQuizResult(attempt.studentId, quiz, attempt.passed);
+    } catch (error) {
+        console.error(`Failed to record quiz progress for attempt ${attempt._id}:`, error);
+    }
+
+    return attempt;
+};
+
+/**
+ * Auto-submits every in-progress attempt whose deadline has passed,
+ * grading the answers saved so far.
+ * @returns {Promise<number>} Number of attempts closed
+ */
+export const closeExpiredAttempts = async () => {
+    const cutoff = new Date(Date.now() - SUBMISSION_GRACE_MS);
+    const attempts = await QuizAttempt.find({
+        status: 'in-progress',
+        expiresAt: { $lt: cutoff }
+    });
+
+    let closed = 0;
+    for (const attempt of attempts) {
+        try {
+            const quiz = await Quiz.findById(attempt.quizId);
+            if (!quiz) continue;
+            await finalizeAttempt(attempt, quiz, { status: 'auto-submitted' });
+            closed++;
+        } catch (error) {
+            console.error(`Failed to auto-submit quiz attempt ${attempt._id}:`, error);
+        }
+    }
+
+    return closed;
+};
@@ -0,0 +1,214 @@
+// src/services/quiz/quizGradingService.js
+import { isSafeRegex } from '../../utils/safeRegex.js';
+
+// Regex answers are only tried against responses up to this long, so matching stays quick
+export const MAX_REGEX_RESPONSE_LENGTH = 200;
+
+const isEmptyAnswer = (answer) =>
+    answer === undefined ||
+    answer === null ||
+    answer === '' ||
+    (Array.isArray(answer) && answer.length === 0) ||
+    (typeof answer === 'object' && !Array.isArray(answer) && Object.keys(answer).length === 0);
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ');
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Checks a free-text response against a list of accepted answers
+ * @param {string} response - The student's text
+ * @param {Array<string>} acceptedAnswers - Accepted answers (or patterns in regex mode)
+ * @param {string} matchMode - 'exact', 'case-insensitive' or 'regex'
+ * @returns {boolean}
+ */
+export const matchesTextAnswer = (response, acceptedAnswers = [], matchMode = 'case-insensitive') => {
+    const text = normalizeText(response);
+    if (!text) return false;
+
+    return acceptedAnswers.some(accepted => {
+        switch (matchMode) {
+            case 'exact':
+                return text === normalizeText(accepted);
+            case 'regex':
+                // Patterns saved before they were checked for safety are never run
+                if (text.length > MAX_REGEX_RESPONSE_LENGTH || !isSafeRegex(accepted)) return false;
+                try {
+                    // Patterns must match the whole response
+                    return new RegExp(`^(?:${accepted})$`).test(text);
+                } catch {
+                    return false;
+                }
+            case 'case-insensitive':
+            default:
+                return text.toLowerCase() === normalizeText(accepted).toLowerCase();
+        }
+    });
+};
+
+// Share of the question earned, from 0 to 1
+const scoreQuestion = (question, answer) => {
+    switch (question.questionType) {
+        case 'multi-select': {
+            const correct = new Set(question.answers);
+            const selected = new Set(toArray(answer).map(a => String(a).trim().toUpperCase()));
+            const hits = [...selected].filter(key => correct.has(key)).length;
+            const misses = selected.size - hits;
+
+            if (hits === correct.size && misses === 0) return 1;
+            // Each wrong selection cancels out a right one
+            return question.partialCredit ? Math.max(0, (hits - misses) / correct.size) : 0;
+        }
+
+        case 'short-answer':
+            return matchesTextAnswer(answer, question.acceptedAnswers, question.matchMode) ? 1 : 0;
+
+        case 'numeric': {
+            const value = typeof answer === 'number' ? answer : parseFloat(String(answer).trim());
+            if (!Number.isFinite(value)) return 0;
+            return Math.abs(value - question.numericAnswer) <= (question.tolerance || 0) ? 1 : 0;
+        }
+
+        case 'ordering': {
+            // The answer lists the items in the order the student placed them
+            const items = question.orderItems;
+            const placed = toArray(answer).map(normalizeText);
+            const inPlace = items.filter((item, index) => placed[index] === normalizeText(item)).length;
+
+            if (inPlace === items.length) return 1;
+            return question.partialCredit ? inPlace / items.length : 0;
+        }
+
+        case 'matching': {
+            // The answer maps each left item to the chosen right item, either as an
+            // object or as an array of { left, right }
+            const chosen = new Map(
+                Array.isArray(answer)
+                    ? answer.filter(Boolean).map(pair => [normalizeText(pair.left), normalizeText(pair.right)])
+                    : Object.entries(answer).map(([left, right]) => [normalizeText(left), normalizeText(right)])
+            );
+            const pairs = question.matchPairs;
+            const matched = pairs.filter(pair => chosen.get(normalizeText(pair.left)) === normalizeText(pair.right)).length;
+
+            if (matched === pairs.length) return 1;
+            return question.partialCredit ? matched / pairs.length : 0;
+        }
+
+        case 'fill-in-the-blank': {
+            // The answer lists one response per blank, in order
+            const responses = toArray(answer);
+            const blanks = question.blanks;
+            const filled = blanks.filter((blank, index) =>
+                matchesTextAnswer(responses[index], blank.acceptedAnswers, blank.matchMode)
+            ).length;
+
+            if (filled === blanks.length) return 1;
+            return question.partialCredit ? filled / blanks.length : 0;
+        }
+
+        case 'multiple-choice':
+        case 'true-false':
+        default:
+            return String(answer).trim().toUpperCase() === question.answer ? 1 : 0;
+    }
+};
+
+/**
+ * Grades a single answer against its question
+ * @param {Object} question - Quiz question subdocument
+ * @param {any} answer - The answer submitted by the student
+ * @returns {{ isCorrect: boolean, pointsAwarded: number }}
+ */
+export const gradeQuestion = (question, answer) => {
+    const points = question.points || 1;
+
+    if (isEmptyAnswer(answer)) {
+        return { isCorrect: false, pointsAwarded: 0 };
+    }
+
+    let fraction;
+    try {
+        fraction = scoreQuestion(question, answer);
+    } catch {
+        // Answers in the wrong shape for the question type earn nothing
+        fraction = 0;
+    }
+
+    return {
+        isCorrect: fraction === 1,
+        pointsAwarded: Math.round(points * fraction * 100) / 100
+    };
+};
+
+/**
+ * The answer key for a question, in the same shape a student would answer it
+ * @param {Object} question - Quiz question subdocument
+ * @returns {any}
+ */
+export const getCorrectAnswer = (question) => {
+    switch (question.questionType) {
+        case 'multi-select':
+            return question.answers;
+        case 'short-answer':
+            return question.acceptedAnswers;
+        case 'numeric':
+            return { value: question.numericAnswer, tolerance: question.tolerance || 0 };
+        case 'ordering':
+            return question.orderItems;
+        case 'matching':
+            return question.matchPairs.map(({ left, right }) => ({ left, right }));
+        case 'fill-in-the-blank':
+            return question.blanks.map(blank => blank.acceptedAnswers);
+        default:
+            return question.answer;
+    }
+};
+
+/**
+ * Grades a full set of answers against the quiz questions.
+ * Questions that were not answered are recorded as incorrect.
+ * @param {Array} questions - Quiz questions
+ * @param {Array} answers - [{ questionId, answer }]
+ * @param {number} passingScore - Percentage required to pass
+ * @returns {{ answers: Array, score: number, totalPoints: number, percentage: number, passed: boolean }}
+ */
+export const gradeAttempt = (questions, answers = [], passingScore = 70) => {
+    const answersByQuestion = new Map(
+        answers
+            .filter(a => a?.questionId)
+            .map(a => [a.questionId.toString(), a])
+    );
+
+    let score = 0;
+    let totalPoints = 0;
+
+    const gradedAnswers = questions.map(question => {
+        const submitted = answersByQuestion.get(question._id.toString());
+        const { isCorrect, pointsAwarded } = gradeQuestion(question, submitted?.answer);
+
+        score += pointsAwarded;
+        totalPoints += question.points || 1;
+
+        return {
+            questionId: question._id,
+            answer: submitted?.answer ?? null,
+            isCorrect,
+            pointsAwarded,
+            answeredAt: submitted?.answeredAt || new Date(),
+            timeSpentSeconds: submitted?.timeSpentSeconds || 0
+        };
+    });
+
+    score = Math.round(score * 100) / 100;
+    const percentage = totalPoints > 0
+        ? Math.round((score / totalPoints) * 10000) / 100
+        : 0;
+
+    return {
+        answers: gradedAnswers,
+        score,
+        totalPoints,
+        percentage,
+        passed: percentage >= passingScore
+    };
+};
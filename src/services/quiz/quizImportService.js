@@ -0,0 +1,100 @@
+// src/services/quiz/quizImportService.js
+import path from 'path';
+import { validateQuizQuestions, QUESTION_DIFFICULTIES } from '../../models/Quiz.js';
+import { parseGift, formatGift } from './formats/gift.js';
+import { parseAiken, formatAiken } from './formats/aiken.js';
+import { parseCsv, formatCsv } from './formats/csv.js';
+
+export const QUIZ_FILE_FORMATS = {
+    gift: { parse: parseGift, format: formatGift, extension: 'gift', contentType: 'text/plain; charset=utf-8' },
+    aiken: { parse: parseAiken, format: formatAiken, extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+    csv: { parse: parseCsv, format: formatCsv, extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const EXTENSION_FORMATS = { '.gift': 'gift', '.csv': 'csv', '.txt': 'aiken' };
+
+// Bank-only fields parsers may produce; they are not part of a quiz question
+const BANK_FIELDS = ['tags', 'difficulty'];
+
+/**
+ * Works out the file format from an explicit value or the uploaded file name
+ * @param {string} [format] - 'gift', 'aiken' or 'csv'
+ * @param {string} [filename] - Original upload name
+ * @returns {string|null}
+ */
+export const resolveQuizFileFormat = (format, filename) => {
+    if (format) {
+        const key = String(format).toLowerCase();
+        return QUIZ_FILE_FORMATS[key] ? key : null;
+    }
+    return filename ? EXTENSION_FORMATS[path.extname(filename).toLowerCase()] || null : null;
+};
+
+/**
+ * Parses a question file and validates every question against quizQuestionSchema.
+ * Errors carry the line in the source file where the offending question starts.
+ * @param {string} content - File contents
+ * @param {string} format - 'gift', 'aiken' or 'csv'
+ * @returns {{ questions: Array, errors: Array<{ line: number, field?: string, message: string }> }}
+ */
+export const parseQuestionFile = (content, format) => {
+    const { questions: parsed, errors } = QUIZ_FILE_FORMATS[format].parse(content);
+
+    if (parsed.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: 'No questions found' });
+    }
+
+    const schemaErrors = validateQuizQuestions(
+        parsed.map(({ question }) => {
+            const quizQuestion = { ...question };
+            BANK_FIELDS.forEach(field => delete quizQuestion[field]);
+            return quizQuestion;
+        })
+    );
+    schemaErrors.forEach(({ index, field, message }) => {
+        errors.push({ line: parsed[index].line, field, message });
+    });
+    parsed
+        .filter(({ question }) => question.difficulty && !QUESTION_DIFFICULTIES.includes(question.difficulty))
+        .forEach(({ line, question }) => {
+            errors.push({ line, field: 'difficulty', message: `Difficulty must be one of ${QUESTION_DIFFICULTIES.join(', ')}, got ${question.difficulty}` });
+        });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { questions: parsed.map(({ question }) => question), errors };
+};
+
+/**
+ * Writes questions in one of the supported file formats
+ * @param {Array} questions - Quiz or bank questions
+ * @param {string} format - 'gift', 'aiken' or 'csv'
+ * @returns {{ content: string, contentType: string, extension: string, skipped: Array<{ index: number, reason: string }> }}
+ */
+export const exportQuestionFile = (questions, format) => {
+    const { format: write, contentType, extension } = QUIZ_FILE_FORMATS[format];
+    const plain = questions.map(question => (typeof question.toObject === 'function' ? question.toObject() : question));
+    const { content, skipped } = write(plain);
+    return { content, contentType, extension, skipped };
+};
+
+/**
+ * Reads the question file from an upload, or from a "content" text field
+ * @param {Object} source
+ * @param {Object} [source.file] - Multer file held in memory
+ * @param {Object} [source.body] - Request body (content, format)
+ * @param {Object} [source.query] - Query string (format)
+ * @returns {{ content?: string, format?: string, error?: string }}
+ */
+export const readImportSource = ({ file, body = {}, query = {} }) => {
+    const content = file ? file.buffer.toString('utf8') : body.content;
+    if (!content || typeof content !== 'string') {
+        return { error: 'Upload a question file in the "file" field or send its text as "content"' };
+    }
+
+    const format = resolveQuizFileFormat(query.format || body.format, file?.originalname);
+    if (!format) {
+        return { error: `Unknown file format; use one of ${Object.keys(QUIZ_FILE_FORMATS).join(', ')}` };
+    }
+
+    return { content, format };
+};
@@ -0,0 +1,157 @@
+// src/services/quiz/quizPresentation.js
+import { getCorrectAnswer } from './quizGradingService.js';
+
+export const REVIEW_POLICIES = ['never', 'after-each-attempt', 'after-last-attempt'];
+
+// Projection that strips answer keys from quizzes loaded for students
+export const STUDENT_SAFE_QUIZ_FIELDS = [
+    'answer', 'answers', 'acceptedAnswers', 'numericAnswer', 'tolerance',
+    'orderItems', 'matchPairs', 'blanks', 'explanation'
+].map(field => `-questions.${field}`).join(' ');
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Fisher-Yates shuffle on a copy
+export const shuffle = (items = []) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/**
+ * Projects a question to the fields a student may see while taking a quiz.
+ * The answer key and explanation are never included; ordering and matching
+ * items are shuffled so their stored order does not give the answer away.
+ * @param {Object} question - Quiz question subdocument
+ * @returns {Object}
+ */
+export const toStudentQuestion = (question) => {
+    const data = toPlain(question);
+    const questionType = data.questionType || 'multiple-choice';
+    const projected = { _id: data._id, question: data.question, questionType, points: data.points };
+
+    switch (questionType) {
+        case 'multiple-choice':
+        case 'true-false':
+        case 'multi-select':
+            projected.options = data.options;
+            break;
+        case 'ordering':
+            projected.items = shuffle(data.orderItems);
+            break;
+        case 'matching':
+            projected.leftItems = (data.matchPairs || []).map(pair => pair.left);
+            projected.rightItems = shuffle((data.matchPairs || []).map(pair => pair.right));
+            break;
+        case 'fill-in-the-blank':
+            projected.blankCount = (data.blanks || []).length;
+            break;
+    }
+
+    return projected;
+};
+
+/**
+ * Projects a quiz to a student-safe shape
+ * @param {Object} quiz - Quiz document
+ * @param {Array} [servedQuestions] - Questions served to an attempt; defaults to the quiz's own questions
+ * @returns {Object}
+ */
+export const toStudentQuiz = (quiz, servedQuestions) => {
+    const data = toPlain(quiz);
+    const questions = servedQuestions || (Array.isArray(data.questions) ? data.questions : []);
+    // Outside an attempt, questions drawn from the bank are only counted
+    const pooledCount = servedQuestions
+        ? 0
+        : (data.questionPools || []).reduce((sum, pool) => sum + pool.count, 0);
+
+    return {
+        _id: data._id,
+        title: data.title,
+        description: data.description,
+        courseId: data.courseId,
+        moduleId: data.moduleId,
+        topicId: data.topicId,
+        passingScore: data.passingScore,
+        timeLimit: data.timeLimit,
+        maxAttempts: data.maxAttempts,
+        reviewPolicy: data.reviewPolicy,
+        questionCount: questions.length + pooledCount,
+        questions: questions.map(toStudentQuestion)
+    };
+};
+
+/**
+ * Decides whether a student may see correct answers and explanations
+ * @param {Object} quiz - Quiz document (reviewPolicy, maxAttempts)
+ * @param {number} submittedAttempts - Number of attempts the student has submitted
+ * @returns {boolean}
+ */
+export const canReviewAnswers = (quiz, submittedAttempts) => {
+    switch (quiz.reviewPolicy) {
+        case 'never':
+            return false;
+        case 'after-last-attempt':
+            return submittedAttempts >= quiz.maxAttempts;
+        case 'after-each-attempt':
+        default:
+            return submittedAttempts > 0;
+    }
+};
+
+/**
+ * Builds the per-question review for a submitted attempt
+ * @param {Array} questions - Quiz questions
+ * @param {Array} answers - Graded attempt answers
+ * @returns {Array}
+ */
+export const buildAttemptReview = (questions, answers = []) => {
+    const answersByQuestion = new Map(answers.map(a => [a.questionId.toString(), a]));
+
+    return questions.map(question => {
+        const graded = answersByQuestion.get(question._id.toString());
+        return {
+            ...toStudentQuestion(question),
+            yourAnswer: graded?.answer ?? null,
+            isCorrect: graded?.isCorrect ?? false,
+            pointsAwarded: graded?.pointsAwarded ?? 0,
+            correctAnswer: getCorrectAnswer(question),
+            explanation: question.explanation
+        };
+    });
+};
+
+/**
+ * Shapes an attempt for the response. In-progress attempts and attempts whose
+ * review is withheld only expose the student's own answers; otherwise the
+ * per-question review of the questions served is attached.
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Object} quiz - Quiz document the attempt belongs to
+ * @param {boolean} reviewAllowed - Whether answers and explanations may be shown
+ * @returns {Object}
+ */
+export const presentAttempt = (attempt, quiz, reviewAllowed) => {
+    const data = toPlain(attempt);
+
+    // The served question snapshot carries the answer key; it is only exposed through the review
+    const questions = data.questions?.length ? data.questions : quiz?.questions;
+    delete data.questions;
+
+    if (data.status !== 'in-progress' && reviewAllowed && questions) {
+        data.review = buildAttemptReview(questions, data.answers);
+        data.reviewAvailable = true;
+        return data;
+    }
+
+    data.answers = (data.answers || []).map(({ questionId, answer, answeredAt, timeSpentSeconds }) => ({
+        questionId,
+        answer,
+        answeredAt,
+        timeSpentSeconds
+    }));
+    data.reviewAvailable = false;
+    return data;
+};
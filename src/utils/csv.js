@@ -0,0 +1,18 @@
+// src/utils/csv.js
+
+/**
+ * Quotes a value for a CSV cell when it contains a delimiter, quote or line break
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+export const escapeCsvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from rows of values
+ * @param {Array<Array<any>>} rows - Rows, header first
+ * @returns {string}
+ */
+export const toCsv = (rows) => `${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
@@ -0,0 +1,31 @@
+// src/utils/dates.js
+
+const WEEK_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight (UTC) of the calendar day a value falls on, so per-day records share one key
+ * @param {string|Date} value - A YYYY-MM-DD string, ISO timestamp or Date
+ * @returns {Date|null} null when the value is not a valid date
+ */
+export const toDayStart = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Adds whole days to a date
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * English weekday name (UTC) of a date, as used in enrollment workingDays
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getWeekdayName = (date) => WEEK_DAY_NAMES[date.getUTCDay()];
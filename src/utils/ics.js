@@ -0,0 +1,76 @@
+// src/utils/ics.js
+
+// 20261019T140000Z
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escapes commas, semicolons, backslashes and line breaks in text values (RFC 5545 3.3.11)
+const escapeIcsText = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Builds an iCalendar file with one event, as sent with meeting invitations.
+ * Send updates with the same uid and a higher sequence; method CANCEL removes the event.
+ * @param {Object} event
+ * @param {string} event.uid - Stable across updates of the same event
+ * @param {number} [event.sequence] - Revision number, incremented on each update
+ * @param {string} [event.method] - REQUEST or CANCEL
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {{ name?: string, email: string }} event.organizer
+ * @param {Array<{ name?: string, email: string }>} [event.attendees]
+ * @returns {string}
+ */
+export const buildIcsEvent = ({
+    uid, sequence = 0, method = 'REQUEST', start, end, summary, description, location, url, organizer, attendees = []
+}) => {
+    // Parameter values are quoted rather than escaped, and may not contain quotes
+    const person = ({ name, email }) => `${name ? `;CN="${String(name).replace(/"/g, '')}"` : ''}:mailto:${email}`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TIC Portal//Internships//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        description && `DESCRIPTION:${escapeIcsText(description)}`,
+        location && `LOCATION:${escapeIcsText(location)}`,
+        url && `URL:${url}`,
+        `ORGANIZER${person(organizer)}`,
+        ...attendees.map(attendee => `ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE${person(attendee)}`),
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
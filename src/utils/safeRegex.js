@@ -0,0 +1,72 @@
+// src/utils/safeRegex.js
+
+export const MAX_PATTERN_LENGTH = 200;
+
+// *, +, {n,} and {n,m} with m > 1 can repeat what they follow; ? and {0,1} cannot
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return { repeats: true, length: 1 };
+    if (char === '?') return { repeats: false, length: 1 };
+    if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+        if (match) {
+            const max = match[2] ? (match[3] === '' ? Infinity : Number(match[3])) : Number(match[1]);
+            return { repeats: max > 1, length: match[0].length };
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks that a regular expression cannot backtrack catastrophically. Conservative: refuses
+ * backreferences and any repeated group that itself contains a repetition or an alternation,
+ * such as (a+)+ or (a|ab)*, along with patterns that are invalid or longer than MAX_PATTERN_LENGTH.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export const isSafeRegex = (pattern) => {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) return false;
+    try {
+        new RegExp(pattern);
+    } catch {
+        return false;
+    }
+
+    // One entry per open group: whether it holds a repetition or an alternation
+    const stack = [{ repeats: false, alternates: false }];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = stack[stack.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1])) return false;
+            i++;
+        } else if (char === '[') {
+            // Skip the character class, escapes included
+            i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '(') {
+            stack.push({ repeats: false, alternates: false });
+        } else if (char === ')') {
+            const closed = stack.pop();
+            const quantifier = readQuantifier(pattern, i + 1);
+            if (quantifier?.repeats && (closed.repeats || closed.alternates)) return false;
+            const parent = stack[stack.length - 1];
+            parent.repeats ||= closed.repeats || Boolean(quantifier?.repeats);
+            parent.alternates ||= closed.alternates;
+            if (quantifier) i += quantifier.length;
+        } else if (char === '|') {
+            group.alternates = true;
+        } else {
+            const quantifier = readQuantifier(pattern, i);
+            if (quantifier) {
+                group.repeats ||= quantifier.repeats;
+                i += quantifier.length - 1;
+            }
+        }
+    }
+    return true;
+};